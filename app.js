@@ -10,24 +10,34 @@ import compression from 'compression';
 // Import configurations
 import { env, isProduction } from './config/environment.js';
 import { globalErrorHandler, notFound } from './middleware/errorHandler.js';
+import { assignRequestId } from './middleware/requestId.js';
 import { initWorker, terminateWorker, isWorkerReady } from './lib/ocr.js';
 import { redisClient } from './utils/draftStore.js';
 
 // Import routes
 import syllabusRoutes from './routes/syllabus.route.js';
 import courseRoutes from './routes/course.route.js';
+import semesterRoutes from './routes/semester.route.js';
+import analyticsRoutes from './routes/analytics.route.js';
 import onboardingRoutes from './routes/onboarding.route.js';
 import assignmentRoutes from './routes/assignment.route.js';
 import activityRoutes from './routes/activity.route.js';
 import noteRoutes from './routes/note.route.js';
 import reminderRoutes from './routes/reminder.route.js';
 import aiRoutes from './routes/ai.route.js';
+import mpesaRoutes from './routes/mpesa.route.js';
+import userRoutes from './routes/user.route.js';
+import paymentRoutes from './routes/payment.route.js';
+import adminRoutes from './routes/admin.route.js';
 // Import other routes...
 
 // Create Express app factory for testing
 function createApp() {
   const app = express();
 
+  // Tag every request with an id for logs and the audit trail
+  app.use(assignRequestId);
+
   // Configure security middleware
   const corsOptions = {
     origin: (origin, callback) => {
@@ -52,8 +62,8 @@ function createApp() {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-    exposedHeaders: ['Content-Range', 'X-Content-Range'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Request-Id', 'X-Impersonate-User'],
+    exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed', 'X-Request-Id'],
     maxAge: 600 // 10 minutes
   };
 
@@ -73,7 +83,7 @@ function createApp() {
       res.setHeader('Access-Control-Allow-Origin', originHeader);
       res.setHeader('Access-Control-Allow-Credentials', 'true');
       res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Idempotency-Key, X-Request-Id, X-Impersonate-User');
     }
 
     // Handle preflight requests quickly
@@ -131,12 +141,18 @@ function createApp() {
   // Mount routes
   app.use('/api/syllabus', syllabusRoutes);
   app.use('/api/courses', courseRoutes);
+  app.use('/api/semesters', semesterRoutes);
+  app.use('/api/analytics', analyticsRoutes);
   app.use('/api/onboarding', onboardingRoutes);
   app.use('/api/assignments', assignmentRoutes);
   app.use('/api/activities', activityRoutes);
   app.use('/api/notes', noteRoutes);
   app.use('/api/reminders', reminderRoutes);
   app.use('/api/ai', aiRoutes);
+  app.use('/api/mpesa', mpesaRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/payments', paymentRoutes);
+  app.use('/api/admin', adminRoutes);
   // Mount other routes...
 
   // Handle 404 errors
@@ -149,6 +165,54 @@ function createApp() {
 }
 const app = createApp();
 
+// Start the scheduled jobs (reminders, payment reconciliation, account deletion, data export) and
+// run each once. Called by startServer and by the legacy index.js entry point, never on import.
+async function startBackgroundJobs() {
+  if (!env.SMART_REMINDERS_DISABLED) {
+    try {
+      const { runReminderScheduler, startReminderSchedulerJob } = await import('./services/reminderScheduler.js');
+      startReminderSchedulerJob();
+      await runReminderScheduler();
+      console.log('Reminder scheduler initialized');
+    } catch (error) {
+      console.error('Failed to initialize reminder scheduler', error?.message || error);
+    }
+  } else {
+    console.warn('SMART_REMINDERS_DISABLED is true; scheduler not started.');
+  }
+
+  if (!env.MPESA_RECONCILE_DISABLED) {
+    try {
+      const { runPaymentReconciliation, startPaymentReconciliationJob } = await import('./services/paymentReconciler.js');
+      startPaymentReconciliationJob();
+      await runPaymentReconciliation();
+      console.log('Payment reconciliation job initialized');
+    } catch (error) {
+      console.error('Failed to initialize payment reconciliation job', error?.message || error);
+    }
+  } else {
+    console.warn('MPESA_RECONCILE_DISABLED is true; payment reconciliation not started.');
+  }
+
+  try {
+    const { runScheduledDeletions, startAccountDeletionJob } = await import('./services/accountDeletionService.js');
+    startAccountDeletionJob();
+    await runScheduledDeletions();
+    console.log('Account deletion job initialized');
+  } catch (error) {
+    console.error('Failed to initialize account deletion job', error?.message || error);
+  }
+
+  try {
+    const { runQueuedExports, startDataExportJob } = await import('./services/dataExportService.js');
+    startDataExportJob();
+    await runQueuedExports();
+    console.log('Data export job initialized');
+  } catch (error) {
+    console.error('Failed to initialize data export job', error?.message || error);
+  }
+}
+
 async function startServer() {
   // Connect to MongoDB
   await mongoose.connect(env.MONGODB_URI, {
@@ -163,17 +227,7 @@ async function startServer() {
     .then(() => console.log('Tesseract worker initialized'))
     .catch((err) => console.warn('Tesseract pre-warm failed', err?.stack || err?.message || err));
 
-  if (!env.SMART_REMINDERS_DISABLED) {
-    try {
-      const { runReminderScheduler } = await import('./services/reminderScheduler.js');
-      await runReminderScheduler();
-      console.log('Reminder scheduler initialized');
-    } catch (error) {
-      console.error('Failed to initialize reminder scheduler', error?.message || error);
-    }
-  } else {
-    console.warn('SMART_REMINDERS_DISABLED is true; scheduler not started.');
-  }
+  await startBackgroundJobs();
 
   // Start server
   const port = env.port;
@@ -238,4 +292,4 @@ if (process.argv[1] && process.argv[1].endsWith('app.js')) {
   });
 }
 
-export { createApp, app, startServer };
\ No newline at end of file
+export { createApp, app, startServer, startBackgroundJobs };
\ No newline at end of file
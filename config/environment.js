@@ -6,6 +6,24 @@ dotenv.config();
 // Environment settings
 export const isProduction = process.env.NODE_ENV === 'production';
 export const isDevelopment = process.env.NODE_ENV === 'development';
+export const isTest = process.env.NODE_ENV === 'test';
+
+// Config profile. 'production' needs every external service configured. 'development' (also used
+// when NODE_ENV is unset) and 'test' (Jest sets NODE_ENV=test) run without them: a local MongoDB,
+// the local auth provider and the M-Pesa simulator stand in for whatever is not configured.
+export const configProfile = isProduction ? 'production' : (isTest ? 'test' : 'development');
+
+const LOCAL_MONGODB_URI = {
+  development: 'mongodb://127.0.0.1:27017/semesterstride',
+  test: 'mongodb://127.0.0.1:27017/semesterstride-test'
+};
+// Signs local auth tokens outside production when LOCAL_AUTH_SECRET is unset. Not a secret.
+const LOCAL_AUTH_DEV_SECRET = 'semesterstride-local-auth-dev-secret';
+// Checked on M-Pesa callbacks outside production when MPESA_CALLBACK_TOKEN is unset. Not a secret.
+const LOCAL_MPESA_CALLBACK_TOKEN = 'semesterstride-local-callback-token';
+
+const supabaseConfigured = Boolean(process.env.SUPABASE_JWT_SECRET || process.env.SUPABASE_JWKS_URL
+  || process.env.SUPABASE_URL || process.env.SUPABASE_PROJECT_ID);
 
 // Server settings
 // (merged below into the main env export)
@@ -27,7 +45,7 @@ export const corsConfig = {
   maxAge: 600 // 10 minutes
 };
 
-// Required environment variables
+// Environment variables required in production; development and test fall back to local stand-ins
 export const requiredEnvVars = [
   'SUPABASE_SERVICE_KEY',
   'GROQ_API_KEY',
@@ -39,34 +57,45 @@ export const requiredEnvVars = [
   'MPESA_PARTYB',
   'MPESA_BASE_URL',
   'MPESA_CALLBACK_URL',
+  'MPESA_CALLBACK_TOKEN',
   'MONGODB_URI',
   'EMAIL_SERVICE',
   'EMAIL_USER'
 ];
 
-// Add production-only required variables
-if (isProduction) {
-  requiredEnvVars.push(
-    'SESSION_SECRET',
-    'EMAIL_PASSWORD',
-    'COOKIE_SECURE',
-    'EMAIL_SECURE',
-    'REMINDER_ENCRYPTION_KEY',
-    'WEB_PUSH_VAPID_PUBLIC_KEY',
-    'WEB_PUSH_VAPID_PRIVATE_KEY'
-  );
-}
+// Production-only required variables
+export const productionEnvVars = [
+  'SESSION_SECRET',
+  'EMAIL_PASSWORD',
+  'COOKIE_SECURE',
+  'EMAIL_SECURE',
+  'REMINDER_ENCRYPTION_KEY',
+  'WEB_PUSH_VAPID_PUBLIC_KEY',
+  'WEB_PUSH_VAPID_PRIVATE_KEY'
+];
 
-// Validate environment variables
-export const validateEnv = () => {
-  const missingVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
-  
-  if (missingVars.length > 0) {
-    throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+// Validate environment variables for a config profile (the running one by default)
+export const validateEnv = (source = process.env, profile = configProfile) => {
+  if (profile === 'production') {
+    const missingVars = [...requiredEnvVars, ...productionEnvVars].filter(envVar => !source[envVar]);
+    if (missingVars.length > 0) {
+      throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+    }
+    if (source.AUTH_PROVIDER === 'local') {
+      throw new Error('AUTH_PROVIDER=local issues tokens to anyone and cannot be used in production');
+    }
+    if (source.PAYMENT_PROVIDER === 'simulator') {
+      throw new Error('PAYMENT_PROVIDER=simulator completes payments without charging anyone and cannot be used in production');
+    }
+  } else if (profile === 'development') {
+    const missingVars = requiredEnvVars.filter(envVar => envVar !== 'NODE_ENV' && !source[envVar]);
+    if (missingVars.length > 0) {
+      console.warn(`Development profile: not configured, related features use local stand-ins or stay off: ${missingVars.join(', ')}`);
+    }
   }
-  
+
   // Validate MongoDB URI format
-  if (!process.env.MONGODB_URI?.startsWith('mongodb')) {
+  if (source.MONGODB_URI && !source.MONGODB_URI.startsWith('mongodb')) {
     throw new Error('Invalid MONGODB_URI format');
   }
 
@@ -79,11 +108,27 @@ validateEnv();
 // Export environment variables with defaults
 export const env = {
   port: process.env.PORT || 3000,
-  MONGODB_URI: process.env.MONGODB_URI,
+  MONGODB_URI: process.env.MONGODB_URI || LOCAL_MONGODB_URI[configProfile],
   GROQ_API_KEY: process.env.GROQ_API_KEY,
   HF_API_TOKEN: process.env.HF_API_TOKEN || null,
   SUPABASE_SERVICE_KEY: process.env.SUPABASE_SERVICE_KEY,
   SUPABASE_PROJECT_ID: process.env.SUPABASE_PROJECT_ID || process.env.SUPABASE_URL?.match(/https:\/\/([^.]+)\.supabase\.co/)?.[1] || '',
+  // Who verifies access tokens: 'supabase', or 'local' (offline HS256 tokens; never in production).
+  // Defaults to 'local' in tests, and in development while Supabase is not configured
+  AUTH_PROVIDER: process.env.AUTH_PROVIDER
+    || (isTest || (configProfile === 'development' && !supabaseConfigured) ? 'local' : 'supabase'),
+  // Signs and verifies local provider tokens (a fixed development secret outside production)
+  LOCAL_AUTH_SECRET: process.env.LOCAL_AUTH_SECRET || (isProduction ? null : LOCAL_AUTH_DEV_SECRET),
+  // Supabase access tokens are verified locally: HS256 tokens with SUPABASE_JWT_SECRET,
+  // asymmetric (RS256/ES256) tokens with keys from SUPABASE_JWKS_URL
+  SUPABASE_JWT_SECRET: process.env.SUPABASE_JWT_SECRET || null,
+  SUPABASE_JWKS_URL: process.env.SUPABASE_JWKS_URL || null,
+  SUPABASE_JWT_AUDIENCE: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+  SUPABASE_JWT_ISSUER: process.env.SUPABASE_JWT_ISSUER || null,
+  // How long fetched JWKS keys are reused before being refreshed (default 10 minutes)
+  SUPABASE_JWKS_CACHE_SECONDS: parseInt(process.env.SUPABASE_JWKS_CACHE_SECONDS || '600', 10),
+  // Ask Supabase's /auth/v1/user endpoint when a token cannot be verified locally (no key configured or JWKS unreachable)
+  SUPABASE_AUTH_REMOTE_FALLBACK: process.env.SUPABASE_AUTH_REMOTE_FALLBACK === 'true',
   // OCR.space API key (optional). Provide via environment - do NOT commit keys to repo.
   OCR_SPACE_API_KEY: process.env.OCR_SPACE_API_KEY || null,
   sessionSecret: process.env.SESSION_SECRET,
@@ -117,6 +162,54 @@ export const env = {
   WEB_PUSH_VAPID_PRIVATE_KEY: process.env.WEB_PUSH_VAPID_PRIVATE_KEY || null,
   REMINDER_MAX_BATCH_SIZE: parseInt(process.env.REMINDER_MAX_BATCH_SIZE || '100', 10),
   SMART_REMINDERS_DISABLED: process.env.SMART_REMINDERS_DISABLED === 'true',
+  // Supabase user ids allowed to use admin endpoints such as /api/admin/payments (comma separated)
+  ADMIN_USER_IDS: (process.env.ADMIN_USER_IDS || '').split(',').map((id) => id.trim()).filter(Boolean),
+  // Free trial granted to new users, in days (0 disables trials)
+  SUBSCRIPTION_TRIAL_DAYS: parseInt(process.env.SUBSCRIPTION_TRIAL_DAYS || '7', 10),
+  // Premium features stay unlocked this many days after a monthly plan lapses
+  SUBSCRIPTION_GRACE_DAYS: parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || '3', 10),
+  // Web app base URL; billing notifications link to its renewal page
+  FRONTEND_URL: (process.env.FRONTEND_URL || 'https://semesterstride.app').replace(/\/+$/, ''),
+  // Plan list prices in KES, charged by /api/mpesa/stkpush before any promo code discount
+  PLAN_PRICE_MONTHLY: parseInt(process.env.PLAN_PRICE_MONTHLY || '300', 10),
+  PLAN_PRICE_ANNUAL: parseInt(process.env.PLAN_PRICE_ANNUAL || '3000', 10),
+  PLAN_PRICE_LIFETIME: parseInt(process.env.PLAN_PRICE_LIFETIME || '7500', 10),
+  // Days between confirming an account deletion and the erase, during which it can be cancelled (default 14)
+  ACCOUNT_DELETION_GRACE_DAYS: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10),
+  // How long the confirmation token returned by DELETE /api/users/me stays valid (default 15 minutes)
+  ACCOUNT_DELETION_CONFIRM_MINUTES: parseInt(process.env.ACCOUNT_DELETION_CONFIRM_MINUTES || '15', 10),
+  // Data export archives and their download links expire this many hours after they are built (default 24)
+  DATA_EXPORT_TTL_HOURS: parseInt(process.env.DATA_EXPORT_TTL_HOURS || '24', 10),
+  // Payment provider: 'daraja' (Safaricom) or 'simulator' (local, no network). See services/payments/
+  // Outside production the simulator is the default while Daraja credentials are missing
+  PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER
+    || (!isProduction && !process.env.MPESA_CONSUMER_KEY ? 'simulator' : 'daraja'),
+  // Simulator outcome: success | failure | cancel | timeout | random
+  MPESA_SIMULATOR_OUTCOME: process.env.MPESA_SIMULATOR_OUTCOME || 'success',
+  MPESA_SIMULATOR_DELAY_MS: parseInt(process.env.MPESA_SIMULATOR_DELAY_MS || '3000', 10),
+  // M-Pesa Daraja credentials. Access tokens are fetched from MPESA_BASE_URL by services/mpesaAuth.js
+  MPESA_BASE_URL: (process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/+$/, ''),
+  MPESA_CONSUMER_KEY: process.env.MPESA_CONSUMER_KEY,
+  MPESA_CONSUMER_SECRET: process.env.MPESA_CONSUMER_SECRET,
+  MPESA_PASSKEY: process.env.MPESA_PASSKEY,
+  MPESA_SHORTCODE: process.env.MPESA_SHORTCODE,
+  MPESA_PARTYB: process.env.MPESA_PARTYB,
+  MPESA_CALLBACK_URL: process.env.MPESA_CALLBACK_URL,
+  // Secret added to the callback URL given to Daraja; callbacks without it are refused
+  MPESA_CALLBACK_TOKEN: process.env.MPESA_CALLBACK_TOKEN || (isProduction ? undefined : LOCAL_MPESA_CALLBACK_TOKEN),
+  // Refresh the cached OAuth token this many seconds before Daraja expires it (default 60)
+  MPESA_TOKEN_REFRESH_MARGIN_SECONDS: parseInt(process.env.MPESA_TOKEN_REFRESH_MARGIN_SECONDS || '60', 10),
+  // Pending STK pushes older than this are checked with the STK Push Query API (default 5 minutes)
+  MPESA_RECONCILE_MIN_AGE_MINUTES: parseInt(process.env.MPESA_RECONCILE_MIN_AGE_MINUTES || '5', 10),
+  // Pending STK pushes still unresolved after this long are marked failed (default 60 minutes)
+  MPESA_PENDING_TIMEOUT_MINUTES: parseInt(process.env.MPESA_PENDING_TIMEOUT_MINUTES || '60', 10),
+  MPESA_RECONCILE_BATCH_SIZE: parseInt(process.env.MPESA_RECONCILE_BATCH_SIZE || '50', 10),
+  // Pending STK pushes whose query keeps failing are marked failed after this many hours or queries (default 24 / 30)
+  MPESA_RECONCILE_MAX_AGE_HOURS: parseInt(process.env.MPESA_RECONCILE_MAX_AGE_HOURS || '24', 10),
+  MPESA_RECONCILE_MAX_ATTEMPTS: parseInt(process.env.MPESA_RECONCILE_MAX_ATTEMPTS || '30', 10),
+  MPESA_RECONCILE_DISABLED: process.env.MPESA_RECONCILE_DISABLED === 'true',
+  // Repeating an Idempotency-Key on /api/mpesa/stkpush within this window replays the original response (default 24 hours)
+  MPESA_IDEMPOTENCY_WINDOW_HOURS: parseInt(process.env.MPESA_IDEMPOTENCY_WINDOW_HOURS || '24', 10),
   // Groq AI API key for intelligent features (required for AI features)
   AI_FEATURES_ENABLED: process.env.AI_FEATURES_ENABLED === 'true' || false
 };
\ No newline at end of file
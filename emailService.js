@@ -11,13 +11,14 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-export async function sendEmail({ to, subject, text, html }) {
+export async function sendEmail({ to, subject, text, html, attachments }) {
   const mailOptions = {
     from: process.env.EMAIL_USER,
     to,
     subject,
     text,
-    html
+    html,
+    attachments
   };
 
   try {
@@ -26,11 +26,12 @@ import Assignment from './models/assignment.js';
 import Activity from './models/activity.js';
 import Note from './models/note.js';
 import User from './models/user.js';
-import MPesaTransaction from './models/mpesaTransaction.js';
 import StudyPlan from './models/studyPlan.js';
 
 // Import middleware
 import { catchAsync } from './middleware/errorHandler.js';
+import { requireEntitlement } from './middleware/entitlement.js';
+import { verifySupabaseToken } from './services/supabaseAuth.js';
 
 // Import utilities
 import { generateStudyPlan as generateBasicStudyPlan } from './utils/studyPlanGenerator.js';
@@ -59,6 +60,12 @@ try {
       console.warn('Failed to mount app.js routes:', mountErr?.message || mountErr);
     }
   }
+  // app.js no longer schedules its jobs on import; start them here as startServer would
+  if (typeof mod?.startBackgroundJobs === 'function') {
+    mod.startBackgroundJobs().catch((jobsErr) => {
+      console.warn('Failed to start app.js background jobs:', jobsErr?.message || jobsErr);
+    });
+  }
 } catch (e) {
   // ignore - keep existing index.js behavior
 }
@@ -248,8 +255,7 @@ import {
   validateCourse, 
   validateAssignment, 
   validateNote, 
-  validateActivity, 
-  validateMpesaPayment 
+  validateActivity
 } from './middleware/validation.js';
 
 // Validate all required environment variables
@@ -278,37 +284,7 @@ try {
 
 // Environment variables are validated by validateEnv() at startup
 
-// Utility to verify Supabase JWT token
-const verifySupabaseToken = async (token) => {
-  if (!token) {
-    throw new AppError('No token provided', 401);
-  }
-
-  try {
-    // Add timeout to prevent hanging
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-    
-    const response = await axios.get(`https://${env.SUPABASE_PROJECT_ID}.supabase.co/auth/v1/user`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'apikey': env.SUPABASE_SERVICE_KEY
-      },
-      signal: controller.signal,
-      timeout: 5000
-    });
-    
-    clearTimeout(timeoutId);
-    return response.data;
-  } catch (error) {
-    if (error.code === 'ECONNABORTED' || error.name === 'AbortError') {
-      console.warn('Token verification timed out');
-      throw new AppError('Authentication service timeout', 503);
-    }
-    console.error('Token verification error:', error.message);
-    throw new AppError('Invalid or expired token', 401);
-  }
-};
+// Supabase JWT verification lives in services/supabaseAuth.js (imported above)
 
 // Using imported AppError and globalErrorHandler from middleware/errorHandler.js
 
@@ -524,7 +500,7 @@ connectWithRetry();
 
 // --- Syllabus import endpoint (file upload) ---
 // Syllabus import endpoint now uses Groq Vision for analyzing documents
-app.post('/api/syllabus/import', authenticate, uploadLimiter, upload.single('file'), catchAsync(async (req, res) => {
+app.post('/api/syllabus/import', authenticate, requireEntitlement('syllabus_import'), uploadLimiter, upload.single('file'), catchAsync(async (req, res) => {
   console.log('--- /api/syllabus/import called ---');
   
   if (!req.file) {
@@ -1046,105 +1022,7 @@ app.get('/api/mindmap', authenticate, catchAsync(async (req, res) => {
   res.json({ nodes, edges });
 }));
 
-// M-Pesa STK Push endpoint
-app.post('/api/mpesa/stkpush', authenticate, validateMpesaPayment, catchAsync(async (req, res) => {
-  const { phone, amount, plan } = req.body;
-  const { supabaseId } = req.user;
-
-  // Format phone number to required format (254XXXXXXXXX)
-  const formattedPhone = phone.replace(/^(?:\+?254|0)/, '254');
-
-  try {
-    // Generate timestamp
-    const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, -3);
-    const shortcode = env.MPESA_SHORTCODE;
-    const passkey = env.MPESA_PASSKEY;
-
-    // Generate password
-    const password = Buffer.from(`${shortcode}${passkey}${timestamp}`).toString('base64');
-
-    // Make request to M-Pesa API
-    const response = await axios.post(
-      'https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest',
-      {
-        BusinessShortCode: shortcode,
-        Password: password,
-        Timestamp: timestamp,
-        TransactionType: 'CustomerPayBillOnline',
-        Amount: amount,
-        PartyA: formattedPhone,
-        PartyB: shortcode,
-        PhoneNumber: formattedPhone,
-        CallBackURL: `${env.API_URL}/api/mpesa/callback`,
-        AccountReference: `SemesterStride-${plan}`,
-        TransactionDesc: `SemesterStride ${plan} Plan`
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${env.MPESA_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    // Save transaction details to database
-    const transaction = new MPesaTransaction({
-      supabaseId,
-      phone: formattedPhone,
-      amount,
-      plan,
-      checkoutRequestId: response.data.CheckoutRequestID,
-      merchantRequestId: response.data.MerchantRequestID,
-      status: 'pending'
-    });
-    await transaction.save();
-
-    res.json({
-      success: true,
-      checkoutRequestId: response.data.CheckoutRequestID
-    });
-  } catch (error) {
-    logger.error('M-Pesa API Error:', { error: error.response?.data || error.message });
-    throw new AppError('Failed to initiate payment', 500);
-  }
-}));
-
-// M-Pesa status check endpoint
-app.get('/api/mpesa/status', authenticate, catchAsync(async (req, res) => {
-  const { phone, plan } = req.query;
-  const { supabaseId } = req.user;
-  
-  if (!phone || !plan) {
-    throw new AppError('Phone and plan are required', 400);
-  }
-  
-  // Validate phone number format (Kenyan format)
-  const phoneRegex = /^(?:254|\+254|0)?((?:7|1)[0-9]{8})$/;
-  if (!phoneRegex.test(phone)) {
-    throw new AppError('Invalid phone number format', 400);
-  }
-
-  // Format phone number
-  const formattedPhone = phone.replace(/^(?:\+?254|0)/, '254');
-
-  // Find latest transaction for this user, phone and plan
-  const transaction = await MPesaTransaction.findOne({
-    supabaseId,
-    phone: formattedPhone,
-    plan
-  }).sort({ createdAt: -1 });
-
-  if (!transaction) {
-    throw new AppError('No transaction found', 404);
-  }
-
-  res.json({
-    success: true,
-    status: transaction.status,
-    transactionId: transaction.transactionId,
-    completedAt: transaction.completedAt
-  });
-}));
+// M-Pesa STK push and status endpoints live in routes/mpesa.route.js (mounted via app.js)
 
 // Study planning endpoint
 app.get('/api/plan', authenticate, catchAsync(async (req, res) => {
@@ -1299,7 +1177,7 @@ app.get('/api/analytics/progress/:supabaseId', authenticate, catchAsync(async (r
  * POST /api/ai/study-plan/:supabaseId
  * Generate a new AI-powered study plan
  */
-app.post('/api/ai/study-plan/:supabaseId', authenticate, catchAsync(async (req, res) => {
+app.post('/api/ai/study-plan/:supabaseId', authenticate, requireEntitlement('ai_study_plan'), catchAsync(async (req, res) => {
   const { supabaseId } = req.params;
   
   // Check if user has AI features enabled
@@ -0,0 +1,47 @@
+import { AppError } from './errorHandler.js';
+import { resolveRole } from '../services/roleService.js';
+import { recordAudit } from '../services/auditLogService.js';
+
+// Restrict a route to users holding one of `roles` (see services/roleService.js). Must run after
+// `authenticate`; the caller's role is left on req.userRole.
+export const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const supabaseId = req.user?.supabaseId;
+    if (!supabaseId) {
+      throw new AppError('Authentication required', 401);
+    }
+
+    req.userRole = req.userRole || await resolveRole(req.user);
+    if (!roles.includes(req.userRole)) {
+      const needed = roles.length === 1 && roles[0] === 'admin' ? 'Admin' : 'Support or admin';
+      throw new AppError(`${needed} access required`, 403);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const requireAdmin = requireRole('admin');
+
+// Write every admin request, allowed or refused, to the audit log once it has been answered.
+// Routes about one user set res.locals.auditSubjectId. Must run after `authenticate`.
+export const auditAdminAction = (req, res, next) => {
+  res.on('finish', () => {
+    recordAudit(req, 'admin.action', {
+      subjectId: res.locals.auditSubjectId || null,
+      outcome: res.statusCode < 400 ? 'success' : 'failure',
+      details: {
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        query: req.query,
+        role: req.userRole || null,
+        statusCode: res.statusCode
+      }
+    });
+  });
+  next();
+};
+
+export default requireAdmin;
@@ -1,45 +1,122 @@
-import axios from 'axios';
-import { env } from '../config/environment.js';
+import { AuthUnavailableError } from '../services/supabaseAuth.js';
+import { getAuthProvider } from '../services/auth/index.js';
+import { isPersonalAccessToken, verifyAccessToken, requiredScope } from '../services/personalAccessTokenService.js';
+import { recordAudit, recordLogin, recordFailedLogin } from '../services/auditLogService.js';
+import { resolveRole, STAFF_ROLES } from '../services/roleService.js';
+import User from '../models/user.js';
+import { JwtError } from '../utils/jwt.js';
 
-// Authenticate middleware verifies Supabase access token by calling Supabase auth endpoint.
+export const extractBearerToken = (req) => {
+  const authHeader = req.header('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  return authHeader.replace('Bearer ', '').trim() || null;
+};
+
+const IMPERSONATION_HEADER = 'X-Impersonate-User';
+const READ_ONLY_METHODS = ['GET', 'HEAD'];
+
+// Personal access tokens only reach the routers they have a scope for (see services/personalAccessTokenService.js)
+const authenticateAccessToken = async (token, req, res, next) => {
+  const record = await verifyAccessToken(token);
+  if (!record) {
+    recordFailedLogin(req, 'invalid_access_token');
+    return res.status(401).json({ error: 'Invalid, expired or revoked access token' });
+  }
+
+  const scope = requiredScope(req);
+  if (!scope) {
+    return res.status(403).json({ error: 'Personal access tokens cannot be used for this endpoint' });
+  }
+  if (!record.scopes.includes(scope)) {
+    return res.status(403).json({ error: `This access token is missing the ${scope} scope` });
+  }
+  if (req.header(IMPERSONATION_HEADER)) {
+    return res.status(403).json({ error: 'Personal access tokens cannot impersonate users' });
+  }
+
+  req.user = {
+    id: record.supabaseId,
+    supabaseId: record.supabaseId,
+    email: null,
+    authMethod: 'personal_access_token',
+    tokenId: String(record._id),
+    scopes: record.scopes
+  };
+  recordLogin(req, token);
+  return next();
+};
+
+// Support staff and admins can send X-Impersonate-User: <supabaseId> to see the app as that
+// student. Read-only, never on admin endpoints, and every such request is audited.
+const impersonate = async (targetId, req, res, next) => {
+  const role = await resolveRole(req.user);
+  if (!STAFF_ROLES.includes(role)) {
+    return res.status(403).json({ error: 'Only support staff and admins can impersonate users' });
+  }
+  if (!READ_ONLY_METHODS.includes(req.method) || req.baseUrl === '/api/admin') {
+    return res.status(403).json({ error: 'Impersonation is read-only and not available for this endpoint' });
+  }
+
+  const target = await User.findOne({ supabaseId: targetId }).lean();
+  if (!target) {
+    return res.status(404).json({ error: 'Impersonated user not found' });
+  }
+
+  const impersonator = { supabaseId: req.user.supabaseId, role };
+  await recordAudit(req, 'admin.impersonate', {
+    subjectId: targetId,
+    details: { method: req.method, path: `${req.baseUrl}${req.path}` }
+  });
+
+  req.user = {
+    id: targetId,
+    supabaseId: targetId,
+    email: target.email || null,
+    authMethod: 'impersonation',
+    impersonator
+  };
+  return next();
+};
+
+// Authenticate middleware verifies the access token with the configured auth provider (Supabase,
+// or the offline local provider; see services/auth/) and attaches the normalized user to req.user;
+// routes identify the caller by req.user.supabaseId.
+// Personal access tokens are accepted as well, within their scopes.
+// New sessions and rejected tokens are written to the audit log (services/auditLogService.js).
+// Staff sessions may impersonate a student read-only with the X-Impersonate-User header.
 export const authenticate = async (req, res, next) => {
   try {
-    const authHeader = req.header('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    const token = extractBearerToken(req);
+    if (!token) {
       return res.status(401).json({ error: 'No authentication token provided' });
     }
-
-    const token = authHeader.replace('Bearer ', '').trim();
+    if (isPersonalAccessToken(token)) {
+      return await authenticateAccessToken(token, req, res, next);
+    }
 
     try {
-      // If Supabase config missing, fail fast
-      if (!env.SUPABASE_PROJECT_ID || !env.SUPABASE_SERVICE_KEY) {
-        console.error('SUPABASE_PROJECT_ID or SUPABASE_SERVICE_KEY not configured');
-        return res.status(500).json({ error: 'Server misconfiguration: authentication not available' });
-      }
-
-      // Call Supabase user endpoint to validate token
-      const resp = await axios.get(`https://${env.SUPABASE_PROJECT_ID}.supabase.co/auth/v1/user`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'apikey': env.SUPABASE_SERVICE_KEY
-        },
-        timeout: 5000
-      });
-
-      if (!resp.data) {
+      req.user = await getAuthProvider().verifyAccessToken(token);
+      recordLogin(req, token);
+    } catch (err) {
+      if (err instanceof JwtError) {
+        console.warn('Access token rejected:', err.reason);
+        recordFailedLogin(req, err.reason);
         return res.status(401).json({ error: 'Invalid or expired token' });
       }
+      if (err instanceof AuthUnavailableError) {
+        console.error('Access token could not be verified:', err.message);
+        return res.status(503).json({ error: 'Authentication service unavailable' });
+      }
+      throw err;
+    }
 
-      // Attach the Supabase user object to req.user for downstream handlers
-      req.user = resp.data;
-      return next();
-    } catch (err) {
-      console.warn('Supabase token verification failed:', err?.response?.status || err.message);
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    const impersonatedId = req.header(IMPERSONATION_HEADER);
+    if (impersonatedId) {
+      return await impersonate(impersonatedId, req, res, next);
     }
+    return next();
   } catch (error) {
     console.error('Auth middleware error:', error);
     return res.status(500).json({ error: 'Server error' });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,23 @@
+import { AppError } from './errorHandler.js';
+import { hasEntitlement } from '../services/subscriptionService.js';
+
+// Gate a route behind a paid feature. Must run after `authenticate`.
+export const requireEntitlement = (feature) => async (req, res, next) => {
+  try {
+    const supabaseId = req.user?.supabaseId;
+    if (!supabaseId) {
+      throw new AppError('Authentication required', 401);
+    }
+
+    const entitled = await hasEntitlement(supabaseId, feature);
+    if (!entitled) {
+      throw new AppError('An active subscription is required to use this feature', 402);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default requireEntitlement;
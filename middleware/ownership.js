@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import { AppError } from './errorHandler.js';
+
+// Request fields through which clients name the user they are acting for
+const OWNER_FIELDS = ['supabaseId', 'user_id'];
+
+const claimedOwners = (req) => [req.query, req.body]
+  .filter((source) => source && typeof source === 'object')
+  .flatMap((source) => OWNER_FIELDS.map((field) => source[field]))
+  .filter((value) => value !== undefined && value !== null && value !== '');
+
+// The authenticated caller; every owned query is scoped to this id. Must run after `authenticate`.
+export const currentUserId = (req) => {
+  const supabaseId = req.user?.supabaseId;
+  if (!supabaseId) {
+    throw new AppError('Authentication required', 401);
+  }
+  return supabaseId;
+};
+
+const assertSameUser = (req, claimed) => {
+  if (String(claimed) !== currentUserId(req)) {
+    throw new AppError('You do not have access to this user\'s data', 403);
+  }
+};
+
+/**
+ * Router middleware: a supabaseId / user_id sent in the query or body must be the caller's own.
+ * Clients may keep sending it, but handlers take the owner from req.user, never from the request.
+ */
+export const enforceOwnership = (req, res, next) => {
+  try {
+    currentUserId(req);
+    claimedOwners(req).forEach((claimed) => assertSameUser(req, claimed));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// router.param handler for routes addressed by `:supabaseId`
+export const matchAuthenticatedUser = (req, res, next, supabaseId) => {
+  try {
+    assertSameUser(req, supabaseId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Filter matching only the caller's documents
+export const ownedBy = (req, filter = {}) => ({ ...filter, supabaseId: currentUserId(req) });
+
+/**
+ * Load a document by id that belongs to the caller. Other users' documents are reported as
+ * missing (404) so ids cannot be probed.
+ */
+export const findOwned = async (Model, id, req, label = 'Resource') => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new AppError(`${label} not found`, 404);
+  }
+  const doc = await Model.findOne(ownedBy(req, { _id: id }));
+  if (!doc) {
+    throw new AppError(`${label} not found`, 404);
+  }
+  return doc;
+};
+
+export default {
+  currentUserId,
+  enforceOwnership,
+  matchAuthenticatedUser,
+  ownedBy,
+  findOwned
+};
@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Accept an upstream id (load balancer, client) only when it is short and plain
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Give every request an id, echoed in the X-Request-Id response header, so log lines and
+// audit entries can be matched to a single call
+export const assignRequestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader(REQUEST_ID_HEADER, req.id);
+  next();
+};
+
+export default assignRequestId;
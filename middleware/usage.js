@@ -0,0 +1,46 @@
+import { recordImport } from '../services/usageService.js';
+
+// Staff viewing the app as a student (read-only) do not add to the student's usage
+const isTrackable = (req) => Boolean(req.user?.supabaseId) && !req.user.impersonator;
+
+const importStatus = (statusCode, body) => {
+  if (statusCode >= 400) return 'failed';
+  if (body?.warning || ['local-fallback', 'ocr-only'].includes(body?.source)) return 'partial';
+  return 'succeeded';
+};
+
+const importError = (body) => {
+  const message = typeof body?.error === 'string' ? body.error : body?.message;
+  return [message, body?.details, body?.warning].filter(Boolean).join(': ') || null;
+};
+
+// Record the outcome of a document import from the JSON the handler responds with
+export const trackImport = (source) => (req, res, next) => {
+  let body = null;
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+
+  res.on('finish', () => {
+    if (!isTrackable(req)) return;
+    const status = importStatus(res.statusCode, body);
+    recordImport({
+      supabaseId: req.user.supabaseId,
+      source,
+      status,
+      method: body?.source || null,
+      fileName: req.file?.originalname || null,
+      mimeType: req.file?.mimetype || null,
+      size: req.file?.size ?? null,
+      coursesSaved: body?.saved?.courses?.length || 0,
+      assignmentsSaved: body?.saved?.assignments?.length || 0,
+      statusCode: res.statusCode,
+      error: status === 'succeeded' ? null : importError(body)
+    });
+  });
+  next();
+};
+
+export default trackImport;
@@ -1,4 +1,11 @@
+import mongoose from 'mongoose';
 import { AppError } from './errorHandler.js';
+import { isValidTimeZone } from '../utils/timeZone.js';
+import { ACCESS_TOKEN_SCOPES, DEFAULT_EXPIRY_DAYS, MAX_EXPIRY_DAYS } from '../services/personalAccessTokenService.js';
+import { toDay } from '../services/semesterService.js';
+import { MEETING_TYPES, minutesOf } from '../services/courseMeetingService.js';
+import { COMPONENT_TYPES } from '../services/gradeService.js';
+import { presetIds } from '../services/gpaService.js';
 
 // Generic validation function for required fields
 const validateRequiredFields = (obj, fields) => {
@@ -68,7 +75,7 @@ export const validateNote = (req, res, next) => {
 
 // Shared constants
 const VALID_ACTIVITY_TYPES = ['study', 'practice', 'review', 'other'];
-const VALID_PAYMENT_PLANS = ['monthly', 'yearly'];
+const VALID_PAYMENT_PLANS = ['monthly', 'annual', 'lifetime'];
 
 // Activity validation middleware
 export const validateActivity = (req, res, next) => {
@@ -89,28 +96,494 @@ export const validateActivity = (req, res, next) => {
   }
 };
 
-// M-Pesa payment validation middleware
+const validatePaymentPlan = (plan) => {
+  if (!VALID_PAYMENT_PLANS.includes(plan)) {
+    throw new AppError(`Invalid plan type. Must be one of: ${VALID_PAYMENT_PLANS.join(', ')}`, 400);
+  }
+};
+
+const validatePromoCodeField = (promoCode) => {
+  if (promoCode !== undefined && promoCode !== null && (typeof promoCode !== 'string' || promoCode.length > 64)) {
+    throw new AppError('Promo code must be a string of at most 64 characters', 400);
+  }
+};
+
+// M-Pesa payment validation middleware. The amount charged comes from the server-side quote;
+// a client-sent amount is optional and only used to detect a stale quote.
 export const validateMpesaPayment = (req, res, next) => {
   try {
-    validateRequiredFields(req.body, ['phone', 'amount', 'plan']);
+    validateRequiredFields(req.body, ['phone', 'plan']);
     
     // Validate phone number
     req.body.phone = validatePhoneNumber(req.body.phone);
     
     // Validate amount
-    if (typeof req.body.amount !== 'number' || req.body.amount <= 0) {
+    if (req.body.amount !== undefined && (typeof req.body.amount !== 'number' || req.body.amount <= 0)) {
       throw new AppError('Amount must be a positive number', 400);
     }
     
-    // Validate plan
-    if (!VALID_PAYMENT_PLANS.includes(req.body.plan)) {
-      throw new AppError('Invalid plan type. Must be either monthly or yearly', 400);
-    }
-    
-    // Validate plan (already checked above, so these duplicate checks are removed)
+    validatePaymentPlan(req.body.plan);
+    validatePromoCodeField(req.body.promoCode);
     
     next();
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// Payment quote validation middleware
+export const validatePaymentQuote = (req, res, next) => {
+  try {
+    validateRequiredFields(req.body, ['plan']);
+    validatePaymentPlan(req.body.plan);
+    validatePromoCodeField(req.body.promoCode);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const PROFILE_TEXT_LIMITS = { name: 100, institution: 120, programme: 120 };
+const PROFILE_NUMBER_RANGES = {
+  yearOfStudy: { min: 1, max: 8, integer: true },
+  weeklyStudyHoursGoal: { min: 1, max: 80, integer: false }
+};
+const NOTIFICATION_CHANNELS = ['push', 'email'];
+const PROFILE_FIELDS = [
+  ...Object.keys(PROFILE_TEXT_LIMITS),
+  ...Object.keys(PROFILE_NUMBER_RANGES),
+  'timezone',
+  'locale',
+  'notificationChannels',
+  'smartRemindersOptIn'
+];
+
+const validateProfileText = (field, value) => {
+  if (typeof value !== 'string' || value.trim().length > PROFILE_TEXT_LIMITS[field]) {
+    throw new AppError(`${field} must be a string of at most ${PROFILE_TEXT_LIMITS[field]} characters`, 400);
+  }
+  return value.trim() || null;
+};
+
+const validateProfileNumber = (field, value) => {
+  const { min, max, integer } = PROFILE_NUMBER_RANGES[field];
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    throw new AppError(`${field} must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${max}`, 400);
+  }
+  return value;
+};
+
+const validateLocale = (value) => {
+  try {
+    const [locale] = Intl.getCanonicalLocales(value);
+    if (locale) return locale;
+  } catch {
+    // Reported below
+  }
+  throw new AppError('locale must be a language tag such as en-KE', 400);
+};
+
+const validateNotificationChannels = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new AppError(`notificationChannels must be an object with any of: ${NOTIFICATION_CHANNELS.join(', ')}`, 400);
+  }
+  for (const [channel, enabled] of Object.entries(value)) {
+    if (!NOTIFICATION_CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+      throw new AppError(`notificationChannels.${channel} is not a known channel or is not true/false`, 400);
+    }
+  }
+  return value;
+};
+
+// Profile update validation middleware. Replaces req.body with the checked fields; `null` clears
+// optional text and number fields and resets timezone and locale.
+export const validateProfileUpdate = (req, res, next) => {
+  try {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new AppError('Profile update must be a JSON object', 400);
+    }
+
+    const unknown = Object.keys(body).filter((field) => !PROFILE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown or read-only profile fields: ${unknown.join(', ')}`, 400);
+    }
+
+    const updates = {};
+    for (const [field, value] of Object.entries(body)) {
+      if (value === null && !['notificationChannels', 'smartRemindersOptIn'].includes(field)) {
+        updates[field] = null;
+      } else if (field in PROFILE_TEXT_LIMITS) {
+        updates[field] = validateProfileText(field, value);
+      } else if (field in PROFILE_NUMBER_RANGES) {
+        updates[field] = validateProfileNumber(field, value);
+      } else if (field === 'timezone') {
+        if (!isValidTimeZone(value)) {
+          throw new AppError('timezone must be an IANA time zone such as Africa/Nairobi', 400);
+        }
+        updates.timezone = value;
+      } else if (field === 'locale') {
+        updates.locale = validateLocale(value);
+      } else if (field === 'notificationChannels') {
+        updates.notificationChannels = validateNotificationChannels(value);
+      } else if (typeof value !== 'boolean') {
+        throw new AppError(`${field} must be true or false`, 400);
+      } else {
+        updates[field] = value;
+      }
+    }
+
+    req.body = updates;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Personal access token creation validation middleware
+export const validateAccessTokenRequest = (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body || {};
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      throw new AppError('name is required and must be at most 100 characters', 400);
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new AppError(`scopes must be a non-empty list of: ${ACCESS_TOKEN_SCOPES.join(', ')}`, 400);
+    }
+    const unknown = scopes.filter((scope) => !ACCESS_TOKEN_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown scopes: ${unknown.join(', ')}`, 400);
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      throw new AppError(`expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`, 400);
+    }
+
+    req.body = { name: name.trim(), scopes, expiresInDays };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const MAX_DEVICE_NAME_LENGTH = 60;
+
+// PATCH /api/users/me/devices/:id: `{ name }`, where null goes back to the detected name
+export const validateDeviceUpdate = (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const unknown = Object.keys(body).filter((field) => field !== 'name');
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown or read-only fields: ${unknown.join(', ')}`, 400);
+    }
+
+    const { name } = body;
+    if (name !== null && (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_DEVICE_NAME_LENGTH)) {
+      throw new AppError(`name must be 1-${MAX_DEVICE_NAME_LENGTH} characters, or null to use the detected name`, 400);
+    }
+
+    req.body = { name: name === null ? null : name.trim() };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const SEMESTER_PERIOD_FIELDS = ['readingWeeks', 'examWeeks', 'breaks'];
+const SEMESTER_FIELDS = ['name', 'startDate', 'endDate', 'teachingWeeks', ...SEMESTER_PERIOD_FIELDS];
+const MAX_SEMESTER_NAME_LENGTH = 60;
+const MAX_SEMESTER_PERIODS = 20;
+
+const validateSemesterName = (field, value) => {
+  if (typeof value !== 'string' || !value.trim() || value.trim().length > MAX_SEMESTER_NAME_LENGTH) {
+    throw new AppError(`${field} must be 1-${MAX_SEMESTER_NAME_LENGTH} characters`, 400);
+  }
+  return value.trim();
+};
+
+const validateCalendarDay = (field, value) => {
+  const day = DATE_ONLY.test(value) ? toDay(value) : null;
+  if (!day || Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value) {
+    throw new AppError(`${field} must be a date in YYYY-MM-DD form`, 400);
+  }
+  return day;
+};
+
+const validateSemesterPeriods = (field, value) => {
+  if (!Array.isArray(value) || value.length > MAX_SEMESTER_PERIODS) {
+    throw new AppError(`${field} must be a list of at most ${MAX_SEMESTER_PERIODS} { name?, startDate, endDate } periods`, 400);
+  }
+  return value.map((period, index) => {
+    if (!period || typeof period !== 'object') {
+      throw new AppError(`${field}[${index}] must be { name?, startDate, endDate }`, 400);
+    }
+    return {
+      ...(period.name != null ? { name: validateSemesterName(`${field}[${index}].name`, period.name) } : {}),
+      startDate: validateCalendarDay(`${field}[${index}].startDate`, period.startDate),
+      endDate: validateCalendarDay(`${field}[${index}].endDate`, period.endDate)
+    };
+  });
+};
+
+// Semester validation middleware. Creating needs name, startDate and endDate; updates (`partial`)
+// take any field, where null clears teachingWeeks or empties a period list.
+export const validateSemester = ({ partial = false } = {}) => (req, res, next) => {
+  try {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new AppError('Semester must be a JSON object', 400);
+    }
+
+    const unknown = Object.keys(body).filter((field) => !SEMESTER_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown or read-only semester fields: ${unknown.join(', ')}`, 400);
+    }
+    if (!partial) {
+      validateRequiredFields(body, ['name', 'startDate', 'endDate']);
+    }
+
+    const fields = {};
+    for (const [field, value] of Object.entries(body)) {
+      if (value === null && (field === 'teachingWeeks' || SEMESTER_PERIOD_FIELDS.includes(field))) {
+        fields[field] = partial ? null : undefined;
+      } else if (field === 'name') {
+        fields.name = validateSemesterName(field, value);
+      } else if (field === 'startDate' || field === 'endDate') {
+        fields[field] = validateCalendarDay(field, value);
+      } else if (field === 'teachingWeeks') {
+        if (!Number.isInteger(value) || value < 1 || value > 52) {
+          throw new AppError('teachingWeeks must be a whole number from 1 to 52', 400);
+        }
+        fields.teachingWeeks = value;
+      } else {
+        fields[field] = validateSemesterPeriods(field, value);
+      }
+    }
+
+    req.body = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_COURSE_MEETINGS = 20;
+const MAX_VENUE_LENGTH = 120;
+
+const validateTeachingWeek = (field, value) => {
+  if (!Number.isInteger(value) || value < 1 || value > 52) {
+    throw new AppError(`${field} must be a whole number from 1 to 52`, 400);
+  }
+  return value;
+};
+
+const validateMeeting = (meeting, index) => {
+  const field = `meetings[${index}]`;
+  if (!meeting || typeof meeting !== 'object' || Array.isArray(meeting)) {
+    throw new AppError(`${field} must be { weekday, startTime, endTime, type?, venue?, fromWeek?, toWeek? }`, 400);
+  }
+  if (!Number.isInteger(meeting.weekday) || meeting.weekday < 0 || meeting.weekday > 6) {
+    throw new AppError(`${field}.weekday must be 0 (Sunday) to 6 (Saturday)`, 400);
+  }
+  for (const time of ['startTime', 'endTime']) {
+    if (!CLOCK_TIME.test(meeting[time] || '')) {
+      throw new AppError(`${field}.${time} must be a 24-hour time in HH:MM form`, 400);
+    }
+  }
+  if (minutesOf(meeting.endTime) <= minutesOf(meeting.startTime)) {
+    throw new AppError(`${field}.endTime must be after startTime`, 400);
+  }
+  if (meeting.type != null && !MEETING_TYPES.includes(meeting.type)) {
+    throw new AppError(`${field}.type must be one of: ${MEETING_TYPES.join(', ')}`, 400);
+  }
+  if (meeting.venue != null && (typeof meeting.venue !== 'string' || meeting.venue.trim().length > MAX_VENUE_LENGTH)) {
+    throw new AppError(`${field}.venue must be at most ${MAX_VENUE_LENGTH} characters`, 400);
+  }
+
+  const fromWeek = meeting.fromWeek != null ? validateTeachingWeek(`${field}.fromWeek`, meeting.fromWeek) : undefined;
+  const toWeek = meeting.toWeek != null ? validateTeachingWeek(`${field}.toWeek`, meeting.toWeek) : undefined;
+  if (fromWeek && toWeek && toWeek < fromWeek) {
+    throw new AppError(`${field}.toWeek must not be before fromWeek`, 400);
+  }
+
+  return {
+    type: meeting.type || 'lecture',
+    weekday: meeting.weekday,
+    startTime: meeting.startTime,
+    endTime: meeting.endTime,
+    ...(meeting.venue?.trim() ? { venue: meeting.venue.trim() } : {}),
+    ...(fromWeek ? { fromWeek } : {}),
+    ...(toWeek ? { toWeek } : {})
+  };
+};
+
+// Course meetings validation middleware: checks `meetings` when the body has it; null empties the list
+export const validateCourseMeetings = (req, res, next) => {
+  try {
+    const meetings = req.body?.meetings;
+    if (meetings === undefined) return next();
+    if (meetings !== null && (!Array.isArray(meetings) || meetings.length > MAX_COURSE_MEETINGS)) {
+      throw new AppError(`meetings must be a list of at most ${MAX_COURSE_MEETINGS} meetings`, 400);
+    }
+
+    req.body.meetings = (meetings || []).map(validateMeeting);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const MAX_GRADING_COMPONENTS = 20;
+const MAX_COMPONENT_NAME_LENGTH = 60;
+
+const validatePercentage = (field, value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100) {
+    throw new AppError(`${field} must be a number from 0 to 100`, 400);
+  }
+  return value;
+};
+
+const validateGradingComponent = (component, index) => {
+  const field = `gradingComponents[${index}]`;
+  if (!component || typeof component !== 'object' || Array.isArray(component)) {
+    throw new AppError(`${field} must be { name, weight, type?, id? }`, 400);
+  }
+  if (typeof component.name !== 'string' || !component.name.trim() || component.name.trim().length > MAX_COMPONENT_NAME_LENGTH) {
+    throw new AppError(`${field}.name must be 1-${MAX_COMPONENT_NAME_LENGTH} characters`, 400);
+  }
+  if (component.type != null && !COMPONENT_TYPES.includes(component.type)) {
+    throw new AppError(`${field}.type must be one of: ${COMPONENT_TYPES.join(', ')}`, 400);
+  }
+  // Keeping the id of an existing component keeps the assignments linked to it
+  const id = component.id ?? component._id;
+  if (id != null && !mongoose.isValidObjectId(id)) {
+    throw new AppError(`${field}.id is not a valid id`, 400);
+  }
+
+  return {
+    _id: id != null ? new mongoose.Types.ObjectId(String(id)) : new mongoose.Types.ObjectId(),
+    name: component.name.trim(),
+    type: component.type || 'other',
+    weight: validatePercentage(`${field}.weight`, component.weight)
+  };
+};
+
+// Course grading components validation middleware: checks `gradingComponents` when the body has
+// it; null empties the list. Weights may not add up to more than 100.
+export const validateGradingComponents = (req, res, next) => {
+  try {
+    const components = req.body?.gradingComponents;
+    if (components === undefined) return next();
+    if (components !== null && (!Array.isArray(components) || components.length > MAX_GRADING_COMPONENTS)) {
+      throw new AppError(`gradingComponents must be a list of at most ${MAX_GRADING_COMPONENTS} components`, 400);
+    }
+
+    const validated = (components || []).map(validateGradingComponent);
+    if (validated.reduce((sum, component) => sum + component.weight, 0) > 100) {
+      throw new AppError('Grading component weights must not add up to more than 100', 400);
+    }
+    req.body.gradingComponents = validated;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Course final grade validation middleware: a percentage, or null to go back to the graded components
+export const validateFinalGrade = (req, res, next) => {
+  try {
+    if (req.body?.finalGrade != null) validatePercentage('finalGrade', req.body.finalGrade);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Assignment grading fields validation middleware: componentId, weight, score and maxScore
+// (null clears a field). Whether they fit the course is checked by the route.
+export const validateAssignmentGrade = (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (body.componentId != null && !mongoose.isValidObjectId(body.componentId)) {
+      throw new AppError('componentId is not a valid id', 400);
+    }
+    if (body.weight != null) validatePercentage('weight', body.weight);
+    if (body.maxScore != null && (typeof body.maxScore !== 'number' || !(body.maxScore > 0))) {
+      throw new AppError('maxScore must be a number above 0', 400);
+    }
+    if (body.score != null && (typeof body.score !== 'number' || !Number.isFinite(body.score) || body.score < 0)) {
+      throw new AppError('score must be a number of at least 0', 400);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const GRADING_SCALE_KINDS = ['gpa', 'classification'];
+const MAX_GRADE_BANDS = 20;
+const MAX_BAND_LABEL_LENGTH = 60;
+
+const validateGradeBands = (kind, bands) => {
+  if (bands.length < 2 || bands.length > MAX_GRADE_BANDS) {
+    throw new AppError(`${kind} must have 2-${MAX_GRADE_BANDS} bands`, 400);
+  }
+  const validated = bands.map((band, index) => {
+    const field = `${kind}[${index}]`;
+    if (!band || typeof band !== 'object' || Array.isArray(band)) {
+      throw new AppError(`${field} must be { label, min${kind === 'gpa' ? ', points' : ''} }`, 400);
+    }
+    if (typeof band.label !== 'string' || !band.label.trim() || band.label.trim().length > MAX_BAND_LABEL_LENGTH) {
+      throw new AppError(`${field}.label must be 1-${MAX_BAND_LABEL_LENGTH} characters`, 400);
+    }
+    const min = validatePercentage(`${field}.min`, band.min);
+    if (kind !== 'gpa') return { label: band.label.trim(), min };
+
+    if (typeof band.points !== 'number' || !Number.isFinite(band.points) || band.points < 0 || band.points > 10) {
+      throw new AppError(`${field}.points must be a number from 0 to 10`, 400);
+    }
+    return { label: band.label.trim(), min, points: band.points };
+  });
+
+  const mins = validated.map((band) => band.min);
+  if (new Set(mins).size !== mins.length) {
+    throw new AppError(`${kind} bands must each start at a different mark`, 400);
+  }
+  if (!mins.includes(0)) {
+    throw new AppError(`${kind} needs a band starting at 0, so every mark has a band`, 400);
+  }
+  return validated;
+};
+
+// Grading scale validation middleware: `gpa` and `classification` each take a preset id or a list of bands
+export const validateGradingScale = (req, res, next) => {
+  try {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new AppError('Grading scale must be a JSON object', 400);
+    }
+    const unknown = Object.keys(body).filter((field) => !GRADING_SCALE_KINDS.includes(field));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown grading scale fields: ${unknown.join(', ')}`, 400);
+    }
+    if (!GRADING_SCALE_KINDS.some((kind) => body[kind] !== undefined)) {
+      throw new AppError('Send gpa, classification or both', 400);
+    }
+
+    for (const kind of GRADING_SCALE_KINDS) {
+      const value = body[kind];
+      if (value === undefined) continue;
+      if (Array.isArray(value)) {
+        body[kind] = validateGradeBands(kind, value);
+      } else if (!presetIds(kind).includes(value)) {
+        throw new AppError(`${kind} must be one of: ${presetIds(kind).join(', ')}, or a list of bands`, 400);
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One row per user who asked to delete their account. Kept after the erase as a record of it.
+const AccountDeletionSchema = new mongoose.Schema({
+  supabaseId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // pending_confirmation -> scheduled -> completed, or cancelled at any point before the erase
+  status: {
+    type: String,
+    enum: ['pending_confirmation', 'scheduled', 'cancelled', 'completed'],
+    required: true
+  },
+  // SHA-256 of the one-time token the client sends back to confirm
+  confirmationTokenHash: String,
+  confirmationExpiresAt: Date,
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  confirmedAt: Date,
+  // End of the grace window; the account is erased by the first job run after this
+  scheduledFor: Date,
+  cancelledAt: Date,
+  completedAt: Date,
+  // Documents removed or anonymized per collection
+  erased: mongoose.Schema.Types.Mixed,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+AccountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+
+export default mongoose.model('AccountDeletion', AccountDeletionSchema);
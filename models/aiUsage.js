@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// One AI-backed request (recommendations, insights, study plans), for the admin usage view
+const AiUsageSchema = new mongoose.Schema({
+  supabaseId: {
+    type: String,
+    required: true
+  },
+  feature: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+AiUsageSchema.index({ supabaseId: 1, createdAt: -1 });
+
+export default mongoose.model('AiUsage', AiUsageSchema);
@@ -6,6 +6,12 @@ const AssignmentSchema = new mongoose.Schema({
   course: String,
   dueDate: Date,
   progress: Number,
+  // Grading: the course's grading component it counts towards, its own percentage of the final
+  // grade when the syllabus gives one, and the score once marked (see services/gradeService.js)
+  componentId: mongoose.Schema.Types.ObjectId,
+  weight: { type: Number, min: 0, max: 100 },
+  score: { type: Number, min: 0 },
+  maxScore: { type: Number, min: 0 },
   reminder: Date,
   notes: String,
   attachments: [String], // Array of file URLs or names
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// One security-relevant action. Entries are written once and never changed or removed by the app;
+// kept apart from Activity, which is product analytics.
+const AuditLogSchema = new mongoose.Schema({
+  // One of AUDIT_ACTIONS in services/auditLogService.js
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Who acted: a Supabase user id, or 'system' for background jobs; null for unauthenticated callers
+  actorId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Whose account the action concerns; the actor's own for most actions
+  subjectId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // session, personal_access_token, download_link or system
+  authMethod: String,
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  details: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+
+const appendOnly = () => {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+AuditLogSchema.pre('save', function () {
+  if (!this.isNew) appendOnly();
+});
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'findOneAndDelete', 'deleteMany'],
+  appendOnly
+);
+AuditLogSchema.pre('deleteOne', { document: true, query: true }, appendOnly);
+
+export default mongoose.model('AuditLog', AuditLogSchema);
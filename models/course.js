@@ -1,16 +1,53 @@
 import mongoose from 'mongoose';
 
+// A weekly class slot. Times are "HH:MM" on the student's clock; weekday 0 is Sunday.
+// fromWeek/toWeek limit it to those teaching weeks of the course's semester (both included).
+const MeetingSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['lecture', 'lab', 'tutorial', 'seminar', 'other'],
+    default: 'lecture'
+  },
+  weekday: { type: Number, required: true, min: 0, max: 6 },
+  startTime: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  endTime: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  venue: { type: String, trim: true, maxlength: 120 },
+  fromWeek: { type: Number, min: 1, max: 52 },
+  toWeek: { type: Number, min: 1, max: 52 }
+});
+
+// A graded part of the course, e.g. "CAT 1" or "Final exam". Weight is its percentage of the final grade.
+const GradingComponentSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  type: {
+    type: String,
+    enum: ['cat', 'assignment', 'quiz', 'lab', 'project', 'exam', 'other'],
+    default: 'other'
+  },
+  weight: { type: Number, required: true, min: 0, max: 100 }
+});
+
 const CourseSchema = new mongoose.Schema({
   supabaseId: { type: String, required: true },
   name: { type: String, required: true },
   // optional official course code (e.g., BIT4102)
   code: { type: String },
   professor: String,
+  // The semester's name when the course was filed; semesterId is the link (see services/semesterService.js)
   semester: String,
+  semesterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Semester', index: true },
   credits: Number,
+  meetings: [MeetingSchema],
+  // Weights should add up to 100 (see services/gradeService.js)
+  gradingComponents: [GradingComponentSchema],
+  // The final mark (percent) once known, e.g. from a transcript; otherwise the GPA uses the
+  // graded components when they are complete (see services/gpaService.js)
+  finalGrade: { type: Number, min: 0, max: 100 },
+  // Free-text timetable that could not be read into meetings (see services/courseMeetingService.js)
   schedule: String,
+  // Derived from the course's assignments and teaching weeks (see services/courseProgressService.js)
   progress: Number,
   createdAt: { type: Date, default: Date.now }
 });
 
-export default mongoose.model('Course', CourseSchema);
\ No newline at end of file
+export default mongoose.model('Course', CourseSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// A personal data export ("takeout") requested through POST /api/users/me/export
+const DataExportSchema = new mongoose.Schema({
+  supabaseId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'ready', 'failed'],
+    default: 'queued'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  completedAt: Date,
+  // Address the "ready" email goes to, captured from the requesting token
+  notifyEmail: String,
+  notifiedAt: Date,
+  fileName: String,
+  size: Number,
+  // Records written per collection
+  counts: mongoose.Schema.Types.Mixed,
+  // The ZIP itself; never loaded unless asked for
+  archive: {
+    type: Buffer,
+    select: false
+  },
+  // sha256 of the secret part of the download link; the link itself is only given out when the
+  // export is requested
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  // The archive and its link stop working here; MongoDB removes the document shortly after
+  expiresAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+DataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+DataExportSchema.index({ status: 1, requestedAt: 1 });
+
+export default mongoose.model('DataExport', DataExportSchema);
@@ -19,6 +19,13 @@ const mpesaTransactionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Catalogue price before discount; amount is what was actually charged
+  listPrice: Number,
+  discount: Number,
+  promoCode: {
+    type: String,
+    index: true
+  },
   plan: {
     type: String,
     required: true,
@@ -30,12 +37,32 @@ const mpesaTransactionSchema = new mongoose.Schema({
     enum: ['pending', 'completed', 'failed'],
     default: 'pending'
   },
+  checkoutRequestId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  merchantRequestId: String,
+  // Client-supplied Idempotency-Key of the stkpush request that created this transaction
+  idempotencyKey: String,
   mpesaReceiptNumber: String,
   accountReference: String,
   transactionDate: {
     type: Date,
     default: Date.now
   },
+  completedAt: Date,
+  receiptSentAt: Date,
+  // Set when the payer deleted their account: supabaseId is a pseudonym and the phone number is masked
+  anonymizedAt: Date,
+  // STK queries made by the reconciliation job (services/paymentReconciler.js), the last one, and
+  // when a failed query may be retried
+  reconcileAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastReconciledAt: Date,
+  nextReconcileAt: Date,
   resultCode: Number,
   resultDesc: String,
   errorMessage: String,
@@ -47,6 +74,16 @@ const mpesaTransactionSchema = new mongoose.Schema({
 // Index for querying recent transactions
 mpesaTransactionSchema.index({ transactionDate: -1 });
 mpesaTransactionSchema.index({ status: 1, transactionDate: -1 });
+mpesaTransactionSchema.index({ status: 1, lastReconciledAt: 1, transactionDate: 1 });
+mpesaTransactionSchema.index(
+  { supabaseId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $exists: true } } }
+);
+// At most one STK push awaiting the customer per user and plan
+mpesaTransactionSchema.index(
+  { supabaseId: 1, plan: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
 
 const MpesaTransaction = mongoose.model('MpesaTransaction', mpesaTransactionSchema);
 
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// A personal access token for scripts and integrations. Only a hash of the secret is stored.
+const PersonalAccessTokenSchema = new mongoose.Schema({
+  supabaseId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // SHA-256 of the full token; lookups go through this
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, so users can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('PersonalAccessToken', PersonalAccessTokenSchema);
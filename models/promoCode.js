@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const PromoCodeSchema = new mongoose.Schema({
+  // Stored upper-case; codes are matched case-insensitively
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true
+  },
+  // Percentage (0-100) for `percent`, KES off the list price for `fixed`
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Plans the code applies to; empty means every plan
+  plans: [{
+    type: String,
+    enum: ['monthly', 'annual', 'lifetime']
+  }],
+  // Total redemptions across all users; unset means unlimited
+  maxRedemptions: Number,
+  // Redemptions held by pending or completed payments, taken atomically against maxRedemptions
+  // (services/pricingService.js); unset until the code is first used
+  redemptions: Number,
+  perUserLimit: {
+    type: Number,
+    default: 1
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('PromoCode', PromoCodeSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// How many times a user holds a promo code, on pending or completed payments. Kept so the
+// per-user limit can be checked and taken in one atomic update (services/pricingService.js).
+const PromoRedemptionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  supabaseId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+PromoRedemptionSchema.index({ code: 1, supabaseId: 1 }, { unique: true });
+
+export default mongoose.model('PromoRedemption', PromoRedemptionSchema);
@@ -16,6 +16,20 @@ const PushSubscriptionSchema = new mongoose.Schema({
     auth: { type: String, required: true }
   },
   userAgent: String,
+  // Set by the user; the list falls back to a name parsed from userAgent
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 60
+  },
+  lastDeliveredAt: Date,
+  lastFailureAt: Date,
+  lastError: String,
+  // Failed deliveries since the last successful one
+  failureCount: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
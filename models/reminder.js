@@ -23,7 +23,7 @@ const ReminderSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['DEADLINE', 'INACTIVITY', 'BEHAVIORAL'],
+    enum: ['DEADLINE', 'INACTIVITY', 'BEHAVIORAL', 'BILLING'],
     required: true,
     index: true
   },
@@ -55,6 +55,8 @@ const ReminderSchema = new mongoose.Schema({
   snoozedUntil: Date,
   completionLoggedAt: Date,
   foreignId: String,
+  // Page opened when the notification is tapped, e.g. the renewal page for BILLING reminders
+  actionUrl: String,
   metadata: String, // encrypted payload
   interactions: {
     type: [ReminderInteractionSchema],
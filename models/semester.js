@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// A span of whole days inside a semester; both dates are included
+const PeriodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 60
+  },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true }
+}, { _id: false });
+
+// One of a student's terms. Dates are calendar days, stored as UTC midnight.
+const SemesterSchema = new mongoose.Schema({
+  supabaseId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  // As published by the institution; when unset it is counted from the dates (see services/semesterService.js)
+  teachingWeeks: {
+    type: Number,
+    min: 1,
+    max: 52
+  },
+  readingWeeks: [PeriodSchema],
+  examWeeks: [PeriodSchema],
+  breaks: [PeriodSchema]
+}, {
+  timestamps: true
+});
+
+SemesterSchema.index({ supabaseId: 1, startDate: 1 });
+
+export default mongoose.model('Semester', SemesterSchema);
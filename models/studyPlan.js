@@ -84,7 +84,9 @@ const StudyPlanSchema = new mongoose.Schema({
     coursesCount: Number,
     assignmentsCount: Number,
     upcomingDeadlinesCount: Number,
-    activityPatternSummary: String
+    activityPatternSummary: String,
+    weeklyStudyHoursGoal: Number,
+    timeZone: String
   },
   
   // AI metadata
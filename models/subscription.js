@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const SubscriptionSchema = new mongoose.Schema({
+  supabaseId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // `trial` is the free trial every new user starts on; the others are paid via M-Pesa
+  plan: {
+    type: String,
+    enum: ['trial', 'monthly', 'annual', 'lifetime'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'expired'],
+    default: 'active'
+  },
+  currentPeriodStart: {
+    type: Date,
+    required: true
+  },
+  // null for lifetime plans
+  currentPeriodEnd: Date,
+  // Set once a free trial has been granted, so it is never granted twice
+  trialStartedAt: Date,
+  // Paid access continues until this date after currentPeriodEnd (monthly plans only)
+  gracePeriodEnd: Date,
+  lastPaymentAt: Date,
+  // Completed MpesaTransaction ids already applied, so a transaction never extends a period twice
+  transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MpesaTransaction'
+  }]
+}, { timestamps: true });
+
+SubscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+
+SubscriptionSchema.methods.isActive = function(now = new Date()) {
+  if (this.status !== 'active') return false;
+  if (this.plan === 'lifetime') return true;
+  return Boolean(this.currentPeriodEnd && this.currentPeriodEnd > now);
+};
+
+// Lapsed, but still inside the grace period that follows a monthly plan
+SubscriptionSchema.methods.isInGrace = function(now = new Date()) {
+  return this.status === 'active'
+    && !this.isActive(now)
+    && Boolean(this.gracePeriodEnd && this.gracePeriodEnd > now);
+};
+
+// Premium features stay unlocked during the grace period
+SubscriptionSchema.methods.hasAccess = function(now = new Date()) {
+  return this.isActive(now) || this.isInGrace(now);
+};
+
+export default mongoose.model('Subscription', SubscriptionSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// The outcome of one syllabus or onboarding document upload, so failed imports can be investigated
+const SyllabusImportSchema = new mongoose.Schema({
+  supabaseId: {
+    type: String,
+    required: true
+  },
+  // Which endpoint received it: syllabus or onboarding
+  source: {
+    type: String,
+    required: true
+  },
+  // succeeded: extracted and saved; partial: only a fallback extraction, or saving failed; failed: nothing extracted
+  status: {
+    type: String,
+    enum: ['succeeded', 'partial', 'failed'],
+    required: true
+  },
+  // How the document was read, e.g. groq-vision, ocr-space, local-fallback, ocr-only
+  method: String,
+  fileName: String,
+  mimeType: String,
+  size: Number,
+  coursesSaved: {
+    type: Number,
+    default: 0
+  },
+  assignmentsSaved: {
+    type: Number,
+    default: 0
+  },
+  statusCode: Number,
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+SyllabusImportSchema.index({ supabaseId: 1, createdAt: -1 });
+
+export default mongoose.model('SyllabusImport', SyllabusImportSchema);
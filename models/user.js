@@ -1,14 +1,47 @@
 import mongoose from 'mongoose';
 
+// A grade band: marks from `min` (percent) up to the next band. `points` count towards a GPA.
+const GradeBandSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true, maxlength: 60 },
+  min: { type: Number, required: true, min: 0, max: 100 },
+  points: { type: Number, min: 0, max: 10 }
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
   supabaseId: { type: String, required: true, unique: true },
-  name: String,
+  // Access to /api/admin. ADMIN_USER_IDS and the Supabase app_metadata.role take precedence; see services/roleService.js
+  role: { type: String, enum: ['student', 'support', 'admin'], default: 'student' },
+  name: { type: String, trim: true, maxlength: 100 },
   email: String,
+  // IANA zone, e.g. Africa/Nairobi; reminders and study plans use the student's local clock
+  timezone: String,
+  // BCP 47 tag, e.g. en-KE; used for dates in notifications and the language of AI plans
+  locale: String,
+  institution: { type: String, trim: true, maxlength: 120 },
+  programme: { type: String, trim: true, maxlength: 120 },
+  yearOfStudy: { type: Number, min: 1, max: 8 },
+  weeklyStudyHoursGoal: { type: Number, min: 1, max: 80 },
+  // Where reminders are delivered. Email is opt-in.
+  notificationChannels: {
+    push: { type: Boolean, default: true },
+    email: { type: Boolean, default: false }
+  },
+  // "We miss you" nudges after a period of inactivity
+  smartRemindersOptIn: { type: Boolean, default: true },
+  // Scales for /api/analytics/gpa: a preset id, or 'custom' to use the bands (see services/gpaService.js)
+  gradingScale: {
+    gpa: String,
+    gpaBands: [GradeBandSchema],
+    classification: String,
+    classificationBands: [GradeBandSchema]
+  },
+  lastLoginAt: Date,
   aiPreferences: {
     enabled: { type: Boolean, default: true }, // AI recommendations enabled by default
     updatedAt: { type: Date, default: Date.now }
-  },
-  // Add more fields as needed
+  }
+}, {
+  timestamps: true
 });
 
-export default mongoose.model('User', UserSchema);
\ No newline at end of file
+export default mongoose.model('User', UserSchema);
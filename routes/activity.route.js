@@ -5,17 +5,28 @@ import Activity from '../models/activity.js';
 import Course from '../models/course.js';
 import { authenticate } from '../middleware/auth.js';
 import { validateActivity } from '../middleware/validation.js';
+import {
+    enforceOwnership,
+    matchAuthenticatedUser,
+    ownedBy,
+    findOwned
+} from '../middleware/ownership.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+// Every activity route acts on the authenticated user's own activity log
+router.use(authenticate, enforceOwnership);
+router.param('supabaseId', matchAuthenticatedUser);
+
 // Activity routes
-router.post('/', authenticate, validateActivity, catchAsync(async (req, res) => {
+router.post('/', validateActivity, catchAsync(async (req, res) => {
     logger.info('Recording new activity', { userId: req.user.supabaseId, type: req.body.type });
-    const { supabaseId, type, details, title, startTime, endTime } = req.body;
+    const { type, details, title, startTime, endTime } = req.body;
+    const { supabaseId } = req.user;
 
-    if (!supabaseId || !type) {
-        throw new AppError('Missing required fields: supabaseId and type', 400);
+    if (!type) {
+        throw new AppError('Missing required field: type', 400);
     }
 
     const activityData = {
@@ -43,16 +54,11 @@ router.post('/', authenticate, validateActivity, catchAsync(async (req, res) =>
     });
 }));
 
-router.get('/:supabaseId', authenticate, catchAsync(async (req, res) => {
-    const { supabaseId } = req.params;
+router.get('/:supabaseId', catchAsync(async (req, res) => {
     const { type, startDate, endDate, course } = req.query;
 
-    if (!supabaseId || typeof supabaseId !== 'string' || supabaseId.length < 8) {
-        throw new AppError('Invalid supabaseId', 400);
-    }
-
     // Build query
-    const query = { supabaseId };
+    const query = ownedBy(req);
     if (type) query.type = type;
     if (course) query.course = course;
 
@@ -97,20 +103,12 @@ router.get('/:supabaseId', authenticate, catchAsync(async (req, res) => {
     });
 }));
 
-router.put('/:id', authenticate, catchAsync(async (req, res) => {
+router.put('/:id', catchAsync(async (req, res) => {
     const { id } = req.params;
-    const updates = req.body;
+    // Ownership cannot be changed; a matching supabaseId in the body is simply ignored
+    const { supabaseId, user_id, ...updates } = req.body;
 
-    // Validate activity exists
-    const activity = await Activity.findById(id);
-    if (!activity) {
-        throw new AppError('Activity not found', 404);
-    }
-
-    // Validate user owns the activity
-    if (updates.supabaseId && updates.supabaseId !== activity.supabaseId) {
-        throw new AppError('Unauthorized: Cannot change activity ownership', 403);
-    }
+    const activity = await findOwned(Activity, id, req, 'Activity');
 
     // Validate course if provided
     if (updates.course) {
@@ -125,8 +123,8 @@ router.put('/:id', authenticate, catchAsync(async (req, res) => {
         throw new AppError('Duration cannot be negative', 400);
     }
 
-    const updatedActivity = await Activity.findByIdAndUpdate(
-        id,
+    const updatedActivity = await Activity.findOneAndUpdate(
+        ownedBy(req, { _id: activity._id }),
         { ...updates, updatedAt: new Date() },
         { new: true, runValidators: true }
     );
@@ -137,21 +135,10 @@ router.put('/:id', authenticate, catchAsync(async (req, res) => {
     });
 }));
 
-router.delete('/:id', authenticate, catchAsync(async (req, res) => {
-    const { id } = req.params;
-    const { supabaseId } = req.query;
-
-    if (!supabaseId) {
-        throw new AppError('Missing supabaseId', 400);
-    }
-
-    // Validate activity exists and user owns it
-    const activity = await Activity.findOne({ _id: id, supabaseId });
-    if (!activity) {
-        throw new AppError('Activity not found or unauthorized', 404);
-    }
+router.delete('/:id', catchAsync(async (req, res) => {
+    const activity = await findOwned(Activity, req.params.id, req, 'Activity');
 
-    await Activity.findByIdAndDelete(id);
+    await activity.deleteOne();
 
     res.status(200).json({
         status: 'success',
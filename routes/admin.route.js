@@ -0,0 +1,253 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { requireAdmin, requireRole, auditAdminAction } from '../middleware/admin.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  buildReconciliationReport,
+  reconciliationReportToCsv
+} from '../services/paymentReportService.js';
+import {
+  AUDIT_ACTIONS,
+  DEFAULT_QUERY_LIMIT,
+  MAX_QUERY_LIMIT,
+  queryAuditLog,
+  describeAuditEntry,
+  recordAudit
+} from '../services/auditLogService.js';
+import {
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  searchUsers,
+  getUserOverview
+} from '../services/adminService.js';
+import { ROLES, setRole } from '../services/roleService.js';
+import {
+  DEFAULT_USAGE_DAYS,
+  summarizeUsage,
+  listImports,
+  describeImport
+} from '../services/usageService.js';
+import { runReminderScheduler } from '../services/reminderScheduler.js';
+
+const router = express.Router();
+
+const PAYMENT_STATUSES = ['pending', 'completed', 'failed'];
+const PAYMENT_PLANS = ['monthly', 'annual', 'lifetime'];
+const DEFAULT_REPORT_DAYS = 30;
+// The report loads every matching payment, so a range may cover at most a quarter
+const MAX_REPORT_DAYS = 92;
+const DEFAULT_ROW_LIMIT = 200;
+const MAX_ROW_LIMIT = 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const IMPORT_STATUSES = ['succeeded', 'partial', 'failed'];
+const MAX_USAGE_DAYS = 365;
+const DEFAULT_IMPORT_LIMIT = 50;
+const MAX_IMPORT_LIMIT = 200;
+
+// Date-only values are whole days in Kenyan time, matching the Safaricom statement
+const parseReportDate = (value, name, endOfDay = false) => {
+  if (!value) return null;
+  const iso = DATE_ONLY.test(value) ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}+03:00` : value;
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${name} date`, 400);
+  }
+  return date;
+};
+
+const parseReportFilters = (query) => {
+  const { status, plan } = query;
+  if (status && !PAYMENT_STATUSES.includes(status)) {
+    throw new AppError(`Invalid status. Must be one of: ${PAYMENT_STATUSES.join(', ')}`, 400);
+  }
+  if (plan && !PAYMENT_PLANS.includes(plan)) {
+    throw new AppError(`Invalid plan. Must be one of: ${PAYMENT_PLANS.join(', ')}`, 400);
+  }
+
+  const to = parseReportDate(query.to, 'to', true);
+  const from = parseReportDate(query.from, 'from')
+    || new Date((to || new Date()).getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+  if (to && from > to) {
+    throw new AppError('from must be before to', 400);
+  }
+  if ((to || new Date()) - from > MAX_REPORT_DAYS * 24 * 60 * 60 * 1000) {
+    throw new AppError(`The report covers at most ${MAX_REPORT_DAYS} days; narrow from and to`, 400);
+  }
+
+  return { status: status || null, plan: plan || null, from, to };
+};
+
+const parseAuditFilters = (query) => {
+  const { action, actorId, subjectId, outcome } = query;
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    throw new AppError(`Invalid action. Must be one of: ${AUDIT_ACTIONS.join(', ')}`, 400);
+  }
+  if (outcome && !['success', 'failure'].includes(outcome)) {
+    throw new AppError('Invalid outcome. Must be success or failure', 400);
+  }
+
+  const from = parseReportDate(query.from, 'from');
+  const to = parseReportDate(query.to, 'to', true);
+  if (from && to && from > to) {
+    throw new AppError('from must be before to', 400);
+  }
+
+  return {
+    action: action || null,
+    actorId: actorId || null,
+    subjectId: subjectId || null,
+    outcome: outcome || null,
+    from,
+    to,
+    before: parseReportDate(query.before, 'before'),
+    limit: Math.min(parseInt(query.limit, 10) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT)
+  };
+};
+
+const parseRole = (role, name = 'role') => {
+  if (!ROLES.includes(role)) {
+    throw new AppError(`Invalid ${name}. Must be one of: ${ROLES.join(', ')}`, 400);
+  }
+  return role;
+};
+
+const parseLimit = (value, fallback, max) => Math.min(parseInt(value, 10) || fallback, max);
+
+const findUserOrFail = async (supabaseId) => {
+  const overview = await getUserOverview(supabaseId);
+  if (!overview) {
+    throw new AppError('User not found', 404);
+  }
+  return overview;
+};
+
+// Refused calls are audited too, so the audit hook goes before the role check
+router.use(authenticate, auditAdminAction, requireRole('support', 'admin'));
+
+// Requests about one user are filed under that user in the audit log
+router.param('supabaseId', (req, res, next, supabaseId) => {
+  res.locals.auditSubjectId = supabaseId;
+  next();
+});
+
+/**
+ * GET /api/admin/users?q=&role=&limit=
+ * Find users by part of their email or name, or by exact id. Support and admin.
+ */
+router.get('/users', catchAsync(async (req, res) => {
+  const users = await searchUsers({
+    q: req.query.q ? String(req.query.q).trim().slice(0, 100) : null,
+    role: req.query.role ? parseRole(req.query.role) : null,
+    limit: parseLimit(req.query.limit, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT)
+  });
+  res.json({ status: 'success', data: users });
+}));
+
+/**
+ * GET /api/admin/users/:supabaseId
+ * Profile, role and subscription. Support and admin.
+ */
+router.get('/users/:supabaseId', catchAsync(async (req, res) => {
+  res.json({ status: 'success', data: await findUserOrFail(req.params.supabaseId) });
+}));
+
+/**
+ * GET /api/admin/users/:supabaseId/usage?days=
+ * Stored courses, assignments and notes, plus AI calls and imports over the last `days` days
+ * (default 30). Support and admin.
+ */
+router.get('/users/:supabaseId/usage', catchAsync(async (req, res) => {
+  await findUserOrFail(req.params.supabaseId);
+  const days = parseLimit(req.query.days, DEFAULT_USAGE_DAYS, MAX_USAGE_DAYS);
+  res.json({ status: 'success', data: await summarizeUsage(req.params.supabaseId, { days }) });
+}));
+
+/**
+ * GET /api/admin/users/:supabaseId/imports?status=&limit=
+ * Syllabus and onboarding imports, newest first, with the error for failed ones. Support and admin.
+ */
+router.get('/users/:supabaseId/imports', catchAsync(async (req, res) => {
+  const { status } = req.query;
+  if (status && !IMPORT_STATUSES.includes(status)) {
+    throw new AppError(`Invalid status. Must be one of: ${IMPORT_STATUSES.join(', ')}`, 400);
+  }
+
+  const imports = await listImports(req.params.supabaseId, {
+    status: status || null,
+    limit: parseLimit(req.query.limit, DEFAULT_IMPORT_LIMIT, MAX_IMPORT_LIMIT)
+  });
+  res.json({ status: 'success', data: imports.map(describeImport) });
+}));
+
+/**
+ * PATCH /api/admin/users/:supabaseId/role
+ * Body: { role }. Admin only; admins cannot change their own role.
+ */
+router.patch('/users/:supabaseId/role', requireAdmin, catchAsync(async (req, res) => {
+  const role = parseRole(req.body?.role);
+  const { supabaseId } = req.params;
+  if (supabaseId === req.user.supabaseId) {
+    throw new AppError('You cannot change your own role', 409);
+  }
+
+  const before = await findUserOrFail(supabaseId);
+  await setRole(supabaseId, role);
+  await recordAudit(req, 'role.change', { subjectId: supabaseId, details: { from: before.role, to: role } });
+
+  res.json({ status: 'success', data: await getUserOverview(supabaseId) });
+}));
+
+/**
+ * POST /api/admin/users/:supabaseId/reminders/run
+ * Run the reminder scheduler for this user only: schedule what is due and send what is ready.
+ * Admin only.
+ */
+router.post('/users/:supabaseId/reminders/run', requireAdmin, catchAsync(async (req, res) => {
+  await findUserOrFail(req.params.supabaseId);
+  const result = await runReminderScheduler({ supabaseId: req.params.supabaseId });
+  res.json({ status: 'success', data: result });
+}));
+
+/**
+ * GET /api/admin/payments/reconciliation?status=&plan=&from=&to=&limit=&format=csv
+ * M-Pesa transactions with per-day and per-plan totals for finance. Defaults to the last
+ * 30 days. `format=csv` downloads every matching row for matching against the Safaricom statement.
+ */
+router.get('/payments/reconciliation', requireAdmin, catchAsync(async (req, res) => {
+  const filters = parseReportFilters(req.query);
+  const report = await buildReconciliationReport(filters);
+
+  if (req.query.format === 'csv') {
+    const stamp = report.generatedAt.toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="mpesa-reconciliation-${stamp}.csv"`);
+    return res.send(reconciliationReportToCsv(report));
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_ROW_LIMIT, MAX_ROW_LIMIT);
+  res.json({
+    status: 'success',
+    data: {
+      ...report,
+      transactions: report.transactions.slice(0, limit),
+      truncated: report.transactions.length > limit
+    }
+  });
+}));
+
+/**
+ * GET /api/admin/audit?action=&actorId=&subjectId=&outcome=&from=&to=&before=&limit=
+ * Security audit log, newest first. Pass `nextBefore` from one page as `before` to get the next.
+ */
+router.get('/audit', requireAdmin, catchAsync(async (req, res) => {
+  const { entries, nextBefore } = await queryAuditLog(parseAuditFilters(req.query));
+  res.json({
+    status: 'success',
+    data: {
+      entries: entries.map(describeAuditEntry),
+      nextBefore
+    }
+  });
+}));
+
+export default router;
@@ -1,9 +1,11 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Activity from '../models/activity.js';
 import Assignment from '../models/assignment.js';
 import User from '../models/user.js';
 import Course from '../models/course.js';
 import StudyPlan from '../models/studyPlan.js';
+import ReminderPreference from '../models/reminderPreference.js';
 import { 
   generateTaskRecommendations, 
   generateWeeklyAnalytics,
@@ -12,17 +14,59 @@ import {
   generateStudyPlan,
   healthCheck 
 } from '../services/groqAI.js';
+import { profileTimeZone } from '../services/userProfileService.js';
+import { resolveCurrentSemester, semesterPosition, todayIn } from '../services/semesterService.js';
+import { recordAiCall } from '../services/usageService.js';
+import { belongsToCourse } from '../services/gradeService.js';
+import { loadCourseProgress } from '../services/courseProgressService.js';
+import { recordAudit } from '../services/auditLogService.js';
 import { logger } from '../utils/logger.js';
+import { authenticate } from '../middleware/auth.js';
+import { requireEntitlement } from '../middleware/entitlement.js';
+import { enforceOwnership, matchAuthenticatedUser, ownedBy } from '../middleware/ownership.js';
 
 const router = express.Router();
 
+// Staff impersonating a student (read-only) do not add to the student's AI usage
+const countAiCall = (req, feature) => {
+  if (!req.user.impersonator) recordAiCall(req.user.supabaseId, feature);
+};
+
+/**
+ * GET /api/ai/health
+ * Health check for AI service
+ */
+router.get('/health', async (req, res) => {
+  try {
+    const health = await healthCheck();
+    res.json({
+      status: 'success',
+      data: health
+    });
+  } catch (error) {
+    res.status(503).json({
+      status: 'error',
+      message: 'AI service unavailable'
+    });
+  }
+});
+
+// Everything else reads and writes the authenticated user's own data
+router.use(authenticate, enforceOwnership);
+router.param('supabaseId', matchAuthenticatedUser);
+
+// The caller's study plan, or null for unknown ids and other users' plans
+const findOwnedPlan = (req) => (mongoose.isValidObjectId(req.params.planId)
+  ? StudyPlan.findOne(ownedBy(req, { _id: req.params.planId }))
+  : null);
+
 /**
  * GET /api/ai/recommendations/:supabaseId
  * Get AI-powered task recommendations
  */
 router.get('/recommendations/:supabaseId', async (req, res) => {
   try {
-    const { supabaseId } = req.params;
+    const { supabaseId } = req.user;
     
     // Check if user has AI features enabled
     const user = await User.findOne({ supabaseId });
@@ -57,6 +101,7 @@ router.get('/recommendations/:supabaseId', async (req, res) => {
       assignments,
       preferences
     });
+    countAiCall(req, 'recommendations');
 
     res.json({
       status: 'success',
@@ -84,7 +129,7 @@ router.get('/recommendations/:supabaseId', async (req, res) => {
  */
 router.get('/weekly-analytics/:supabaseId', async (req, res) => {
   try {
-    const { supabaseId } = req.params;
+    const { supabaseId } = req.user;
     
     // Check AI preferences
     const user = await User.findOne({ supabaseId });
@@ -119,6 +164,7 @@ router.get('/weekly-analytics/:supabaseId', async (req, res) => {
       weeklyActivities,
       completionStats
     });
+    countAiCall(req, 'weekly_analytics');
 
     res.json({
       status: 'success',
@@ -147,7 +193,7 @@ router.get('/weekly-analytics/:supabaseId', async (req, res) => {
  */
 router.get('/study-time-suggestion/:supabaseId', async (req, res) => {
   try {
-    const { supabaseId } = req.params;
+    const { supabaseId } = req.user;
     
     const user = await User.findOne({ supabaseId });
     if (!user || !user.aiPreferences?.enabled) {
@@ -173,6 +219,7 @@ router.get('/study-time-suggestion/:supabaseId', async (req, res) => {
       activities: recentActivities,
       upcomingTasks
     });
+    countAiCall(req, 'study_time_suggestion');
 
     res.json({
       status: 'success',
@@ -200,7 +247,7 @@ router.get('/study-time-suggestion/:supabaseId', async (req, res) => {
  */
 router.get('/course-insights/:supabaseId', async (req, res) => {
   try {
-    const { supabaseId } = req.params;
+    const { supabaseId } = req.user;
     
     const user = await User.findOne({ supabaseId });
     if (!user || !user.aiPreferences?.enabled) {
@@ -213,20 +260,26 @@ router.get('/course-insights/:supabaseId', async (req, res) => {
     // Get courses with assignment data
     const courses = await Course.find({ supabaseId });
     const assignments = await Assignment.find({ supabaseId });
+    const progress = await loadCourseProgress(supabaseId, courses);
     
-    // Aggregate data by course
+    // Aggregate data by course; progress is derived from assignment work and teaching weeks
     const courseData = courses.map(course => {
-      const courseAssignments = assignments.filter(a => a.course === course.name);
+      const courseAssignments = assignments.filter(a => belongsToCourse(a, course));
+      const { progress: value, elapsed, pace } = progress.get(String(course._id));
       return {
         assignmentsTotal: courseAssignments.length,
         assignmentsCompleted: courseAssignments.filter(a => a.progress === 100).length,
         averageScore: courseAssignments.length > 0
           ? Math.round(courseAssignments.reduce((sum, a) => sum + (a.progress || 0), 0) / courseAssignments.length)
-          : 0
+          : 0,
+        progress: value,
+        teachingWeeksElapsed: elapsed,
+        pace
       };
     });
 
     const insights = await generateCourseProgressInsight({ courses: courseData });
+    countAiCall(req, 'course_insights');
 
     res.json({
       status: 'success',
@@ -254,7 +307,7 @@ router.get('/course-insights/:supabaseId', async (req, res) => {
  */
 router.put('/preferences/:supabaseId', async (req, res) => {
   try {
-    const { supabaseId } = req.params;
+    const { supabaseId } = req.user;
     const { enabled } = req.body;
 
     const user = await User.findOneAndUpdate(
@@ -269,6 +322,7 @@ router.put('/preferences/:supabaseId', async (req, res) => {
     );
 
     logger.info('AI preferences updated', { supabaseId, enabled });
+    await recordAudit(req, 'preferences.update', { details: { area: 'ai', enabled: enabled === true } });
 
     res.json({
       status: 'success',
@@ -294,7 +348,7 @@ router.put('/preferences/:supabaseId', async (req, res) => {
  */
 router.get('/preferences/:supabaseId', async (req, res) => {
   try {
-    const { supabaseId } = req.params;
+    const { supabaseId } = req.user;
     
     const user = await User.findOne({ supabaseId });
     
@@ -317,25 +371,6 @@ router.get('/preferences/:supabaseId', async (req, res) => {
   }
 });
 
-/**
- * GET /api/ai/health
- * Health check for AI service
- */
-router.get('/health', async (req, res) => {
-  try {
-    const health = await healthCheck();
-    res.json({
-      status: 'success',
-      data: health
-    });
-  } catch (error) {
-    res.status(503).json({
-      status: 'error',
-      message: 'AI service unavailable'
-    });
-  }
-});
-
 /**
  * Helper: Calculate login streak
  */
@@ -371,9 +406,9 @@ async function calculateLoginStreak(supabaseId) {
  * POST /api/ai/study-plan/:supabaseId
  * Generate a comprehensive AI study plan
  */
-router.post('/study-plan/:supabaseId', async (req, res) => {
+router.post('/study-plan/:supabaseId', requireEntitlement('ai_study_plan'), async (req, res) => {
   try {
-    const { supabaseId } = req.params;
+    const { supabaseId } = req.user;
     
     // Check if user has AI features enabled
     const user = await User.findOne({ supabaseId });
@@ -387,8 +422,11 @@ router.post('/study-plan/:supabaseId', async (req, res) => {
       });
     }
 
-    // Fetch user's courses
-    const courses = await Course.find({ supabaseId });
+    // Plan for the current semester's courses; students without semesters plan across all of theirs
+    const preference = await ReminderPreference.findOne({ supabaseId });
+    const timeZone = profileTimeZone(user, preference);
+    const semester = await resolveCurrentSemester(supabaseId, { timeZone });
+    const courses = await Course.find(semester ? { supabaseId, semesterId: semester._id } : { supabaseId });
     if (courses.length === 0) {
       return res.status(400).json({
         status: 'error',
@@ -419,8 +457,16 @@ router.post('/study-plan/:supabaseId', async (req, res) => {
       courses,
       assignments,
       activities,
-      preferences
+      preferences,
+      profile: {
+        timeZone,
+        locale: user.locale,
+        yearOfStudy: user.yearOfStudy,
+        weeklyStudyHoursGoal: user.weeklyStudyHoursGoal,
+        semester: semester ? semesterPosition(semester, todayIn(timeZone)) : null
+      }
     });
+    countAiCall(req, 'study_plan');
 
     // Save to database
     const studyPlan = new StudyPlan({
@@ -462,7 +508,7 @@ router.post('/study-plan/:supabaseId', async (req, res) => {
  */
 router.get('/study-plan/:supabaseId/latest', async (req, res) => {
   try {
-    const { supabaseId } = req.params;
+    const { supabaseId } = req.user;
     
     const latestPlan = await StudyPlan.findLatestForUser(supabaseId);
     
@@ -504,9 +550,7 @@ router.get('/study-plan/:supabaseId/latest', async (req, res) => {
  */
 router.patch('/study-plan/:planId/accept', async (req, res) => {
   try {
-    const { planId } = req.params;
-    
-    const studyPlan = await StudyPlan.findById(planId);
+    const studyPlan = await findOwnedPlan(req);
     if (!studyPlan) {
       return res.status(404).json({
         status: 'error',
@@ -543,10 +587,9 @@ router.patch('/study-plan/:planId/accept', async (req, res) => {
  */
 router.patch('/study-plan/:planId/edit', async (req, res) => {
   try {
-    const { planId } = req.params;
     const { planData, changes } = req.body;
     
-    const studyPlan = await StudyPlan.findById(planId);
+    const studyPlan = await findOwnedPlan(req);
     if (!studyPlan) {
       return res.status(404).json({
         status: 'error',
@@ -590,9 +633,7 @@ router.patch('/study-plan/:planId/edit', async (req, res) => {
  */
 router.delete('/study-plan/:planId', async (req, res) => {
   try {
-    const { planId } = req.params;
-    
-    const studyPlan = await StudyPlan.findById(planId);
+    const studyPlan = await findOwnedPlan(req);
     if (!studyPlan) {
       return res.status(404).json({
         status: 'error',
@@ -0,0 +1,66 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { enforceOwnership } from '../middleware/ownership.js';
+import { validateGradingScale } from '../middleware/validation.js';
+import {
+  GRADING_SCALES,
+  getGpaReport,
+  presetIds,
+  resolveScale,
+  describeScale,
+  saveGradingScale
+} from '../services/gpaService.js';
+
+const router = express.Router();
+
+router.use(authenticate, enforceOwnership);
+
+const parsePreset = (kind, value) => {
+  if (!value) return null;
+  if (!presetIds(kind).includes(value)) {
+    throw new AppError(`${kind === 'gpa' ? 'scale' : 'classificationScale'} must be one of: ${presetIds(kind).join(', ')}`, 400);
+  }
+  return value;
+};
+
+/**
+ * GET /api/analytics/gpa?scale=&classificationScale=
+ * Semester and cumulative GPA from final course grades, and the classification the student is on
+ * track for. The query names presets to use instead of the student's saved scales.
+ */
+router.get('/gpa', catchAsync(async (req, res) => {
+  const report = await getGpaReport(req.user.supabaseId, {
+    scale: parsePreset('gpa', req.query.scale),
+    classificationScale: parsePreset('classification', req.query.classificationScale)
+  });
+  res.json({ status: 'success', data: report });
+}));
+
+/**
+ * GET /api/analytics/gpa/scales
+ * The preset grading scales
+ */
+router.get('/gpa/scales', (req, res) => {
+  res.json({
+    status: 'success',
+    data: Object.keys(GRADING_SCALES).map((id) => describeScale({ id, ...GRADING_SCALES[id] }))
+  });
+});
+
+/**
+ * PUT /api/analytics/gpa/scale
+ * Body: { gpa?, classification? }, each a preset id or a list of bands
+ */
+router.put('/gpa/scale', validateGradingScale, catchAsync(async (req, res) => {
+  const saved = await saveGradingScale(req.user.supabaseId, req.body);
+  res.json({
+    status: 'success',
+    data: {
+      gpa: describeScale(resolveScale('gpa', saved)),
+      classification: describeScale(resolveScale('classification', saved))
+    }
+  });
+}));
+
+export default router;
@@ -1,22 +1,63 @@
 import express from 'express';
 import Assignment from '../models/assignment.js';
+import Course from '../models/course.js';
 import { logger } from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { authenticate } from '../middleware/auth.js';
+import { validateAssignmentGrade } from '../middleware/validation.js';
+import {
+  enforceOwnership,
+  matchAuthenticatedUser,
+  ownedBy,
+  findOwned
+} from '../middleware/ownership.js';
+import { GradeError, assertComponentOfCourse, findAssignmentCourse } from '../services/gradeService.js';
+import { refreshCourseProgress } from '../services/courseProgressService.js';
 
 const router = express.Router();
 
-// Get all assignments for a user - supports both query param and path param
+const GRADE_FIELDS = ['componentId', 'weight', 'score', 'maxScore'];
+const GRADE_ERROR_STATUS = {
+  invalid: 400
+};
+
+// A course given by id must be one of the caller's (404 otherwise, as findOwned does); codes and
+// names are only ever matched against the caller's own courses
+const COURSE_ID = /^[0-9a-f]{24}$/i;
+const checkCourse = async (req, course) => {
+  if (course && COURSE_ID.test(String(course))) {
+    await findOwned(Course, course, req, 'Course');
+  }
+};
+
+// Grading fields must fit together and the assignment's course; `assignment` is the merged result
+const checkGrade = async (supabaseId, assignment) => {
+  if (typeof assignment.score === 'number' && assignment.score > (assignment.maxScore || 100)) {
+    throw new AppError(`score must not be more than maxScore (${assignment.maxScore || 100})`, 400);
+  }
+  if (!assignment.componentId) return;
+  try {
+    assertComponentOfCourse(await findAssignmentCourse(supabaseId, assignment.course), assignment.componentId);
+  } catch (error) {
+    if (error instanceof GradeError) {
+      throw new AppError(error.message, GRADE_ERROR_STATUS[error.reason] || 400);
+    }
+    throw error;
+  }
+};
+
+// Every assignment route acts on the authenticated user's own assignments
+router.use(authenticate, enforceOwnership);
+router.param('supabaseId', matchAuthenticatedUser);
+
+// Get all assignments for the user (user_id query param is optional and must match the caller)
 router.get('/', async (req, res, next) => {
   try {
     const { user_id } = req.query;
     
     logger.info('Fetching assignments', { user_id, path: req.path });
     
-    if (!user_id) {
-      throw new AppError('User ID is required', 400);
-    }
-    
-    const assignments = await Assignment.find({ supabaseId: user_id });
+    const assignments = await Assignment.find(ownedBy(req));
     
     res.setHeader('Content-Type', 'application/json');
     res.json({
@@ -33,6 +74,21 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// Get a single assignment by its MongoDB ObjectId
+router.get('/:id([0-9a-fA-F]{24})', async (req, res, next) => {
+  try {
+    const assignment = await findOwned(Assignment, req.params.id, req, 'Assignment');
+    
+    res.setHeader('Content-Type', 'application/json');
+    res.json({
+      status: 'success',
+      data: assignment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get all assignments for a user by supabaseId (path parameter)
 router.get('/:supabaseId', async (req, res, next) => {
   try {
@@ -41,32 +97,8 @@ router.get('/:supabaseId', async (req, res, next) => {
     
     logger.info('Fetching assignments by supabaseId', { supabaseId, course, status, path: req.path });
     
-    // Check if this looks like a MongoDB ObjectId (should route to single assignment)
-    if (supabaseId.match(/^[0-9a-fA-F]{24}$/)) {
-      // This is a MongoDB ObjectId, fetch single assignment
-      const assignment = await Assignment.findById(supabaseId);
-      
-      if (!assignment) {
-        return res.status(404).json({ 
-          status: 'error',
-          message: 'Assignment not found' 
-        });
-      }
-      
-      res.setHeader('Content-Type', 'application/json');
-      return res.json({
-        status: 'success',
-        data: assignment
-      });
-    }
-    
-    // Otherwise treat as supabaseId (UUID format)
-    if (!supabaseId) {
-      throw new AppError('Supabase ID is required', 400);
-    }
-    
     // Build query
-    const query = { supabaseId };
+    const query = ownedBy(req);
     if (course) {
       query.course = course;
     }
@@ -97,16 +129,23 @@ router.get('/:supabaseId', async (req, res, next) => {
 });
 
 // Create a new assignment
-router.post('/', async (req, res, next) => {
+router.post('/', validateAssignmentGrade, async (req, res, next) => {
   try {
-    const { supabaseId, title, course, dueDate, progress, reminder, notes } = req.body;
+    const { title, course, dueDate, progress, reminder, notes } = req.body;
+    const { supabaseId } = req.user;
     
     logger.info('Creating new assignment', { supabaseId, title, course });
     
-    if (!supabaseId || !title) {
-      throw new AppError('User ID and assignment title are required', 400);
+    if (!title) {
+      throw new AppError('Assignment title is required', 400);
     }
     
+    await checkCourse(req, course);
+    const grade = Object.fromEntries(GRADE_FIELDS
+      .filter((field) => req.body[field] != null)
+      .map((field) => [field, req.body[field]]));
+    await checkGrade(supabaseId, { course, ...grade });
+    
     const assignment = new Assignment({
       supabaseId,
       title,
@@ -114,10 +153,12 @@ router.post('/', async (req, res, next) => {
       dueDate,
       progress: progress || 0,
       reminder,
-      notes
+      notes,
+      ...grade
     });
     
     const savedAssignment = await assignment.save();
+    await refreshCourseProgress(supabaseId, [course]);
     
     // Return with normalized id field
     const responseData = savedAssignment.toObject();
@@ -133,7 +174,7 @@ router.post('/', async (req, res, next) => {
   } catch (error) {
     logger.error('Error creating assignment', {
       error: error.message,
-      supabaseId: req.body.supabaseId,
+      supabaseId: req.user.supabaseId,
       title: req.body.title,
       path: req.path
     });
@@ -142,14 +183,17 @@ router.post('/', async (req, res, next) => {
 });
 
 // Update an assignment
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', validateAssignmentGrade, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, course, dueDate, progress, reminder, notes, supabaseId } = req.body;
+    const { title, course, dueDate, progress, reminder, notes } = req.body;
     
     logger.info('Updating assignment', { id, title });
     
-    // Build update object
+    const assignment = await findOwned(Assignment, id, req, 'Assignment');
+    await checkCourse(req, course);
+    
+    // Build update object (ownership cannot be changed)
     const updateData = {};
     if (title !== undefined) updateData.title = title;
     if (course !== undefined) updateData.course = course;
@@ -157,21 +201,22 @@ router.put('/:id', async (req, res, next) => {
     if (progress !== undefined) updateData.progress = progress;
     if (reminder !== undefined) updateData.reminder = reminder;
     if (notes !== undefined) updateData.notes = notes;
-    if (supabaseId !== undefined) updateData.supabaseId = supabaseId;
-    
-    const updatedAssignment = await Assignment.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
-    
-    if (!updatedAssignment) {
-      return res.status(404).json({ 
-        status: 'error',
-        message: 'Assignment not found' 
-      });
+    // Grading fields: null clears
+    GRADE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field] ?? undefined;
+    });
+    
+    const merged = { course: assignment.course, ...GRADE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: assignment[field] }), {}), ...updateData };
+    if (['course', ...GRADE_FIELDS].some((field) => field in updateData)) {
+      await checkGrade(req.user.supabaseId, merged);
     }
     
+    const previousCourse = assignment.course;
+    assignment.set(updateData);
+    const updatedAssignment = await assignment.save();
+    // Both courses when the assignment moved
+    await refreshCourseProgress(req.user.supabaseId, [previousCourse, updatedAssignment.course]);
+    
     res.json({
       status: 'success',
       data: updatedAssignment
@@ -191,14 +236,9 @@ router.delete('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const deletedAssignment = await Assignment.findByIdAndDelete(id);
-    
-    if (!deletedAssignment) {
-      return res.status(404).json({ 
-        status: 'error',
-        message: 'Assignment not found' 
-      });
-    }
+    const assignment = await findOwned(Assignment, id, req, 'Assignment');
+    await assignment.deleteOne();
+    await refreshCourseProgress(req.user.supabaseId, [assignment.course]);
     
     res.json({
       status: 'success',
@@ -1,31 +1,93 @@
 import express from 'express';
 import Course from '../models/course.js';
+import Semester from '../models/semester.js';
 
 const router = express.Router();
 
 import { logger } from '../utils/logger.js';
-import { AppError } from '../middleware/errorHandler.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { authenticate } from '../middleware/auth.js';
+import { enforceOwnership, ownedBy, findOwned } from '../middleware/ownership.js';
+import { validateCourseMeetings, validateFinalGrade, validateGradingComponents } from '../middleware/validation.js';
+import { resolveCurrentSemester, timeZoneFor, todayIn, toDay } from '../services/semesterService.js';
+import { MAX_OCCURRENCE_RANGE_DAYS, listOccurrences } from '../services/courseMeetingService.js';
+import { DEFAULT_GRADE_TARGETS, getCourseGrade, loadCourseGrades } from '../services/gradeService.js';
+import { loadCourseProgress } from '../services/courseProgressService.js';
 
-// Get all courses for a user
+// Every course route acts on the authenticated user's own courses
+router.use(authenticate, enforceOwnership);
+
+// The semester a course is filed under: the one named by id, or else the current one (if any)
+const semesterForCourse = async (req, semesterId) => {
+  if (semesterId) return findOwned(Semester, semesterId, req, 'Semester');
+  return resolveCurrentSemester(req.user.supabaseId);
+};
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const semesterFields = (semester) => ({
+  semesterId: semester ? semester._id : undefined,
+  semester: semester ? semester.name : undefined
+});
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_OCCURRENCE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (field, value) => {
+  const day = DATE_ONLY.test(value) ? toDay(value) : null;
+  if (!day || Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value) {
+    throw new AppError(`${field} must be a date in YYYY-MM-DD form`, 400);
+  }
+  return day;
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const MAX_GRADE_TARGETS = 10;
+
+// ?target=70 or ?target=60,70: final grades (percent) to work out the final exam score for
+const parseTargets = (value) => {
+  if (!value) return DEFAULT_GRADE_TARGETS;
+  const targets = String(value).split(',').map((target) => Number(target.trim()));
+  if (targets.length > MAX_GRADE_TARGETS || targets.some((target) => !Number.isFinite(target) || target < 0 || target > 100)) {
+    throw new AppError(`target must be up to ${MAX_GRADE_TARGETS} comma-separated percentages from 0 to 100`, 400);
+  }
+  return targets;
+};
+
+// Get all courses for the user (user_id query param is optional and must match the caller)
 router.get('/', async (req, res, next) => {
   try {
     const { user_id } = req.query;
     
     logger.info('Fetching courses', { user_id, path: req.path });
     
-    if (!user_id) {
-      throw new AppError('User ID is required', 400);
+    // ?semester= takes `current`, a semester id, or the name stored on courses filed before semesters existed
+    const query = ownedBy(req);
+    const { semester } = req.query;
+    if (semester === 'current') {
+      const current = await resolveCurrentSemester(req.user.supabaseId);
+      if (!current) return res.json({ status: 'success', data: [] });
+      query.semesterId = current._id;
+    } else if (OBJECT_ID.test(semester || '')) {
+      query.semesterId = semester;
+    } else if (semester) {
+      query.semester = semester;
     }
-    
-  const query = { supabaseId: user_id };
-  if (req.query.semester) query.semester = req.query.semester;
-  const courses = await Course.find(query);
+    const courses = await Course.find(query);
+    const grades = await loadCourseGrades(req.user.supabaseId, courses);
+    // Progress is worked out afresh, as the teaching weeks elapsed move on without any change saved
+    const progressById = await loadCourseProgress(req.user.supabaseId, courses);
     
     // Set explicit content type
     res.setHeader('Content-Type', 'application/json');
     res.json({
       status: 'success',
-      data: courses
+      data: courses.map((course) => {
+        const { progress: value, ...progressDetail } = progressById.get(String(course._id));
+        return { ...course.toObject(), progress: value, progressDetail, grade: grades.get(String(course._id)) };
+      })
     });
   } catch (error) {
     logger.error('Error fetching courses', {
@@ -37,24 +99,73 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/courses/occurrences?from=YYYY-MM-DD&to=YYYY-MM-DD&courseId=
+ * Class meetings expanded into the classes held on those days (both included; a week from today
+ * by default), on the caller's clock and skipping reading weeks, exam weeks and breaks.
+ */
+router.get('/occurrences', catchAsync(async (req, res) => {
+  const timeZone = await timeZoneFor(req.user.supabaseId);
+  const from = req.query.from ? parseDay('from', req.query.from) : todayIn(timeZone);
+  const to = req.query.to
+    ? parseDay('to', req.query.to)
+    : new Date(from.getTime() + (DEFAULT_OCCURRENCE_DAYS - 1) * DAY_MS);
+  if (to < from) {
+    throw new AppError('to must not be before from', 400);
+  }
+  if ((to - from) / DAY_MS + 1 > MAX_OCCURRENCE_RANGE_DAYS) {
+    throw new AppError(`The range can cover at most ${MAX_OCCURRENCE_RANGE_DAYS} days`, 400);
+  }
+
+  let courseId = null;
+  if (req.query.courseId) {
+    courseId = (await findOwned(Course, req.query.courseId, req, 'Course'))._id;
+  }
+
+  const occurrences = await listOccurrences(req.user.supabaseId, {
+    from: formatDay(from),
+    to: formatDay(to),
+    timeZone,
+    courseId
+  });
+  res.json({ status: 'success', data: { from: formatDay(from), to: formatDay(to), timeZone, occurrences } });
+}));
+
+/**
+ * GET /api/courses/:id/grade?target=
+ * The weighted grade so far, what can still be achieved, the breakdown by grading component, and
+ * the score the final exam needs for each target grade (percentages; Kenyan grade boundaries by default).
+ */
+router.get('/:id/grade', catchAsync(async (req, res) => {
+  const targets = parseTargets(req.query.target);
+  const course = await findOwned(Course, req.params.id, req, 'Course');
+  res.json({ status: 'success', data: await getCourseGrade(course, { targets }) });
+}));
+
 // Create a new course
-router.post('/', async (req, res, next) => {
+router.post('/', validateCourseMeetings, validateGradingComponents, validateFinalGrade, async (req, res, next) => {
   try {
-    const { supabaseId, name, professor, credits, schedule } = req.body;
+    const { name, professor, credits, schedule, meetings, gradingComponents, finalGrade, semesterId } = req.body;
+    const { supabaseId } = req.user;
     
     logger.info('Creating new course', { supabaseId, name });
     
-    if (!supabaseId || !name) {
-      throw new AppError('User ID and course name are required', 400);
+    if (!name) {
+      throw new AppError('Course name is required', 400);
     }
     
+    const semester = await semesterForCourse(req, semesterId);
     const course = new Course({
       supabaseId,
       name,
       professor,
       credits,
+      meetings,
+      gradingComponents,
+      finalGrade: finalGrade ?? undefined,
       schedule,
-      progress: 0
+      progress: 0,
+      ...semesterFields(semester)
     });
     
     const savedCourse = await course.save();
@@ -68,7 +179,7 @@ router.post('/', async (req, res, next) => {
   } catch (error) {
     logger.error('Error creating course', {
       error: error.message,
-      supabaseId: req.body.supabaseId,
+      supabaseId: req.user.supabaseId,
       name: req.body.name,
       path: req.path
     });
@@ -77,20 +188,21 @@ router.post('/', async (req, res, next) => {
 });
 
 // Update a course
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', validateCourseMeetings, validateGradingComponents, validateFinalGrade, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, professor, credits, schedule, progress } = req.body;
-    
-    const updatedCourse = await Course.findByIdAndUpdate(
-      id,
-      { name, professor, credits, schedule, progress },
-      { new: true }
-    );
+    const { name, professor, credits, schedule, meetings, gradingComponents, finalGrade, semesterId } = req.body;
     
-    if (!updatedCourse) {
-      return res.status(404).json({ message: 'Course not found' });
+    // `progress` is derived (services/courseProgressService.js), not set by clients
+    const course = await findOwned(Course, id, req, 'Course');
+    const updates = { name, professor, credits, schedule, meetings, gradingComponents, finalGrade };
+    if (semesterId) {
+      Object.assign(updates, semesterFields(await findOwned(Semester, semesterId, req, 'Semester')));
     }
+    Object.entries(updates).forEach(([field, value]) => {
+      if (value !== undefined) course.set(field, value);
+    });
+    const updatedCourse = await course.save();
     
     res.json(updatedCourse);
   } catch (error) {
@@ -102,11 +214,8 @@ router.put('/:id', async (req, res, next) => {
 router.delete('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const deletedCourse = await Course.findByIdAndDelete(id);
-    
-    if (!deletedCourse) {
-      return res.status(404).json({ message: 'Course not found' });
-    }
+    const course = await findOwned(Course, id, req, 'Course');
+    await course.deleteOne();
     
     res.status(204).send();
   } catch (error) {
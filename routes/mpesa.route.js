@@ -0,0 +1,188 @@
+import express from 'express';
+import MpesaTransaction from '../models/mpesaTransaction.js';
+import { authenticate } from '../middleware/auth.js';
+import { validateMpesaPayment } from '../middleware/validation.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  callbackTokenMatches,
+  handleStkCallback,
+  initiateStkPayment,
+  findIdempotentPayment,
+  findBlockingPendingPayment
+} from '../services/mpesaService.js';
+import { quotePrice, normalizePromoCode, PromoCodeError } from '../services/pricingService.js';
+import { recordAudit } from '../services/auditLogService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const PHONE_REGEX = /^(?:254|\+254|0)?((?:7|1)[0-9]{8})$/;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+const resolveSupabaseId = (req) => {
+  const supabaseId = req.user?.supabaseId;
+  if (!supabaseId) {
+    throw new AppError('Unable to determine user id from auth', 401);
+  }
+  return supabaseId;
+};
+
+const initiationResponse = (transaction) => ({
+  success: true,
+  paymentId: transaction._id,
+  checkoutRequestId: transaction.checkoutRequestId,
+  amount: transaction.amount
+});
+
+// Replay what the original request returned for a repeated Idempotency-Key
+const replayInitiation = (existing, { phone, plan, promoCode }, res) => {
+  if (existing.phoneNumber !== phone || existing.plan !== plan
+    || (existing.promoCode || null) !== normalizePromoCode(promoCode)) {
+    throw new AppError('Idempotency-Key has already been used for a different payment', 422);
+  }
+
+  if (existing.checkoutRequestId) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.json(initiationResponse(existing));
+  }
+
+  if (existing.status === 'pending') {
+    throw new AppError('A request with this Idempotency-Key is still being processed', 409);
+  }
+
+  throw new AppError('Failed to initiate payment', 500);
+};
+
+/**
+ * POST /api/mpesa/stkpush
+ * Send an STK push prompt for the server-side quote of the plan (and optional promo code)
+ * to the customer's phone via the active payment provider.
+ * An optional Idempotency-Key header makes retries safe: repeating it replays the original
+ * response without sending another prompt.
+ */
+router.post('/stkpush', authenticate, validateMpesaPayment, catchAsync(async (req, res) => {
+  const { phone, amount, plan, promoCode } = req.body;
+  const supabaseId = resolveSupabaseId(req);
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (idempotencyKey !== undefined) {
+    if (!idempotencyKey.trim() || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      throw new AppError(`Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters`, 400);
+    }
+
+    const existing = await findIdempotentPayment(supabaseId, idempotencyKey);
+    if (existing) {
+      return replayInitiation(existing, req.body, res);
+    }
+  }
+
+  const pending = await findBlockingPendingPayment(supabaseId, plan);
+  if (pending?.status === 'completed') {
+    throw new AppError('Your last payment for this plan has gone through; check your subscription before paying again', 409);
+  }
+  if (pending) {
+    throw new AppError('A payment for this plan is already awaiting confirmation on your phone', 409);
+  }
+
+  let quote;
+  try {
+    quote = await quotePrice({ supabaseId, plan, promoCode });
+  } catch (error) {
+    if (error instanceof PromoCodeError) throw new AppError(error.message, 422);
+    throw error;
+  }
+
+  if (amount !== undefined && amount !== quote.amount) {
+    throw new AppError('The price for this plan has changed; request a new quote', 409);
+  }
+
+  try {
+    const transaction = await initiateStkPayment({ supabaseId, phone, quote, idempotencyKey });
+    await recordAudit(req, 'payment.initiate', {
+      details: { paymentId: String(transaction._id), plan, amount: quote.amount, promoCode: quote.promoCode || null }
+    });
+    res.json(initiationResponse(transaction));
+  } catch (error) {
+    if (error instanceof PromoCodeError) {
+      // Another payment took the code's last use since the quote
+      throw new AppError(error.message, 422);
+    }
+    if (error.code === 11000) {
+      // Lost a race with a concurrent request for the same key or plan
+      throw new AppError('A payment for this plan is already being processed', 409);
+    }
+    logger.error('M-Pesa API Error:', { error: error.response?.data || error.message });
+    await recordAudit(req, 'payment.initiate', { outcome: 'failure', details: { plan, amount: quote.amount } });
+    throw new AppError('Failed to initiate payment', 500);
+  }
+}));
+
+/**
+ * GET /api/mpesa/status?phone=PHONE&plan=PLAN
+ * Latest transaction for the authenticated user, phone and plan
+ */
+router.get('/status', authenticate, catchAsync(async (req, res) => {
+  const { phone, plan } = req.query;
+  const supabaseId = resolveSupabaseId(req);
+
+  if (!phone || !plan) {
+    throw new AppError('Phone and plan are required', 400);
+  }
+
+  // Validate phone number format (Kenyan format)
+  if (!PHONE_REGEX.test(phone)) {
+    throw new AppError('Invalid phone number format', 400);
+  }
+
+  const formattedPhone = phone.replace(/^(?:\+?254|0)/, '254');
+
+  const transaction = await MpesaTransaction.findOne({
+    supabaseId,
+    phoneNumber: formattedPhone,
+    plan
+  }).sort({ createdAt: -1 });
+
+  if (!transaction) {
+    throw new AppError('No transaction found', 404);
+  }
+
+  res.json({
+    success: true,
+    status: transaction.status,
+    paymentId: transaction._id,
+    transactionId: transaction.transactionId,
+    mpesaReceiptNumber: transaction.mpesaReceiptNumber,
+    resultDesc: transaction.resultDesc,
+    completedAt: transaction.completedAt
+  });
+}));
+
+// Callbacks must carry the token we put in the callback URL (see stkCallbackUrl)
+const verifyCallbackToken = (req, res, next) => {
+  if (!callbackTokenMatches(req.query.token)) {
+    logger.warn('M-Pesa callback refused: missing or wrong token', { ip: req.ip });
+    return res.status(403).json({ ResultCode: 1, ResultDesc: 'Forbidden' });
+  }
+  next();
+};
+
+/**
+ * POST /api/mpesa/callback?token=MPESA_CALLBACK_TOKEN
+ * Safaricom STK push result callback. Daraja retries until it gets a 200, so we always
+ * acknowledge once the payload has been processed (or safely ignored).
+ */
+router.post('/callback', verifyCallbackToken, async (req, res) => {
+  try {
+    const outcome = await handleStkCallback(req.body);
+    if (!outcome.handled) {
+      logger.warn('M-Pesa callback not applied', { reason: outcome.reason });
+    }
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (error) {
+    logger.error('Failed to process M-Pesa callback', { error: error.message });
+    // Signal failure so Safaricom redelivers; updates are idempotent.
+    res.status(500).json({ ResultCode: 1, ResultDesc: 'Processing error' });
+  }
+});
+
+export default router;
@@ -7,16 +7,27 @@ import User from '../models/user.js';
 import Course from '../models/course.js';
 import { authenticate } from '../middleware/auth.js';
 import { validateNote } from '../middleware/validation.js';
+import {
+    enforceOwnership,
+    matchAuthenticatedUser,
+    ownedBy,
+    findOwned
+} from '../middleware/ownership.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+// Every note route acts on the authenticated user's own notes
+router.use(authenticate, enforceOwnership);
+router.param('supabaseId', matchAuthenticatedUser);
+
 // Note routes
-router.post('/', authenticate, validateNote, catchAsync(async (req, res) => {
-    const { supabaseId, title, content, tags = [], course } = req.body;
+router.post('/', validateNote, catchAsync(async (req, res) => {
+    const { title, content, tags = [], course } = req.body;
+    const { supabaseId } = req.user;
 
-    if (!supabaseId || !content) {
-        throw new AppError('Missing required fields: supabaseId and content', 400);
+    if (!content) {
+        throw new AppError('Missing required field: content', 400);
     }
 
     // Validate if user exists
@@ -68,11 +79,7 @@ router.get('/:supabaseId', async (req, res, next) => {
     const { supabaseId } = req.params;
     logger.info('Fetching notes', { supabaseId, path: req.path });
     
-    if (!supabaseId) {
-      throw new AppError('Supabase ID is required', 400);
-    }
-    
-    const notes = await Note.find({ supabaseId });
+    const notes = await Note.find(ownedBy(req));
     
     res.setHeader('Content-Type', 'application/json');
     res.json({
@@ -89,20 +96,12 @@ router.get('/:supabaseId', async (req, res, next) => {
   }
 });
 
-router.put('/:id', authenticate, catchAsync(async (req, res) => {
+router.put('/:id', catchAsync(async (req, res) => {
     const { id } = req.params;
-    const updates = req.body;
+    // Ownership cannot be changed; a matching supabaseId in the body is simply ignored
+    const { supabaseId, user_id, ...updates } = req.body;
 
-    // Validate note exists
-    const note = await Note.findById(id);
-    if (!note) {
-        throw new AppError('Note not found', 404);
-    }
-
-    // Validate user owns the note
-    if (updates.supabaseId && updates.supabaseId !== note.supabaseId) {
-        throw new AppError('Unauthorized: Cannot change note ownership', 403);
-    }
+    const note = await findOwned(Note, id, req, 'Note');
 
     // Validate tags if provided
     if (updates.tags && !Array.isArray(updates.tags)) {
@@ -117,8 +116,8 @@ router.put('/:id', authenticate, catchAsync(async (req, res) => {
         }
     }
 
-    const updatedNote = await Note.findByIdAndUpdate(
-        id,
+    const updatedNote = await Note.findOneAndUpdate(
+        ownedBy(req, { _id: note._id }),
         { ...updates, updatedAt: new Date() },
         { new: true, runValidators: true }
     );
@@ -129,21 +128,10 @@ router.put('/:id', authenticate, catchAsync(async (req, res) => {
     });
 }));
 
-router.delete('/:id', authenticate, catchAsync(async (req, res) => {
-    const { id } = req.params;
-    const { supabaseId } = req.query;
-
-    if (!supabaseId) {
-        throw new AppError('Missing supabaseId', 400);
-    }
-
-    // Validate note exists and user owns it
-    const note = await Note.findOne({ _id: id, supabaseId });
-    if (!note) {
-        throw new AppError('Note not found or unauthorized', 404);
-    }
+router.delete('/:id', catchAsync(async (req, res) => {
+    const note = await findOwned(Note, req.params.id, req, 'Note');
 
-    await Note.findByIdAndDelete(id);
+    await note.deleteOne();
 
     res.status(200).json({
         status: 'success',
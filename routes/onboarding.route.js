@@ -3,9 +3,15 @@ import multer from 'multer';
 import axios from 'axios';
 import { recognizeBuffer } from '../lib/ocr.js';
 import { authenticate } from '../middleware/auth.js';
+import { trackImport } from '../middleware/usage.js';
+import { verifySupabaseToken } from '../services/supabaseAuth.js';
 import { env } from '../config/environment.js';
 import Course from '../models/course.js';
 import Assignment from '../models/assignment.js';
+import { ensureCurrentSemester } from '../services/semesterService.js';
+import { scheduleFields } from '../services/courseMeetingService.js';
+import { gradingComponentFields, importedGradeFields } from '../services/gradeService.js';
+import { refreshCourseProgress } from '../services/courseProgressService.js';
 import { logger } from '../utils/logger.js';
 import { saveDraft, getDraft, deleteDraft } from '../utils/draftStore.js';
 import rateLimit from 'express-rate-limit';
@@ -205,16 +211,6 @@ function parseFromOcrText(ocrText) {
 const storage = multer.memoryStorage();
 const upload = multer({ storage, limits: { fileSize: 12 * 1024 * 1024 } });
 
-// Helper: compute current semester string (e.g., "Fall 2025")
-function getCurrentSemester() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = now.getMonth() + 1;
-  if (month >= 1 && month <= 4) return `Spring ${year}`;
-  if (month >= 5 && month <= 8) return `Summer ${year}`;
-  return `Fall ${year}`;
-}
-
 // Per-route limiter: protect heavy AI/OCR endpoints from abuse
 const uploadLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -228,7 +224,7 @@ const maybeAuthenticate = async (req, res, next) => {
   const authHeader = req.header('Authorization');
   if (!authHeader) return next();
 
-  // If Authorization present, try to validate token with Supabase.
+  // If Authorization present, try to validate the Supabase token.
   const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.replace('Bearer ', '').trim() : null;
   if (!token) {
     // malformed header - treat as anonymous if allowed
@@ -237,35 +233,18 @@ const maybeAuthenticate = async (req, res, next) => {
   }
 
   try {
-    // If Supabase config missing, avoid making a network call to undefined host
-    if (!env.SUPABASE_PROJECT_ID || !env.SUPABASE_SERVICE_KEY) {
-      console.warn('Supabase config missing; skipping token verification');
-      if (env.allowAnonOnboarding) return next();
-      return res.status(500).json({ error: 'Server misconfiguration: SUPABASE_PROJECT_ID or SUPABASE_SERVICE_KEY missing' });
-    }
-    const resp = await axios.get(`https://${env.SUPABASE_PROJECT_ID}.supabase.co/auth/v1/user`, {
-      headers: { 'Authorization': `Bearer ${token}`, 'apikey': env.SUPABASE_SERVICE_KEY },
-      timeout: 5000
-    });
-    if (resp?.data) {
-      req.user = resp.data;
-      return next();
-    }
-    // If no data returned, fallthrough to anonymous if allowed
-    if (env.allowAnonOnboarding) return next();
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    req.user = await verifySupabaseToken(token);
+    return next();
   } catch (err) {
-    // If verification fails, don't let network/DNS errors throw a 500 - log and fallback.
-    const msg = err?.response?.status ? `Supabase responded ${err.response.status}` : err?.message || String(err);
-    console.warn('Token verification failed in onboarding route:', msg);
-    // If the error is network/DNS related, treat as verification failure (not fatal)
+    // If verification fails (bad token or Supabase unreachable), don't 500 - log and fall back.
+    console.warn('Token verification failed in onboarding route:', err?.reason || err?.message || String(err));
     if (env.allowAnonOnboarding) return next();
     // Otherwise, respond with 401 to indicate auth is required
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
 };
 
-router.post('/import', maybeAuthenticate, uploadLimiter, upload.single('file'), async (req, res) => {
+router.post('/import', maybeAuthenticate, uploadLimiter, trackImport('onboarding'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
 
@@ -314,7 +293,7 @@ router.post('/import', maybeAuthenticate, uploadLimiter, upload.single('file'),
 
       // Persist extracted data to DB for the authenticated user (if available and allowed)
       try {
-        const supabaseId = req.user?.id || req.user?.sub || req.user?.user?.id;
+        const supabaseId = req.user?.supabaseId;
 
         // If no supabaseId found (anonymous) and anon onboarding allowed, return extracted data
         if (!supabaseId) {
@@ -333,22 +312,25 @@ router.post('/import', maybeAuthenticate, uploadLimiter, upload.single('file'),
         }
 
         // Upsert courses (avoid duplicates). Prefer matching by code when available.
-        const semester = getCurrentSemester();
+        // Courses are filed under the student's current semester (see services/semesterService.js)
+        const semester = await ensureCurrentSemester(supabaseId);
         const savedCourses = [];
         for (const c of extracted.courses || []) {
           const name = (c.name || '').trim();
           const code = (c.code || '').trim() || null;
           if (!name && !code) continue;
-          const query = code ? { supabaseId, code, semester } : { supabaseId, name, semester };
+          const query = code ? { supabaseId, code, semesterId: semester._id } : { supabaseId, name, semesterId: semester._id };
           const update = {
             supabaseId,
             name: name || (code ? code : ''),
             code: code || undefined,
             professor: c.professor || null,
             credits: c.credits || null,
-            schedule: c.schedule ? JSON.stringify(c.schedule) : c.schedule || null,
+            ...scheduleFields(c.schedule),
+            ...gradingComponentFields(c.gradingComponents),
             progress: 0,
-            semester
+            semester: semester.name,
+            semesterId: semester._id
           };
           const saved = await Course.findOneAndUpdate(query, update, { upsert: true, new: true, setDefaultsOnInsert: true });
           savedCourses.push(saved);
@@ -367,13 +349,18 @@ router.post('/import', maybeAuthenticate, uploadLimiter, upload.single('file'),
           if (!a.title) continue;
           const due = a.dueDate ? new Date(a.dueDate) : null;
           let courseRef = null;
+          let matchedCourse = null;
           try {
             const possibleCode = (a.course || a.courseCode || '').toString().toUpperCase().replace(/\s+/g, '');
             if (possibleCode && courseByCode.has(possibleCode)) {
-              courseRef = courseByCode.get(possibleCode)._id.toString();
+              matchedCourse = courseByCode.get(possibleCode);
+              courseRef = matchedCourse._id.toString();
             } else if (a.course) {
               const nkey = a.course.toString().toLowerCase();
-              if (courseByName.has(nkey)) courseRef = courseByName.get(nkey)._id.toString();
+              if (courseByName.has(nkey)) {
+                matchedCourse = courseByName.get(nkey);
+                courseRef = matchedCourse._id.toString();
+              }
             }
           } catch (e) {
             // ignore
@@ -385,19 +372,33 @@ router.post('/import', maybeAuthenticate, uploadLimiter, upload.single('file'),
             course: courseRef || (a.course || a.courseCode) || null,
             dueDate: due,
             progress: 0,
-            notes: a.description || null
+            notes: a.description || null,
+            ...importedGradeFields(a, matchedCourse)
           });
           const savedA = await assignmentDoc.save();
           savedAssignments.push(savedA);
         }
 
+        await refreshCourseProgress(supabaseId);
+
         // Return both extracted and saved records
         res.json({ status: 'success', source: 'ocr-space', data: extracted, saved: { courses: savedCourses, assignments: savedAssignments } });
         return;
       } catch (saveErr) {
         logger?.warn('Failed to persist extracted onboarding data', { err: saveErr?.message || saveErr });
         // Still return extracted data but inform client persistence failed
-        res.json({ status: 'success', source: 'ocr-space', data: extracted, saved: { courses: [], assignments: [] }, warning: 'Failed to persist data' });
+        const response = { status: 'success', source: 'ocr-space', data: extracted, saved: { courses: [], assignments: [] }, warning: 'Failed to persist data' };
+        // Keep a draft the student can retry with through /finalize, recorded against them so
+        // an account deletion erases it
+        const supabaseId = req.user?.supabaseId;
+        if (supabaseId && env.REDIS_URL) {
+          const draftId = await saveDraft(extracted, { supabaseId }).catch((err) => {
+            logger?.warn('Failed to save onboarding draft', { err: err?.message || err });
+            return null;
+          });
+          if (draftId) response['draftId'] = draftId;
+        }
+        res.json(response);
         return;
       }
     } finally {
@@ -412,7 +413,7 @@ router.post('/import', maybeAuthenticate, uploadLimiter, upload.single('file'),
 // Finalize endpoint - accepts parsed JSON for persistence and requires authentication
 router.post('/finalize', authenticate, async (req, res) => {
   try {
-    const supabaseId = req.user?.id || req.user?.sub || req.user?.user?.id;
+    const supabaseId = req.user?.supabaseId;
     if (!supabaseId) return res.status(401).json({ error: 'Unauthorized' });
 
     // Support finalizing by passing a draftId (preferred) or by passing parsed JSON in body
@@ -428,7 +429,7 @@ router.post('/finalize', authenticate, async (req, res) => {
     }
 
     // Same persistence logic as import
-    const semester = getCurrentSemester();
+    const semester = await ensureCurrentSemester(supabaseId);
     const savedCourses = [];
     for (const c of extracted.courses || []) {
       const name = (c.name || '').trim();
@@ -438,11 +439,13 @@ router.post('/finalize', authenticate, async (req, res) => {
         name,
         professor: c.professor || null,
         credits: c.credits || null,
-        schedule: c.schedule ? JSON.stringify(c.schedule) : c.schedule || null,
+        ...scheduleFields(c.schedule),
+        ...gradingComponentFields(c.gradingComponents),
         progress: 0,
-        semester
+        semester: semester.name,
+        semesterId: semester._id
       };
-      const saved = await Course.findOneAndUpdate({ supabaseId, name, semester }, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+      const saved = await Course.findOneAndUpdate({ supabaseId, name, semesterId: semester._id }, update, { upsert: true, new: true, setDefaultsOnInsert: true });
       savedCourses.push(saved);
     }
 
@@ -460,13 +463,18 @@ router.post('/finalize', authenticate, async (req, res) => {
       const due = a.dueDate ? new Date(a.dueDate) : null;
       // resolve assignment course to saved course _id when possible
       let courseRef = null;
+      let matchedCourse = null;
       try {
         const possibleCode = (a.course || a.courseCode || '').toString().toUpperCase().replace(/\s+/g, '');
         if (possibleCode && courseByCode.has(possibleCode)) {
-          courseRef = courseByCode.get(possibleCode)._id.toString();
+          matchedCourse = courseByCode.get(possibleCode);
+          courseRef = matchedCourse._id.toString();
         } else if (a.course) {
           const nkey = a.course.toString().toLowerCase();
-          if (courseByName.has(nkey)) courseRef = courseByName.get(nkey)._id.toString();
+          if (courseByName.has(nkey)) {
+            matchedCourse = courseByName.get(nkey);
+            courseRef = matchedCourse._id.toString();
+          }
         }
       } catch (e) {
         // ignore resolution errors and leave courseRef null
@@ -478,12 +486,15 @@ router.post('/finalize', authenticate, async (req, res) => {
         course: courseRef || (a.course || a.courseCode) || null,
         dueDate: due,
         progress: 0,
-        notes: a.description || null
+        notes: a.description || null,
+        ...importedGradeFields(a, matchedCourse)
       });
       const savedA = await assignmentDoc.save();
       savedAssignments.push(savedA);
     }
 
+    await refreshCourseProgress(supabaseId);
+
     res.json({ status: 'success', saved: { courses: savedCourses, assignments: savedAssignments } });
   } catch (err) {
     logger?.error('Finalize onboarding error', { err: err?.message || err });
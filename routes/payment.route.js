@@ -0,0 +1,66 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import MpesaTransaction from '../models/mpesaTransaction.js';
+import { authenticate } from '../middleware/auth.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { validatePaymentQuote } from '../middleware/validation.js';
+import { buildReceipt } from '../services/receiptService.js';
+import { quotePrice, PromoCodeError } from '../services/pricingService.js';
+
+const router = express.Router();
+
+const resolveSupabaseId = (req) => {
+  const supabaseId = req.user?.supabaseId;
+  if (!supabaseId) {
+    throw new AppError('Unable to determine user id from auth', 401);
+  }
+  return supabaseId;
+};
+
+/**
+ * POST /api/payments/quote
+ * Final price for a plan, with an optional promo code applied. /api/mpesa/stkpush charges
+ * exactly this amount.
+ */
+router.post('/quote', authenticate, validatePaymentQuote, catchAsync(async (req, res) => {
+  const supabaseId = resolveSupabaseId(req);
+
+  try {
+    const quote = await quotePrice({ supabaseId, plan: req.body.plan, promoCode: req.body.promoCode });
+    res.json({ status: 'success', data: quote });
+  } catch (error) {
+    if (error instanceof PromoCodeError) {
+      throw new AppError(error.message, 422);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * GET /api/payments/:id/receipt
+ * Download the PDF receipt for one of the authenticated user's completed payments
+ */
+router.get('/:id/receipt', authenticate, catchAsync(async (req, res) => {
+  const supabaseId = resolveSupabaseId(req);
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new AppError('Payment not found', 404);
+  }
+
+  const transaction = await MpesaTransaction.findOne({ _id: req.params.id, supabaseId });
+  if (!transaction) {
+    throw new AppError('Payment not found', 404);
+  }
+
+  if (transaction.status !== 'completed') {
+    throw new AppError('Receipts are only available for completed payments', 409);
+  }
+
+  const { filename, pdf } = buildReceipt(transaction);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(pdf);
+}));
+
+export default router;
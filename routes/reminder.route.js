@@ -5,8 +5,11 @@ import ReminderAnalytics from '../models/reminderAnalytics.js';
 import PushSubscription from '../models/pushSubscription.js';
 import { logger } from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { authenticate } from '../middleware/auth.js';
+import { enforceOwnership, ownedBy, findOwned } from '../middleware/ownership.js';
 import { decrypt } from '../utils/encryption.js';
 import { logReminderInteraction } from '../services/reminderScheduler.js';
+import { recordAudit } from '../services/auditLogService.js';
 import { env } from '../config/environment.js';
 
 const router = express.Router();
@@ -35,23 +38,32 @@ const parseDate = (value, label) => {
   return parsed;
 };
 
+// Public: the browser needs the VAPID key before it can subscribe
+router.get('/config/webpush', (req, res) => {
+  res.json({
+    status: 'success',
+    data: {
+      vapidPublicKey: env.WEB_PUSH_VAPID_PUBLIC_KEY || null,
+      pushEnabled: Boolean(env.WEB_PUSH_VAPID_PUBLIC_KEY && env.WEB_PUSH_VAPID_PRIVATE_KEY)
+    }
+  });
+});
+
+// Everything else acts on the authenticated user's own reminders and devices
+router.use(authenticate, enforceOwnership);
+
 router.get('/', async (req, res, next) => {
   try {
-    const { supabaseId, windowStart, windowEnd, limit } = req.query;
-
-    if (!supabaseId) {
-      throw new AppError('supabaseId query parameter is required', 400);
-    }
+    const { windowStart, windowEnd, limit } = req.query;
 
     const parsedLimit = Math.min(parseInt(limit ?? '50', 10), MAX_REMINDER_LIMIT);
     const startDate = windowStart ? parseDate(windowStart, 'windowStart') : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     const endDate = windowEnd ? parseDate(windowEnd, 'windowEnd') : null;
 
-    const query = {
-      supabaseId,
+    const query = ownedBy(req, {
       status: { $in: ['scheduled', 'queued', 'sent', 'snoozed'] },
       scheduledFor: { $gte: startDate }
-    };
+    });
 
     if (endDate) {
       query.scheduledFor.$lte = endDate;
@@ -72,15 +84,11 @@ router.get('/', async (req, res, next) => {
 
 router.get('/history', async (req, res, next) => {
   try {
-    const { supabaseId, days = 30 } = req.query;
-    if (!supabaseId) {
-      throw new AppError('supabaseId query parameter is required', 400);
-    }
+    const { days = 30 } = req.query;
     const windowStart = new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000);
-    const reminders = await Reminder.find({
-      supabaseId,
+    const reminders = await Reminder.find(ownedBy(req, {
       scheduledFor: { $gte: windowStart }
-    }).sort({ scheduledFor: -1 }).limit(MAX_REMINDER_LIMIT);
+    })).sort({ scheduledFor: -1 }).limit(MAX_REMINDER_LIMIT);
 
     res.json({
       status: 'success',
@@ -105,6 +113,7 @@ router.post('/:reminderId/interactions', async (req, res, next) => {
       interactionMetadata.snoozedUntil = parseDate(interactionMetadata.snoozedUntil, 'snoozedUntil');
     }
 
+    await findOwned(Reminder, reminderId, req, 'Reminder');
     await logReminderInteraction({
       reminderId,
       action,
@@ -122,11 +131,7 @@ router.post('/:reminderId/interactions', async (req, res, next) => {
 
 router.post('/:reminderId/acknowledge', async (req, res, next) => {
   try {
-    const { reminderId } = req.params;
-    const reminder = await Reminder.findById(reminderId);
-    if (!reminder) {
-      throw new AppError('Reminder not found', 404);
-    }
+    const reminder = await findOwned(Reminder, req.params.reminderId, req, 'Reminder');
 
     const deliveredAt = new Date();
     reminder.status = 'sent';
@@ -142,10 +147,7 @@ router.post('/:reminderId/acknowledge', async (req, res, next) => {
 
 router.get('/preferences', async (req, res, next) => {
   try {
-    const { supabaseId } = req.query;
-    if (!supabaseId) {
-      throw new AppError('supabaseId query parameter is required', 400);
-    }
+    const { supabaseId } = req.user;
 
     let preference = await ReminderPreference.findOne({ supabaseId });
     if (!preference) {
@@ -160,11 +162,8 @@ router.get('/preferences', async (req, res, next) => {
 
 router.put('/preferences', async (req, res, next) => {
   try {
-    const { supabaseId, ...updates } = req.body ?? {};
-
-    if (!supabaseId) {
-      throw new AppError('supabaseId is required', 400);
-    }
+    const { supabaseId } = req.user;
+    const updates = req.body ?? {};
 
     const allowedFields = [
       'timezone',
@@ -191,6 +190,7 @@ router.put('/preferences', async (req, res, next) => {
       { $set: payload },
       { new: true, upsert: true, setDefaultsOnInsert: true }
     );
+    await recordAudit(req, 'preferences.update', { details: { area: 'reminders', fields: Object.keys(payload) } });
 
     res.json({ status: 'success', data: preference });
   } catch (error) {
@@ -200,12 +200,7 @@ router.put('/preferences', async (req, res, next) => {
 
 router.get('/analytics', async (req, res, next) => {
   try {
-    const { supabaseId } = req.query;
-    if (!supabaseId) {
-      throw new AppError('supabaseId query parameter is required', 400);
-    }
-
-    const analytics = await ReminderAnalytics.findOne({ supabaseId });
+    const analytics = await ReminderAnalytics.findOne(ownedBy(req));
     res.json({ status: 'success', data: analytics ?? null });
   } catch (error) {
     next(error);
@@ -214,10 +209,11 @@ router.get('/analytics', async (req, res, next) => {
 
 router.post('/subscriptions', async (req, res, next) => {
   try {
-    const { supabaseId, endpoint, keys } = req.body ?? {};
+    const { endpoint, keys } = req.body ?? {};
+    const { supabaseId } = req.user;
 
-    if (!supabaseId || !endpoint || !keys?.p256dh || !keys?.auth) {
-      throw new AppError('supabaseId, endpoint, and keys are required', 400);
+    if (!endpoint || !keys?.p256dh || !keys?.auth) {
+      throw new AppError('endpoint and keys are required', 400);
     }
 
     const subscription = await PushSubscription.findOneAndUpdate(
@@ -243,32 +239,17 @@ router.post('/subscriptions', async (req, res, next) => {
 
 router.delete('/subscriptions', async (req, res, next) => {
   try {
-    const { supabaseId, endpoint } = req.body ?? {};
+    const { endpoint } = req.body ?? {};
 
     if (!endpoint) {
       throw new AppError('endpoint is required to remove a subscription', 400);
     }
 
-    const query = { endpoint };
-    if (supabaseId) {
-      query.supabaseId = supabaseId;
-    }
-
-    await PushSubscription.deleteOne(query);
+    await PushSubscription.deleteOne(ownedBy(req, { endpoint }));
     res.status(204).send();
   } catch (error) {
     next(error);
   }
 });
 
-router.get('/config/webpush', (req, res) => {
-  res.json({
-    status: 'success',
-    data: {
-      vapidPublicKey: env.WEB_PUSH_VAPID_PUBLIC_KEY || null,
-      pushEnabled: Boolean(env.WEB_PUSH_VAPID_PUBLIC_KEY && env.WEB_PUSH_VAPID_PRIVATE_KEY)
-    }
-  });
-});
-
 export default router;
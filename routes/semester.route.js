@@ -0,0 +1,109 @@
+import express from 'express';
+import Semester from '../models/semester.js';
+import { authenticate } from '../middleware/auth.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { enforceOwnership, findOwned } from '../middleware/ownership.js';
+import { validateSemester } from '../middleware/validation.js';
+import {
+  SemesterError,
+  describeSemester,
+  listSemesters,
+  createSemester,
+  updateSemester,
+  deleteSemester,
+  resolveCurrentSemester,
+  semesterPosition,
+  semesterWeeks,
+  timeZoneFor,
+  todayIn
+} from '../services/semesterService.js';
+
+const router = express.Router();
+
+const SEMESTER_ERROR_STATUS = {
+  invalid: 400,
+  overlap: 409
+};
+
+// Service errors carry a reason; map it to the HTTP status
+const withSemesterErrors = async (work) => {
+  try {
+    return await work();
+  } catch (error) {
+    if (error instanceof SemesterError) {
+      throw new AppError(error.message, SEMESTER_ERROR_STATUS[error.reason] || 400);
+    }
+    throw error;
+  }
+};
+
+const callerToday = async (req) => todayIn(await timeZoneFor(req.user.supabaseId));
+
+router.use(authenticate, enforceOwnership);
+
+/**
+ * GET /api/semesters
+ * The caller's semesters, earliest first, each marked past, current or upcoming.
+ */
+router.get('/', catchAsync(async (req, res) => {
+  const [semesters, today] = await Promise.all([listSemesters(req.user.supabaseId), callerToday(req)]);
+  res.json({ status: 'success', data: semesters.map((semester) => describeSemester(semester, today)) });
+}));
+
+/**
+ * GET /api/semesters/current
+ * The semester in progress (between semesters, the next one) and where today falls in it.
+ * `data` is null when there is none.
+ */
+router.get('/current', catchAsync(async (req, res) => {
+  const timeZone = await timeZoneFor(req.user.supabaseId);
+  const semester = await resolveCurrentSemester(req.user.supabaseId, { timeZone });
+  if (!semester) {
+    return res.json({ status: 'success', data: null });
+  }
+
+  const today = todayIn(timeZone);
+  res.json({
+    status: 'success',
+    data: { ...describeSemester(semester, today), position: semesterPosition(semester, today) }
+  });
+}));
+
+/**
+ * GET /api/semesters/:id
+ * One semester with its week-by-week calendar.
+ */
+router.get('/:id', catchAsync(async (req, res) => {
+  const semester = await findOwned(Semester, req.params.id, req, 'Semester');
+  res.json({
+    status: 'success',
+    data: { ...describeSemester(semester, await callerToday(req)), weeks: semesterWeeks(semester) }
+  });
+}));
+
+/**
+ * POST /api/semesters
+ * Body: { name, startDate, endDate, teachingWeeks?, readingWeeks?, examWeeks?, breaks? }
+ */
+router.post('/', validateSemester(), catchAsync(async (req, res) => {
+  const semester = await withSemesterErrors(() => createSemester(req.user.supabaseId, req.body));
+  res.status(201).json({ status: 'success', data: describeSemester(semester, await callerToday(req)) });
+}));
+
+router.patch('/:id', validateSemester({ partial: true }), catchAsync(async (req, res) => {
+  const semester = await findOwned(Semester, req.params.id, req, 'Semester');
+  const updated = await withSemesterErrors(() => updateSemester(semester, req.body));
+  res.json({ status: 'success', data: describeSemester(updated, await callerToday(req)) });
+}));
+
+/**
+ * DELETE /api/semesters/:id
+ * Its courses are kept and unlinked.
+ */
+router.delete('/:id', catchAsync(async (req, res) => {
+  const semester = await findOwned(Semester, req.params.id, req, 'Semester');
+  await deleteSemester(semester);
+  res.status(204).send();
+}));
+
+export default router;
@@ -3,9 +3,15 @@ import multer from 'multer';
 import axios from 'axios';
 import { recognizeBuffer } from '../lib/ocr.js';
 import { authenticate } from '../middleware/auth.js';
+import { requireEntitlement } from '../middleware/entitlement.js';
+import { trackImport } from '../middleware/usage.js';
 import { env } from '../config/environment.js';
 import Course from '../models/course.js';
 import Assignment from '../models/assignment.js';
+import { ensureCurrentSemester } from '../services/semesterService.js';
+import { scheduleFields } from '../services/courseMeetingService.js';
+import { belongsToCourse, gradingComponentFields, importedGradeFields } from '../services/gradeService.js';
+import { refreshCourseProgress } from '../services/courseProgressService.js';
 import { logger } from '../utils/logger.js';
 import rateLimit from 'express-rate-limit';
 import { globalSemaphore } from '../utils/concurrency.js';
@@ -16,19 +22,10 @@ const router = express.Router();
 const storage = multer.memoryStorage();
 const upload = multer({ storage, limits: { fileSize: 10 * 1024 * 1024 } });
 
-// Compute current semester helper
-function getCurrentSemester(now = new Date()) {
-  const year = now.getFullYear();
-  const month = now.getMonth() + 1;
-  if (month >= 1 && month <= 4) return `Spring ${year}`;
-  if (month >= 5 && month <= 8) return `Summer ${year}`;
-  return `Fall ${year}`;
-}
-
 // Per-route limiter for syllabus imports
 const syllabusLimiter = rateLimit({ windowMs: 60 * 1000, max: 6, message: 'Too many uploads, please try later.' });
 
-router.post('/import', authenticate, syllabusLimiter, upload.single('file'), async (req, res) => {
+router.post('/import', authenticate, requireEntitlement('syllabus_import'), syllabusLimiter, trackImport('syllabus'), upload.single('file'), async (req, res) => {
   logger?.info('/api/syllabus/import called');
 
   if (!req.file) {
@@ -39,7 +36,7 @@ router.post('/import', authenticate, syllabusLimiter, upload.single('file'), asy
   // Acquire semaphore slot for heavy processing
   const release = await globalSemaphore.acquire();
   try {
-    const supabaseId = req.user?.id || req.user?.sub || req.user?.user?.id;
+    const supabaseId = req.user?.supabaseId;
     if (!supabaseId) throw new Error('Unable to determine user id from auth');
 
     // Base64 for embedding image in prompt
@@ -77,7 +74,7 @@ router.post('/import', authenticate, syllabusLimiter, upload.single('file'), asy
     }
 
     // Build prompt string
-    let prompt = `Analyze this document and extract academic information in the following JSON structure:\n\n{\n  "courses": [{\n    "name": "string",\n    "code": "string",\n    "professor": "string",\n    "schedule": {\n      "days": ["string"],\n      "time": "string",\n      "location": "string"\n    },\n    "credits": number,\n    "materials": ["string"]\n  }],\n  "assignments": [{\n    "title": "string",\n    "courseCode": "string",\n    "dueDate": "YYYY-MM-DD",\n    "type": "string",\n    "description": "string",\n    "weight": number\n  }],\n  "importantDates": [{\n    "event": "string",\n    "date": "YYYY-MM-DD",\n    "description": "string"\n  }]\n}\n\nExtract ALL relevant information. Use null for missing values. Format dates as YYYY-MM-DD.\n\n`;
+    let prompt = `Analyze this document and extract academic information in the following JSON structure:\n\n{\n  "courses": [{\n    "name": "string",\n    "code": "string",\n    "professor": "string",\n    "schedule": [{\n      "days": ["string"],\n      "time": "HH:MM-HH:MM",\n      "location": "string",\n      "type": "lecture | lab | tutorial | seminar"\n    }],\n    "gradingComponents": [{\n      "name": "string",\n      "type": "cat | assignment | quiz | lab | project | exam | other",\n      "weight": number\n    }],\n    "credits": number,\n    "materials": ["string"]\n  }],\n  "assignments": [{\n    "title": "string",\n    "courseCode": "string",\n    "dueDate": "YYYY-MM-DD",\n    "type": "cat | assignment | quiz | lab | project | exam | other",\n    "description": "string",\n    "weight": number\n  }],\n  "importantDates": [{\n    "event": "string",\n    "date": "YYYY-MM-DD",\n    "description": "string"\n  }]\n}\n\nExtract ALL relevant information. Use null for missing values. Format dates as YYYY-MM-DD.\n\n`;
 
     if (ocrText) {
       prompt += `OCR_EXTRACTED_TEXT:\n${ocrText}\n\n`;
@@ -134,7 +131,8 @@ router.post('/import', authenticate, syllabusLimiter, upload.single('file'), asy
 
   // Persist to DB
   try {
-      const semester = getCurrentSemester();
+      // Courses are filed under the student's current semester (see services/semesterService.js)
+      const semester = await ensureCurrentSemester(supabaseId);
 
       const savedCourses = [];
       for (const c of extractedData.courses) {
@@ -145,11 +143,13 @@ router.post('/import', authenticate, syllabusLimiter, upload.single('file'), asy
           name,
           professor: c.professor || null,
           credits: c.credits || null,
-          schedule: c.schedule ? JSON.stringify(c.schedule) : c.schedule || null,
+          ...scheduleFields(c.schedule),
+          ...gradingComponentFields(c.gradingComponents),
           progress: 0,
-          semester
+          semester: semester.name,
+          semesterId: semester._id
         };
-        const saved = await Course.findOneAndUpdate({ supabaseId, name, semester }, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+        const saved = await Course.findOneAndUpdate({ supabaseId, name, semesterId: semester._id }, update, { upsert: true, new: true, setDefaultsOnInsert: true });
         savedCourses.push(saved);
       }
 
@@ -157,18 +157,23 @@ router.post('/import', authenticate, syllabusLimiter, upload.single('file'), asy
       for (const a of extractedData.assignments) {
         if (!a.title) continue;
         const due = a.dueDate ? new Date(a.dueDate) : null;
+        const courseRef = a.course || a.courseCode || null;
+        const course = courseRef ? savedCourses.find((saved) => belongsToCourse({ course: courseRef }, saved)) : null;
         const assignmentDoc = new Assignment({
           supabaseId,
           title: a.title,
-          course: a.course || a.courseCode || null,
+          course: course ? String(course._id) : courseRef,
           dueDate: due,
           progress: 0,
-          notes: a.description || null
+          notes: a.description || null,
+          ...importedGradeFields(a, course)
         });
         const savedA = await assignmentDoc.save();
         savedAssignments.push(savedA);
       }
 
+      await refreshCourseProgress(supabaseId);
+
       return res.json({ status: 'success', source: 'groq-vision', data: extractedData, saved: { courses: savedCourses, assignments: savedAssignments } });
     } catch (saveErr) {
       logger?.warn('Failed to persist extracted syllabus data', { err: saveErr?.message || saveErr });
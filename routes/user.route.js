@@ -0,0 +1,325 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticate } from '../middleware/auth.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { validateProfileUpdate, validateAccessTokenRequest, validateDeviceUpdate } from '../middleware/validation.js';
+import { describeProfile, findProfile, getProfile, updateProfile } from '../services/userProfileService.js';
+import { findSubscription, getSubscription, describeSubscription } from '../services/subscriptionService.js';
+import {
+  AccountDeletionError,
+  describeAccountDeletion,
+  getAccountDeletion,
+  requestAccountDeletion,
+  confirmAccountDeletion,
+  cancelAccountDeletion
+} from '../services/accountDeletionService.js';
+import {
+  describeDataExport,
+  requestDataExport,
+  startDataExport,
+  listDataExports,
+  getDataExport,
+  findDownloadableExport
+} from '../services/dataExportService.js';
+import {
+  AccessTokenError,
+  describeAccessToken,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken
+} from '../services/personalAccessTokenService.js';
+import {
+  PushDeliveryError,
+  describeDevice,
+  listDevices,
+  getDevice,
+  renameDevice,
+  revokeDevice,
+  sendTestNotification
+} from '../services/pushDeviceService.js';
+import { recordAudit } from '../services/auditLogService.js';
+
+const router = express.Router();
+
+const resolveSupabaseId = (req) => {
+  const supabaseId = req.user?.supabaseId;
+  if (!supabaseId) {
+    throw new AppError('Unable to determine user id from auth', 401);
+  }
+  return supabaseId;
+};
+
+/**
+ * GET /api/users/me
+ * The caller's profile and settings, created on first use
+ */
+router.get('/me', authenticate, catchAsync(async (req, res) => {
+  // Impersonating staff must not count as the student signing in
+  const user = req.user.impersonator
+    ? await findProfile(resolveSupabaseId(req))
+    : await getProfile(resolveSupabaseId(req), { email: req.user.email });
+  res.json({ status: 'success', data: describeProfile(user) });
+}));
+
+/**
+ * PATCH /api/users/me
+ * Update any of name, timezone, locale, institution, programme, yearOfStudy, weeklyStudyHoursGoal,
+ * notificationChannels and smartRemindersOptIn. `null` clears any but the last two.
+ */
+router.patch('/me', authenticate, validateProfileUpdate, catchAsync(async (req, res) => {
+  const user = await updateProfile(resolveSupabaseId(req), req.body, { email: req.user.email });
+  await recordAudit(req, 'profile.update', { details: { fields: Object.keys(req.body) } });
+  res.json({ status: 'success', data: describeProfile(user) });
+}));
+
+/**
+ * GET /api/users/me/subscription
+ * Current plan, expiry and renewal state for the authenticated user
+ */
+router.get('/me/subscription', authenticate, catchAsync(async (req, res) => {
+  // Impersonating staff must not start the student's free trial
+  const subscription = req.user.impersonator
+    ? await findSubscription(resolveSupabaseId(req))
+    : await getSubscription(resolveSupabaseId(req));
+
+  res.json({
+    status: 'success',
+    data: describeSubscription(subscription)
+  });
+}));
+
+const DELETION_ERROR_STATUS = {
+  invalid_token: 400,
+  not_requested: 409,
+  already_deleted: 409
+};
+
+/**
+ * DELETE /api/users/me
+ * Two steps. Without a body it returns a short-lived `confirmationToken`; sending that token back
+ * (`{ confirmationToken, draftIds? }`) schedules the erase after the grace window.
+ */
+router.delete('/me', authenticate, catchAsync(async (req, res) => {
+  const supabaseId = resolveSupabaseId(req);
+  const { confirmationToken, draftIds } = req.body || {};
+
+  try {
+    if (!confirmationToken) {
+      const { deletion, confirmationToken: token } = await requestAccountDeletion(supabaseId);
+      await recordAudit(req, 'account_deletion.request');
+      return res.status(202).json({
+        status: 'success',
+        data: { ...describeAccountDeletion(deletion), confirmationToken: token }
+      });
+    }
+
+    const deletion = await confirmAccountDeletion(supabaseId, confirmationToken, {
+      draftIds,
+      email: req.user.email
+    });
+    await recordAudit(req, 'account_deletion.confirm', { details: { scheduledFor: deletion.scheduledFor } });
+    res.status(202).json({ status: 'success', data: describeAccountDeletion(deletion) });
+  } catch (error) {
+    if (error instanceof AccountDeletionError) {
+      if (confirmationToken) {
+        await recordAudit(req, 'account_deletion.confirm', { outcome: 'failure', details: { reason: error.reason } });
+      }
+      throw new AppError(error.message, DELETION_ERROR_STATUS[error.reason] || 400);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * GET /api/users/me/deletion
+ * State of the caller's account deletion request, if any
+ */
+router.get('/me/deletion', authenticate, catchAsync(async (req, res) => {
+  const deletion = await getAccountDeletion(resolveSupabaseId(req));
+  res.json({ status: 'success', data: describeAccountDeletion(deletion) });
+}));
+
+/**
+ * POST /api/users/me/deletion/cancel
+ * Cancel a deletion that has not been carried out yet
+ */
+router.post('/me/deletion/cancel', authenticate, catchAsync(async (req, res) => {
+  const deletion = await cancelAccountDeletion(resolveSupabaseId(req));
+  if (!deletion) {
+    throw new AppError('There is no pending account deletion to cancel', 409);
+  }
+  await recordAudit(req, 'account_deletion.cancel');
+  res.json({ status: 'success', data: describeAccountDeletion(deletion) });
+}));
+
+/**
+ * POST /api/users/me/tokens
+ * Create a personal access token (`{ name, scopes, expiresInDays? }`). The token itself is only
+ * in this response; store it somewhere safe.
+ */
+router.post('/me/tokens', authenticate, validateAccessTokenRequest, catchAsync(async (req, res) => {
+  try {
+    const { record, token } = await createAccessToken(resolveSupabaseId(req), req.body);
+    await recordAudit(req, 'token.create', {
+      details: { tokenId: String(record._id), name: record.name, scopes: record.scopes, expiresAt: record.expiresAt }
+    });
+    res.status(201).json({ status: 'success', data: { ...describeAccessToken(record), token } });
+  } catch (error) {
+    if (error instanceof AccessTokenError) {
+      throw new AppError(error.message, 409);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * GET /api/users/me/tokens
+ * The caller's tokens, newest first, without their secrets
+ */
+router.get('/me/tokens', authenticate, catchAsync(async (req, res) => {
+  const tokens = await listAccessTokens(resolveSupabaseId(req));
+  res.json({ status: 'success', data: tokens.map((record) => describeAccessToken(record)) });
+}));
+
+/**
+ * DELETE /api/users/me/tokens/:id
+ * Revoke a token; it stops working immediately
+ */
+router.delete('/me/tokens/:id', authenticate, catchAsync(async (req, res) => {
+  const record = mongoose.isValidObjectId(req.params.id)
+    ? await revokeAccessToken(resolveSupabaseId(req), req.params.id)
+    : null;
+  if (!record) {
+    throw new AppError('Token not found', 404);
+  }
+  await recordAudit(req, 'token.revoke', { details: { tokenId: String(record._id) } });
+  res.json({ status: 'success', data: describeAccessToken(record) });
+}));
+
+const DEVICE_ERROR_STATUS = {
+  not_configured: 503,
+  gone: 410,
+  failed: 502
+};
+
+const findDevice = async (req, find = getDevice) => {
+  const device = mongoose.isValidObjectId(req.params.id)
+    ? await find(resolveSupabaseId(req), req.params.id)
+    : null;
+  if (!device) {
+    throw new AppError('Device not found', 404);
+  }
+  return device;
+};
+
+/**
+ * GET /api/users/me/devices
+ * Browsers and phones subscribed to push notifications, newest first, with a name (set by the
+ * user or parsed from the user agent), last delivery time and failures since then
+ */
+router.get('/me/devices', authenticate, catchAsync(async (req, res) => {
+  const devices = await listDevices(resolveSupabaseId(req));
+  res.json({ status: 'success', data: devices.map((device) => describeDevice(device)) });
+}));
+
+/**
+ * PATCH /api/users/me/devices/:id
+ * Rename a device (`{ name }`); `null` goes back to the detected name
+ */
+router.patch('/me/devices/:id', authenticate, validateDeviceUpdate, catchAsync(async (req, res) => {
+  const device = await findDevice(req, (supabaseId, id) => renameDevice(supabaseId, id, req.body.name));
+  res.json({ status: 'success', data: describeDevice(device) });
+}));
+
+/**
+ * DELETE /api/users/me/devices/:id
+ * Stop sending notifications to a device
+ */
+router.delete('/me/devices/:id', authenticate, catchAsync(async (req, res) => {
+  const device = await findDevice(req, revokeDevice);
+  await recordAudit(req, 'device.revoke', { details: { deviceId: String(device._id), name: describeDevice(device).name } });
+  res.status(204).send();
+}));
+
+/**
+ * POST /api/users/me/devices/:id/test
+ * Send a test notification to one device
+ */
+router.post('/me/devices/:id/test', authenticate, catchAsync(async (req, res) => {
+  const device = await findDevice(req);
+  try {
+    await sendTestNotification(device);
+  } catch (error) {
+    if (error instanceof PushDeliveryError) {
+      throw new AppError(error.message, DEVICE_ERROR_STATUS[error.reason] || 502);
+    }
+    throw error;
+  }
+  const updated = await getDevice(resolveSupabaseId(req), device._id);
+  res.json({ status: 'success', data: describeDevice(updated || device) });
+}));
+
+/**
+ * POST /api/users/me/export
+ * Queue a ZIP of all the caller's data (JSON, plus CSV for tables). The archive is built in the
+ * background and the user is emailed when it is ready. Returns the export with its `downloadUrl`,
+ * which is given out only here (impersonating staff cannot POST) and works once the export is ready.
+ */
+router.post('/me/export', authenticate, catchAsync(async (req, res) => {
+  const { dataExport, created, downloadToken } = await requestDataExport(resolveSupabaseId(req), { email: req.user.email });
+  if (created) {
+    startDataExport(dataExport);
+  }
+  await recordAudit(req, 'data_export.request', { details: { exportId: String(dataExport._id), created } });
+  res.status(202).json({ status: 'success', data: describeDataExport(dataExport, { downloadToken }) });
+}));
+
+/**
+ * GET /api/users/me/export
+ * The caller's recent exports, newest first
+ */
+router.get('/me/export', authenticate, catchAsync(async (req, res) => {
+  const exports = await listDataExports(resolveSupabaseId(req));
+  res.json({ status: 'success', data: exports.map((dataExport) => describeDataExport(dataExport)) });
+}));
+
+/**
+ * GET /api/users/me/export/:id
+ * One export, without its download link (see POST /me/export)
+ */
+router.get('/me/export/:id', authenticate, catchAsync(async (req, res) => {
+  const dataExport = mongoose.isValidObjectId(req.params.id)
+    ? await getDataExport(resolveSupabaseId(req), req.params.id)
+    : null;
+  if (!dataExport) {
+    throw new AppError('Export not found', 404);
+  }
+  res.json({ status: 'success', data: describeDataExport(dataExport) });
+}));
+
+/**
+ * GET /api/users/me/export/:id/download?token=
+ * The archive. The token in the link authorizes the download, so it works from a plain browser
+ * navigation; links stop working after DATA_EXPORT_TTL_HOURS.
+ */
+router.get('/me/export/:id/download', catchAsync(async (req, res) => {
+  const dataExport = mongoose.isValidObjectId(req.params.id)
+    ? await findDownloadableExport(req.params.id, req.query.token)
+    : null;
+  if (!dataExport) {
+    throw new AppError('This download link is invalid or has expired', 404);
+  }
+  // The link is the credential here, so the owner is recorded as the actor
+  await recordAudit(req, 'data_export.download', {
+    actorId: dataExport.supabaseId,
+    authMethod: 'download_link',
+    details: { exportId: String(dataExport._id) }
+  });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${dataExport.fileName}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.send(dataExport.archive);
+}));
+
+export default router;
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// Print an access token from the local auth provider (AUTH_PROVIDER=local), for calling the API
+// during offline development: npm run auth:local-token -- [supabaseId] [email]
+import { env, isProduction } from '../config/environment.js';
+import { LocalAuthProvider } from '../services/auth/localProvider.js';
+
+if (isProduction) {
+  process.stderr.write('Local auth tokens cannot be issued in production.\n');
+  process.exit(1);
+}
+
+const [sub = 'local-dev-user', email = `${sub}@localhost`] = process.argv.slice(2);
+const provider = new LocalAuthProvider({ secret: env.LOCAL_AUTH_SECRET, ttlSeconds: 24 * 60 * 60 });
+const token = provider.issueToken({ sub, email });
+
+const output = `\nLocal access token for ${sub} (valid 24 hours)\n\n${token}\n\nUse it as: Authorization: Bearer <token>\n${env.AUTH_PROVIDER === 'local' ? '' : `\nNote: AUTH_PROVIDER is '${env.AUTH_PROVIDER}'; set AUTH_PROVIDER=local for the server to accept this token.\n`}\n`;
+
+process.stdout.write(output);
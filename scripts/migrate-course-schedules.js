@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+// Read the text timetables of existing courses into structured meetings. Safe to run again;
+// pass --dry-run to only count: npm run migrate:course-schedules -- [--dry-run]
+import mongoose from 'mongoose';
+import { env } from '../config/environment.js';
+import { migrateLegacySchedules } from '../services/courseMeetingService.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  await mongoose.connect(env.MONGODB_URI);
+  const { checked, migrated, unparsed } = await migrateLegacySchedules({ dryRun });
+  process.stdout.write(`\n${dryRun ? 'Dry run: ' : ''}${checked} course schedules checked, ${migrated} ${dryRun ? 'can be migrated' : 'migrated'} to meetings, ${unparsed} left as text.\n\n`);
+} catch (error) {
+  process.stderr.write(`Course schedule migration failed: ${error.message}\n`);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,305 @@
+import crypto from 'crypto';
+import cron from 'node-cron';
+import AccountDeletion from '../models/accountDeletion.js';
+import User from '../models/user.js';
+import Course from '../models/course.js';
+import Semester from '../models/semester.js';
+import Assignment from '../models/assignment.js';
+import Note from '../models/note.js';
+import Activity from '../models/activity.js';
+import Reminder from '../models/reminder.js';
+import ReminderPreference from '../models/reminderPreference.js';
+import ReminderAnalytics from '../models/reminderAnalytics.js';
+import PushSubscription from '../models/pushSubscription.js';
+import StudyPlan from '../models/studyPlan.js';
+import Subscription from '../models/subscription.js';
+import MpesaTransaction from '../models/mpesaTransaction.js';
+import DataExport from '../models/dataExport.js';
+import PersonalAccessToken from '../models/personalAccessToken.js';
+import AiUsage from '../models/aiUsage.js';
+import SyllabusImport from '../models/syllabusImport.js';
+import PromoRedemption from '../models/promoRedemption.js';
+import { maskPhoneNumber } from './receiptService.js';
+import { getAuthProvider } from './auth/index.js';
+import { recordAudit } from './auditLogService.js';
+import { deleteDraft, deleteUserDrafts } from '../utils/draftStore.js';
+import { sendEmail } from '../emailService.js';
+import { env } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DRAFT_KEY_PREFIX = 'onboard:draft:';
+const MAX_DRAFT_IDS = 20;
+
+// Collections holding nothing but the user's own data; every matching document is deleted.
+// The audit log is deliberately not among them: it is the record that the deletion happened.
+const ERASED_COLLECTIONS = {
+  users: User,
+  semesters: Semester,
+  courses: Course,
+  assignments: Assignment,
+  notes: Note,
+  activities: Activity,
+  reminders: Reminder,
+  reminderPreferences: ReminderPreference,
+  reminderAnalytics: ReminderAnalytics,
+  pushSubscriptions: PushSubscription,
+  studyPlans: StudyPlan,
+  subscriptions: Subscription,
+  dataExports: DataExport,
+  personalAccessTokens: PersonalAccessToken,
+  aiUsage: AiUsage,
+  syllabusImports: SyllabusImport,
+  promoRedemptions: PromoRedemption
+};
+
+export class AccountDeletionError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'AccountDeletionError';
+    this.reason = reason;
+  }
+}
+
+let running = false;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const tokenMatches = (token, expectedHash) => {
+  if (!token || !expectedHash) return false;
+  const actual = Buffer.from(hashToken(token), 'hex');
+  const expected = Buffer.from(expectedHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+export const describeAccountDeletion = (deletion) => {
+  if (!deletion) {
+    return { status: 'none' };
+  }
+  return {
+    status: deletion.status,
+    requestedAt: deletion.requestedAt || null,
+    confirmationExpiresAt: deletion.status === 'pending_confirmation' ? deletion.confirmationExpiresAt : null,
+    scheduledFor: deletion.status === 'scheduled' ? deletion.scheduledFor : null,
+    cancelledAt: deletion.cancelledAt || null,
+    completedAt: deletion.completedAt || null,
+    cancellable: ['pending_confirmation', 'scheduled'].includes(deletion.status)
+  };
+};
+
+export const getAccountDeletion = (supabaseId) => AccountDeletion.findOne({ supabaseId });
+
+/**
+ * First step: record the request and return a one-time confirmation token (only its hash is stored).
+ * Asking again replaces an unconfirmed token; an already scheduled deletion is returned unchanged.
+ */
+export const requestAccountDeletion = async (supabaseId, now = new Date()) => {
+  const existing = await AccountDeletion.findOne({ supabaseId });
+  if (existing?.status === 'completed') {
+    throw new AccountDeletionError('This account has already been deleted', 'already_deleted');
+  }
+  if (existing?.status === 'scheduled') {
+    return { deletion: existing, confirmationToken: null };
+  }
+
+  const confirmationToken = crypto.randomBytes(32).toString('hex');
+  const deletion = await AccountDeletion.findOneAndUpdate(
+    { supabaseId },
+    {
+      $set: {
+        status: 'pending_confirmation',
+        confirmationTokenHash: hashToken(confirmationToken),
+        confirmationExpiresAt: new Date(now.getTime() + env.ACCOUNT_DELETION_CONFIRM_MINUTES * 60 * 1000),
+        requestedAt: now
+      },
+      $unset: { confirmedAt: 1, scheduledFor: 1, cancelledAt: 1 }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return { deletion, confirmationToken };
+};
+
+// Anonymous onboarding drafts are known only to the client holding their ids, so those it sends
+// are discarded at confirmation; drafts saved for the signed-in user go at the erase. Only draft
+// keys are accepted.
+const discardDrafts = async (draftIds = []) => {
+  if (!env.REDIS_URL || !Array.isArray(draftIds)) return 0;
+
+  const keys = draftIds
+    .filter((id) => typeof id === 'string' && id.startsWith(DRAFT_KEY_PREFIX))
+    .slice(0, MAX_DRAFT_IDS);
+  for (const key of keys) {
+    await deleteDraft(key).catch((error) => {
+      logger.warn('Failed to discard onboarding draft', { error: error.message });
+    });
+  }
+  return keys.length;
+};
+
+const sendScheduledNotice = async (email, scheduledFor) => {
+  if (!email) return;
+  try {
+    await sendEmail({
+      to: email,
+      subject: 'Your SemesterStride account is scheduled for deletion',
+      text: `Hi,\n\nWe received a request to delete your SemesterStride account. Your courses, assignments, notes, reminders and study plans will be permanently erased on ${scheduledFor.toUTCString()}.\n\nChanged your mind? Sign in before then and cancel the deletion from your account settings: ${env.FRONTEND_URL}/settings\n\nSemesterStride`
+    });
+  } catch (error) {
+    logger.warn('Failed to email account deletion notice', { error: error.message });
+  }
+};
+
+/**
+ * Second step: check the token and schedule the erase ACCOUNT_DELETION_GRACE_DAYS from now.
+ */
+export const confirmAccountDeletion = async (supabaseId, confirmationToken, { draftIds, email } = {}, now = new Date()) => {
+  const deletion = await AccountDeletion.findOne({ supabaseId });
+  if (!deletion || deletion.status !== 'pending_confirmation') {
+    throw new AccountDeletionError('No account deletion is awaiting confirmation', 'not_requested');
+  }
+  if (deletion.confirmationExpiresAt <= now || !tokenMatches(confirmationToken, deletion.confirmationTokenHash)) {
+    throw new AccountDeletionError('Confirmation token is invalid or has expired', 'invalid_token');
+  }
+
+  const scheduledFor = new Date(now.getTime() + env.ACCOUNT_DELETION_GRACE_DAYS * DAY_MS);
+  const scheduled = await AccountDeletion.findOneAndUpdate(
+    // Matching on the token hash makes a concurrent confirm or re-request lose cleanly
+    { supabaseId, status: 'pending_confirmation', confirmationTokenHash: deletion.confirmationTokenHash },
+    {
+      $set: { status: 'scheduled', confirmedAt: now, scheduledFor },
+      $unset: { confirmationTokenHash: 1, confirmationExpiresAt: 1 }
+    },
+    { new: true }
+  );
+  if (!scheduled) {
+    throw new AccountDeletionError('Confirmation token is invalid or has expired', 'invalid_token');
+  }
+
+  await discardDrafts(draftIds);
+  await sendScheduledNotice(email, scheduledFor);
+  logger.info('Account deletion scheduled', { supabaseId, scheduledFor });
+  return scheduled;
+};
+
+/**
+ * Cancel a requested or scheduled deletion. Resolves to null when there is nothing left to cancel.
+ */
+export const cancelAccountDeletion = async (supabaseId, now = new Date()) => {
+  const cancelled = await AccountDeletion.findOneAndUpdate(
+    { supabaseId, status: { $in: ['pending_confirmation', 'scheduled'] } },
+    {
+      $set: { status: 'cancelled', cancelledAt: now },
+      $unset: { confirmationTokenHash: 1, confirmationExpiresAt: 1, scheduledFor: 1 }
+    },
+    { new: true }
+  );
+  if (cancelled) {
+    logger.info('Account deletion cancelled', { supabaseId });
+  }
+  return cancelled;
+};
+
+/**
+ * Payments are kept for accounting. They move to a random pseudonym shared by the user's payments,
+ * keep only a masked phone number and lose the raw Daraja payloads (which carry the phone number).
+ */
+export const anonymizePayments = async (supabaseId, now = new Date()) => {
+  const transactions = await MpesaTransaction.find({ supabaseId });
+  const pseudonym = `deleted-${crypto.randomBytes(8).toString('hex')}`;
+
+  for (const transaction of transactions) {
+    await MpesaTransaction.findOneAndUpdate(
+      { _id: transaction._id },
+      {
+        $set: {
+          supabaseId: pseudonym,
+          phoneNumber: maskPhoneNumber(transaction.phoneNumber),
+          anonymizedAt: now
+        },
+        $unset: { raw: 1, idempotencyKey: 1 }
+      }
+    );
+  }
+  return transactions.length;
+};
+
+/**
+ * Delete everything stored for the user and anonymize their payments. Resolves to per-collection counts.
+ */
+export const eraseUserData = async (supabaseId, now = new Date()) => {
+  const erased = {};
+  for (const [name, Model] of Object.entries(ERASED_COLLECTIONS)) {
+    const { deletedCount } = await Model.deleteMany({ supabaseId });
+    erased[name] = deletedCount || 0;
+  }
+  erased.paymentsAnonymized = await anonymizePayments(supabaseId, now);
+  erased.onboardingDrafts = env.REDIS_URL ? await deleteUserDrafts(supabaseId) : 0;
+  return erased;
+};
+
+const completeDeletion = async (deletion, now) => {
+  const { supabaseId } = deletion;
+  try {
+    const erased = await eraseUserData(supabaseId, now);
+    erased.authUser = await getAuthProvider().deleteUser(supabaseId);
+
+    await AccountDeletion.findOneAndUpdate(
+      { _id: deletion._id, status: 'scheduled' },
+      { $set: { status: 'completed', completedAt: now, erased }, $unset: { lastError: 1 } }
+    );
+    logger.info('Account deleted', { supabaseId, erased });
+    await recordAudit(null, 'account_deletion.complete', { subjectId: supabaseId, details: { erased } });
+    return 'completed';
+  } catch (error) {
+    // Left scheduled, so the next run retries; erasing is idempotent
+    await AccountDeletion.findOneAndUpdate({ _id: deletion._id }, { $set: { lastError: error.message } });
+    logger.error('Account deletion failed', { supabaseId, error: error.message });
+    return 'failed';
+  }
+};
+
+/**
+ * Erase every account whose grace window has ended.
+ */
+export const runScheduledDeletions = async (now = new Date()) => {
+  if (running) {
+    logger.info('Account deletion job already in progress, skipping run');
+    return null;
+  }
+
+  running = true;
+  const summary = {};
+  try {
+    const due = await AccountDeletion.find({ status: 'scheduled', scheduledFor: { $lte: now } });
+    for (const deletion of due) {
+      const outcome = await completeDeletion(deletion, now);
+      summary[outcome] = (summary[outcome] || 0) + 1;
+    }
+    return summary;
+  } finally {
+    running = false;
+  }
+};
+
+// Hourly; started by startServer (app.js)
+export const startAccountDeletionJob = () => cron.schedule('15 * * * *', async () => {
+  try {
+    await runScheduledDeletions();
+  } catch (error) {
+    logger.error('Account deletion job failed', { error: error.message });
+  }
+});
+
+export default {
+  AccountDeletionError,
+  describeAccountDeletion,
+  getAccountDeletion,
+  requestAccountDeletion,
+  confirmAccountDeletion,
+  cancelAccountDeletion,
+  anonymizePayments,
+  eraseUserData,
+  runScheduledDeletions,
+  startAccountDeletionJob
+};
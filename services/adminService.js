@@ -0,0 +1,70 @@
+import User from '../models/user.js';
+import Subscription from '../models/subscription.js';
+import { env } from '../config/environment.js';
+import { describeProfile } from './userProfileService.js';
+import { describeSubscription } from './subscriptionService.js';
+
+/**
+ * Admin console
+ *
+ * User lookups for support and admin staff. Reads only: nothing here starts a trial or records a
+ * sign-in the way the user's own endpoints do.
+ */
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 100;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The role as stored; ADMIN_USER_IDS always wins (see services/roleService.js)
+const storedRole = (user) => (env.ADMIN_USER_IDS.includes(user.supabaseId) ? 'admin' : user.role || 'student');
+
+export const describeUserSummary = (user) => ({
+  supabaseId: user.supabaseId,
+  name: user.name || null,
+  email: user.email || null,
+  role: storedRole(user),
+  lastLoginAt: user.lastLoginAt || null,
+  createdAt: user.createdAt || null
+});
+
+/**
+ * Users whose email or name contains `q` (case-insensitive), or whose id is exactly `q`.
+ */
+export const searchUsers = async ({ q, role, limit = DEFAULT_SEARCH_LIMIT } = {}) => {
+  const filter = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), 'i');
+    filter.$or = [{ email: pattern }, { name: pattern }, { supabaseId: q }];
+  }
+  if (role) {
+    // Users created before roles existed have none stored
+    filter.role = role === 'student' ? { $in: [null, 'student'] } : role;
+  }
+
+  const users = await User.find(filter).sort({ createdAt: -1 }).limit(limit);
+  return users.map(describeUserSummary);
+};
+
+/**
+ * Profile, role and subscription of one user, or null when there is no such user.
+ */
+export const getUserOverview = async (supabaseId, now = new Date()) => {
+  const user = await User.findOne({ supabaseId });
+  if (!user) return null;
+
+  const subscription = await Subscription.findOne({ supabaseId });
+  return {
+    profile: describeProfile(user),
+    role: storedRole(user),
+    subscription: describeSubscription(subscription, now)
+  };
+};
+
+export default {
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  describeUserSummary,
+  searchUsers,
+  getUserOverview
+};
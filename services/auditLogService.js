@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import AuditLog from '../models/auditLog.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Security audit log
+ *
+ * Append-only record of sign-ins, token changes, payments, exports, account deletion, settings
+ * changes and admin actions, each with the caller's IP, user agent and request id. Writing an
+ * entry never fails the request it describes; a failed write is logged instead.
+ */
+
+export const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'token.create',
+  'token.revoke',
+  'device.revoke',
+  'payment.initiate',
+  'data_export.request',
+  'data_export.download',
+  'account_deletion.request',
+  'account_deletion.confirm',
+  'account_deletion.cancel',
+  'account_deletion.complete',
+  'profile.update',
+  'preferences.update',
+  'admin.action',
+  'admin.impersonate',
+  'role.change'
+];
+export const DEFAULT_QUERY_LIMIT = 100;
+export const MAX_QUERY_LIMIT = 500;
+const MAX_USER_AGENT_LENGTH = 512;
+
+// auth.login is written once per session (or access token) per window, not on every request
+const LOGIN_RESOLUTION_MS = 12 * 60 * 60 * 1000;
+// Rejected tokens are written at most once a minute per IP and reason
+const FAILED_LOGIN_RESOLUTION_MS = 60 * 1000;
+const MAX_TRACKED_KEYS = 10000;
+const recentlyRecorded = new Map();
+
+// True when `key` was already recorded within `windowMs`; otherwise marks it as recorded now
+const seenRecently = (key, windowMs, now = Date.now()) => {
+  const last = recentlyRecorded.get(key);
+  if (last !== undefined && now - last < windowMs) return true;
+
+  recentlyRecorded.delete(key);
+  recentlyRecorded.set(key, now);
+  if (recentlyRecorded.size > MAX_TRACKED_KEYS) {
+    // Maps iterate in insertion order, so this drops the oldest key
+    recentlyRecorded.delete(recentlyRecorded.keys().next().value);
+  }
+  return false;
+};
+
+export const resetAuditThrottle = () => recentlyRecorded.clear();
+
+const requestContext = (req) => ({
+  ip: req.ip || req.socket?.remoteAddress || null,
+  userAgent: req.header('User-Agent')?.slice(0, MAX_USER_AGENT_LENGTH) || null,
+  requestId: req.id || null
+});
+
+/**
+ * Append an entry for `action`. `req` supplies the actor and request details; pass null from
+ * background jobs. Resolves to the entry, or null when it could not be written.
+ */
+export const recordAudit = async (req, action, { actorId, subjectId, authMethod, outcome = 'success', details } = {}) => {
+  if (!AUDIT_ACTIONS.includes(action)) {
+    logger.error('Unknown audit action', { action });
+    return null;
+  }
+  const actor = actorId !== undefined ? actorId : (req ? req.user?.supabaseId || null : 'system');
+
+  try {
+    return await AuditLog.create({
+      action,
+      actorId: actor,
+      subjectId: subjectId !== undefined ? subjectId : actor,
+      authMethod: authMethod || (req ? req.user?.authMethod || (req.user ? 'session' : null) : 'system'),
+      outcome,
+      ...(req ? requestContext(req) : {}),
+      details
+    });
+  } catch (error) {
+    logger.error('Failed to write audit log entry', { action, actorId: actor, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Record a sign-in seen by the `authenticate` middleware. A session counts once per
+ * LOGIN_RESOLUTION_MS, keyed by its Supabase session id (or the token itself when there is none).
+ */
+export const recordLogin = (req, token) => {
+  const user = req.user;
+  const sessionKey = user.tokenId
+    || user.session_id
+    || crypto.createHash('sha256').update(String(token)).digest('hex');
+  if (seenRecently(`login:${user.supabaseId}:${sessionKey}`, LOGIN_RESOLUTION_MS)) {
+    return Promise.resolve(null);
+  }
+
+  return recordAudit(req, 'auth.login', {
+    details: user.tokenId ? { tokenId: user.tokenId } : { sessionId: user.session_id || null }
+  });
+};
+
+export const recordFailedLogin = (req, reason) => {
+  if (seenRecently(`login_failed:${req.ip}:${reason}`, FAILED_LOGIN_RESOLUTION_MS)) {
+    return Promise.resolve(null);
+  }
+  return recordAudit(req, 'auth.login_failed', { actorId: null, outcome: 'failure', details: { reason } });
+};
+
+/**
+ * Entries matching the filters, newest first. Page with `before`: pass the previous page's
+ * `nextBefore` to continue.
+ */
+export const queryAuditLog = async ({ action, actorId, subjectId, outcome, from, to, before, limit = DEFAULT_QUERY_LIMIT } = {}) => {
+  const filter = {};
+  if (action) filter.action = action;
+  if (actorId) filter.actorId = actorId;
+  if (subjectId) filter.subjectId = subjectId;
+  if (outcome) filter.outcome = outcome;
+
+  const createdAt = {};
+  if (from) createdAt.$gte = from;
+  if (to) createdAt.$lte = to;
+  if (before) createdAt.$lt = before;
+  if (Object.keys(createdAt).length) filter.createdAt = createdAt;
+
+  const entries = await AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit).lean();
+  return {
+    entries,
+    nextBefore: entries.length === limit ? entries[entries.length - 1].createdAt : null
+  };
+};
+
+export const describeAuditEntry = (entry) => ({
+  id: String(entry._id),
+  action: entry.action,
+  actorId: entry.actorId ?? null,
+  subjectId: entry.subjectId ?? null,
+  authMethod: entry.authMethod || null,
+  outcome: entry.outcome,
+  ip: entry.ip || null,
+  userAgent: entry.userAgent || null,
+  requestId: entry.requestId || null,
+  details: entry.details || null,
+  createdAt: entry.createdAt
+});
+
+export default {
+  AUDIT_ACTIONS,
+  recordAudit,
+  recordLogin,
+  recordFailedLogin,
+  queryAuditLog,
+  describeAuditEntry
+};
@@ -0,0 +1,29 @@
+/**
+ * AuthProvider - contract for the identity providers used by middleware/auth.js
+ *
+ * `verifyAccessToken` resolves to the normalized user that becomes `req.user` (see
+ * normalizeSupabaseUser); it throws JwtError for tokens that are invalid and
+ * AuthUnavailableError when a token cannot be checked at all.
+ */
+export class AuthProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Verify a bearer token and return the user it belongs to.
+   * @returns {Promise<{ id: string, supabaseId: string, email: string|null, role: string|null }>}
+   */
+  async verifyAccessToken(token) {
+    throw new Error(`${this.name} auth provider does not implement verifyAccessToken`);
+  }
+
+  /**
+   * Remove the user's login (account deletion). Resolves to true when a login was removed.
+   */
+  async deleteUser(supabaseId) {
+    throw new Error(`${this.name} auth provider does not implement deleteUser`);
+  }
+}
+
+export default AuthProvider;
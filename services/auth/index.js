@@ -0,0 +1,32 @@
+import { env } from '../../config/environment.js';
+import { SupabaseAuthProvider } from './supabaseProvider.js';
+import { LocalAuthProvider } from './localProvider.js';
+
+export { AuthProvider } from './authProvider.js';
+export { SupabaseAuthProvider, LocalAuthProvider };
+
+let activeProvider = null;
+
+const createProvider = (name) => {
+  switch (name) {
+    case 'supabase':
+      return new SupabaseAuthProvider();
+    case 'local':
+      return new LocalAuthProvider({ secret: env.LOCAL_AUTH_SECRET });
+    default:
+      throw new Error(`Unknown AUTH_PROVIDER: ${name}`);
+  }
+};
+
+// Provider selected by AUTH_PROVIDER ('supabase', or 'local' for offline development and tests)
+export const getAuthProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProvider(env.AUTH_PROVIDER);
+  }
+  return activeProvider;
+};
+
+// Swap the active provider (tests switch between Supabase and local tokens)
+export const setAuthProvider = (provider) => {
+  activeProvider = provider;
+};
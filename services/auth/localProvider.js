@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import { AuthProvider } from './authProvider.js';
+import { normalizeSupabaseUser } from '../supabaseAuth.js';
+import { verifyJwt, signHs256, JwtError } from '../../utils/jwt.js';
+
+/**
+ * Offline stand-in for Supabase Auth. Issues and verifies HS256 tokens shaped like Supabase
+ * access tokens, signed with LOCAL_AUTH_SECRET, so the API runs and is tested without network
+ * access. Never available in production (see validateEnv).
+ */
+
+export const LOCAL_ISSUER = 'semesterstride-local';
+const AUDIENCE = 'authenticated';
+
+export class LocalAuthProvider extends AuthProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.secret HS256 signing secret
+   * @param {number} [options.ttlSeconds] lifetime of issued tokens
+   */
+  constructor({ secret, ttlSeconds = 60 * 60 } = {}) {
+    super('local');
+    if (!secret) {
+      throw new Error('The local auth provider needs LOCAL_AUTH_SECRET');
+    }
+    this.secret = secret;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  /**
+   * Issue a token for a made-up user. `sub` defaults to a random UUID.
+   * @param {{ sub?: string, email?: string, role?: string, ttlSeconds?: number, now?: number }} [claims]
+   */
+  issueToken({ sub = crypto.randomUUID(), email = null, role = 'authenticated', ttlSeconds = this.ttlSeconds, now = Date.now(), ...rest } = {}) {
+    const issuedAt = Math.floor(now / 1000);
+    return signHs256({
+      ...rest,
+      sub,
+      email,
+      role,
+      aud: AUDIENCE,
+      iss: LOCAL_ISSUER,
+      iat: issuedAt,
+      exp: issuedAt + ttlSeconds
+    }, this.secret);
+  }
+
+  async verifyAccessToken(token) {
+    const claims = await verifyJwt(token, (header) => (header.alg === 'HS256' ? this.secret : null), {
+      audience: AUDIENCE,
+      issuer: LOCAL_ISSUER
+    });
+    if (!claims.sub) {
+      throw new JwtError('Token has no subject', 'missing_subject');
+    }
+    return normalizeSupabaseUser(claims);
+  }
+
+  // Local users exist only as tokens; there is no login to remove
+  async deleteUser() {
+    return false;
+  }
+}
+
+export default LocalAuthProvider;
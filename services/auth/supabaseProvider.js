@@ -0,0 +1,19 @@
+import { AuthProvider } from './authProvider.js';
+import { verifySupabaseToken, deleteSupabaseUser } from '../supabaseAuth.js';
+
+// Supabase Auth: tokens are verified locally against the project secret or JWKS (see services/supabaseAuth.js)
+export class SupabaseAuthProvider extends AuthProvider {
+  constructor() {
+    super('supabase');
+  }
+
+  verifyAccessToken(token) {
+    return verifySupabaseToken(token);
+  }
+
+  deleteUser(supabaseId) {
+    return deleteSupabaseUser(supabaseId);
+  }
+}
+
+export default SupabaseAuthProvider;
@@ -0,0 +1,282 @@
+import Course from '../models/course.js';
+import Semester from '../models/semester.js';
+import { atTimeInTimeZone } from '../utils/timeZone.js';
+import { periodOn, semesterWeeks, toDay } from './semesterService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Course meetings
+ *
+ * A course's timetable is a list of weekly meetings (weekday, start and end time, venue, type and
+ * an optional range of teaching weeks). Occurrences are the concrete classes they expand to over a
+ * date range: only in teaching weeks of the course's semester, on the student's clock. Timetables
+ * that imports stored as text are read into meetings by parseSchedule.
+ */
+
+export const MEETING_TYPES = ['lecture', 'lab', 'tutorial', 'seminar', 'other'];
+export const MAX_OCCURRENCE_RANGE_DAYS = 183;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Indexed by weekday; matches "Mon", "Mondays", "Tues", "Thurs" and so on
+const WEEKDAY_PATTERNS = [
+  /\bsun(?:day)?s?\b/i,
+  /\bmon(?:day)?s?\b/i,
+  /\btue(?:s|sday)?s?\b/i,
+  /\bwed(?:s|nesday)?s?\b/i,
+  /\bthu(?:r|rs|rsday)?s?\b/i,
+  /\bfri(?:day)?s?\b/i,
+  /\bsat(?:urday)?s?\b/i
+];
+
+// "10:00-12:00", "10.30 to 12", "2-4pm", "11am – 1pm"
+const TIME_RANGE = /(?<!\d)(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*(?:-|–|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?(?!\d)/i;
+
+// "in Hall B", "@ LT2", or failing those a name such as "Room 12"
+const VENUE_AFTER = /(?:@|\b(?:in|at|venue:?)\s)\s*(.+)$/i;
+const VENUE_NAME = /\b((?:room|hall|lab|lecture theatre|lt)\s*[\w-]+.*)$/i;
+
+const TYPE_PATTERNS = [
+  ['lab', /\blab(?:oratory)?s?\b|\bpractical/i],
+  ['tutorial', /\btut(?:orial)?s?\b/i],
+  ['seminar', /\bseminars?\b/i],
+  ['lecture', /\blectures?\b/i]
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const to24Hour = (hour, meridiem) => {
+  if (!meridiem) return hour;
+  const base = hour % 12;
+  return meridiem.toLowerCase() === 'pm' ? base + 12 : base;
+};
+
+export const minutesOf = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+const parseTimeRange = (text) => {
+  const match = TIME_RANGE.exec(text);
+  if (!match) return null;
+
+  const [, startHour, startMinute = '00', startMeridiem, endHour, endMinute = '00', endMeridiem] = match;
+  let start = to24Hour(Number(startHour), startMeridiem);
+  const end = to24Hour(Number(endHour), endMeridiem);
+  // "2-4pm": the start shares the end's afternoon unless that would put it after the end
+  if (!startMeridiem && endMeridiem?.toLowerCase() === 'pm' && start < 12 && start + 12 <= end) {
+    start += 12;
+  }
+  if (start > 23 || end > 23 || Number(startMinute) > 59 || Number(endMinute) > 59) return null;
+
+  const startTime = `${pad(start)}:${startMinute}`;
+  const endTime = `${pad(end)}:${endMinute}`;
+  return minutesOf(endTime) > minutesOf(startTime) ? { startTime, endTime, match: match[0] } : null;
+};
+
+const weekdaysIn = (text) => WEEKDAY_PATTERNS
+  .map((pattern, weekday) => (pattern.test(text) ? weekday : null))
+  .filter((weekday) => weekday !== null);
+
+const typeIn = (text) => TYPE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || null;
+
+const cleanVenue = (value) => {
+  const venue = String(value || '').replace(/^[\s,;:()-]+|[\s,;:()-]+$/g, '').slice(0, 120);
+  return venue || undefined;
+};
+
+// One line of free text, e.g. "Mon/Wed 10:00-12:00 Lecture in Hall B"
+const parseLine = (line, { venue, type } = {}) => {
+  const days = weekdaysIn(line);
+  const times = parseTimeRange(line);
+  if (days.length === 0 || !times) return null;
+
+  const rest = line.replace(times.match, ' ');
+  const found = venue || (VENUE_AFTER.exec(rest) || VENUE_NAME.exec(rest))?.[1];
+  return days.map((weekday) => ({
+    type: type || typeIn(line) || 'lecture',
+    weekday,
+    startTime: times.startTime,
+    endTime: times.endTime,
+    venue: cleanVenue(found)
+  }));
+};
+
+// What the syllabus model returns: { days, time | times | startTime/endTime, location, type }
+const parseEntry = (entry) => {
+  const days = Array.isArray(entry.days) ? entry.days.join(' ') : String(entry.days || entry.day || '');
+  const time = entry.startTime && entry.endTime
+    ? `${entry.startTime}-${entry.endTime}`
+    : [].concat(entry.time || entry.times || [])[0] || '';
+  const type = MEETING_TYPES.includes(String(entry.type).toLowerCase()) ? String(entry.type).toLowerCase() : null;
+  return parseLine(`${days} ${time}`, { venue: entry.location || entry.venue || entry.room, type });
+};
+
+/**
+ * Read a timetable stored or extracted as text, JSON text, an object or a list of them into
+ * meetings. Parts that cannot be read are returned as `unparsed` text, so nothing is lost.
+ */
+export const parseSchedule = (value) => {
+  if (value === null || value === undefined || value === '') return { meetings: [], unparsed: null };
+
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      if (parsed && typeof parsed === 'object') return parseSchedule(parsed);
+    } catch {
+      // Plain text
+    }
+  }
+
+  const meetings = [];
+  const unparsed = [];
+  const entries = typeof value === 'string' ? value.split(/[;\n]+/) : [].concat(value);
+  for (const entry of entries) {
+    if (typeof entry === 'string' && !entry.trim()) continue;
+    const read = entry && typeof entry === 'object' ? parseEntry(entry) : parseLine(String(entry));
+    if (read) {
+      meetings.push(...read);
+    } else {
+      unparsed.push(typeof entry === 'string' ? entry.trim() : JSON.stringify(entry));
+    }
+  }
+  return { meetings, unparsed: unparsed.length > 0 ? unparsed.join('; ') : null };
+};
+
+// Course fields for an imported course's timetable: its meetings, plus any text left over
+export const scheduleFields = (schedule) => {
+  const { meetings, unparsed } = parseSchedule(schedule);
+  return { meetings, schedule: unparsed };
+};
+
+// "Mon 10:00-12:00 lecture, Hall B, weeks 1-6" for exports
+export const formatMeeting = (meeting) => {
+  const weeks = meeting.fromWeek || meeting.toWeek
+    ? `weeks ${meeting.fromWeek || 1}-${meeting.toWeek || '…'}`
+    : null;
+  return [`${WEEKDAY_NAMES[meeting.weekday]} ${meeting.startTime}-${meeting.endTime} ${meeting.type || 'lecture'}`, meeting.venue, weeks]
+    .filter(Boolean)
+    .join(', ');
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Whether classes run on `day` (not in a reading week, exam week or break) and its teaching week.
+// Courses without a semester meet every week.
+const teachingDay = (weeks, semester, day) => {
+  if (!semester) return { teaching: true, teachingWeek: null };
+  if (day < semester.startDate || day > semester.endDate || periodOn(semester, day)) return { teaching: false };
+  const index = Math.floor((day - semester.startDate) / (7 * DAY_MS));
+  return { teaching: true, teachingWeek: weeks.slice(0, index + 1).filter((week) => week.type === 'teaching').length };
+};
+
+const inWeekRange = (meeting, teachingWeek) => teachingWeek === null
+  || ((!meeting.fromWeek || teachingWeek >= meeting.fromWeek) && (!meeting.toWeek || teachingWeek <= meeting.toWeek));
+
+/**
+ * Expand courses' meetings into the classes held from `from` to `to` (calendar days, both
+ * included), earliest first. `semesters` maps semester id -> semester. Each occurrence lists the
+ * other occurrences it overlaps in `clashesWith`.
+ */
+export const expandOccurrences = (courses, semesters, { from, to, timeZone }) => {
+  const occurrences = [];
+  for (const course of courses) {
+    const semester = course.semesterId ? semesters.get(String(course.semesterId)) || null : null;
+    const weeks = semester ? semesterWeeks(semester) : [];
+
+    for (let day = from; day <= to; day = new Date(day.getTime() + DAY_MS)) {
+      const { teaching, teachingWeek } = teachingDay(weeks, semester, day);
+      if (!teaching) continue;
+
+      const date = formatDay(day);
+      for (const meeting of course.meetings || []) {
+        if (meeting.weekday !== day.getUTCDay() || !inWeekRange(meeting, teachingWeek)) continue;
+        occurrences.push({
+          courseId: String(course._id),
+          courseName: course.name,
+          courseCode: course.code || null,
+          meetingId: meeting._id ? String(meeting._id) : null,
+          type: meeting.type || 'lecture',
+          venue: meeting.venue || null,
+          date,
+          startTime: meeting.startTime,
+          endTime: meeting.endTime,
+          start: atTimeInTimeZone(date, meeting.startTime, timeZone),
+          end: atTimeInTimeZone(date, meeting.endTime, timeZone),
+          teachingWeek,
+          clashesWith: []
+        });
+      }
+    }
+  }
+
+  occurrences.sort((a, b) => a.start - b.start || a.courseName.localeCompare(b.courseName));
+  occurrences.forEach((occurrence, index) => {
+    for (const other of occurrences.slice(index + 1)) {
+      if (other.start >= occurrence.end) break;
+      occurrence.clashesWith.push({ courseId: other.courseId, meetingId: other.meetingId });
+      other.clashesWith.push({ courseId: occurrence.courseId, meetingId: occurrence.meetingId });
+    }
+  });
+  return occurrences;
+};
+
+// The caller's classes over a range of days, optionally for one course
+export const listOccurrences = async (supabaseId, { from, to, timeZone, courseId = null }) => {
+  const courses = (await Course.find({ supabaseId, ...(courseId ? { _id: courseId } : {}) }))
+    .filter((course) => (course.meetings || []).length > 0);
+  const semesterIds = [...new Set(courses.map((course) => course.semesterId).filter(Boolean).map(String))];
+  const semesters = semesterIds.length > 0
+    ? await Semester.find({ supabaseId, _id: { $in: semesterIds } })
+    : [];
+
+  return expandOccurrences(courses, new Map(semesters.map((semester) => [String(semester._id), semester])), {
+    from: toDay(from),
+    to: toDay(to),
+    timeZone
+  });
+};
+
+/**
+ * Read the text timetables of courses saved before meetings existed (run by
+ * scripts/migrate-course-schedules.js). Courses that already have meetings are left alone, and
+ * text that cannot be read stays in `schedule`. Safe to run again.
+ */
+export const migrateLegacySchedules = async ({ dryRun = false } = {}) => {
+  const summary = { checked: 0, migrated: 0, unparsed: 0 };
+  const courses = await Course.find({ schedule: { $ne: null } });
+
+  for (const course of courses) {
+    if (!course.schedule || (course.meetings || []).length > 0) continue;
+    summary.checked += 1;
+
+    const { meetings, unparsed } = parseSchedule(course.schedule);
+    if (meetings.length === 0) {
+      summary.unparsed += 1;
+      continue;
+    }
+
+    summary.migrated += 1;
+    if (!dryRun) {
+      course.set('meetings', meetings);
+      course.set('schedule', unparsed || undefined);
+      await course.save();
+    }
+  }
+
+  logger.info('Course schedule migration finished', { ...summary, dryRun });
+  return summary;
+};
+
+export default {
+  MEETING_TYPES,
+  MAX_OCCURRENCE_RANGE_DAYS,
+  minutesOf,
+  parseSchedule,
+  scheduleFields,
+  formatMeeting,
+  expandOccurrences,
+  listOccurrences,
+  migrateLegacySchedules
+};
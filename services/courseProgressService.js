@@ -0,0 +1,140 @@
+import Assignment from '../models/assignment.js';
+import Course from '../models/course.js';
+import Semester from '../models/semester.js';
+import { assignmentWeights, belongsToCourse } from './gradeService.js';
+import { semesterPosition, timeZoneFor, todayIn } from './semesterService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Course progress
+ *
+ * A course's progress (percent) is derived, not entered: it is the share of the course's
+ * assignment work done, each assignment weighted by its share of the grade (services/gradeService.js)
+ * and counting as done once scored. It is set against the share of the semester's teaching weeks
+ * elapsed, which stands in for progress while a course has no assignments. `Course.progress` keeps
+ * the latest figure and is refreshed whenever one of the course's assignments changes.
+ */
+
+// Points either side of the teaching weeks elapsed that still count as on track
+const PACE_MARGIN = 10;
+
+const round = (value) => (value === null ? null : Math.round(value));
+
+const assignmentDone = (assignment) => (typeof assignment.score === 'number'
+  ? 100
+  : Math.min(Math.max(assignment.progress || 0, 0), 100));
+
+/**
+ * Share of the course's assignment work done. Assignments without a weight take the mean weight
+ * of those with one, or all count equally when none has one. Null when the course has none.
+ */
+export const workDone = (course, assignments) => {
+  const own = assignments.filter((assignment) => belongsToCourse(assignment, course));
+  if (own.length === 0) return null;
+
+  const weights = assignmentWeights(course, own);
+  const known = [...weights.values()];
+  const fallback = known.length > 0 ? known.reduce((sum, weight) => sum + weight, 0) / known.length : 1;
+
+  let total = 0;
+  let done = 0;
+  for (const assignment of own) {
+    const weight = weights.get(String(assignment._id)) ?? fallback;
+    total += weight;
+    done += (weight * assignmentDone(assignment)) / 100;
+  }
+  return total > 0 ? (done / total) * 100 : null;
+};
+
+// Share of the semester's teaching weeks reached by `today`; null without a semester
+export const teachingWeeksElapsed = (semester, today) => {
+  if (!semester) return null;
+  if (today < semester.startDate) return 0;
+  if (today > semester.endDate) return 100;
+  const { teachingWeek, teachingWeeks } = semesterPosition(semester, today);
+  return teachingWeeks > 0 ? Math.min(teachingWeek / teachingWeeks, 1) * 100 : null;
+};
+
+/**
+ * The course's progress: `work` done and teaching weeks `elapsed` (percentages, null when
+ * unknown), and `pace` comparing the two. `progress` is the work done, else the weeks elapsed,
+ * else 0. `semester` is the course's semester, if it has one.
+ */
+export const computeCourseProgress = (course, assignments, semester, today) => {
+  const work = workDone(course, assignments);
+  const elapsed = teachingWeeksElapsed(semester, today);
+
+  let pace = null;
+  if (work !== null && elapsed !== null) {
+    pace = 'on_track';
+    if (work > elapsed + PACE_MARGIN) pace = 'ahead';
+    else if (work < elapsed - PACE_MARGIN) pace = 'behind';
+  }
+
+  return {
+    progress: round(work ?? elapsed ?? 0),
+    source: (work !== null && 'assignments') || (elapsed !== null && 'teaching_weeks') || null,
+    work: round(work),
+    elapsed: round(elapsed),
+    pace,
+    assignments: assignments.filter((assignment) => belongsToCourse(assignment, course)).length
+  };
+};
+
+const semestersOf = async (supabaseId, courses) => {
+  const semesterIds = [...new Set(courses.map((course) => course.semesterId).filter(Boolean).map(String))];
+  const semesters = semesterIds.length > 0
+    ? await Semester.find({ supabaseId, _id: { $in: semesterIds } })
+    : [];
+  return new Map(semesters.map((semester) => [String(semester._id), semester]));
+};
+
+// Progress of each of `courses` (the caller's), by course id, as of today on the student's clock
+export const loadCourseProgress = async (supabaseId, courses, { now = new Date() } = {}) => {
+  const [assignments, semesters, timeZone] = await Promise.all([
+    Assignment.find({ supabaseId }),
+    semestersOf(supabaseId, courses),
+    timeZoneFor(supabaseId)
+  ]);
+  const today = todayIn(timeZone, now);
+
+  return new Map(courses.map((course) => [
+    String(course._id),
+    computeCourseProgress(course, assignments, course.semesterId ? semesters.get(String(course.semesterId)) || null : null, today)
+  ]));
+};
+
+/**
+ * Store the derived progress on the courses `courseRefs` name (as assignments do: by id, code or
+ * name), or on all the student's courses. Called after assignments change; a failure is logged
+ * rather than failing the change, as the figure is worked out again when courses are listed.
+ */
+export const refreshCourseProgress = async (supabaseId, courseRefs = null) => {
+  try {
+    const refs = courseRefs ? courseRefs.filter(Boolean) : null;
+    if (refs && refs.length === 0) return;
+
+    const courses = (await Course.find({ supabaseId }))
+      .filter((course) => !refs || refs.some((ref) => belongsToCourse({ course: ref }, course)));
+    if (courses.length === 0) return;
+
+    const progress = await loadCourseProgress(supabaseId, courses);
+    for (const course of courses) {
+      const value = progress.get(String(course._id)).progress;
+      if (course.progress !== value) {
+        course.set('progress', value);
+        await course.save();
+      }
+    }
+  } catch (error) {
+    logger.warn('Failed to refresh course progress', { supabaseId, error: error.message });
+  }
+};
+
+export default {
+  workDone,
+  teachingWeeksElapsed,
+  computeCourseProgress,
+  loadCourseProgress,
+  refreshCourseProgress
+};
@@ -0,0 +1,369 @@
+import crypto from 'crypto';
+import cron from 'node-cron';
+import DataExport from '../models/dataExport.js';
+import User from '../models/user.js';
+import Subscription from '../models/subscription.js';
+import Course from '../models/course.js';
+import Semester from '../models/semester.js';
+import Assignment from '../models/assignment.js';
+import Note from '../models/note.js';
+import Activity from '../models/activity.js';
+import Reminder from '../models/reminder.js';
+import ReminderPreference from '../models/reminderPreference.js';
+import StudyPlan from '../models/studyPlan.js';
+import MpesaTransaction from '../models/mpesaTransaction.js';
+import { formatMeeting } from './courseMeetingService.js';
+import { createZip } from '../utils/zipArchive.js';
+import { toCsv } from '../utils/csv.js';
+import { decrypt } from '../utils/encryption.js';
+import { sendEmail } from '../emailService.js';
+import { env } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+
+// Archives are stored on the export document, which MongoDB caps at 16 MB
+const MAX_ARCHIVE_BYTES = 15 * 1024 * 1024;
+// An export still `processing` after this long was interrupted (e.g. by a restart) and is queued again
+const STALE_PROCESSING_MINUTES = 30;
+
+let running = false;
+
+// Plain JSON-friendly record: string `id` instead of `_id`, no version key
+const toRecord = (doc) => {
+  if (!doc) return null;
+  const { _id, __v, ...rest } = doc;
+  return { id: String(_id), ...rest };
+};
+
+const decryptMetadata = (reminder) => {
+  try {
+    return reminder.metadata ? decrypt(reminder.metadata) : null;
+  } catch (error) {
+    logger.warn('Failed to decrypt reminder metadata for export', { reminderId: String(reminder._id) });
+    return null;
+  }
+};
+
+const COURSE_COLUMNS = [
+  { header: 'Id', value: 'id' },
+  { header: 'Name', value: 'name' },
+  { header: 'Code', value: 'code' },
+  { header: 'Professor', value: 'professor' },
+  { header: 'Semester', value: 'semester' },
+  { header: 'Credits', value: 'credits' },
+  { header: 'Meetings', value: (row) => (row.meetings || []).map(formatMeeting).join('; ') },
+  { header: 'Schedule', value: 'schedule' },
+  { header: 'Grading', value: (row) => (row.gradingComponents || []).map((component) => `${component.name} ${component.weight}%`).join('; ') },
+  { header: 'Final grade', value: 'finalGrade' },
+  { header: 'Progress', value: 'progress' },
+  { header: 'Created at', value: 'createdAt' }
+];
+
+const ASSIGNMENT_COLUMNS = [
+  { header: 'Id', value: 'id' },
+  { header: 'Title', value: 'title' },
+  { header: 'Course', value: 'course' },
+  { header: 'Due date', value: 'dueDate' },
+  { header: 'Progress', value: 'progress' },
+  { header: 'Weight', value: 'weight' },
+  { header: 'Score', value: 'score' },
+  { header: 'Max score', value: 'maxScore' },
+  { header: 'Reminder', value: 'reminder' },
+  { header: 'Notes', value: 'notes' },
+  { header: 'Created at', value: 'createdAt' }
+];
+
+const ACTIVITY_COLUMNS = [
+  { header: 'Id', value: 'id' },
+  { header: 'Type', value: 'type' },
+  { header: 'Title', value: 'title' },
+  { header: 'Timestamp', value: 'timestamp' },
+  { header: 'Start', value: 'startTime' },
+  { header: 'End', value: 'endTime' },
+  { header: 'Details', value: (row) => (row.details ? JSON.stringify(row.details) : '') }
+];
+
+const REMINDER_COLUMNS = [
+  { header: 'Id', value: 'id' },
+  { header: 'Type', value: 'type' },
+  { header: 'Title', value: 'title' },
+  { header: 'Message', value: 'message' },
+  { header: 'Scheduled for', value: 'scheduledFor' },
+  { header: 'Status', value: 'status' },
+  { header: 'Sent at', value: 'sentAt' },
+  { header: 'Metadata', value: (row) => (row.metadata ? JSON.stringify(row.metadata) : '') }
+];
+
+const PAYMENT_COLUMNS = [
+  { header: 'Id', value: 'id' },
+  { header: 'Date', value: 'transactionDate' },
+  { header: 'Plan', value: 'plan' },
+  { header: 'Status', value: 'status' },
+  { header: 'Amount (KES)', value: 'amount' },
+  { header: 'List price (KES)', value: 'listPrice' },
+  { header: 'Discount (KES)', value: 'discount' },
+  { header: 'Promo code', value: 'promoCode' },
+  { header: 'M-Pesa receipt', value: 'mpesaReceiptNumber' },
+  { header: 'Phone', value: 'phoneNumber' },
+  { header: 'Completed at', value: 'completedAt' }
+];
+
+const README = (generatedAt, counts) => [
+  'SemesterStride data export',
+  `Generated ${generatedAt.toISOString()}`,
+  '',
+  'Every file is UTF-8. JSON files hold the complete records; CSV files hold the same',
+  'records as tables for spreadsheets.',
+  '',
+  ...Object.entries(counts).map(([name, count]) => `${name}: ${count}`),
+  ''
+].join('\r\n');
+
+const json = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+/**
+ * Gather everything stored for the user into ZIP entries. Resolves to `{ entries, counts }`.
+ */
+export const collectUserData = async (supabaseId, now = new Date()) => {
+  const [user, subscription, preferences, semesters, courses, assignments, notes, activities, reminders, studyPlans, payments] = await Promise.all([
+    User.findOne({ supabaseId }).lean(),
+    Subscription.findOne({ supabaseId }).lean(),
+    ReminderPreference.findOne({ supabaseId }).lean(),
+    Semester.find({ supabaseId }).sort({ startDate: 1 }).lean(),
+    Course.find({ supabaseId }).sort({ createdAt: 1 }).lean(),
+    Assignment.find({ supabaseId }).sort({ createdAt: 1 }).lean(),
+    Note.find({ supabaseId }).sort({ createdAt: 1 }).lean(),
+    Activity.find({ supabaseId }).sort({ timestamp: 1 }).lean(),
+    Reminder.find({ supabaseId }).sort({ scheduledFor: 1 }).lean(),
+    StudyPlan.find({ supabaseId }).sort({ generatedAt: 1 }).lean(),
+    MpesaTransaction.find({ supabaseId }).sort({ transactionDate: 1 }).lean()
+  ]);
+
+  const records = {
+    semesters: semesters.map(toRecord),
+    courses: courses.map(toRecord),
+    assignments: assignments.map(toRecord),
+    notes: notes.map(toRecord),
+    activities: activities.map(toRecord),
+    reminders: reminders.map((reminder) => ({ ...toRecord(reminder), metadata: decryptMetadata(reminder) })),
+    studyPlans: studyPlans.map(toRecord),
+    // Daraja payloads and idempotency keys are internal bookkeeping, not the user's data
+    payments: payments.map(({ raw, idempotencyKey, ...payment }) => toRecord(payment))
+  };
+  const counts = Object.fromEntries(Object.entries(records).map(([name, rows]) => [name, rows.length]));
+
+  const entries = [
+    { name: 'README.txt', content: README(now, counts) },
+    {
+      name: 'profile.json',
+      content: json({
+        supabaseId,
+        user: toRecord(user),
+        subscription: toRecord(subscription),
+        reminderPreferences: toRecord(preferences)
+      })
+    },
+    { name: 'semesters.json', content: json(records.semesters) },
+    { name: 'courses.json', content: json(records.courses) },
+    { name: 'courses.csv', content: toCsv(records.courses, COURSE_COLUMNS) },
+    { name: 'assignments.json', content: json(records.assignments) },
+    { name: 'assignments.csv', content: toCsv(records.assignments, ASSIGNMENT_COLUMNS) },
+    { name: 'notes.json', content: json(records.notes) },
+    { name: 'activities.json', content: json(records.activities) },
+    { name: 'activities.csv', content: toCsv(records.activities, ACTIVITY_COLUMNS) },
+    { name: 'reminders.json', content: json(records.reminders) },
+    { name: 'reminders.csv', content: toCsv(records.reminders, REMINDER_COLUMNS) },
+    { name: 'study-plans.json', content: json(records.studyPlans) },
+    { name: 'payments.json', content: json(records.payments) },
+    { name: 'payments.csv', content: toCsv(records.payments, PAYMENT_COLUMNS) }
+  ];
+
+  return { entries, counts };
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const tokenMatches = (token, expectedHash) => {
+  if (!token || !expectedHash) return false;
+  const actual = Buffer.from(hashToken(token), 'hex');
+  const expected = Buffer.from(expectedHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+export const downloadPathFor = (dataExport, downloadToken) => `/api/users/me/export/${dataExport._id}/download?token=${downloadToken}`;
+
+/**
+ * Only a hash of the download token is stored, so `downloadUrl` is set only when the caller has
+ * the token, i.e. in the response to the request that created the export.
+ */
+export const describeDataExport = (dataExport, { downloadToken, now = new Date() } = {}) => {
+  const expired = dataExport.status === 'ready' && !(dataExport.expiresAt > now);
+  return {
+    id: String(dataExport._id),
+    status: expired ? 'expired' : dataExport.status,
+    requestedAt: dataExport.requestedAt,
+    completedAt: dataExport.completedAt || null,
+    expiresAt: dataExport.status === 'ready' ? dataExport.expiresAt : null,
+    fileName: dataExport.fileName || null,
+    size: dataExport.size || null,
+    counts: dataExport.counts || null,
+    downloadUrl: downloadToken && !expired && dataExport.status !== 'failed' ? downloadPathFor(dataExport, downloadToken) : null,
+    error: dataExport.status === 'failed' ? 'The export could not be built. Please request a new one.' : null
+  };
+};
+
+const notifyExportReady = async (dataExport) => {
+  const email = dataExport.notifyEmail || (await User.findOne({ supabaseId: dataExport.supabaseId }))?.email;
+  if (!email) return;
+
+  try {
+    await sendEmail({
+      to: email,
+      subject: 'Your SemesterStride data export is ready',
+      text: `Hi,\n\nThe copy of your SemesterStride data you asked for is ready. Download it with the link you were given when you asked for it, before ${dataExport.expiresAt.toUTCString()}, after which the archive is deleted. Lost the link? Request a new export: ${env.FRONTEND_URL}/settings/data-export\n\nSemesterStride`
+    });
+    await DataExport.findOneAndUpdate({ _id: dataExport._id }, { $set: { notifiedAt: new Date() } });
+  } catch (error) {
+    logger.warn('Failed to email data export notice', { exportId: String(dataExport._id), error: error.message });
+  }
+};
+
+/**
+ * Build the archive for a queued export. Safe to call more than once: only the caller that moves
+ * the export from `queued` to `processing` does the work. Resolves to the finished export or null.
+ */
+export const processDataExport = async (exportId, now = new Date()) => {
+  const claimed = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'queued' },
+    { $set: { status: 'processing', startedAt: now } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const expiresAt = new Date(now.getTime() + env.DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000);
+  try {
+    const { entries, counts } = await collectUserData(claimed.supabaseId, now);
+    const archive = createZip(entries, { date: now });
+    if (archive.length > MAX_ARCHIVE_BYTES) {
+      throw new Error(`Archive is ${archive.length} bytes, over the ${MAX_ARCHIVE_BYTES} byte limit`);
+    }
+
+    const ready = await DataExport.findOneAndUpdate(
+      { _id: claimed._id },
+      {
+        $set: {
+          status: 'ready',
+          archive,
+          size: archive.length,
+          fileName: `semesterstride-export-${now.toISOString().slice(0, 10)}.zip`,
+          counts,
+          completedAt: new Date(),
+          expiresAt
+        }
+      },
+      { new: true }
+    );
+    logger.info('Data export ready', { exportId: String(claimed._id), size: archive.length });
+    await notifyExportReady(ready);
+    return ready;
+  } catch (error) {
+    logger.error('Data export failed', { exportId: String(claimed._id), error: error.message });
+    return DataExport.findOneAndUpdate(
+      { _id: claimed._id },
+      { $set: { status: 'failed', error: error.message, completedAt: new Date(), expiresAt } },
+      { new: true }
+    );
+  }
+};
+
+// Build the export off the request path; the cron job below picks it up if this is lost
+export const startDataExport = (dataExport) => {
+  setImmediate(() => {
+    processDataExport(dataExport._id).catch((error) => {
+      logger.error('Data export job crashed', { exportId: String(dataExport._id), error: error.message });
+    });
+  });
+};
+
+/**
+ * Queue an export for the user, with the token of its download link (`downloadToken`), which is
+ * not stored and cannot be had again. An export that is already queued or running is returned
+ * instead, without one.
+ */
+export const requestDataExport = async (supabaseId, { email } = {}, now = new Date()) => {
+  const inProgress = await DataExport.findOne({ supabaseId, status: { $in: ['queued', 'processing'] } });
+  if (inProgress) {
+    return { dataExport: inProgress, created: false, downloadToken: null };
+  }
+
+  const downloadToken = crypto.randomBytes(32).toString('hex');
+  const dataExport = await DataExport.create({
+    supabaseId,
+    status: 'queued',
+    requestedAt: now,
+    notifyEmail: email,
+    downloadTokenHash: hashToken(downloadToken)
+  });
+  return { dataExport, created: true, downloadToken };
+};
+
+export const listDataExports = (supabaseId) => DataExport.find({ supabaseId })
+  .sort({ requestedAt: -1 })
+  .limit(10);
+
+export const getDataExport = (supabaseId, exportId) => DataExport.findOne({ _id: exportId, supabaseId });
+
+/**
+ * Resolve a download link to its archive. Resolves to null when the id or token is wrong or the
+ * link has expired.
+ */
+export const findDownloadableExport = async (exportId, token, now = new Date()) => {
+  const dataExport = await DataExport.findOne({ _id: exportId, status: 'ready' }).select('+archive +downloadTokenHash');
+  if (!dataExport || dataExport.expiresAt <= now || !tokenMatches(token, dataExport.downloadTokenHash)) return null;
+  return dataExport;
+};
+
+/**
+ * Build queued exports whose request-time job was lost, and requeue ones interrupted mid-build.
+ */
+export const runQueuedExports = async (now = new Date()) => {
+  if (running) return null;
+
+  running = true;
+  try {
+    const staleBefore = new Date(now.getTime() - STALE_PROCESSING_MINUTES * 60 * 1000);
+    const stale = await DataExport.find({ status: 'processing', startedAt: { $lt: staleBefore } });
+    for (const dataExport of stale) {
+      await DataExport.findOneAndUpdate({ _id: dataExport._id, status: 'processing' }, { $set: { status: 'queued' } });
+    }
+
+    const queued = await DataExport.find({ status: 'queued' }).sort({ requestedAt: 1 }).limit(10);
+    for (const dataExport of queued) {
+      await processDataExport(dataExport._id, now);
+    }
+    return { requeued: stale.length, processed: queued.length };
+  } finally {
+    running = false;
+  }
+};
+
+// Every 5 minutes; started by startServer (app.js)
+export const startDataExportJob = () => cron.schedule('*/5 * * * *', async () => {
+  try {
+    await runQueuedExports();
+  } catch (error) {
+    logger.error('Data export job failed', { error: error.message });
+  }
+});
+
+export default {
+  collectUserData,
+  describeDataExport,
+  processDataExport,
+  startDataExport,
+  requestDataExport,
+  listDataExports,
+  getDataExport,
+  findDownloadableExport,
+  runQueuedExports,
+  startDataExportJob
+};
@@ -0,0 +1,292 @@
+import Course from '../models/course.js';
+import Semester from '../models/semester.js';
+import User from '../models/user.js';
+import Assignment from '../models/assignment.js';
+import { courseGradeSummary } from './gradeService.js';
+
+/**
+ * GPA and classification
+ *
+ * A course's final mark (percent) is its `finalGrade` when set, or its weighted grade once every
+ * grading component is marked. Marks map to bands on a grading scale: a GPA scale gives each band
+ * points, and a classification scale names the degree class a credit-weighted mean mark falls in.
+ * Courses still in progress count at their average so far towards the projection only. Courses
+ * without credits are left out, as they cannot be weighted.
+ */
+
+// Bands from the highest `min` down; a mark takes the first band it reaches
+export const GRADING_SCALES = {
+  kenya: {
+    name: 'Kenyan university letter grades',
+    kind: 'gpa',
+    bands: [
+      { label: 'A', min: 70, points: 4 },
+      { label: 'B', min: 60, points: 3 },
+      { label: 'C', min: 50, points: 2 },
+      { label: 'D', min: 40, points: 1 },
+      { label: 'E', min: 0, points: 0 }
+    ]
+  },
+  'us-4.0': {
+    name: '4.0 scale',
+    kind: 'gpa',
+    bands: [
+      { label: 'A', min: 93, points: 4 },
+      { label: 'A-', min: 90, points: 3.7 },
+      { label: 'B+', min: 87, points: 3.3 },
+      { label: 'B', min: 83, points: 3 },
+      { label: 'B-', min: 80, points: 2.7 },
+      { label: 'C+', min: 77, points: 2.3 },
+      { label: 'C', min: 73, points: 2 },
+      { label: 'C-', min: 70, points: 1.7 },
+      { label: 'D+', min: 67, points: 1.3 },
+      { label: 'D', min: 63, points: 1 },
+      { label: 'D-', min: 60, points: 0.7 },
+      { label: 'F', min: 0, points: 0 }
+    ]
+  },
+  classification: {
+    name: 'Honours degree classification',
+    kind: 'classification',
+    bands: [
+      { label: 'First Class Honours', min: 70 },
+      { label: 'Second Class Honours (Upper Division)', min: 60 },
+      { label: 'Second Class Honours (Lower Division)', min: 50 },
+      { label: 'Pass', min: 40 },
+      { label: 'Fail', min: 0 }
+    ]
+  }
+};
+
+export const DEFAULT_GPA_SCALE = 'kenya';
+export const DEFAULT_CLASSIFICATION_SCALE = 'classification';
+export const CUSTOM_SCALE = 'custom';
+
+export const presetIds = (kind) => Object.entries(GRADING_SCALES)
+  .filter(([, scale]) => scale.kind === kind)
+  .map(([id]) => id);
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const sortBands = (bands) => [...bands].sort((a, b) => b.min - a.min);
+
+export const bandFor = (scale, mark) => (mark === null ? null : scale.bands.find((band) => mark >= band.min) || null);
+
+/**
+ * The scale of `kind` to use: a preset named in the request, else the student's saved choice
+ * (a preset, or their own bands), else the default.
+ */
+export const resolveScale = (kind, saved = {}, requested = null) => {
+  const [field, bandsField, fallback] = kind === 'gpa'
+    ? ['gpa', 'gpaBands', DEFAULT_GPA_SCALE]
+    : ['classification', 'classificationBands', DEFAULT_CLASSIFICATION_SCALE];
+
+  const id = requested || saved[field] || fallback;
+  if (id === CUSTOM_SCALE && (saved[bandsField] || []).length > 0) {
+    return {
+      id,
+      name: 'Custom',
+      kind,
+      bands: sortBands(saved[bandsField].map(({ label, min, points }) => ({ label, min, ...(points != null ? { points } : {}) })))
+    };
+  }
+  const preset = GRADING_SCALES[id]?.kind === kind ? id : fallback;
+  return { id: preset, ...GRADING_SCALES[preset] };
+};
+
+export const describeScale = (scale) => ({ id: scale.id, name: scale.name, kind: scale.kind, bands: scale.bands });
+
+// A course's mark and whether it is final; `summary` is the course's grade (services/gradeService.js)
+const courseMark = (course, summary) => {
+  if (typeof course.finalGrade === 'number') return { status: 'complete', mark: course.finalGrade };
+  if (summary.totalWeight > 0 && summary.gradedWeight >= summary.totalWeight) {
+    return { status: 'complete', mark: summary.current };
+  }
+  if (summary.current !== null) return { status: 'in_progress', mark: summary.current };
+  return { status: 'ungraded', mark: null };
+};
+
+// Courses are grouped by semester; older courses only have the semester's name
+const semesterKey = (course) => {
+  if (course.semesterId) return String(course.semesterId);
+  return course.semester ? `name:${course.semester}` : null;
+};
+
+// Credit-weighted GPA and mean mark over `results`
+const aggregate = (results) => {
+  const credits = results.reduce((sum, result) => sum + result.credits, 0);
+  if (credits === 0) return { credits: 0, gpa: null, mean: null };
+  return {
+    credits,
+    gpa: round(results.reduce((sum, result) => sum + result.points * result.credits, 0) / credits),
+    mean: round(results.reduce((sum, result) => sum + result.mark * result.credits, 0) / credits)
+  };
+};
+
+/**
+ * The classification the student is on track for, counting courses in progress at their average
+ * so far, and the mean they would need over those courses for the next class up.
+ */
+const projectClassification = (complete, inProgress, gpaScale, classificationScale) => {
+  const counted = [...complete, ...inProgress];
+  const projected = aggregate(counted);
+  const onTrack = bandFor(classificationScale, projected.mean);
+
+  const next = onTrack
+    ? classificationScale.bands.filter((band) => band.min > onTrack.min).pop() || null
+    : null;
+  const inProgressCredits = inProgress.reduce((sum, result) => sum + result.credits, 0);
+  let nextClassification = null;
+  if (next) {
+    const completeMarks = complete.reduce((sum, result) => sum + result.mark * result.credits, 0);
+    const neededMean = inProgressCredits > 0
+      ? round((next.min * projected.credits - completeMarks) / inProgressCredits)
+      : null;
+    nextClassification = { label: next.label, min: next.min, neededMean, reachable: neededMean !== null && neededMean <= 100 };
+  }
+
+  return {
+    credits: projected.credits,
+    gpa: projected.gpa,
+    mean: projected.mean,
+    letter: bandFor(gpaScale, projected.mean)?.label || null,
+    classification: onTrack?.label || null,
+    nextClassification
+  };
+};
+
+const describeResult = (result) => ({
+  courseId: result.courseId,
+  name: result.name,
+  code: result.code,
+  credits: result.credits,
+  status: result.status,
+  mark: result.mark,
+  letter: result.letter,
+  points: result.points
+});
+
+/**
+ * Semester and cumulative GPA from the student's courses. `semesters` are the semester documents
+ * the courses link to; courses with only a semester name are grouped by it.
+ */
+export const computeGpa = (courses, semesters, assignments, { gpaScale, classificationScale }) => {
+  const results = courses.map((course) => {
+    const { status, mark } = courseMark(course, courseGradeSummary(course, assignments));
+    const band = bandFor(gpaScale, mark);
+    return {
+      courseId: String(course._id),
+      name: course.name,
+      code: course.code || null,
+      semesterKey: semesterKey(course),
+      credits: typeof course.credits === 'number' && course.credits > 0 ? course.credits : null,
+      status,
+      mark: round(mark),
+      letter: band?.label || null,
+      points: band?.points ?? null,
+      createdAt: course.createdAt
+    };
+  });
+
+  const counted = results.filter((result) => result.credits !== null && result.mark !== null);
+  const complete = counted.filter((result) => result.status === 'complete');
+  const inProgress = counted.filter((result) => result.status === 'in_progress');
+  const semesterById = new Map(semesters.map((semester) => [String(semester._id), semester]));
+
+  const groups = new Map();
+  for (const result of results) {
+    if (!groups.has(result.semesterKey)) groups.set(result.semesterKey, []);
+    groups.get(result.semesterKey).push(result);
+  }
+
+  // Earliest first: by the semester's start, else by when its first course was added
+  const sortTime = (key, members) => {
+    const semester = key ? semesterById.get(key) : null;
+    if (semester) return semester.startDate.getTime();
+    const added = members.map((result) => result.createdAt).filter(Boolean).map((date) => new Date(date).getTime());
+    return added.length > 0 ? Math.min(...added) : Infinity;
+  };
+
+  const semesterRows = [...groups.entries()]
+    .sort(([a, membersA], [b, membersB]) => sortTime(a, membersA) - sortTime(b, membersB))
+    .map(([key, members]) => {
+      const semester = key ? semesterById.get(key) : null;
+      const totals = aggregate(members.filter((result) => complete.includes(result)));
+      return {
+        semesterId: semester ? String(semester._id) : null,
+        name: semester?.name || (key?.startsWith('name:') ? key.slice(5) : null),
+        ...totals,
+        classification: bandFor(classificationScale, totals.mean)?.label || null,
+        courses: members.map(describeResult)
+      };
+    });
+
+  const cumulative = aggregate(complete);
+  return {
+    scale: describeScale(gpaScale),
+    classificationScale: describeScale(classificationScale),
+    semesters: semesterRows,
+    cumulative: {
+      ...cumulative,
+      letter: bandFor(gpaScale, cumulative.mean)?.label || null,
+      classification: bandFor(classificationScale, cumulative.mean)?.label || null
+    },
+    projection: projectClassification(complete, inProgress, gpaScale, classificationScale),
+    excluded: results
+      .filter((result) => result.credits === null && result.mark !== null)
+      .map((result) => ({ courseId: result.courseId, name: result.name, reason: 'no_credits' }))
+  };
+};
+
+// `scale` / `classificationScale` name presets for this request instead of the saved choice
+export const getGpaReport = async (supabaseId, { scale = null, classificationScale = null } = {}) => {
+  const [user, courses, assignments] = await Promise.all([
+    User.findOne({ supabaseId }).select('gradingScale').lean(),
+    Course.find({ supabaseId }),
+    Assignment.find({ supabaseId })
+  ]);
+  const semesterIds = [...new Set(courses.map((course) => course.semesterId).filter(Boolean).map(String))];
+  const semesters = semesterIds.length > 0 ? await Semester.find({ supabaseId, _id: { $in: semesterIds } }) : [];
+  const saved = user?.gradingScale || {};
+
+  return computeGpa(courses, semesters, assignments, {
+    gpaScale: resolveScale('gpa', saved, scale),
+    classificationScale: resolveScale('classification', saved, classificationScale)
+  });
+};
+
+// Save the student's scales; fields are checked by validateGradingScale
+export const saveGradingScale = async (supabaseId, fields) => {
+  const set = {};
+  for (const [kind, bandsField] of [['gpa', 'gpaBands'], ['classification', 'classificationBands']]) {
+    if (fields[kind] === undefined) continue;
+    if (Array.isArray(fields[kind])) {
+      set[`gradingScale.${kind}`] = CUSTOM_SCALE;
+      set[`gradingScale.${bandsField}`] = fields[kind];
+    } else {
+      set[`gradingScale.${kind}`] = fields[kind];
+      set[`gradingScale.${bandsField}`] = [];
+    }
+  }
+
+  const user = await User.findOneAndUpdate(
+    { supabaseId },
+    { $set: set, $setOnInsert: { supabaseId } },
+    { upsert: true, new: true }
+  );
+  return user.gradingScale;
+};
+
+export default {
+  GRADING_SCALES,
+  DEFAULT_GPA_SCALE,
+  DEFAULT_CLASSIFICATION_SCALE,
+  CUSTOM_SCALE,
+  presetIds,
+  bandFor,
+  resolveScale,
+  describeScale,
+  computeGpa,
+  getGpaReport,
+  saveGradingScale
+};
@@ -0,0 +1,248 @@
+import mongoose from 'mongoose';
+import Assignment from '../models/assignment.js';
+import Course from '../models/course.js';
+
+/**
+ * Course grades
+ *
+ * A course's grading components (CATs, assignments, exams…) carry weights: percentages of the
+ * final grade that should add up to 100. Assignments count towards a component; within it, an
+ * assignment with its own `weight` takes that share and the others split what is left equally.
+ * Assignments with a weight but no component count on their own, as syllabus imports record them.
+ * A score is out of `maxScore` (100 when unset). All figures are percentages of the final grade.
+ */
+
+export const COMPONENT_TYPES = ['cat', 'assignment', 'quiz', 'lab', 'project', 'exam', 'other'];
+// Kenyan university grade boundaries: D (pass), C, B and A
+export const DEFAULT_GRADE_TARGETS = [40, 50, 60, 70];
+
+export class GradeError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'GradeError';
+    this.reason = reason;
+  }
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const normalizeRef = (value) => String(value || '').toUpperCase().replace(/\s+/g, '');
+
+// Assignments name their course by id, or (from imports) by code or name
+export const belongsToCourse = (assignment, course) => {
+  const ref = normalizeRef(assignment.course);
+  return Boolean(ref) && [course._id, course.code, course.name].some((value) => value && normalizeRef(value) === ref);
+};
+
+const isGraded = (assignment) => typeof assignment.score === 'number';
+
+const scoreFraction = (assignment) => assignment.score / (assignment.maxScore || 100);
+
+/**
+ * The weighted items of a course: each assignment with the weight it carries, plus the
+ * ungraded remainder of components that have no assignments (or not enough) yet.
+ */
+const gradeItems = (course, assignments) => {
+  const items = [];
+  const components = course.gradingComponents || [];
+  const componentIds = new Set(components.map((component) => String(component._id)));
+
+  for (const component of components) {
+    const linked = assignments.filter((assignment) => String(assignment.componentId) === String(component._id));
+    const fixed = linked.filter((assignment) => typeof assignment.weight === 'number');
+    const shared = linked.filter((assignment) => typeof assignment.weight !== 'number');
+    const left = Math.max(component.weight - fixed.reduce((sum, assignment) => sum + assignment.weight, 0), 0);
+
+    fixed.forEach((assignment) => items.push({ component, assignment, weight: assignment.weight }));
+    shared.forEach((assignment) => items.push({ component, assignment, weight: left / shared.length }));
+    if (shared.length === 0 && left > 0) {
+      // Weight no assignment accounts for yet: still to be graded
+      items.push({ component, assignment: null, weight: left });
+    }
+  }
+
+  assignments
+    .filter((assignment) => typeof assignment.weight === 'number'
+      && !(assignment.componentId && componentIds.has(String(assignment.componentId))))
+    .forEach((assignment) => items.push({ component: null, assignment, weight: assignment.weight }));
+
+  return items;
+};
+
+const summarize = (items) => {
+  const graded = items.filter((item) => item.assignment && isGraded(item.assignment));
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+  const gradedWeight = graded.reduce((sum, item) => sum + item.weight, 0);
+  const earned = graded.reduce((sum, item) => sum + item.weight * scoreFraction(item.assignment), 0);
+  return {
+    totalWeight,
+    gradedWeight,
+    earned,
+    current: gradedWeight > 0 ? (earned / gradedWeight) * 100 : null,
+    achievable: earned + (totalWeight - gradedWeight)
+  };
+};
+
+const roundSummary = ({ totalWeight, gradedWeight, earned, current, achievable }) => ({
+  totalWeight: round(totalWeight),
+  gradedWeight: round(gradedWeight),
+  earned: round(earned),
+  current: round(current),
+  achievable: round(achievable)
+});
+
+// The final exam: the heaviest exam component
+const finalComponent = (course) => (course.gradingComponents || [])
+  .filter((component) => component.type === 'exam')
+  .reduce((heaviest, component) => (!heaviest || component.weight >= heaviest.weight ? component : heaviest), null);
+
+/**
+ * What the student needs on the rest of the final to finish on each target, assuming the other
+ * ungraded work goes as their graded work has so far. `score` is a percentage of the final's
+ * remaining weight; it is null before anything is graded.
+ */
+const finalNeeds = (items, summary, final, targets) => {
+  const remaining = items.filter((item) => !(item.assignment && isGraded(item.assignment)));
+  const finalWeight = remaining.filter((item) => item.component === final).reduce((sum, item) => sum + item.weight, 0);
+  if (finalWeight === 0) return null;
+
+  const otherWeight = remaining.filter((item) => item.component !== final).reduce((sum, item) => sum + item.weight, 0);
+  const expected = summary.current === null ? null : summary.earned + otherWeight * (summary.current / 100);
+
+  return {
+    componentId: String(final._id),
+    name: final.name,
+    weight: final.weight,
+    remainingWeight: round(finalWeight),
+    needed: targets.map((target) => {
+      if (expected === null) return { target, score: null, status: null };
+      const score = ((target - expected) / finalWeight) * 100;
+      let status = 'reachable';
+      if (score <= 0) status = 'secured';
+      else if (score > 100) status = 'out_of_reach';
+      return { target, score: round(score), status };
+    })
+  };
+};
+
+// The headline figures for course lists
+export const courseGradeSummary = (course, assignments) => roundSummary(summarize(
+  gradeItems(course, assignments.filter((assignment) => belongsToCourse(assignment, course)))
+));
+
+/**
+ * The course's grade: headline figures, a breakdown by component and what the final needs.
+ * `current` is the average on graded work; `earned` is secured so far and `achievable` is the
+ * most the course can still end on.
+ */
+export const computeCourseGrade = (course, assignments, { targets = DEFAULT_GRADE_TARGETS } = {}) => {
+  const items = gradeItems(course, assignments.filter((assignment) => belongsToCourse(assignment, course)));
+  const summary = summarize(items);
+  const final = finalComponent(course);
+
+  return {
+    courseId: String(course._id),
+    ...roundSummary(summary),
+    components: (course.gradingComponents || []).map((component) => {
+      const own = items.filter((item) => item.component === component);
+      return {
+        id: String(component._id),
+        name: component.name,
+        type: component.type,
+        weight: component.weight,
+        assignments: own.filter((item) => item.assignment).length,
+        ...roundSummary(summarize(own))
+      };
+    }),
+    final: final ? finalNeeds(items, summary, final, targets) : null
+  };
+};
+
+// The weight (percent of the final grade) each of the course's weighted assignments carries, by id
+export const assignmentWeights = (course, assignments) => new Map(
+  gradeItems(course, assignments.filter((assignment) => belongsToCourse(assignment, course)))
+    .filter((item) => item.assignment)
+    .map((item) => [String(item.assignment._id), item.weight])
+);
+
+export const loadCourseGrades = async (supabaseId, courses) => {
+  const assignments = await Assignment.find({ supabaseId });
+  return new Map(courses.map((course) => [String(course._id), courseGradeSummary(course, assignments)]));
+};
+
+export const getCourseGrade = async (course, options) => computeCourseGrade(
+  course,
+  await Assignment.find({ supabaseId: course.supabaseId }),
+  options
+);
+
+// The caller's course an assignment's `course` field names, if any
+export const findAssignmentCourse = async (supabaseId, courseRef) => {
+  if (!courseRef) return null;
+  const courses = await Course.find({ supabaseId });
+  return courses.find((course) => belongsToCourse({ course: courseRef }, course)) || null;
+};
+
+// A componentId on an assignment must name a component of the assignment's course
+export const assertComponentOfCourse = (course, componentId) => {
+  if (!course) {
+    throw new GradeError('Link the assignment to a course before choosing its grading component', 'invalid');
+  }
+  if (!(course.gradingComponents || []).some((component) => String(component._id) === String(componentId))) {
+    throw new GradeError('componentId is not a grading component of the assignment\'s course', 'invalid');
+  }
+};
+
+/**
+ * Course fields for the grading components a syllabus import read: kept when each has a name and
+ * a weight and together they come to no more than 100. Otherwise the course's components are left
+ * alone, as a wrong breakdown is worse than none.
+ */
+export const gradingComponentFields = (components) => {
+  const valid = (Array.isArray(components) ? components : [])
+    .filter((component) => component && typeof component.name === 'string' && component.name.trim()
+      && typeof component.weight === 'number' && component.weight > 0 && component.weight <= 100)
+    .map((component) => ({
+      _id: new mongoose.Types.ObjectId(),
+      name: component.name.trim().slice(0, 60),
+      type: COMPONENT_TYPES.includes(String(component.type).toLowerCase()) ? String(component.type).toLowerCase() : 'other',
+      weight: component.weight
+    }));
+  const total = valid.reduce((sum, component) => sum + component.weight, 0);
+  return valid.length > 0 && total <= 100 ? { gradingComponents: valid } : {};
+};
+
+// The component an imported assignment of `type` counts towards: the only one of that type, if any
+const componentForType = (course, type) => {
+  const matching = (course.gradingComponents || []).filter((component) => component.type === String(type || '').toLowerCase());
+  return matching.length === 1 ? matching[0]._id : undefined;
+};
+
+// Grading fields for an imported assignment: the weight the syllabus gives it, and its component
+// when `course` (the saved course it belongs to, if found) has exactly one of its type
+export const importedGradeFields = (assignment, course) => {
+  const weight = typeof assignment.weight === 'number' && assignment.weight > 0 && assignment.weight <= 100
+    ? assignment.weight
+    : undefined;
+  const componentId = course ? componentForType(course, assignment.type) : undefined;
+  return {
+    ...(weight !== undefined ? { weight } : {}),
+    ...(componentId ? { componentId } : {})
+  };
+};
+
+export default {
+  COMPONENT_TYPES,
+  DEFAULT_GRADE_TARGETS,
+  GradeError,
+  belongsToCourse,
+  courseGradeSummary,
+  computeCourseGrade,
+  assignmentWeights,
+  loadCourseGrades,
+  getCourseGrade,
+  findAssignmentCourse,
+  assertComponentOfCourse,
+  gradingComponentFields,
+  importedGradeFields
+};
@@ -1,7 +1,9 @@
+import crypto from 'crypto';
 import axios from 'axios';
 import { env } from '../config/environment.js';
 import { logger } from '../utils/logger.js';
 import { encrypt, decrypt } from '../utils/encryption.js';
+import { zonedParts } from '../utils/timeZone.js';
 
 /**
  * Groq AI Service Layer
@@ -64,11 +66,11 @@ async function callGroqAPI({ messages, maxTokens = MAX_TOKENS, temperature = TEM
 }
 
 /**
- * Generate a cache key for responses
+ * Generate a cache key for responses (a digest of all of `data`, so different inputs never share one)
  */
 function getCacheKey(prefix, data) {
   const dataString = JSON.stringify(data);
-  return `${prefix}:${Buffer.from(dataString).toString('base64').substring(0, 50)}`;
+  return `${prefix}:${crypto.createHash('sha256').update(dataString).digest('base64')}`;
 }
 
 /**
@@ -97,15 +99,62 @@ function setCachedResponse(cacheKey, data) {
 /**
  * Anonymize user activity data before sending to Groq
  * Removes all PII and keeps only behavioral patterns
+ * Day and hour are on the student's clock when their time zone is known
  */
-function anonymizeActivityData(activities) {
-  return activities.map((activity, index) => ({
-    id: `activity_${index}`,
-    type: activity.type,
-    timestamp: activity.timestamp,
-    dayOfWeek: new Date(activity.timestamp).getDay(),
-    hourOfDay: new Date(activity.timestamp).getHours(),
-  }));
+function anonymizeActivityData(activities, timeZone = 'UTC') {
+  return activities.map((activity, index) => {
+    const { weekday, hour } = zonedParts(new Date(activity.timestamp), timeZone);
+    return {
+      id: `activity_${index}`,
+      type: activity.type,
+      timestamp: activity.timestamp,
+      dayOfWeek: weekday,
+      hourOfDay: hour,
+    };
+  });
+}
+
+const PERIOD_LABELS = { reading: 'reading week', exam: 'exam period', break: 'break' };
+
+// Where the student is in their semester (see semesterPosition in services/semesterService.js)
+function semesterLine(position) {
+  const now = position.period === 'teaching'
+    ? `teaching week ${position.teachingWeek} of ${position.teachingWeeks}`
+    : `${PERIOD_LABELS[position.period]} (week ${position.week} of ${position.totalWeeks})`;
+  const next = position.nextPeriod
+    ? `; the ${PERIOD_LABELS[position.nextPeriod.type]} starts in ${position.nextPeriod.inDays} days`
+    : '';
+  return `Semester: ${now}${next}; the semester ends in ${position.daysRemaining} days`;
+}
+
+/**
+ * Profile details the study planner may use. Institution and programme are left out, since
+ * together with a year of study they can identify a student.
+ */
+function plannerProfileLines(profile = {}) {
+  const lines = [];
+  if (profile.yearOfStudy) {
+    lines.push(`- Year of study: ${profile.yearOfStudy}`);
+  }
+  if (profile.weeklyStudyHoursGoal) {
+    lines.push(`- Weekly study goal: ${profile.weeklyStudyHoursGoal} hours (the study schedule should add up to about this)`);
+  }
+  if (profile.semester) {
+    lines.push(`- ${semesterLine(profile.semester)}`);
+  }
+  if (profile.timeZone) {
+    lines.push(`- Time zone: ${profile.timeZone} (all time slots are local times)`);
+  }
+  if (profile.locale) {
+    let language = profile.locale;
+    try {
+      language = new Intl.DisplayNames(['en'], { type: 'language' }).of(profile.locale) || profile.locale;
+    } catch {
+      // Keep the raw tag
+    }
+    lines.push(`- Language: ${language} (write all text in the plan in this language)`);
+  }
+  return lines;
 }
 
 /**
@@ -371,17 +420,21 @@ export async function generateStudyTimeSuggestion({ activities, upcomingTasks })
  * @returns {Promise<Object>} - Course-specific insights
  */
 export async function generateCourseProgressInsight({ courses }) {
-  const cacheKey = getCacheKey('course_insight', { courseCount: courses.length });
-  const cached = getCachedResponse(cacheKey);
-  if (cached) return cached;
-
   const anonymizedCourses = courses.map((c, i) => ({
     id: `course_${i}`,
     assignmentsTotal: c.assignmentsTotal || 0,
     assignmentsCompleted: c.assignmentsCompleted || 0,
     averageScore: c.averageScore || 0,
+    progress: c.progress || 0,
+    teachingWeeksElapsed: c.teachingWeeksElapsed ?? null,
+    pace: c.pace || null,
   }));
 
+  // Keyed on the figures, so changed progress is not answered from the cache
+  const cacheKey = getCacheKey('course_insight', { courses: anonymizedCourses });
+  const cached = getCachedResponse(cacheKey);
+  if (cached) return cached;
+
   const messages = [
     {
       role: 'system',
@@ -391,7 +444,9 @@ export async function generateCourseProgressInsight({ courses }) {
       role: 'user',
       content: `Course progress summary:
 ${anonymizedCourses.map((c, i) => 
-  `Course ${i + 1}: ${c.assignmentsCompleted}/${c.assignmentsTotal} assignments completed (${c.averageScore}% avg score)`
+  `Course ${i + 1}: ${c.assignmentsCompleted}/${c.assignmentsTotal} assignments completed (${c.averageScore}% avg score), ${c.progress}% of the course done`
+  + (c.teachingWeeksElapsed !== null ? ` with ${c.teachingWeeksElapsed}% of teaching weeks elapsed` : '')
+  + (c.pace ? ` (${c.pace.replace('_', ' ')})` : '')
 ).join('\n')}
 
 Provide insights in JSON:
@@ -480,10 +535,11 @@ export async function healthCheck() {
  * @param {Object} params.preferences - User preferences
  * @returns {Promise<Object>} - Comprehensive study plan
  */
-export async function generateStudyPlan({ courses, assignments, activities, preferences }) {
+export async function generateStudyPlan({ courses, assignments, activities, preferences, profile = {} }) {
   try {
     // Anonymize data
-    const anonymizedActivities = anonymizeActivityData(activities);
+    const anonymizedActivities = anonymizeActivityData(activities, profile.timeZone);
+    const profileLines = plannerProfileLines(profile);
     
     // Prepare courses summary
     const coursesSummary = courses.map((c, i) => ({
@@ -552,7 +608,7 @@ ${assignmentsSummary.length > 10 ? `... and ${assignmentsSummary.length - 10} mo
 - Recent study sessions: ${studySessionCount}
 - Most productive hour: ${avgStudyHour}:00
 - Total activities logged: ${anonymizedActivities.length}
-
+${profileLines.length ? `\n**Student:**\n${profileLines.join('\n')}\n` : ''}
 Generate a JSON response with this structure:
 {
   "overview": "Brief 2-3 sentence summary of the plan",
@@ -642,7 +698,9 @@ Create a balanced schedule across the week. Be specific and actionable.`
         coursesCount: courses.length,
         assignmentsCount: assignments.length,
         upcomingDeadlinesCount: assignmentsSummary.filter(a => a.dueInDays <= 7).length,
-        activityPatternSummary: `${studySessionCount} study sessions, most active at ${avgStudyHour}:00`
+        activityPatternSummary: `${studySessionCount} study sessions, most active at ${avgStudyHour}:00`,
+        weeklyStudyHoursGoal: profile.weeklyStudyHoursGoal ?? null,
+        timeZone: profile.timeZone ?? null
       }
     };
     
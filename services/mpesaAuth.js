@@ -0,0 +1,142 @@
+import axios from 'axios';
+import { env } from '../config/environment.js';
+import { redisClient } from '../utils/draftStore.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * M-Pesa (Daraja) OAuth access-token manager
+ *
+ * Daraja tokens live for an hour. The token is cached in memory, and in Redis when
+ * REDIS_URL is configured so every instance shares one token. It is refreshed
+ * MPESA_TOKEN_REFRESH_MARGIN_SECONDS before expiry, and a 401 from Daraja forces one refresh and retry.
+ */
+
+const REDIS_TOKEN_KEY = 'mpesa:oauth:access_token';
+const REQUEST_TIMEOUT_MS = 10000;
+
+let cachedToken = null; // { token, expiresAt }
+let inflightRefresh = null;
+
+const isFresh = (entry, now = Date.now()) =>
+  Boolean(entry?.token) && entry.expiresAt - env.MPESA_TOKEN_REFRESH_MARGIN_SECONDS * 1000 > now;
+
+const readSharedToken = async () => {
+  if (!redisClient) return null;
+  try {
+    const data = await redisClient.get(REDIS_TOKEN_KEY);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    logger.warn('Failed to read M-Pesa token from Redis', { error: error.message });
+    return null;
+  }
+};
+
+const writeSharedToken = async (entry) => {
+  if (!redisClient) return;
+  const ttlSeconds = Math.floor((entry.expiresAt - Date.now()) / 1000) - env.MPESA_TOKEN_REFRESH_MARGIN_SECONDS;
+  if (ttlSeconds <= 0) return;
+  try {
+    await redisClient.set(REDIS_TOKEN_KEY, JSON.stringify(entry), 'EX', ttlSeconds);
+  } catch (error) {
+    logger.warn('Failed to cache M-Pesa token in Redis', { error: error.message });
+  }
+};
+
+const clearSharedToken = async () => {
+  if (!redisClient) return;
+  try {
+    await redisClient.del(REDIS_TOKEN_KEY);
+  } catch (error) {
+    logger.warn('Failed to clear M-Pesa token from Redis', { error: error.message });
+  }
+};
+
+export const fetchAccessToken = async () => {
+  if (!env.MPESA_CONSUMER_KEY || !env.MPESA_CONSUMER_SECRET) {
+    throw new Error('MPESA_CONSUMER_KEY or MPESA_CONSUMER_SECRET not configured');
+  }
+
+  const response = await axios.get(`${env.MPESA_BASE_URL}/oauth/v1/generate`, {
+    params: { grant_type: 'client_credentials' },
+    auth: {
+      username: env.MPESA_CONSUMER_KEY,
+      password: env.MPESA_CONSUMER_SECRET
+    },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+
+  const { access_token: token, expires_in: expiresIn } = response.data || {};
+  if (!token) {
+    throw new Error('M-Pesa OAuth response did not include an access token');
+  }
+
+  return {
+    token,
+    expiresAt: Date.now() + (parseInt(expiresIn, 10) || 3599) * 1000
+  };
+};
+
+const refreshAccessToken = async () => {
+  if (!inflightRefresh) {
+    inflightRefresh = (async () => {
+      try {
+        const entry = await fetchAccessToken();
+        cachedToken = entry;
+        await writeSharedToken(entry);
+        logger.info('M-Pesa access token refreshed', { expiresAt: new Date(entry.expiresAt).toISOString() });
+        return entry;
+      } finally {
+        inflightRefresh = null;
+      }
+    })();
+  }
+  return inflightRefresh;
+};
+
+/**
+ * Return a valid Daraja access token, fetching a new one when the cached token is
+ * missing, about to expire, or `forceRefresh` is set.
+ */
+export const getAccessToken = async ({ forceRefresh = false } = {}) => {
+  if (!forceRefresh) {
+    if (isFresh(cachedToken)) return cachedToken.token;
+
+    const shared = await readSharedToken();
+    if (isFresh(shared)) {
+      cachedToken = shared;
+      return shared.token;
+    }
+  }
+
+  const entry = await refreshAccessToken();
+  return entry.token;
+};
+
+export const invalidateAccessToken = async () => {
+  cachedToken = null;
+  await clearSharedToken();
+};
+
+/**
+ * Run an authenticated Daraja request. `request` receives the bearer token; when Daraja
+ * rejects it with a 401 the token is refreshed and the request retried once.
+ */
+export const withMpesaAuth = async (request) => {
+  const token = await getAccessToken();
+  try {
+    return await request(token);
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+
+    logger.warn('M-Pesa rejected access token, refreshing and retrying once');
+    await invalidateAccessToken();
+    const freshToken = await getAccessToken({ forceRefresh: true });
+    return request(freshToken);
+  }
+};
+
+export default {
+  getAccessToken,
+  invalidateAccessToken,
+  withMpesaAuth
+};
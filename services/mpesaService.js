@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import MpesaTransaction from '../models/mpesaTransaction.js';
+import { grantFromTransaction } from './subscriptionService.js';
+import { emailReceipt } from './receiptService.js';
+import { getPaymentProvider } from './payments/index.js';
+import { reservePromoRedemption, releasePromoRedemption } from './pricingService.js';
+import { env } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+
+// Daraja result codes that are worth recognising by name in logs and responses.
+export const MPESA_RESULT_CODES = {
+  SUCCESS: 0,
+  INSUFFICIENT_FUNDS: 1,
+  CANCELLED_BY_USER: 1032,
+  TIMEOUT: 1037
+};
+
+/**
+ * The callback URL given to the payment provider: MPESA_CALLBACK_URL carrying MPESA_CALLBACK_TOKEN,
+ * which the callback route checks (Daraja does not sign its callbacks).
+ */
+export const stkCallbackUrl = () => {
+  if (!env.MPESA_CALLBACK_URL) return env.MPESA_CALLBACK_URL;
+  const separator = env.MPESA_CALLBACK_URL.includes('?') ? '&' : '?';
+  return `${env.MPESA_CALLBACK_URL}${separator}token=${encodeURIComponent(env.MPESA_CALLBACK_TOKEN || '')}`;
+};
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// Whether a callback's token is MPESA_CALLBACK_TOKEN, compared in constant time
+export const callbackTokenMatches = (token) => Boolean(token && env.MPESA_CALLBACK_TOKEN)
+  && crypto.timingSafeEqual(digest(token), digest(env.MPESA_CALLBACK_TOKEN));
+
+const hoursAgo = (hours, now) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+const minutesAgo = (minutes, now) => new Date(now.getTime() - minutes * 60 * 1000);
+
+/**
+ * Transaction created by an earlier stkpush request carrying the same Idempotency-Key, if it
+ * falls inside MPESA_IDEMPOTENCY_WINDOW_HOURS. Older uses of the key are released so it can be reused.
+ */
+export const findIdempotentPayment = async (supabaseId, idempotencyKey, now = new Date()) => {
+  const windowStart = hoursAgo(env.MPESA_IDEMPOTENCY_WINDOW_HOURS, now);
+
+  await MpesaTransaction.findOneAndUpdate(
+    { supabaseId, idempotencyKey, transactionDate: { $lt: windowStart } },
+    { $unset: { idempotencyKey: 1 } }
+  );
+
+  return MpesaTransaction.findOne({ supabaseId, idempotencyKey });
+};
+
+/**
+ * Transaction standing in the way of a new STK push for this user and plan: one still awaiting
+ * the customer, or one found to have completed. A push that has outlived
+ * MPESA_PENDING_TIMEOUT_MINUTES is first settled from the provider's STK query, as the
+ * reconciliation job would, and failed only if the query shows no result; while the query
+ * cannot be made it keeps blocking, so a late success is never dropped.
+ */
+export const findBlockingPendingPayment = async (supabaseId, plan, now = new Date()) => {
+  const pending = await MpesaTransaction.findOne({ supabaseId, plan, status: 'pending' });
+  if (!pending) return null;
+
+  if (pending.transactionDate > minutesAgo(env.MPESA_PENDING_TIMEOUT_MINUTES, now)) return pending;
+
+  const reason = 'Superseded by a new payment attempt after the pending timeout';
+  if (!pending.checkoutRequestId) {
+    await expirePendingTransaction(pending, reason);
+    return null;
+  }
+
+  let query;
+  try {
+    query = await queryStkPush(pending.checkoutRequestId);
+  } catch (error) {
+    logger.warn('STK query for a timed-out pending payment failed', {
+      transactionId: pending._id.toString(),
+      error: error.message
+    });
+    return pending;
+  }
+
+  if (query.result) {
+    const { transaction } = await applyStkResult(query.result, { stkQuery: query.raw });
+    return transaction && ['pending', 'completed'].includes(transaction.status) ? transaction : null;
+  }
+
+  await expirePendingTransaction(pending, reason);
+  return null;
+};
+
+/**
+ * Record a pending transaction for a quote from pricingService.quotePrice, then send the
+ * STK push for the quoted amount through the active payment provider.
+ * The row is written first so the unique indexes on (supabaseId, idempotencyKey) and on pending
+ * (supabaseId, plan) reject concurrent duplicates before Daraja is called; callers should treat
+ * a duplicate key error (code 11000) as a conflicting in-flight payment.
+ * A promo code is reserved first (pricingService.reservePromoRedemption), which throws
+ * PromoCodeError once its limits are used up, and given back if the push is not sent.
+ */
+export const initiateStkPayment = async ({ supabaseId, phone, quote, idempotencyKey }) => {
+  const { plan, amount } = quote;
+  const accountReference = `SemesterStride-${plan}`;
+  if (quote.promoCode) {
+    await reservePromoRedemption(quote.promoCode, supabaseId);
+  }
+
+  let transaction;
+  try {
+    transaction = await MpesaTransaction.create({
+      supabaseId,
+      phoneNumber: phone,
+      amount,
+      listPrice: quote.listPrice,
+      discount: quote.discount,
+      ...(quote.promoCode ? { promoCode: quote.promoCode } : {}),
+      plan,
+      accountReference,
+      ...(idempotencyKey ? { idempotencyKey } : {}),
+      status: 'pending'
+    });
+  } catch (error) {
+    if (quote.promoCode) await releasePromoRedemption(quote.promoCode, supabaseId);
+    throw error;
+  }
+
+  let push;
+  try {
+    push = await getPaymentProvider().initiateStkPush({
+      phone,
+      amount,
+      accountReference,
+      transactionDesc: `SemesterStride ${plan} Plan`,
+      callbackUrl: stkCallbackUrl()
+    });
+  } catch (error) {
+    const reason = 'STK push could not be initiated';
+    const failed = await MpesaTransaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'pending' },
+      { $set: { status: 'failed', resultDesc: reason, errorMessage: error.message } }
+    );
+    if (failed && quote.promoCode) await releasePromoRedemption(quote.promoCode, supabaseId);
+    throw error;
+  }
+
+  return MpesaTransaction.findOneAndUpdate(
+    { _id: transaction._id },
+    { $set: { checkoutRequestId: push.checkoutRequestId, merchantRequestId: push.merchantRequestId } },
+    { new: true }
+  );
+};
+
+/**
+ * Ask the payment provider for the outcome of an STK push.
+ * Resolves to `{ result, raw }`; result is null while the customer has not responded.
+ */
+export const queryStkPush = (checkoutRequestId) => getPaymentProvider().queryStkPush(checkoutRequestId);
+
+/**
+ * Map a parsed STK result onto the fields persisted on MpesaTransaction.
+ * Shared by the callback handler and anything else that learns a push's outcome.
+ */
+export const buildResultUpdate = (result, raw) => {
+  const succeeded = result.resultCode === MPESA_RESULT_CODES.SUCCESS;
+  const update = {
+    status: succeeded ? 'completed' : 'failed',
+    resultCode: result.resultCode,
+    resultDesc: result.resultDesc,
+    raw
+  };
+
+  if (succeeded) {
+    update.completedAt = new Date();
+    if (result.mpesaReceiptNumber) {
+      update.mpesaReceiptNumber = result.mpesaReceiptNumber;
+      update.transactionId = result.mpesaReceiptNumber;
+    }
+  } else {
+    update.errorMessage = result.resultDesc;
+  }
+
+  return update;
+};
+
+/**
+ * Apply an STK result to the matching pending transaction.
+ * Only pending rows are updated, so replays of the same callback are no-ops.
+ * Completed payments grant the subscription and email a receipt; both are idempotent,
+ * so a replay also retries a grant or receipt that failed the first time round.
+ */
+export const applyStkResult = async (result, raw) => {
+  let transaction = await MpesaTransaction.findOneAndUpdate(
+    { checkoutRequestId: result.checkoutRequestId, status: 'pending' },
+    { $set: buildResultUpdate(result, raw) },
+    { new: true }
+  );
+  const duplicate = !transaction;
+
+  // A failed payment gives its promo code back
+  if (!duplicate && transaction.status === 'failed' && transaction.promoCode) {
+    await releasePromoRedemption(transaction.promoCode, transaction.supabaseId);
+  }
+
+  if (duplicate) {
+    transaction = await MpesaTransaction.findOne({ checkoutRequestId: result.checkoutRequestId });
+  }
+
+  if (transaction?.status === 'completed') {
+    await grantFromTransaction(transaction);
+    await emailReceipt(transaction);
+  }
+
+  return { transaction, duplicate: duplicate && Boolean(transaction) };
+};
+
+/**
+ * Fail a transaction that never received a result. No-op if it has left `pending` meanwhile.
+ */
+export const expirePendingTransaction = async (transaction, reason) => {
+  const expired = await MpesaTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    { $set: { status: 'failed', resultDesc: reason, errorMessage: reason } },
+    { new: true }
+  );
+  if (expired?.promoCode) {
+    await releasePromoRedemption(expired.promoCode, expired.supabaseId);
+  }
+  return expired;
+};
+
+/**
+ * Why a success callback for a pending transaction cannot be trusted, or null if it can: its
+ * amount must be the one charged, and the provider's STK query must report the payment succeeded.
+ * Unconfirmed callbacks leave the transaction pending for reconciliation. A failing query throws,
+ * so the callback is redelivered.
+ */
+const checkSuccessCallback = async (result) => {
+  if (result.resultCode !== MPESA_RESULT_CODES.SUCCESS) return null;
+
+  const transaction = await MpesaTransaction.findOne({ checkoutRequestId: result.checkoutRequestId, status: 'pending' });
+  if (!transaction) return null;
+
+  if (Number(result.amount) !== transaction.amount) return 'amount_mismatch';
+
+  const { result: confirmed } = await queryStkPush(result.checkoutRequestId);
+  return confirmed?.resultCode === MPESA_RESULT_CODES.SUCCESS ? null : 'unconfirmed';
+};
+
+export const handleStkCallback = async (payload) => {
+  const result = getPaymentProvider().parseCallback(payload);
+  if (!result) {
+    logger.warn('Ignoring malformed M-Pesa callback payload');
+    return { handled: false, reason: 'malformed' };
+  }
+
+  logger.mpesaTransaction('callback', {
+    CheckoutRequestID: result.checkoutRequestId,
+    MerchantRequestID: result.merchantRequestId,
+    ResultCode: result.resultCode,
+    ResultDesc: result.resultDesc
+  });
+
+  const rejected = await checkSuccessCallback(result);
+  if (rejected) {
+    logger.warn('M-Pesa success callback rejected', {
+      checkoutRequestId: result.checkoutRequestId,
+      reason: rejected,
+      amount: result.amount
+    });
+    return { handled: false, reason: rejected };
+  }
+
+  const { transaction, duplicate } = await applyStkResult(result, payload);
+
+  if (!transaction) {
+    logger.warn('M-Pesa callback for unknown CheckoutRequestID', { checkoutRequestId: result.checkoutRequestId });
+    return { handled: false, reason: 'unknown_transaction' };
+  }
+
+  if (duplicate) {
+    logger.info('Duplicate M-Pesa callback ignored', {
+      checkoutRequestId: result.checkoutRequestId,
+      status: transaction.status
+    });
+  }
+
+  return { handled: true, duplicate, transaction };
+};
+
+export default {
+  stkCallbackUrl,
+  callbackTokenMatches,
+  findIdempotentPayment,
+  findBlockingPendingPayment,
+  initiateStkPayment,
+  queryStkPush,
+  buildResultUpdate,
+  applyStkResult,
+  expirePendingTransaction,
+  handleStkCallback
+};
@@ -0,0 +1,149 @@
+import cron from 'node-cron';
+import MpesaTransaction from '../models/mpesaTransaction.js';
+import { queryStkPush, applyStkResult, expirePendingTransaction } from './mpesaService.js';
+import { env } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+
+const TIMEOUT_REASON = 'No result received from M-Pesa before the reconciliation timeout';
+const GIVE_UP_REASON = 'M-Pesa could not be asked about the payment before the reconciliation limit';
+
+// Wait after a failed STK query: doubling from 5 minutes, at most an hour
+const RETRY_BASE_MINUTES = 5;
+const RETRY_MAX_MINUTES = 60;
+
+let running = false;
+
+const minutesAgo = (minutes, now) => new Date(now.getTime() - minutes * 60 * 1000);
+
+const retryDelayMinutes = (attempts) => Math.min(RETRY_BASE_MINUTES * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MINUTES);
+
+// Record an STK query against a transaction that is still pending, so the least recently
+// checked go first next time; `retryAt` holds back one whose query failed
+const recordAttempt = (transaction, now, retryAt = null) => MpesaTransaction.findOneAndUpdate(
+  { _id: transaction._id, status: 'pending' },
+  {
+    $set: { lastReconciledAt: now, ...(retryAt && { nextReconcileAt: retryAt }) },
+    $inc: { reconcileAttempts: 1 },
+    ...(!retryAt && { $unset: { nextReconcileAt: 1 } })
+  },
+  { new: true }
+);
+
+const reconcileTransaction = async (transaction, now) => {
+  const context = {
+    transactionId: transaction._id.toString(),
+    checkoutRequestId: transaction.checkoutRequestId,
+    ageMinutes: Math.round((now - transaction.transactionDate) / 60000)
+  };
+  const timedOut = transaction.transactionDate <= minutesAgo(env.MPESA_PENDING_TIMEOUT_MINUTES, now);
+
+  if (!transaction.checkoutRequestId) {
+    if (timedOut) {
+      await expirePendingTransaction(transaction, TIMEOUT_REASON);
+      logger.info('Reconciliation: failed pending payment without CheckoutRequestID', context);
+      return 'expired';
+    }
+    logger.info('Reconciliation: skipped payment without CheckoutRequestID', context);
+    return 'skipped';
+  }
+
+  let query;
+  try {
+    query = await queryStkPush(transaction.checkoutRequestId);
+  } catch (error) {
+    // Without an answer from M-Pesa the payment may still have gone through, so a failed query
+    // does not expire it at the usual timeout; it is asked about again with a backoff, and only
+    // failed once past MPESA_RECONCILE_MAX_AGE_HOURS or MPESA_RECONCILE_MAX_ATTEMPTS
+    const attempts = (transaction.reconcileAttempts || 0) + 1;
+    if (transaction.transactionDate <= minutesAgo(env.MPESA_RECONCILE_MAX_AGE_HOURS * 60, now)
+      || attempts >= env.MPESA_RECONCILE_MAX_ATTEMPTS) {
+      await expirePendingTransaction(transaction, GIVE_UP_REASON);
+      logger.warn('Reconciliation: gave up on payment M-Pesa could not be asked about', { ...context, attempts, error: error.message });
+      return 'abandoned';
+    }
+
+    const retryAt = new Date(now.getTime() + retryDelayMinutes(attempts) * 60 * 1000);
+    await recordAttempt(transaction, now, retryAt);
+    logger.warn('Reconciliation: STK query failed, will retry', { ...context, attempts, retryAt, error: error.message });
+    return 'query_failed';
+  }
+
+  if (query.result) {
+    const { transaction: updated, duplicate } = await applyStkResult(query.result, { stkQuery: query.raw });
+    logger.info('Reconciliation: applied STK query result', {
+      ...context,
+      resultCode: query.result.resultCode,
+      resultDesc: query.result.resultDesc,
+      status: updated?.status,
+      duplicate
+    });
+    return updated?.status || 'unknown';
+  }
+
+  if (timedOut) {
+    await expirePendingTransaction(transaction, TIMEOUT_REASON);
+    logger.info('Reconciliation: marked pending payment failed after timeout', {
+      ...context,
+      timeoutMinutes: env.MPESA_PENDING_TIMEOUT_MINUTES
+    });
+    return 'expired';
+  }
+
+  await recordAttempt(transaction, now);
+  logger.info('Reconciliation: payment still awaiting customer, will retry', context);
+  return 'pending';
+};
+
+/**
+ * Resolve STK pushes stuck in `pending` (typically because the callback was lost) using the
+ * STK Push Query API, failing those that outlive MPESA_PENDING_TIMEOUT_MINUTES. Each run takes
+ * the least recently checked first, so payments that cannot be settled do not hold up the rest.
+ */
+export const runPaymentReconciliation = async (now = new Date()) => {
+  if (running) {
+    logger.info('Reconciliation already in progress, skipping run');
+    return null;
+  }
+
+  running = true;
+  const summary = {};
+  try {
+    const pending = await MpesaTransaction.find({
+      status: 'pending',
+      transactionDate: { $lte: minutesAgo(env.MPESA_RECONCILE_MIN_AGE_MINUTES, now) },
+      $or: [{ nextReconcileAt: null }, { nextReconcileAt: { $lte: now } }]
+    })
+      .sort({ lastReconciledAt: 1, transactionDate: 1 })
+      .limit(env.MPESA_RECONCILE_BATCH_SIZE);
+
+    for (const transaction of pending) {
+      try {
+        const outcome = await reconcileTransaction(transaction, now);
+        summary[outcome] = (summary[outcome] || 0) + 1;
+      } catch (error) {
+        summary.errors = (summary.errors || 0) + 1;
+        logger.error('Reconciliation: failed to reconcile payment', {
+          transactionId: transaction._id.toString(),
+          error: error.message
+        });
+      }
+    }
+
+    if (pending.length) {
+      logger.info('Payment reconciliation finished', { checked: pending.length, ...summary });
+    }
+    return summary;
+  } finally {
+    running = false;
+  }
+};
+
+// Every 5 minutes; started by startServer (app.js)
+export const startPaymentReconciliationJob = () => cron.schedule('*/5 * * * *', async () => {
+  if (env.MPESA_RECONCILE_DISABLED) return;
+  try {
+    await runPaymentReconciliation();
+  } catch (error) {
+    logger.error('Payment reconciliation failed', { error: error.message });
+  }
+});
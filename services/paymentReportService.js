@@ -0,0 +1,108 @@
+import MpesaTransaction from '../models/mpesaTransaction.js';
+import { toCsv } from '../utils/csv.js';
+
+// Pending payments older than this are flagged for follow-up with Safaricom
+export const STALE_PENDING_HOURS = 24;
+
+// Daily totals are bucketed by the business day in Kenya, which is what the M-Pesa statement uses
+const REPORT_TIME_ZONE = 'Africa/Nairobi';
+
+const businessDay = (date) => new Date(date).toLocaleDateString('en-CA', { timeZone: REPORT_TIME_ZONE });
+
+const emptyTotals = () => ({
+  count: 0,
+  completed: 0,
+  pending: 0,
+  failed: 0,
+  // Money actually received; pending and failed payments are excluded
+  completedAmount: 0
+});
+
+const addToTotals = (totals, transaction) => {
+  totals.count += 1;
+  totals[transaction.status] = (totals[transaction.status] || 0) + 1;
+  if (transaction.status === 'completed') {
+    totals.completedAmount += transaction.amount || 0;
+  }
+  return totals;
+};
+
+const isStalePending = (transaction, now) => transaction.status === 'pending'
+  && now - new Date(transaction.transactionDate) > STALE_PENDING_HOURS * 60 * 60 * 1000;
+
+export const buildReportFilter = ({ status, plan, from, to }) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (plan) filter.plan = plan;
+  if (from || to) {
+    filter.transactionDate = {};
+    if (from) filter.transactionDate.$gte = from;
+    if (to) filter.transactionDate.$lte = to;
+  }
+  return filter;
+};
+
+/**
+ * Matching transactions (newest first) with per-day and per-plan totals, and pending
+ * payments older than STALE_PENDING_HOURS flagged. Every row is loaded, so callers bound the
+ * date range (routes/admin.route.js); the raw Daraja payloads are left out.
+ */
+export const buildReconciliationReport = async (filters, now = new Date()) => {
+  const transactions = await MpesaTransaction.find(buildReportFilter(filters))
+    .select('-raw')
+    .sort({ transactionDate: -1 })
+    .lean();
+
+  const totals = emptyTotals();
+  const byDay = new Map();
+  const byPlan = new Map();
+  const rows = transactions.map((transaction) => {
+    const day = businessDay(transaction.transactionDate);
+    addToTotals(totals, transaction);
+    addToTotals(byDay.get(day) || byDay.set(day, emptyTotals()).get(day), transaction);
+    addToTotals(byPlan.get(transaction.plan) || byPlan.set(transaction.plan, emptyTotals()).get(transaction.plan), transaction);
+    return { ...transaction, stalePending: isStalePending(transaction, now) };
+  });
+
+  return {
+    generatedAt: now,
+    filters,
+    totals,
+    byDay: [...byDay.entries()]
+      .sort(([a], [b]) => b.localeCompare(a))
+      .map(([date, dayTotals]) => ({ date, ...dayTotals })),
+    byPlan: [...byPlan.entries()].map(([plan, planTotals]) => ({ plan, ...planTotals })),
+    stalePending: rows.filter((row) => row.stalePending).length,
+    transactions: rows
+  };
+};
+
+const CSV_COLUMNS = [
+  { header: 'Transaction date', value: 'transactionDate' },
+  { header: 'Business day', value: (row) => businessDay(row.transactionDate) },
+  { header: 'Completed at', value: 'completedAt' },
+  { header: 'Status', value: 'status' },
+  { header: 'Stale pending', value: (row) => (row.stalePending ? 'yes' : '') },
+  { header: 'Plan', value: 'plan' },
+  { header: 'Amount (KES)', value: 'amount' },
+  { header: 'List price (KES)', value: 'listPrice' },
+  { header: 'Discount (KES)', value: 'discount' },
+  { header: 'Promo code', value: 'promoCode' },
+  { header: 'M-Pesa receipt', value: 'mpesaReceiptNumber' },
+  { header: 'Phone', value: 'phoneNumber' },
+  { header: 'CheckoutRequestID', value: 'checkoutRequestId' },
+  { header: 'MerchantRequestID', value: 'merchantRequestId' },
+  { header: 'Result code', value: 'resultCode' },
+  { header: 'Result description', value: 'resultDesc' },
+  { header: 'User', value: 'supabaseId' },
+  { header: 'Payment id', value: (row) => row._id }
+];
+
+export const reconciliationReportToCsv = (report) => toCsv(report.transactions, CSV_COLUMNS);
+
+export default {
+  STALE_PENDING_HOURS,
+  buildReportFilter,
+  buildReconciliationReport,
+  reconciliationReportToCsv
+};
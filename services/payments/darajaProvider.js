@@ -0,0 +1,141 @@
+import axios from 'axios';
+import { PaymentProvider } from './paymentProvider.js';
+import { getAccessToken, withMpesaAuth } from '../mpesaAuth.js';
+import { env } from '../../config/environment.js';
+
+// Daraja answers STK queries for prompts the customer has not acted on yet with this error code
+const STK_STILL_PROCESSING_ERROR = '500.001.1001';
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Shortcode, timestamp and base64 password required by the STK push and query APIs.
+ */
+export const buildStkCredentials = (now = new Date()) => {
+  const timestamp = now.toISOString().replace(/[^0-9]/g, '').slice(0, -3);
+  const shortcode = env.MPESA_SHORTCODE;
+  const password = Buffer.from(`${shortcode}${env.MPESA_PASSKEY}${timestamp}`).toString('base64');
+  return { shortcode, timestamp, password };
+};
+
+const readMetadataItems = (callbackMetadata) => {
+  const items = Array.isArray(callbackMetadata?.Item) ? callbackMetadata.Item : [];
+  return items.reduce((acc, item) => {
+    if (item?.Name) acc[item.Name] = item.Value;
+    return acc;
+  }, {});
+};
+
+/**
+ * Normalise a Safaricom STK callback payload (`{ Body: { stkCallback } }`) into a flat result.
+ * Returns null when the payload does not look like an STK callback.
+ */
+export const parseStkCallback = (payload) => {
+  const stkCallback = payload?.Body?.stkCallback;
+  if (!stkCallback?.CheckoutRequestID) return null;
+
+  const metadata = readMetadataItems(stkCallback.CallbackMetadata);
+
+  return {
+    merchantRequestId: stkCallback.MerchantRequestID,
+    checkoutRequestId: stkCallback.CheckoutRequestID,
+    resultCode: Number(stkCallback.ResultCode),
+    resultDesc: stkCallback.ResultDesc,
+    mpesaReceiptNumber: metadata.MpesaReceiptNumber || null,
+    amount: metadata.Amount ?? null,
+    phoneNumber: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null,
+    transactionDate: metadata.TransactionDate ? String(metadata.TransactionDate) : null
+  };
+};
+
+/**
+ * Normalise an STK Push Query response into the same shape as parseStkCallback.
+ * Returns null while the customer has not yet responded to the prompt.
+ */
+export const parseStkQueryResponse = (data, checkoutRequestId) => {
+  if (!data || data.ResultCode === undefined || data.ResultCode === null) return null;
+
+  return {
+    merchantRequestId: data.MerchantRequestID,
+    checkoutRequestId: data.CheckoutRequestID || checkoutRequestId,
+    resultCode: Number(data.ResultCode),
+    resultDesc: data.ResultDesc,
+    // The query API does not return the receipt number; only the callback carries it
+    mpesaReceiptNumber: null,
+    amount: null,
+    phoneNumber: null,
+    transactionDate: null
+  };
+};
+
+/**
+ * Safaricom Daraja API (sandbox or production, depending on MPESA_BASE_URL)
+ */
+export class DarajaProvider extends PaymentProvider {
+  constructor({ baseUrl = env.MPESA_BASE_URL } = {}) {
+    super('daraja');
+    this.baseUrl = baseUrl;
+  }
+
+  getAccessToken() {
+    return getAccessToken();
+  }
+
+  async post(path, body) {
+    return withMpesaAuth((accessToken) => axios.post(`${this.baseUrl}${path}`, body, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    }));
+  }
+
+  async initiateStkPush({ phone, amount, accountReference, transactionDesc, callbackUrl }) {
+    const { shortcode, timestamp, password } = buildStkCredentials();
+
+    const response = await this.post('/mpesa/stkpush/v1/processrequest', {
+      BusinessShortCode: shortcode,
+      Password: password,
+      Timestamp: timestamp,
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: amount,
+      PartyA: phone,
+      PartyB: env.MPESA_PARTYB || shortcode,
+      PhoneNumber: phone,
+      CallBackURL: callbackUrl,
+      AccountReference: accountReference,
+      TransactionDesc: transactionDesc
+    });
+
+    return {
+      checkoutRequestId: response.data.CheckoutRequestID,
+      merchantRequestId: response.data.MerchantRequestID,
+      raw: response.data
+    };
+  }
+
+  async queryStkPush(checkoutRequestId) {
+    const { shortcode, timestamp, password } = buildStkCredentials();
+
+    try {
+      const response = await this.post('/mpesa/stkpushquery/v1/query', {
+        BusinessShortCode: shortcode,
+        Password: password,
+        Timestamp: timestamp,
+        CheckoutRequestID: checkoutRequestId
+      });
+      return { result: parseStkQueryResponse(response.data, checkoutRequestId), raw: response.data };
+    } catch (error) {
+      if (error.response?.data?.errorCode === STK_STILL_PROCESSING_ERROR) {
+        return { result: null, raw: error.response.data };
+      }
+      throw error;
+    }
+  }
+
+  parseCallback(payload) {
+    return parseStkCallback(payload);
+  }
+}
+
+export default DarajaProvider;
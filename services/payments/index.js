@@ -0,0 +1,35 @@
+import { env } from '../../config/environment.js';
+import { DarajaProvider } from './darajaProvider.js';
+import { SimulatorProvider } from './simulatorProvider.js';
+
+export { PaymentProvider } from './paymentProvider.js';
+export { DarajaProvider, SimulatorProvider };
+
+let activeProvider = null;
+
+const createProvider = (name) => {
+  switch (name) {
+    case 'daraja':
+      return new DarajaProvider();
+    case 'simulator':
+      return new SimulatorProvider({
+        outcome: env.MPESA_SIMULATOR_OUTCOME,
+        delayMs: env.MPESA_SIMULATOR_DELAY_MS
+      });
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER: ${name}`);
+  }
+};
+
+// Provider selected by PAYMENT_PROVIDER ('daraja' by default, 'simulator' for offline work)
+export const getPaymentProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProvider(env.PAYMENT_PROVIDER);
+  }
+  return activeProvider;
+};
+
+// Swap the active provider (tests inject a SimulatorProvider with their own options)
+export const setPaymentProvider = (provider) => {
+  activeProvider = provider;
+};
@@ -0,0 +1,46 @@
+/**
+ * PaymentProvider - contract for mobile-money providers used by services/mpesaService.js
+ *
+ * Results returned by `parseCallback` and `queryStkPush` share one shape so the same
+ * mapping (see buildResultUpdate) applies whichever way we learn a payment's outcome:
+ *   { merchantRequestId, checkoutRequestId, resultCode, resultDesc,
+ *     mpesaReceiptNumber, amount, phoneNumber, transactionDate }
+ */
+export class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Return a bearer token for the provider's API (providers without auth may return null).
+   */
+  async getAccessToken() {
+    throw new Error(`${this.name} provider does not implement getAccessToken`);
+  }
+
+  /**
+   * Send an STK push prompt to the customer's phone.
+   * @param {{ phone: string, amount: number, accountReference: string, transactionDesc: string, callbackUrl: string }} request
+   * @returns {Promise<{ checkoutRequestId: string, merchantRequestId: string, raw: object }>}
+   */
+  async initiateStkPush(request) {
+    throw new Error(`${this.name} provider does not implement initiateStkPush`);
+  }
+
+  /**
+   * Look up the outcome of an STK push.
+   * @returns {Promise<{ result: object|null, raw: object }>} result is null while the customer has not responded
+   */
+  async queryStkPush(checkoutRequestId) {
+    throw new Error(`${this.name} provider does not implement queryStkPush`);
+  }
+
+  /**
+   * Turn a callback request body into a result, or null if it is not a valid callback.
+   */
+  parseCallback(payload) {
+    throw new Error(`${this.name} provider does not implement parseCallback`);
+  }
+}
+
+export default PaymentProvider;
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { PaymentProvider } from './paymentProvider.js';
+import { parseStkCallback, parseStkQueryResponse } from './darajaProvider.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Local stand-in for Daraja. Accepts STK pushes and, after `delayMs`, fires a callback
+ * shaped exactly like Safaricom's, so the callback route, reconciliation job and tests
+ * run the real payment lifecycle offline.
+ */
+
+export const SIMULATOR_OUTCOMES = {
+  success: { ResultCode: 0, ResultDesc: 'The service request is processed successfully.' },
+  failure: { ResultCode: 1, ResultDesc: 'The balance is insufficient for the transaction.' },
+  cancel: { ResultCode: 1032, ResultDesc: 'Request cancelled by user' },
+  timeout: { ResultCode: 1037, ResultDesc: 'DS timeout user cannot be reached' }
+};
+
+// Pushes remembered for queryStkPush before the oldest are forgotten
+const MAX_TRACKED_PUSHES = 1000;
+
+const randomDigits = (length) => Array.from({ length }, () => crypto.randomInt(0, 10)).join('');
+
+const randomReceipt = () => crypto.randomBytes(8).toString('base64').replace(/[^A-Z0-9]/gi, '').toUpperCase().padEnd(10, 'X').slice(0, 10);
+
+// Daraja's YYYYMMDDHHmmss transaction date format
+const darajaTimestamp = (date) => Number(date.toISOString().replace(/[^0-9]/g, '').slice(0, 14));
+
+const postCallback = async (callbackUrl, payload) => {
+  if (!callbackUrl) {
+    logger.warn('M-Pesa simulator has no callback URL; callback dropped');
+    return;
+  }
+  await axios.post(callbackUrl, payload, { timeout: 10000 });
+};
+
+export class SimulatorProvider extends PaymentProvider {
+  /**
+   * @param {object} [options]
+   * @param {'success'|'failure'|'cancel'|'timeout'|'random'} [options.outcome] result every push resolves to
+   * @param {number} [options.delayMs] time between the push and its callback
+   * @param {(payload: object, callbackUrl: string) => Promise<void>} [options.deliver] callback transport; POSTs to the callback URL by default
+   * @param {number} [options.maxPushes] pushes remembered for queryStkPush
+   */
+  constructor({ outcome = 'success', delayMs = 3000, deliver = postCallback, maxPushes = MAX_TRACKED_PUSHES } = {}) {
+    super('simulator');
+    this.outcome = outcome;
+    this.delayMs = delayMs;
+    this.deliver = deliver;
+    this.maxPushes = maxPushes;
+    this.pushes = new Map();
+  }
+
+  // Resolved pushes stay queryable after their callback, as reconciliation asks about those whose
+  // callback was lost, so the Map is capped instead; it keeps insertion order, oldest first
+  trackPush(push) {
+    this.pushes.set(push.checkoutRequestId, push);
+    for (const checkoutRequestId of this.pushes.keys()) {
+      if (this.pushes.size <= this.maxPushes) break;
+      this.pushes.delete(checkoutRequestId);
+    }
+  }
+
+  async getAccessToken() {
+    return 'simulator-access-token';
+  }
+
+  resolveOutcome() {
+    if (this.outcome === 'random') {
+      const names = Object.keys(SIMULATOR_OUTCOMES);
+      return names[crypto.randomInt(0, names.length)];
+    }
+    if (!SIMULATOR_OUTCOMES[this.outcome]) {
+      throw new Error(`Unknown M-Pesa simulator outcome: ${this.outcome}`);
+    }
+    return this.outcome;
+  }
+
+  buildCallback(push) {
+    const { ResultCode, ResultDesc } = SIMULATOR_OUTCOMES[push.outcome];
+    const stkCallback = {
+      MerchantRequestID: push.merchantRequestId,
+      CheckoutRequestID: push.checkoutRequestId,
+      ResultCode,
+      ResultDesc
+    };
+
+    if (ResultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: push.amount },
+          { Name: 'MpesaReceiptNumber', Value: randomReceipt() },
+          { Name: 'TransactionDate', Value: darajaTimestamp(new Date()) },
+          { Name: 'PhoneNumber', Value: Number(push.phone) }
+        ]
+      };
+    }
+
+    return { Body: { stkCallback } };
+  }
+
+  async initiateStkPush({ phone, amount, callbackUrl }) {
+    const push = {
+      checkoutRequestId: `ws_CO_${darajaTimestamp(new Date())}${randomDigits(6)}`,
+      merchantRequestId: `${randomDigits(5)}-${randomDigits(8)}-1`,
+      phone,
+      amount,
+      outcome: this.resolveOutcome(),
+      resolved: false
+    };
+    this.trackPush(push);
+
+    const timer = setTimeout(async () => {
+      push.resolved = true;
+      const payload = this.buildCallback(push);
+      try {
+        await this.deliver(payload, callbackUrl);
+        logger.info('M-Pesa simulator delivered callback', {
+          checkoutRequestId: push.checkoutRequestId,
+          outcome: push.outcome
+        });
+      } catch (error) {
+        logger.warn('M-Pesa simulator failed to deliver callback', {
+          checkoutRequestId: push.checkoutRequestId,
+          error: error.message
+        });
+      }
+    }, this.delayMs);
+    timer.unref?.();
+
+    return {
+      checkoutRequestId: push.checkoutRequestId,
+      merchantRequestId: push.merchantRequestId,
+      raw: {
+        MerchantRequestID: push.merchantRequestId,
+        CheckoutRequestID: push.checkoutRequestId,
+        ResponseCode: '0',
+        ResponseDescription: 'Success. Request accepted for processing',
+        CustomerMessage: 'Success. Request accepted for processing'
+      }
+    };
+  }
+
+  async queryStkPush(checkoutRequestId) {
+    const push = this.pushes.get(checkoutRequestId);
+    if (!push || !push.resolved) {
+      return { result: null, raw: { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' } };
+    }
+
+    const raw = {
+      ResponseCode: '0',
+      MerchantRequestID: push.merchantRequestId,
+      CheckoutRequestID: push.checkoutRequestId,
+      ...SIMULATOR_OUTCOMES[push.outcome]
+    };
+    return { result: parseStkQueryResponse(raw, checkoutRequestId), raw };
+  }
+
+  parseCallback(payload) {
+    return parseStkCallback(payload);
+  }
+}
+
+export default SimulatorProvider;
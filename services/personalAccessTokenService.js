@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import PersonalAccessToken from '../models/personalAccessToken.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Personal access tokens
+ *
+ * Long-lived bearer tokens for scripts, e.g. syncing deadlines from a spreadsheet. A token looks
+ * like `sst_pat_<43 base64url chars>`; only its SHA-256 is stored. Each token carries scopes of the
+ * form `<resource>:read|write`, and the `authenticate` middleware only lets it reach the routers
+ * listed in SCOPED_ROUTERS. Everything else, including token management itself, needs a session.
+ */
+
+export const TOKEN_PREFIX = 'sst_pat_';
+export const DEFAULT_EXPIRY_DAYS = 90;
+export const MAX_EXPIRY_DAYS = 365;
+export const MAX_ACTIVE_TOKENS = 20;
+// lastUsedAt is written at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Router mount path -> resource name used in scopes
+const SCOPED_ROUTERS = {
+  '/api/assignments': 'assignments',
+  '/api/courses': 'courses',
+  '/api/semesters': 'semesters',
+  '/api/notes': 'notes',
+  '/api/activities': 'activities',
+  '/api/reminders': 'reminders',
+  '/api/analytics': 'analytics'
+};
+
+export const ACCESS_TOKEN_SCOPES = Object.values(SCOPED_ROUTERS)
+  .flatMap((resource) => [`${resource}:read`, `${resource}:write`]);
+
+export class AccessTokenError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'AccessTokenError';
+    this.reason = reason;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export const isPersonalAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * The scope a token needs for this request, or null when tokens may not call it at all.
+ * Reads need `:read`; anything that changes data needs `:write`.
+ */
+export const requiredScope = (req) => {
+  const resource = SCOPED_ROUTERS[req.baseUrl];
+  if (!resource) return null;
+  return ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? `${resource}:read` : `${resource}:write`;
+};
+
+export const describeAccessToken = (record, now = new Date()) => {
+  let status = 'active';
+  if (record.revokedAt) status = 'revoked';
+  else if (record.expiresAt <= now) status = 'expired';
+
+  return {
+    id: String(record._id),
+    name: record.name,
+    prefix: record.prefix,
+    scopes: record.scopes,
+    status,
+    expiresAt: record.expiresAt,
+    lastUsedAt: record.lastUsedAt || null,
+    revokedAt: record.revokedAt || null,
+    createdAt: record.createdAt || null
+  };
+};
+
+/**
+ * Create a token. Resolves to `{ record, token }`; the plain token is returned only here.
+ */
+export const createAccessToken = async (supabaseId, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS }, now = new Date()) => {
+  const active = await PersonalAccessToken.countDocuments({
+    supabaseId,
+    revokedAt: null,
+    expiresAt: { $gte: now }
+  });
+  if (active >= MAX_ACTIVE_TOKENS) {
+    throw new AccessTokenError(`You can have at most ${MAX_ACTIVE_TOKENS} active tokens; revoke one first`, 'limit_reached');
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = await PersonalAccessToken.create({
+    supabaseId,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(now.getTime() + expiresInDays * DAY_MS)
+  });
+
+  logger.info('Personal access token created', { supabaseId, tokenId: String(record._id), scopes: record.scopes });
+  return { record, token };
+};
+
+export const listAccessTokens = (supabaseId) => PersonalAccessToken.find({ supabaseId }).sort({ createdAt: -1 });
+
+/**
+ * Revoke one of the user's tokens. Resolves to null when the token is not theirs.
+ */
+export const revokeAccessToken = async (supabaseId, tokenId, now = new Date()) => {
+  const record = await PersonalAccessToken.findOne({ _id: tokenId, supabaseId });
+  if (!record) return null;
+  if (!record.revokedAt) {
+    record.revokedAt = now;
+    await record.save();
+    logger.info('Personal access token revoked', { supabaseId, tokenId: String(record._id) });
+  }
+  return record;
+};
+
+/**
+ * Look up a presented token. Resolves to the token record when it is known, unrevoked and
+ * unexpired, otherwise null. Records the use.
+ */
+export const verifyAccessToken = async (token, now = new Date()) => {
+  const record = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) });
+  if (!record || record.revokedAt || record.expiresAt <= now) {
+    return null;
+  }
+
+  if (!record.lastUsedAt || now - record.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+    await PersonalAccessToken.findOneAndUpdate({ _id: record._id }, { $set: { lastUsedAt: now } })
+      .catch((error) => logger.warn('Failed to record token use', { error: error.message }));
+  }
+  return record;
+};
+
+export default {
+  TOKEN_PREFIX,
+  ACCESS_TOKEN_SCOPES,
+  AccessTokenError,
+  isPersonalAccessToken,
+  requiredScope,
+  describeAccessToken,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+  verifyAccessToken
+};
@@ -1,11 +1,14 @@
-import { addMinutes, differenceInHours, getDay, getHours } from 'date-fns';
+import { addMinutes, differenceInHours } from 'date-fns';
 import ReminderAnalytics from '../models/reminderAnalytics.js';
 import Reminder from '../models/reminder.js';
 import { logger } from '../utils/logger.js';
+import { atHourInTimeZone, hourInTimeZone, weekdayInTimeZone } from '../utils/timeZone.js';
 
 const DEFAULT_PREFERRED_HOUR = 18;
 const SMOOTHING_FACTOR = 0.35;
 const DEFAULT_INACTIVITY_THRESHOLD_HOURS = 72;
+// Hours and weekdays are on the student's clock; callers pass their profile time zone
+const DEFAULT_TIME_ZONE = 'UTC';
 
 const clampHour = (hour) => {
   if (Number.isNaN(hour)) return DEFAULT_PREFERRED_HOUR;
@@ -31,15 +34,15 @@ export const updateAnalyticsWithInteraction = async ({
   supabaseId,
   reminder,
   interactionAction,
-  interactionDate
+  interactionDate,
+  timeZone = DEFAULT_TIME_ZONE
 }) => {
   try {
     const analytics = await ReminderAnalytics.findOne({ supabaseId }) || new ReminderAnalytics({ supabaseId });
     const newSampleSize = (analytics.sampleSize ?? 0) + 1;
 
     if (reminder?.scheduledFor) {
-      const scheduledHour = getHours(reminder.scheduledFor);
-      const interactionHour = getHours(interactionDate ?? new Date());
+      const interactionHour = hourInTimeZone(interactionDate ?? new Date(), timeZone);
       const smoothedHour = (SMOOTHING_FACTOR * interactionHour) + ((1 - SMOOTHING_FACTOR) * (analytics.preferredHourOfDay ?? DEFAULT_PREFERRED_HOUR));
       analytics.preferredHourOfDay = clampHour(smoothedHour);
 
@@ -49,7 +52,7 @@ export const updateAnalyticsWithInteraction = async ({
         analytics.averageCompletionLeadHours = Math.max(1, (SMOOTHING_FACTOR * absLead) + ((1 - SMOOTHING_FACTOR) * (analytics.averageCompletionLeadHours ?? 6)));
       }
 
-      analytics.preferredDayOfWeek = getDay(reminder.scheduledFor);
+      analytics.preferredDayOfWeek = weekdayInTimeZone(reminder.scheduledFor, timeZone);
     }
 
     analytics.sampleSize = newSampleSize;
@@ -64,23 +67,23 @@ export const suggestSchedule = async ({
   supabaseId,
   dueDate,
   preference,
-  fallbackMinutes = 180
+  fallbackMinutes = 180,
+  timeZone = DEFAULT_TIME_ZONE
 }) => {
   const preferredHour = await calculatePreferredHour(supabaseId);
   const quietHours = preference?.quietHours || { startHour: 0, endHour: 0 };
   const leadMinutes = preference?.defaultLeadMinutes ?? fallbackMinutes;
 
   let candidateDate = dueDate ? new Date(dueDate) : addMinutes(new Date(), leadMinutes);
-  candidateDate = addMinutes(candidateDate, -leadMinutes);
-  candidateDate.setHours(preferredHour, 0, 0, 0);
+  candidateDate = atHourInTimeZone(addMinutes(candidateDate, -leadMinutes), preferredHour, timeZone);
 
   if (quietHours.startHour !== quietHours.endHour) {
-    const hour = getHours(candidateDate);
+    const hour = hourInTimeZone(candidateDate, timeZone);
     const isQuiet = quietHours.startHour < quietHours.endHour
       ? hour >= quietHours.startHour && hour < quietHours.endHour
       : hour >= quietHours.startHour || hour < quietHours.endHour;
     if (isQuiet) {
-      candidateDate.setHours((quietHours.endHour + 1) % 24, 0, 0, 0);
+      candidateDate = atHourInTimeZone(candidateDate, (quietHours.endHour + 1) % 24, timeZone);
     }
   }
 
@@ -94,13 +97,13 @@ export const suggestSchedule = async ({
 export const computeInactivitySchedule = async ({
   supabaseId,
   lastLoginAt,
-  preference
+  preference,
+  timeZone = DEFAULT_TIME_ZONE
 }) => {
   const threshold = preference?.inactivityThresholdHours ?? DEFAULT_INACTIVITY_THRESHOLD_HOURS;
   const preferredHour = await calculatePreferredHour(supabaseId);
   const base = lastLoginAt ? addMinutes(new Date(lastLoginAt), threshold * 60) : addMinutes(new Date(), threshold * 60);
-  base.setHours(preferredHour, 0, 0, 0);
-  return base;
+  return atHourInTimeZone(base, preferredHour, timeZone);
 };
 
 export const dedupeExistingReminder = async ({
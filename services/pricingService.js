@@ -0,0 +1,156 @@
+import PromoCode from '../models/promoCode.js';
+import MpesaTransaction from '../models/mpesaTransaction.js';
+import PromoRedemption from '../models/promoRedemption.js';
+import { env } from '../config/environment.js';
+
+// M-Pesa only charges whole shillings, and never less than 1
+const MINIMUM_CHARGE = 1;
+
+export const PLAN_PRICES = {
+  monthly: env.PLAN_PRICE_MONTHLY,
+  annual: env.PLAN_PRICE_ANNUAL,
+  lifetime: env.PLAN_PRICE_LIFETIME
+};
+
+/**
+ * Raised when a promo code cannot be applied; `message` is safe to show the user.
+ */
+export class PromoCodeError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'PromoCodeError';
+    this.reason = reason;
+  }
+}
+
+export const normalizePromoCode = (code) => (typeof code === 'string' && code.trim() ? code.trim().toUpperCase() : null);
+
+export const computeDiscount = (listPrice, promo) => {
+  const raw = promo.discountType === 'percent'
+    ? (listPrice * Math.min(promo.discountValue, 100)) / 100
+    : promo.discountValue;
+  return Math.min(Math.round(raw), listPrice - MINIMUM_CHARGE);
+};
+
+// Pending and completed payments both count, so a code cannot be stretched by paying twice at once
+const countRedemptions = (filter) => MpesaTransaction.countDocuments({
+  ...filter,
+  status: { $in: ['pending', 'completed'] }
+});
+
+const loadPromoCode = async (code, { supabaseId, plan, now }) => {
+  const promo = await PromoCode.findOne({ code });
+
+  if (!promo || !promo.active) {
+    throw new PromoCodeError('Promo code is not valid', 'not_found');
+  }
+  if (promo.startsAt && promo.startsAt > now) {
+    throw new PromoCodeError('Promo code is not active yet', 'not_started');
+  }
+  if (promo.expiresAt && promo.expiresAt <= now) {
+    throw new PromoCodeError('Promo code has expired', 'expired');
+  }
+  if (promo.plans?.length && !promo.plans.includes(plan)) {
+    throw new PromoCodeError(`Promo code does not apply to the ${plan} plan`, 'plan_not_eligible');
+  }
+  if (promo.maxRedemptions && await countRedemptions({ promoCode: code }) >= promo.maxRedemptions) {
+    throw new PromoCodeError('Promo code has reached its usage limit', 'exhausted');
+  }
+  if (promo.perUserLimit && await countRedemptions({ promoCode: code, supabaseId }) >= promo.perUserLimit) {
+    throw new PromoCodeError('You have already used this promo code', 'user_limit');
+  }
+
+  return promo;
+};
+
+/**
+ * Price a plan for a user, applying an optional promo code. This is the only source of the
+ * amount charged by /api/mpesa/stkpush; the client never chooses it.
+ */
+export const quotePrice = async ({ supabaseId, plan, promoCode, now = new Date() }) => {
+  const listPrice = PLAN_PRICES[plan];
+  if (!listPrice) {
+    throw new Error(`No price configured for plan: ${plan}`);
+  }
+
+  const code = normalizePromoCode(promoCode);
+  const promo = code ? await loadPromoCode(code, { supabaseId, plan, now }) : null;
+  const discount = promo ? computeDiscount(listPrice, promo) : 0;
+
+  return {
+    plan,
+    currency: 'KES',
+    listPrice,
+    discount,
+    amount: listPrice - discount,
+    promoCode: promo ? code : null,
+    promoDescription: promo?.description || null
+  };
+};
+
+// Counters start from the payments already made with the code, so limits carry over to codes
+// used before they were counted. Losing a race to create one is harmless.
+const seedCounters = async (promo, supabaseId) => {
+  if (promo.redemptions === undefined || promo.redemptions === null) {
+    await PromoCode.findOneAndUpdate(
+      { _id: promo._id, redemptions: null },
+      { $set: { redemptions: await countRedemptions({ promoCode: promo.code }) } }
+    );
+  }
+  try {
+    await PromoRedemption.findOneAndUpdate(
+      { code: promo.code, supabaseId },
+      { $setOnInsert: { count: await countRedemptions({ promoCode: promo.code, supabaseId }) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Take one use of a promo code for a payment about to be made, checking maxRedemptions and
+ * perUserLimit in the same atomic updates that count the use, so concurrent payments cannot
+ * overshoot either. Throws PromoCodeError when a limit has been reached. Every reservation is
+ * given back with releasePromoRedemption if its payment fails.
+ */
+export const reservePromoRedemption = async (code, supabaseId) => {
+  const promo = await PromoCode.findOne({ code });
+  if (!promo) {
+    throw new PromoCodeError('Promo code is not valid', 'not_found');
+  }
+  await seedCounters(promo, supabaseId);
+
+  const taken = await PromoCode.findOneAndUpdate(
+    promo.maxRedemptions ? { _id: promo._id, redemptions: { $lt: promo.maxRedemptions } } : { _id: promo._id },
+    { $inc: { redemptions: 1 } }
+  );
+  if (!taken) {
+    throw new PromoCodeError('Promo code has reached its usage limit', 'exhausted');
+  }
+
+  const mine = await PromoRedemption.findOneAndUpdate(
+    promo.perUserLimit ? { code, supabaseId, count: { $lt: promo.perUserLimit } } : { code, supabaseId },
+    { $inc: { count: 1 } }
+  );
+  if (!mine) {
+    await PromoCode.findOneAndUpdate({ _id: promo._id, redemptions: { $gte: 1 } }, { $inc: { redemptions: -1 } });
+    throw new PromoCodeError('You have already used this promo code', 'user_limit');
+  }
+};
+
+// Give back a use taken by reservePromoRedemption, once its payment has failed
+export const releasePromoRedemption = async (code, supabaseId) => {
+  await PromoCode.findOneAndUpdate({ code, redemptions: { $gte: 1 } }, { $inc: { redemptions: -1 } });
+  await PromoRedemption.findOneAndUpdate({ code, supabaseId, count: { $gte: 1 } }, { $inc: { count: -1 } });
+};
+
+export default {
+  PLAN_PRICES,
+  PromoCodeError,
+  normalizePromoCode,
+  computeDiscount,
+  quotePrice,
+  reservePromoRedemption,
+  releasePromoRedemption
+};
@@ -0,0 +1,169 @@
+import webPush from 'web-push';
+import PushSubscription from '../models/pushSubscription.js';
+import { env } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+import { describeUserAgent } from '../utils/userAgent.js';
+
+/**
+ * Push devices
+ *
+ * Every browser or phone that accepted notifications holds one PushSubscription. Pushes go through
+ * sendToDevice so each device keeps its last delivery time and failure count; devices the push
+ * service reports as gone are removed.
+ */
+
+// Push services answer these once a subscription has expired or been withdrawn
+const GONE_STATUS_CODES = [404, 410];
+const MAX_ERROR_LENGTH = 500;
+
+export class PushDeliveryError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'PushDeliveryError';
+    this.reason = reason;
+  }
+}
+
+export const isPushConfigured = () => Boolean(env.WEB_PUSH_VAPID_PUBLIC_KEY && env.WEB_PUSH_VAPID_PRIVATE_KEY);
+
+let configuredPublicKey = null;
+
+// Resolves to false while the VAPID keys are missing, in which case push delivery is off
+const configureVapid = () => {
+  if (!isPushConfigured()) return false;
+  if (configuredPublicKey !== env.WEB_PUSH_VAPID_PUBLIC_KEY) {
+    webPush.setVapidDetails(
+      'mailto:support@semesterstride.app',
+      env.WEB_PUSH_VAPID_PUBLIC_KEY,
+      env.WEB_PUSH_VAPID_PRIVATE_KEY
+    );
+    configuredPublicKey = env.WEB_PUSH_VAPID_PUBLIC_KEY;
+  }
+  return true;
+};
+
+if (!isPushConfigured()) {
+  logger.warn('WEB_PUSH_VAPID_PUBLIC_KEY or WEB_PUSH_VAPID_PRIVATE_KEY not configured. Push delivery disabled.');
+}
+
+const recordDelivery = (subscription, update) => PushSubscription.findOneAndUpdate({ _id: subscription._id }, update)
+  .catch((error) => logger.warn('Failed to record push delivery', { error: error.message }));
+
+/**
+ * Push `payload` to one device. Resolves to 'delivered', 'failed', 'gone' (the subscription was
+ * removed) or 'disabled' (no VAPID keys); never throws.
+ */
+export const sendToDevice = async (subscription, payload, now = new Date()) => {
+  if (!configureVapid()) return 'disabled';
+
+  try {
+    await webPush.sendNotification(
+      { endpoint: subscription.endpoint, keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth } },
+      JSON.stringify(payload)
+    );
+  } catch (error) {
+    if (GONE_STATUS_CODES.includes(error.statusCode)) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+      logger.info('Removed expired push subscription', { supabaseId: subscription.supabaseId, deviceId: String(subscription._id) });
+      return 'gone';
+    }
+
+    logger.error('Failed to send push notification', {
+      error: error.message,
+      endpoint: subscription.endpoint
+    });
+    await recordDelivery(subscription, {
+      $set: { lastFailureAt: now, lastError: String(error.message).slice(0, MAX_ERROR_LENGTH) },
+      $inc: { failureCount: 1 }
+    });
+    return 'failed';
+  }
+
+  await recordDelivery(subscription, { $set: { lastDeliveredAt: now, failureCount: 0 }, $unset: { lastError: 1 } });
+  return 'delivered';
+};
+
+const pushServiceHost = (endpoint) => {
+  try {
+    return new URL(endpoint).host;
+  } catch {
+    return null;
+  }
+};
+
+export const describeDevice = (subscription) => {
+  const detectedName = describeUserAgent(subscription.userAgent);
+  return {
+    id: String(subscription._id),
+    name: subscription.name || detectedName,
+    detectedName,
+    userAgent: subscription.userAgent || null,
+    pushService: pushServiceHost(subscription.endpoint),
+    createdAt: subscription.createdAt || null,
+    lastDeliveredAt: subscription.lastDeliveredAt || null,
+    lastFailureAt: subscription.lastFailureAt || null,
+    lastError: subscription.lastError || null,
+    failureCount: subscription.failureCount || 0
+  };
+};
+
+export const listDevices = (supabaseId) => PushSubscription.find({ supabaseId }).sort({ createdAt: -1 });
+
+export const getDevice = (supabaseId, deviceId) => PushSubscription.findOne({ _id: deviceId, supabaseId });
+
+/**
+ * Set a device's name; `null` goes back to the name parsed from its user agent.
+ * Resolves to null when the device is not the user's.
+ */
+export const renameDevice = (supabaseId, deviceId, name) => PushSubscription.findOneAndUpdate(
+  { _id: deviceId, supabaseId },
+  name ? { $set: { name } } : { $unset: { name: 1 } },
+  { new: true }
+);
+
+/**
+ * Remove a device so it receives no more notifications. Resolves to the removed subscription,
+ * or null when it is not the user's.
+ */
+export const revokeDevice = async (supabaseId, deviceId) => {
+  const subscription = await getDevice(supabaseId, deviceId);
+  if (!subscription) return null;
+  await PushSubscription.deleteOne({ _id: subscription._id, supabaseId });
+  logger.info('Push device revoked', { supabaseId, deviceId: String(subscription._id) });
+  return subscription;
+};
+
+/**
+ * Send a test notification to one device. Throws PushDeliveryError when it cannot be delivered.
+ */
+export const sendTestNotification = async (subscription, now = new Date()) => {
+  const name = subscription.name || describeUserAgent(subscription.userAgent);
+  const outcome = await sendToDevice(subscription, {
+    title: 'Test notification',
+    body: `Notifications from SemesterStride are working on ${name}.`,
+    data: { type: 'TEST', url: `${env.FRONTEND_URL}/settings` }
+  }, now);
+
+  if (outcome === 'disabled') {
+    throw new PushDeliveryError('Push notifications are not configured on this server', 'not_configured');
+  }
+  if (outcome === 'gone') {
+    throw new PushDeliveryError('This device is no longer subscribed and has been removed', 'gone');
+  }
+  if (outcome === 'failed') {
+    throw new PushDeliveryError('The notification could not be delivered to this device', 'failed');
+  }
+  return outcome;
+};
+
+export default {
+  PushDeliveryError,
+  isPushConfigured,
+  sendToDevice,
+  describeDevice,
+  listDevices,
+  getDevice,
+  renameDevice,
+  revokeDevice,
+  sendTestNotification
+};
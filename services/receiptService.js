@@ -0,0 +1,107 @@
+import MpesaTransaction from '../models/mpesaTransaction.js';
+import User from '../models/user.js';
+import { sendEmail } from '../emailService.js';
+import { renderTextPdf } from '../utils/pdfDocument.js';
+import { logger } from '../utils/logger.js';
+
+const PLAN_LABELS = {
+  monthly: 'Monthly plan',
+  annual: 'Annual plan',
+  lifetime: 'Lifetime plan'
+};
+
+/**
+ * Mask all but the country code and last three digits, e.g. 254712345678 -> 254*******678.
+ */
+export const maskPhoneNumber = (phone) => {
+  const digits = String(phone || '');
+  if (digits.length <= 6) return digits.replace(/./g, '*');
+  return `${digits.slice(0, 3)}${'*'.repeat(digits.length - 6)}${digits.slice(-3)}`;
+};
+
+const formatAmount = (amount) => `KES ${Number(amount).toLocaleString('en-KE', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => new Date(date).toLocaleString('en-KE', {
+  timeZone: 'Africa/Nairobi',
+  dateStyle: 'long',
+  timeStyle: 'short'
+});
+
+export const receiptNumberFor = (transaction) => transaction.mpesaReceiptNumber || transaction._id.toString();
+
+/**
+ * Render the PDF receipt for a completed transaction.
+ * Returns `{ filename, pdf }` where pdf is a Buffer.
+ */
+export const buildReceipt = (transaction) => {
+  if (transaction.status !== 'completed') {
+    throw new Error('Receipts are only available for completed payments');
+  }
+
+  const receiptNumber = receiptNumberFor(transaction);
+  const pdf = renderTextPdf([
+    { text: 'SemesterStride', size: 20, bold: true, gap: 4 },
+    { text: 'Payment receipt', size: 14, gap: 24 },
+    { text: `Receipt number: ${receiptNumber}`, bold: true, gap: 12 },
+    `Plan: ${PLAN_LABELS[transaction.plan] || transaction.plan}`,
+    ...(transaction.discount ? [
+      `List price: ${formatAmount(transaction.listPrice)}`,
+      `Discount${transaction.promoCode ? ` (${transaction.promoCode})` : ''}: -${formatAmount(transaction.discount)}`
+    ] : []),
+    `Amount paid: ${formatAmount(transaction.amount)}`,
+    'Payment method: M-Pesa',
+    `Phone: ${maskPhoneNumber(transaction.phoneNumber)}`,
+    { text: `Date: ${formatDate(transaction.completedAt || transaction.transactionDate)}`, gap: 24 },
+    { text: 'Thank you for studying with SemesterStride.', size: 10 }
+  ], { title: `SemesterStride receipt ${receiptNumber}` });
+
+  return { filename: `semesterstride-receipt-${receiptNumber}.pdf`, pdf };
+};
+
+/**
+ * Email the receipt for a completed transaction to the payer, once.
+ * Failures are logged rather than thrown so they never block payment processing;
+ * the receipt can still be downloaded from GET /api/payments/:id/receipt.
+ */
+export const emailReceipt = async (transaction) => {
+  if (transaction.status !== 'completed' || transaction.receiptSentAt) return false;
+
+  try {
+    const user = await User.findOne({ supabaseId: transaction.supabaseId });
+    if (!user?.email) {
+      logger.warn('No email address for payment receipt', { transactionId: transaction._id.toString() });
+      return false;
+    }
+
+    const { filename, pdf } = buildReceipt(transaction);
+    await sendEmail({
+      to: user.email,
+      subject: `Your SemesterStride receipt ${receiptNumberFor(transaction)}`,
+      text: `Hi${user.name ? ` ${user.name}` : ''},\n\nThanks for your payment of ${formatAmount(transaction.amount)} for the ${PLAN_LABELS[transaction.plan] || transaction.plan}. Your receipt is attached.\n\nSemesterStride`,
+      attachments: [{ filename, content: pdf, contentType: 'application/pdf' }]
+    });
+
+    await MpesaTransaction.findOneAndUpdate(
+      { _id: transaction._id },
+      { $set: { receiptSentAt: new Date() } }
+    );
+    logger.info('Payment receipt emailed', { transactionId: transaction._id.toString() });
+    return true;
+  } catch (error) {
+    logger.error('Failed to email payment receipt', {
+      transactionId: transaction._id.toString(),
+      error: error.message
+    });
+    return false;
+  }
+};
+
+export default {
+  maskPhoneNumber,
+  receiptNumberFor,
+  buildReceipt,
+  emailReceipt
+};
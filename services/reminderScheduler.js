@@ -1,5 +1,4 @@
 import cron from 'node-cron';
-import webPush from 'web-push';
 import Reminder from '../models/reminder.js';
 import ReminderPreference from '../models/reminderPreference.js';
 import ReminderAnalytics from '../models/reminderAnalytics.js';
@@ -7,65 +6,83 @@ import Assignment from '../models/assignment.js';
 import User from '../models/user.js';
 import PushSubscription from '../models/pushSubscription.js';
 import Activity from '../models/activity.js';
+import Subscription from '../models/subscription.js';
 import { encrypt } from '../utils/encryption.js';
 import { env } from '../config/environment.js';
 import { logger } from '../utils/logger.js';
 import { dedupeExistingReminder, suggestSchedule, computeInactivitySchedule, updateAnalyticsWithInteraction } from './predictionEngine.js';
 import { generateAdaptiveReminderInsights } from './groqAI.js';
+import { getBillingNotice, RENEWAL_REMINDER_DAYS } from './subscriptionService.js';
+import { profileTimeZone, profileLocale, notificationChannels } from './userProfileService.js';
+import { isPushConfigured, sendToDevice } from './pushDeviceService.js';
+import { isOnBreak } from './semesterService.js';
+import { sendEmail } from '../emailService.js';
 
 const DEADLINE_LOOKAHEAD_HOURS = 48;
 const DISPATCH_BATCH_SIZE = parseInt(env.REMINDER_MAX_BATCH_SIZE ?? '100', 10);
 
-const ensureVapidConfig = () => {
-  if (env.WEB_PUSH_VAPID_PUBLIC_KEY && env.WEB_PUSH_VAPID_PRIVATE_KEY) {
-    webPush.setVapidDetails(
-      'mailto:support@semesterstride.app',
-      env.WEB_PUSH_VAPID_PUBLIC_KEY,
-      env.WEB_PUSH_VAPID_PRIVATE_KEY
-    );
-  } else {
-    logger.warn('WEB_PUSH_VAPID_PUBLIC_KEY or WEB_PUSH_VAPID_PRIVATE_KEY not configured. Push delivery disabled.');
-  }
-};
-
-ensureVapidConfig();
-
 const buildPayload = (reminder) => ({
   title: reminder.title,
   body: reminder.message,
+  ...(reminder.type === 'BILLING' ? { actions: [{ action: 'renew', title: 'Renew now' }] } : {}),
   data: {
     reminderId: reminder._id.toString(),
     type: reminder.type,
     scheduledFor: reminder.scheduledFor,
+    url: reminder.actionUrl,
     snoozeOptions: [10, 30, 60]
   }
 });
 
-const fetchPreferencesMap = async () => {
-  const preferences = await ReminderPreference.find({ smartRemindersEnabled: true });
+const renewalUrl = (plan) => `${env.FRONTEND_URL}/billing?renew=${encodeURIComponent(plan)}`;
+
+// Profiles are read once per run, whichever step needs them first
+const createProfileLoader = () => {
+  const cache = new Map();
+  return (supabaseId) => {
+    if (!cache.has(supabaseId)) {
+      cache.set(supabaseId, User.findOne({ supabaseId }));
+    }
+    return cache.get(supabaseId);
+  };
+};
+
+// Dates in notification text are written for the student's locale and clock
+const formatForUser = (date, user, preference) => new Date(date).toLocaleString(profileLocale(user), {
+  timeZone: profileTimeZone(user, preference),
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const fetchPreferencesMap = async (scope) => {
+  const preferences = await ReminderPreference.find({ ...scope, smartRemindersEnabled: true });
   return preferences.reduce((acc, pref) => {
     acc[pref.supabaseId] = pref;
     return acc;
   }, {});
 };
 
-const scheduleDeadlineReminders = async ({ preferences }) => {
+const scheduleDeadlineReminders = async ({ scope, preferences, profiles }) => {
   const now = new Date();
   const upperBound = new Date(now.getTime() + DEADLINE_LOOKAHEAD_HOURS * 60 * 60 * 1000);
   const assignments = await Assignment.find({
+    ...scope,
     dueDate: { $gte: now, $lte: upperBound },
     progress: { $lt: 100 }
   }).limit(DISPATCH_BATCH_SIZE * 2);
 
+  let scheduled = 0;
   for (const assignment of assignments) {
     const supabaseId = assignment.supabaseId;
     const preference = preferences[supabaseId];
     if (!preference?.smartRemindersEnabled) continue;
 
+    const profile = await profiles(supabaseId);
     const scheduledFor = await suggestSchedule({
       supabaseId,
       dueDate: assignment.dueDate,
-      preference
+      preference,
+      timeZone: profileTimeZone(profile, preference)
     });
 
     const existing = await dedupeExistingReminder({
@@ -81,27 +98,33 @@ const scheduleDeadlineReminders = async ({ preferences }) => {
       supabaseId,
       type: 'DEADLINE',
       title: `Upcoming: ${assignment.title}`,
-      message: `Your assignment "${assignment.title}" is due on ${assignment.dueDate?.toLocaleString()}.` ,
+      message: `Your assignment "${assignment.title}" is due on ${formatForUser(assignment.dueDate, profile, preference)}.`,
       foreignId: assignment._id.toString(),
       scheduledFor,
       metadata: encrypt({ assignmentId: assignment._id, dueDate: assignment.dueDate })
     });
 
     await reminder.save();
+    scheduled += 1;
   }
+  return scheduled;
 };
 
-const scheduleInactivityReminders = async ({ preferences }) => {
-  const users = await User.find({ smartRemindersOptIn: { $ne: false } }).limit(DISPATCH_BATCH_SIZE * 2);
+const scheduleInactivityReminders = async ({ scope, preferences }) => {
+  const users = await User.find({ ...scope, smartRemindersOptIn: { $ne: false } }).limit(DISPATCH_BATCH_SIZE * 2);
 
+  let scheduled = 0;
   for (const user of users) {
     const preference = preferences[user.supabaseId];
     if (!preference?.smartRemindersEnabled) continue;
+    // Not logging in during a break is expected
+    if (await isOnBreak(user.supabaseId, { timeZone: profileTimeZone(user, preference) })) continue;
 
     const targetDate = await computeInactivitySchedule({
       supabaseId: user.supabaseId,
       lastLoginAt: user.lastLoginAt,
-      preference
+      preference,
+      timeZone: profileTimeZone(user, preference)
     });
 
     if (!targetDate || targetDate < new Date()) continue;
@@ -126,19 +149,24 @@ const scheduleInactivityReminders = async ({ preferences }) => {
     });
 
     await reminder.save();
+    scheduled += 1;
   }
+  return scheduled;
 };
 
-const scheduleBehaviouralReminders = async ({ preferences }) => {
-  const analytics = await ReminderAnalytics.find({}).limit(DISPATCH_BATCH_SIZE);
+const scheduleBehaviouralReminders = async ({ scope, preferences, profiles }) => {
+  const analytics = await ReminderAnalytics.find({ ...scope }).limit(DISPATCH_BATCH_SIZE);
 
+  let scheduled = 0;
   for (const row of analytics) {
     const preference = preferences[row.supabaseId];
     if (!preference?.smartRemindersEnabled) continue;
 
+    const user = await profiles(row.supabaseId);
+    if (await isOnBreak(row.supabaseId, { timeZone: profileTimeZone(user, preference) })) continue;
+
     // AI Enhancement: Get adaptive reminder insights if AI is enabled
     let aiInsights = null;
-    const user = await User.findOne({ supabaseId: row.supabaseId });
     if (user?.aiPreferences?.enabled && env.GROQ_API_KEY) {
       try {
         // Get recent activities for behavior analysis
@@ -179,7 +207,8 @@ const scheduleBehaviouralReminders = async ({ preferences }) => {
       supabaseId: row.supabaseId,
       dueDate: null,
       preference,
-      fallbackMinutes
+      fallbackMinutes,
+      timeZone: profileTimeZone(user, preference)
     });
 
     const existing = await dedupeExistingReminder({
@@ -215,63 +244,154 @@ const scheduleBehaviouralReminders = async ({ preferences }) => {
     });
 
     await reminder.save();
+    scheduled += 1;
+  }
+  return scheduled;
+};
+
+// Account notices rather than study nudges, so they are sent whatever the smart reminder preferences
+const scheduleBillingReminders = async ({ scope }) => {
+  const now = new Date();
+  const subscriptions = await Subscription.find({
+    ...scope,
+    status: 'active',
+    currentPeriodEnd: {
+      $gte: new Date(now.getTime() - env.SUBSCRIPTION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+      $lte: new Date(now.getTime() + RENEWAL_REMINDER_DAYS * 24 * 60 * 60 * 1000)
+    }
+  }).limit(DISPATCH_BATCH_SIZE * 2);
+
+  let scheduled = 0;
+  for (const subscription of subscriptions) {
+    const notice = getBillingNotice(subscription, now);
+    if (!notice) continue;
+
+    const existing = await Reminder.findOne({
+      supabaseId: subscription.supabaseId,
+      type: 'BILLING',
+      foreignId: notice.key
+    });
+
+    if (existing) continue;
+
+    const reminder = new Reminder({
+      supabaseId: subscription.supabaseId,
+      type: 'BILLING',
+      title: notice.title,
+      message: notice.message,
+      foreignId: notice.key,
+      scheduledFor: now,
+      actionUrl: renewalUrl(notice.renewPlan),
+      metadata: encrypt({ stage: notice.stage, plan: subscription.plan, periodEnd: subscription.currentPeriodEnd })
+    });
+
+    await reminder.save();
+    scheduled += 1;
   }
+  return scheduled;
 };
 
-const dispatchDueReminders = async () => {
+// A BILLING reminder is stale once the user has renewed (or the notice no longer applies)
+const isBillingReminderCurrent = async (reminder, now) => {
+  const subscription = await Subscription.findOne({ supabaseId: reminder.supabaseId });
+  return getBillingNotice(subscription, now)?.key === reminder.foreignId;
+};
+
+// Resolves to true when the user has at least one push subscription to send to
+const sendPushNotifications = async (reminder) => {
+  const subscriptions = await PushSubscription.find({ supabaseId: reminder.supabaseId });
+
+  if (isPushConfigured()) {
+    // Each device keeps its own delivery record; see services/pushDeviceService.js
+    for (const subscription of subscriptions) {
+      await sendToDevice(subscription, buildPayload(reminder));
+    }
+  }
+  return subscriptions.length > 0;
+};
+
+const sendReminderEmail = async (reminder, user) => {
+  if (!user?.email) return false;
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: reminder.title,
+      text: `${reminder.message}\n\n${reminder.actionUrl || env.FRONTEND_URL}\n\nYou can turn off email reminders in your settings: ${env.FRONTEND_URL}/settings\n\nSemesterStride`
+    });
+    return true;
+  } catch (error) {
+    logger.error('Failed to email reminder', { error: error.message, supabaseId: reminder.supabaseId });
+    return false;
+  }
+};
+
+const dispatchDueReminders = async ({ scope, profiles }) => {
   const now = new Date();
   const windowStart = new Date(now.getTime() - 5 * 60 * 1000);
   const reminders = await Reminder.find({
+    ...scope,
     scheduledFor: { $gte: windowStart, $lte: now },
     status: { $in: ['scheduled', 'queued', 'snoozed'] }
   }).limit(DISPATCH_BATCH_SIZE);
 
+  let sent = 0;
   for (const reminder of reminders) {
-    const subscriptions = await PushSubscription.find({ supabaseId: reminder.supabaseId });
-    if (!subscriptions.length) {
-      logger.info('No push subscription found for user', { supabaseId: reminder.supabaseId });
+    if (reminder.type === 'BILLING' && !(await isBillingReminderCurrent(reminder, now))) {
+      reminder.status = 'dismissed';
+      await reminder.save();
       continue;
     }
 
-    for (const subscription of subscriptions) {
-      try {
-        if (!env.WEB_PUSH_VAPID_PUBLIC_KEY || !env.WEB_PUSH_VAPID_PRIVATE_KEY) {
-          break;
-        }
-        await webPush.sendNotification(subscription.toObject(), JSON.stringify(buildPayload(reminder)));
-      } catch (error) {
-        logger.error('Failed to send push notification', {
-          error: error.message,
-          endpoint: subscription.endpoint
-        });
-      }
+    const user = await profiles(reminder.supabaseId);
+    const channels = notificationChannels(user);
+    const delivered = [];
+    if (channels.push && await sendPushNotifications(reminder)) delivered.push('push');
+    if (channels.email && await sendReminderEmail(reminder, user)) delivered.push('email');
+
+    if (!delivered.length) {
+      logger.info('No notification channel available for user', { supabaseId: reminder.supabaseId, channels });
+      continue;
     }
 
     reminder.status = 'sent';
     reminder.sentAt = now;
-    reminder.interactions.push({ action: 'sent', actedAt: now });
+    reminder.interactions.push({ action: 'sent', actedAt: now, metadata: { channels: delivered } });
     await reminder.save();
+    sent += 1;
   }
+  return sent;
 };
 
-const cleanUpResolvedReminders = async () => {
+const cleanUpResolvedReminders = async ({ scope }) => {
   const now = new Date();
   await Reminder.updateMany(
-    { status: 'sent', scheduledFor: { $lt: new Date(now.getTime() - 24 * 60 * 60 * 1000) } },
+    { ...scope, status: 'sent', scheduledFor: { $lt: new Date(now.getTime() - 24 * 60 * 60 * 1000) } },
     { status: 'dismissed' }
   );
 };
 
-export const runReminderScheduler = async () => {
-  const preferences = await fetchPreferencesMap();
-  await scheduleDeadlineReminders({ preferences });
-  await scheduleInactivityReminders({ preferences });
-  await scheduleBehaviouralReminders({ preferences });
-  await dispatchDueReminders();
-  await cleanUpResolvedReminders();
+/**
+ * One pass of the scheduler: create due reminders, send those whose time has come and retire old
+ * ones. Pass `supabaseId` to limit the pass to one user (used by the admin console). Resolves to
+ * how many reminders were scheduled, by type, and sent.
+ */
+export const runReminderScheduler = async ({ supabaseId } = {}) => {
+  const scope = supabaseId ? { supabaseId } : {};
+  const preferences = await fetchPreferencesMap(scope);
+  const profiles = createProfileLoader();
+  const scheduled = {
+    deadline: await scheduleDeadlineReminders({ scope, preferences, profiles }),
+    inactivity: await scheduleInactivityReminders({ scope, preferences }),
+    behavioural: await scheduleBehaviouralReminders({ scope, preferences, profiles }),
+    billing: await scheduleBillingReminders({ scope })
+  };
+  const sent = await dispatchDueReminders({ scope, profiles });
+  await cleanUpResolvedReminders({ scope });
+  return { scheduled, sent };
 };
 
-cron.schedule('*/5 * * * *', async () => {
+// Every 5 minutes; started by startServer (app.js)
+export const startReminderSchedulerJob = () => cron.schedule('*/5 * * * *', async () => {
   try {
     await runReminderScheduler();
   } catch (error) {
@@ -306,11 +426,16 @@ export const logReminderInteraction = async ({ reminderId, action, metadata }) =
 
   await reminder.save();
 
+  const [user, preference] = await Promise.all([
+    User.findOne({ supabaseId: reminder.supabaseId }),
+    ReminderPreference.findOne({ supabaseId: reminder.supabaseId })
+  ]);
   await updateAnalyticsWithInteraction({
     supabaseId: reminder.supabaseId,
     reminder,
     interactionAction: action,
-    interactionDate: actedAt
+    interactionDate: actedAt,
+    timeZone: profileTimeZone(user, preference)
   });
 };
 
@@ -0,0 +1,45 @@
+import User from '../models/user.js';
+import { env } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Roles
+ *
+ * Every user is a `student` unless given a staff role. `support` can look users up, view their
+ * usage and imports, and impersonate them read-only; `admin` can also change roles, re-run jobs,
+ * read the audit log and see payment reports.
+ *
+ * The effective role comes from, in order: ADMIN_USER_IDS (always admin, so the first admin can
+ * be bootstrapped), the Supabase `app_metadata.role`, and the role stored on the user.
+ */
+
+export const ROLES = ['student', 'support', 'admin'];
+export const STAFF_ROLES = ['support', 'admin'];
+
+export const resolveRole = async (user) => {
+  if (env.ADMIN_USER_IDS.includes(user.supabaseId)) return 'admin';
+
+  const claimed = user.app_metadata?.role;
+  if (STAFF_ROLES.includes(claimed)) return claimed;
+
+  const record = await User.findOne({ supabaseId: user.supabaseId }).select('role').lean();
+  return record?.role || 'student';
+};
+
+/**
+ * Store a user's role. Resolves to the updated user, or null when there is no such user.
+ */
+export const setRole = async (supabaseId, role) => {
+  const user = await User.findOneAndUpdate({ supabaseId }, { $set: { role } }, { new: true });
+  if (user) {
+    logger.info('User role changed', { supabaseId, role });
+  }
+  return user;
+};
+
+export default {
+  ROLES,
+  STAFF_ROLES,
+  resolveRole,
+  setRole
+};
@@ -0,0 +1,281 @@
+import Semester from '../models/semester.js';
+import Course from '../models/course.js';
+import User from '../models/user.js';
+import ReminderPreference from '../models/reminderPreference.js';
+import { dateInTimeZone } from '../utils/timeZone.js';
+import { profileTimeZone } from './userProfileService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Semesters
+ *
+ * Each student keeps their own terms: start and end dates, reading weeks, exam weeks and breaks.
+ * Dates are calendar days (stored as UTC midnight, both ends included) and "today" is the day on
+ * the student's clock. Imports, course lists, reminders and study plans use the resolved semester
+ * instead of a name guessed from the month.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+// Period field on the semester -> week type
+const PERIOD_TYPES = { readingWeeks: 'reading', examWeeks: 'exam', breaks: 'break' };
+
+export class SemesterError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'SemesterError';
+    this.reason = reason;
+  }
+}
+
+export const toDay = (value) => new Date(`${value}T00:00:00.000Z`);
+
+const formatDay = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const contains = (period, day) => period.startDate <= day && day <= period.endDate;
+
+const allPeriods = (semester) => Object.entries(PERIOD_TYPES).flatMap(([field, type]) => (
+  (semester[field] || []).map((period) => ({ type, name: period.name || null, startDate: period.startDate, endDate: period.endDate }))
+));
+
+// The reading week, exam week or break covering `day`, if any
+export const periodOn = (semester, day) => allPeriods(semester).find((period) => contains(period, day)) || null;
+
+// The student's clock: the profile time zone, then the older reminder preference setting
+export const timeZoneFor = async (supabaseId) => {
+  const [user, preference] = await Promise.all([
+    User.findOne({ supabaseId }).select('timezone').lean(),
+    ReminderPreference.findOne({ supabaseId }).select('timezone').lean()
+  ]);
+  return profileTimeZone(user, preference);
+};
+
+export const todayIn = (timeZone, now = new Date()) => toDay(dateInTimeZone(now, timeZone));
+
+/**
+ * The semester week by week from its start date. A week takes the type of the reading week,
+ * exam week or break covering its middle day, and is a teaching week otherwise.
+ */
+export const semesterWeeks = (semester) => {
+  const weeks = [];
+  let teachingWeek = 0;
+  for (let start = semester.startDate.getTime(); start <= semester.endDate.getTime(); start += WEEK_MS) {
+    const endDate = new Date(Math.min(start + 6 * DAY_MS, semester.endDate.getTime()));
+    const period = periodOn(semester, new Date(Math.min(start + 3 * DAY_MS, endDate.getTime())));
+    if (!period) teachingWeek += 1;
+    weeks.push({
+      week: weeks.length + 1,
+      startDate: formatDay(start),
+      endDate: formatDay(endDate),
+      type: period?.type || 'teaching',
+      name: period?.name || null,
+      teachingWeek: period ? null : teachingWeek
+    });
+  }
+  return weeks;
+};
+
+export const countTeachingWeeks = (semester) => semester.teachingWeeks
+  || semesterWeeks(semester).filter((week) => week.type === 'teaching').length;
+
+/**
+ * Where `today` falls in the semester, or null outside it. `teachingWeek` counts the teaching
+ * weeks so far, including the current one; `period` is what kind of day today is.
+ */
+export const semesterPosition = (semester, today) => {
+  if (!contains(semester, today)) return null;
+
+  const weeks = semesterWeeks(semester);
+  const index = Math.floor((today - semester.startDate) / WEEK_MS);
+  const current = periodOn(semester, today);
+  const next = allPeriods(semester)
+    .filter((period) => period.startDate > today)
+    .sort((a, b) => a.startDate - b.startDate)[0];
+
+  return {
+    semesterId: String(semester._id),
+    week: index + 1,
+    totalWeeks: weeks.length,
+    teachingWeek: weeks.slice(0, index + 1).filter((week) => week.type === 'teaching').length,
+    teachingWeeks: countTeachingWeeks(semester),
+    period: current?.type || 'teaching',
+    periodName: current?.name || null,
+    nextPeriod: next
+      ? { type: next.type, name: next.name, startDate: formatDay(next.startDate), inDays: Math.round((next.startDate - today) / DAY_MS) }
+      : null,
+    daysRemaining: Math.round((semester.endDate - today) / DAY_MS)
+  };
+};
+
+const semesterStatus = (semester, today) => {
+  if (today < semester.startDate) return 'upcoming';
+  return today > semester.endDate ? 'past' : 'current';
+};
+
+const describePeriod = (period) => ({
+  name: period.name || null,
+  startDate: formatDay(period.startDate),
+  endDate: formatDay(period.endDate)
+});
+
+export const describeSemester = (semester, today = null) => ({
+  id: String(semester._id),
+  name: semester.name,
+  startDate: formatDay(semester.startDate),
+  endDate: formatDay(semester.endDate),
+  teachingWeeks: countTeachingWeeks(semester),
+  readingWeeks: (semester.readingWeeks || []).map(describePeriod),
+  examWeeks: (semester.examWeeks || []).map(describePeriod),
+  breaks: (semester.breaks || []).map(describePeriod),
+  status: today ? semesterStatus(semester, today) : null,
+  createdAt: semester.createdAt || null,
+  updatedAt: semester.updatedAt || null
+});
+
+export const listSemesters = async (supabaseId) => {
+  const semesters = await Semester.find({ supabaseId }).sort({ startDate: 1 });
+  return semesters.sort((a, b) => a.startDate - b.startDate);
+};
+
+const assertConsistent = (semester) => {
+  if (semester.endDate < semester.startDate) {
+    throw new SemesterError('endDate must not be before startDate', 'invalid');
+  }
+  for (const period of allPeriods(semester)) {
+    if (period.endDate < period.startDate) {
+      throw new SemesterError(`A ${period.type} period ends before it starts`, 'invalid');
+    }
+    if (!contains(semester, period.startDate) || !contains(semester, period.endDate)) {
+      throw new SemesterError(`A ${period.type} period falls outside the semester`, 'invalid');
+    }
+  }
+};
+
+const assertNoOverlap = async (supabaseId, semester, ignoreId = null) => {
+  const overlapping = (await Semester.find({
+    supabaseId,
+    startDate: { $lte: semester.endDate },
+    endDate: { $gte: semester.startDate }
+  })).filter((other) => String(other._id) !== String(ignoreId));
+
+  if (overlapping.length > 0) {
+    throw new SemesterError(`Overlaps with ${overlapping[0].name}`, 'overlap');
+  }
+};
+
+/**
+ * Fields are checked for shape by validateSemester; this checks they fit together and do not
+ * overlap the student's other semesters.
+ */
+export const createSemester = async (supabaseId, fields) => {
+  assertConsistent(fields);
+  await assertNoOverlap(supabaseId, fields);
+  return Semester.create({ ...fields, supabaseId });
+};
+
+// `null` clears teachingWeeks (back to counting) and empties a period list
+export const updateSemester = async (semester, fields) => {
+  const merged = {
+    startDate: semester.startDate,
+    endDate: semester.endDate,
+    readingWeeks: semester.readingWeeks,
+    examWeeks: semester.examWeeks,
+    breaks: semester.breaks,
+    ...fields
+  };
+  assertConsistent(merged);
+  if ('startDate' in fields || 'endDate' in fields) {
+    await assertNoOverlap(semester.supabaseId, merged, semester._id);
+  }
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null) {
+      semester.set(field, field === 'teachingWeeks' ? undefined : []);
+    } else {
+      semester.set(field, value);
+    }
+  }
+  return semester.save();
+};
+
+// Courses in the semester are kept; they lose the link but keep the semester's name
+export const deleteSemester = async (semester) => {
+  await Course.updateMany(
+    { supabaseId: semester.supabaseId, semesterId: semester._id },
+    { $unset: { semesterId: 1 } }
+  );
+  await semester.deleteOne();
+};
+
+/**
+ * The semester work belongs to now: the one in progress, or between semesters the next one.
+ * Null when the student has no current or upcoming semester.
+ */
+export const resolveCurrentSemester = async (supabaseId, { now = new Date(), timeZone } = {}) => {
+  const today = todayIn(timeZone || await timeZoneFor(supabaseId), now);
+  const semesters = await listSemesters(supabaseId);
+  return semesters.find((semester) => contains(semester, today))
+    || semesters.find((semester) => semester.startDate > today)
+    || null;
+};
+
+// A term by month, as imports used to label courses: Jan–Apr, May–Aug, Sep–Dec
+const defaultTerm = (today) => {
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth() + 1;
+  if (month <= 4) return { name: `Spring ${year}`, startDate: toDay(`${year}-01-01`), endDate: toDay(`${year}-04-30`) };
+  if (month <= 8) return { name: `Summer ${year}`, startDate: toDay(`${year}-05-01`), endDate: toDay(`${year}-08-31`) };
+  return { name: `Fall ${year}`, startDate: toDay(`${year}-09-01`), endDate: toDay(`${year}-12-31`) };
+};
+
+/**
+ * Like resolveCurrentSemester, but a student with no current or upcoming semester gets one for
+ * the term by month, starting after their last semester. They can correct its dates later.
+ */
+export const ensureCurrentSemester = async (supabaseId, { now = new Date(), timeZone } = {}) => {
+  const zone = timeZone || await timeZoneFor(supabaseId);
+  const semester = await resolveCurrentSemester(supabaseId, { now, timeZone: zone });
+  if (semester) return semester;
+
+  const today = todayIn(zone, now);
+  const term = defaultTerm(today);
+  const previous = (await listSemesters(supabaseId)).filter((past) => past.endDate >= term.startDate).pop();
+  if (previous) term.startDate = addDays(previous.endDate, 1);
+
+  logger.info('Created default semester', { supabaseId, name: term.name });
+  return Semester.create({ ...term, supabaseId });
+};
+
+/**
+ * True while the student is on a break: inside a break period, or between semesters. Students
+ * who have not set up any semesters are never on a break.
+ */
+export const isOnBreak = async (supabaseId, { now = new Date(), timeZone } = {}) => {
+  const today = todayIn(timeZone || await timeZoneFor(supabaseId), now);
+  const semesters = await listSemesters(supabaseId);
+  if (semesters.length === 0) return false;
+
+  const current = semesters.find((semester) => contains(semester, today));
+  return !current || periodOn(current, today)?.type === 'break';
+};
+
+export default {
+  SemesterError,
+  toDay,
+  todayIn,
+  timeZoneFor,
+  semesterWeeks,
+  countTeachingWeeks,
+  periodOn,
+  semesterPosition,
+  describeSemester,
+  listSemesters,
+  createSemester,
+  updateSemester,
+  deleteSemester,
+  resolveCurrentSemester,
+  ensureCurrentSemester,
+  isOnBreak
+};
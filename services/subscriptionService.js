@@ -0,0 +1,258 @@
+import { addDays, addMonths, addYears, differenceInCalendarDays } from 'date-fns';
+import Subscription from '../models/subscription.js';
+import { env } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+
+// Premium features and the plans that unlock them
+export const FEATURE_PLANS = {
+  ai_study_plan: ['trial', 'monthly', 'annual', 'lifetime'],
+  syllabus_import: ['trial', 'monthly', 'annual', 'lifetime']
+};
+
+// Subscriptions expiring within this many days are reported as due for renewal
+const RENEWAL_NOTICE_DAYS = 7;
+
+// BILLING reminders: days before a trial or paid period ends that the user is nudged
+export const TRIAL_REMINDER_DAYS = 2;
+export const RENEWAL_REMINDER_DAYS = 3;
+
+// Plans that get a grace period after they lapse
+const GRACE_PERIOD_PLANS = ['monthly'];
+
+export const computePeriodEnd = (plan, start) => {
+  if (plan === 'monthly') return addMonths(start, 1);
+  if (plan === 'annual') return addYears(start, 1);
+  return null;
+};
+
+export const computeGracePeriodEnd = (plan, periodEnd) => (
+  GRACE_PERIOD_PLANS.includes(plan) && periodEnd && env.SUBSCRIPTION_GRACE_DAYS > 0
+    ? addDays(periodEnd, env.SUBSCRIPTION_GRACE_DAYS)
+    : null
+);
+
+/**
+ * Start the free trial for a user who has never had a subscription. Returns the user's
+ * subscription (new or existing), or null when trials are disabled and there is none.
+ */
+export const startTrial = async (supabaseId, now = new Date()) => {
+  if (env.SUBSCRIPTION_TRIAL_DAYS <= 0) {
+    return Subscription.findOne({ supabaseId });
+  }
+
+  try {
+    const subscription = await Subscription.findOneAndUpdate(
+      { supabaseId },
+      {
+        $setOnInsert: {
+          plan: 'trial',
+          status: 'active',
+          currentPeriodStart: now,
+          currentPeriodEnd: addDays(now, env.SUBSCRIPTION_TRIAL_DAYS),
+          trialStartedAt: now,
+          transactions: []
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    if (subscription.trialStartedAt?.getTime() === now.getTime()) {
+      logger.info('Free trial started', { supabaseId, trialEndsAt: subscription.currentPeriodEnd });
+    }
+    return subscription;
+  } catch (error) {
+    // Concurrent first requests race on the unique supabaseId; the winner's row is the trial
+    if (error.code === 11000) {
+      return Subscription.findOne({ supabaseId });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Grant (or extend) a subscription from a completed M-Pesa transaction.
+ * Paying before expiry stacks the new period on top of the current one. Each transaction
+ * is applied at most once.
+ */
+export const grantFromTransaction = async (transaction) => {
+  if (!transaction || transaction.status !== 'completed') return null;
+
+  const { supabaseId, plan } = transaction;
+  const paidAt = transaction.completedAt || new Date();
+  const existing = await Subscription.findOne({ supabaseId });
+
+  if (existing?.transactions.some((id) => id.equals(transaction._id))) {
+    return existing;
+  }
+
+  let currentPeriodStart = paidAt;
+  let periodBase = paidAt;
+  let nextPlan = plan;
+
+  if (existing?.isActive(paidAt)) {
+    if (existing.plan === 'lifetime') {
+      // Never downgrade a lifetime subscriber; just record the payment.
+      nextPlan = 'lifetime';
+    } else if (existing.plan === 'trial') {
+      // Paying during the trial keeps the remaining trial days
+      periodBase = existing.currentPeriodEnd;
+    } else {
+      currentPeriodStart = existing.currentPeriodStart;
+      periodBase = existing.currentPeriodEnd;
+    }
+  } else if (existing?.isInGrace(paidAt)) {
+    // Renewing during the grace period continues from where the lapsed period ended
+    currentPeriodStart = existing.currentPeriodEnd;
+    periodBase = existing.currentPeriodEnd;
+  }
+
+  const currentPeriodEnd = nextPlan === 'lifetime'
+    ? null
+    : computePeriodEnd(nextPlan, periodBase);
+
+  try {
+    const subscription = await Subscription.findOneAndUpdate(
+      { supabaseId, transactions: { $ne: transaction._id } },
+      {
+        $set: {
+          plan: nextPlan,
+          status: 'active',
+          currentPeriodStart,
+          currentPeriodEnd,
+          gracePeriodEnd: computeGracePeriodEnd(nextPlan, currentPeriodEnd),
+          lastPaymentAt: paidAt
+        },
+        $push: { transactions: transaction._id }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    logger.info('Subscription granted from M-Pesa payment', {
+      supabaseId,
+      plan: nextPlan,
+      currentPeriodEnd,
+      transactionId: transaction._id.toString()
+    });
+
+    return subscription;
+  } catch (error) {
+    // Upsert collides with the unique supabaseId when another request already applied this transaction
+    if (error.code === 11000) {
+      return Subscription.findOne({ supabaseId });
+    }
+    throw error;
+  }
+};
+
+// The user's subscription if they have one, without starting a trial (for read-only views)
+export const findSubscription = (supabaseId) => Subscription.findOne({ supabaseId });
+
+/**
+ * The user's subscription. Users seen for the first time start their free trial here.
+ */
+export const getSubscription = async (supabaseId, now = new Date()) => {
+  const subscription = await Subscription.findOne({ supabaseId });
+  return subscription || startTrial(supabaseId, now);
+};
+
+const subscriptionStatus = (subscription, now) => {
+  if (subscription.isActive(now)) return subscription.plan === 'trial' ? 'trialing' : 'active';
+  if (subscription.isInGrace(now)) return 'grace';
+  return 'expired';
+};
+
+/**
+ * Shape a subscription for API responses. Users without a subscription are on the free plan.
+ */
+export const describeSubscription = (subscription, now = new Date()) => {
+  if (!subscription) {
+    return {
+      plan: 'free',
+      status: 'none',
+      active: false,
+      currentPeriodStart: null,
+      expiresAt: null,
+      renewal: { autoRenew: false, dueSoon: false, daysRemaining: null },
+      features: []
+    };
+  }
+
+  const status = subscriptionStatus(subscription, now);
+  const active = subscription.hasAccess(now);
+  const expiresAt = subscription.currentPeriodEnd || null;
+  const daysRemaining = expiresAt ? Math.max(0, differenceInCalendarDays(expiresAt, now)) : null;
+  const graceEndsAt = status === 'grace' ? subscription.gracePeriodEnd : null;
+
+  return {
+    plan: subscription.plan,
+    status,
+    active,
+    currentPeriodStart: subscription.currentPeriodStart,
+    expiresAt,
+    trialEndsAt: subscription.plan === 'trial' ? expiresAt : null,
+    graceEndsAt,
+    lastPaymentAt: subscription.lastPaymentAt || null,
+    renewal: {
+      // M-Pesa STK payments are one-off; renewals are always initiated by the user
+      autoRenew: false,
+      dueSoon: Boolean(expiresAt) && daysRemaining <= RENEWAL_NOTICE_DAYS,
+      daysRemaining
+    },
+    features: active
+      ? Object.keys(FEATURE_PLANS).filter((feature) => FEATURE_PLANS[feature].includes(subscription.plan))
+      : []
+  };
+};
+
+/**
+ * The billing nudge a subscription is due right now, if any: trial ending soon, paid period
+ * ending soon, or lapsed and in its grace period. `key` identifies the notice for one period,
+ * so each is sent at most once.
+ */
+export const getBillingNotice = (subscription, now = new Date()) => {
+  if (!subscription?.currentPeriodEnd || subscription.plan === 'lifetime') return null;
+
+  const periodEnd = subscription.currentPeriodEnd;
+  const daysLeft = differenceInCalendarDays(periodEnd, now);
+  const renewPlan = subscription.plan === 'trial' ? 'monthly' : subscription.plan;
+  const endDate = periodEnd.toISOString().slice(0, 10);
+  const notice = (stage, title, message) => ({ stage, key: `billing_${stage}_${endDate}`, title, message, renewPlan });
+
+  if (subscription.isActive(now)) {
+    if (subscription.plan === 'trial' && daysLeft <= TRIAL_REMINDER_DAYS) {
+      return notice('trial_ending', 'Your free trial is ending',
+        `Your SemesterStride trial ends ${daysLeft <= 0 ? 'today' : `in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`}. Subscribe to keep AI study plans and syllabus import.`);
+    }
+    if (subscription.plan !== 'trial' && daysLeft <= RENEWAL_REMINDER_DAYS) {
+      return notice('renewal_due', 'Time to renew',
+        `Your ${subscription.plan} plan ends ${daysLeft <= 0 ? 'today' : `in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`}. Renew with M-Pesa to keep your premium features.`);
+    }
+    return null;
+  }
+
+  if (subscription.isInGrace(now)) {
+    return notice('grace', 'Your subscription has expired',
+      `Premium features lock on ${subscription.gracePeriodEnd.toLocaleDateString('en-KE', { day: 'numeric', month: 'long' })}. Renew now to keep them.`);
+  }
+
+  return null;
+};
+
+export const hasEntitlement = async (supabaseId, feature) => {
+  const plans = FEATURE_PLANS[feature];
+  if (!plans) {
+    throw new Error(`Unknown entitlement feature: ${feature}`);
+  }
+  const subscription = await getSubscription(supabaseId);
+  return Boolean(subscription?.hasAccess() && plans.includes(subscription.plan));
+};
+
+export default {
+  startTrial,
+  grantFromTransaction,
+  findSubscription,
+  getSubscription,
+  describeSubscription,
+  getBillingNotice,
+  hasEntitlement
+};
@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { env } from '../config/environment.js';
+import { verifyJwt, JwtError } from '../utils/jwt.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Supabase access-token verification
+ *
+ * Tokens are verified locally: HS256 with the project JWT secret, RS256/ES256 with the
+ * project's JWKS, which is cached for SUPABASE_JWKS_CACHE_SECONDS and refetched early when a
+ * token names an unknown key id. Only when a token cannot be checked locally (no key
+ * configured, JWKS unreachable) and SUPABASE_AUTH_REMOTE_FALLBACK is on do we ask Supabase.
+ */
+
+const REQUEST_TIMEOUT_MS = 5000;
+// Unknown key ids trigger a JWKS refetch at most this often, so bad tokens cannot hammer Supabase
+const MIN_JWKS_REFRESH_INTERVAL_MS = 30 * 1000;
+
+// Raised when a token could not be checked at all, as opposed to being invalid
+export class AuthUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthUnavailableError';
+  }
+}
+
+let jwksCache = null; // { keys: Map<kid, KeyObject>, fetchedAt }
+let inflightJwks = null;
+
+const projectUrl = () => (env.SUPABASE_PROJECT_ID ? `https://${env.SUPABASE_PROJECT_ID}.supabase.co` : null);
+
+export const jwksUrl = () => env.SUPABASE_JWKS_URL
+  || (projectUrl() ? `${projectUrl()}/auth/v1/.well-known/jwks.json` : null);
+
+export const expectedIssuer = () => env.SUPABASE_JWT_ISSUER
+  || (projectUrl() ? `${projectUrl()}/auth/v1` : null);
+
+const fetchJwks = async () => {
+  const url = jwksUrl();
+  if (!url) {
+    throw new AuthUnavailableError('No Supabase JWKS URL configured');
+  }
+
+  try {
+    const response = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS });
+    const keys = new Map();
+    for (const jwk of response.data?.keys || []) {
+      if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        logger.warn('Skipping unusable Supabase JWKS key', { kid: jwk.kid, error: error.message });
+      }
+    }
+    jwksCache = { keys, fetchedAt: Date.now() };
+    return jwksCache;
+  } catch (error) {
+    logger.warn('Failed to fetch Supabase JWKS', { error: error.message });
+    throw new AuthUnavailableError('Supabase signing keys are unavailable');
+  }
+};
+
+const refreshJwks = () => {
+  if (!inflightJwks) {
+    inflightJwks = fetchJwks().finally(() => {
+      inflightJwks = null;
+    });
+  }
+  return inflightJwks;
+};
+
+const getSigningKey = async (kid) => {
+  const now = Date.now();
+  const fresh = jwksCache && now - jwksCache.fetchedAt < env.SUPABASE_JWKS_CACHE_SECONDS * 1000;
+
+  if (fresh && jwksCache.keys.has(kid)) {
+    return jwksCache.keys.get(kid);
+  }
+
+  // Stale cache, or a key id we have not seen (Supabase rotated keys): refetch, rate limited
+  if (!fresh || now - jwksCache.fetchedAt >= MIN_JWKS_REFRESH_INTERVAL_MS) {
+    try {
+      await refreshJwks();
+    } catch (error) {
+      // Keep serving known keys while Supabase is unreachable
+      if (jwksCache?.keys.has(kid)) return jwksCache.keys.get(kid);
+      throw error;
+    }
+  }
+
+  return jwksCache?.keys.get(kid) || null;
+};
+
+const resolveVerificationKey = async (header) => {
+  if (header.alg === 'HS256') {
+    if (!env.SUPABASE_JWT_SECRET) {
+      throw new AuthUnavailableError('SUPABASE_JWT_SECRET is not configured');
+    }
+    return env.SUPABASE_JWT_SECRET;
+  }
+  return getSigningKey(header.kid);
+};
+
+/**
+ * Shape token claims (or a Supabase /auth/v1/user response) into `req.user`.
+ * `supabaseId` is the one field routes should use to identify the caller.
+ */
+export const normalizeSupabaseUser = (source) => {
+  const supabaseId = source.sub || source.id;
+  return {
+    ...source,
+    id: supabaseId,
+    supabaseId,
+    email: source.email || null,
+    role: source.role || null,
+    app_metadata: source.app_metadata || {},
+    user_metadata: source.user_metadata || {}
+  };
+};
+
+const fetchRemoteUser = async (token) => {
+  if (!projectUrl() || !env.SUPABASE_SERVICE_KEY) {
+    throw new AuthUnavailableError('Supabase project is not configured');
+  }
+
+  try {
+    const response = await axios.get(`${projectUrl()}/auth/v1/user`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'apikey': env.SUPABASE_SERVICE_KEY
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    if (!response.data?.id) {
+      throw new JwtError('Invalid or expired token', 'remote_rejected');
+    }
+    return response.data;
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 401 || status === 403) {
+      throw new JwtError('Invalid or expired token', 'remote_rejected');
+    }
+    if (error instanceof JwtError) throw error;
+    throw new AuthUnavailableError('Supabase auth is unavailable');
+  }
+};
+
+/**
+ * Verify a Supabase access token. Resolves to the normalized user; throws JwtError for
+ * invalid tokens and AuthUnavailableError when the token could not be checked.
+ */
+export const verifySupabaseToken = async (token) => {
+  try {
+    const claims = await verifyJwt(token, resolveVerificationKey, {
+      audience: env.SUPABASE_JWT_AUDIENCE,
+      issuer: expectedIssuer()
+    });
+    if (!claims.sub) {
+      throw new JwtError('Token has no subject', 'no_subject');
+    }
+    return normalizeSupabaseUser(claims);
+  } catch (error) {
+    if (error instanceof AuthUnavailableError && env.SUPABASE_AUTH_REMOTE_FALLBACK) {
+      logger.warn('Verifying Supabase token remotely', { reason: error.message });
+      return normalizeSupabaseUser(await fetchRemoteUser(token));
+    }
+    throw error;
+  }
+};
+
+/**
+ * Remove a user from Supabase auth with the service key (account deletion).
+ * Resolves to false when the project is not configured; a user that is already gone counts as deleted.
+ */
+export const deleteSupabaseUser = async (supabaseId) => {
+  if (!projectUrl() || !env.SUPABASE_SERVICE_KEY) {
+    logger.warn('Supabase project is not configured; auth user not deleted', { supabaseId });
+    return false;
+  }
+
+  try {
+    await axios.delete(`${projectUrl()}/auth/v1/admin/users/${encodeURIComponent(supabaseId)}`, {
+      headers: {
+        'Authorization': `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+        'apikey': env.SUPABASE_SERVICE_KEY
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+  } catch (error) {
+    if (error.response?.status !== 404) throw error;
+  }
+  return true;
+};
+
+// Reset cached keys; used by tests and after key rotation incidents
+export const clearJwksCache = () => {
+  jwksCache = null;
+};
+
+export default {
+  verifySupabaseToken,
+  normalizeSupabaseUser,
+  deleteSupabaseUser,
+  clearJwksCache
+};
@@ -0,0 +1,102 @@
+import AiUsage from '../models/aiUsage.js';
+import SyllabusImport from '../models/syllabusImport.js';
+import Course from '../models/course.js';
+import Assignment from '../models/assignment.js';
+import Note from '../models/note.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Usage records
+ *
+ * AI calls and document imports per user, for the admin console. Recording never fails the
+ * request being recorded.
+ */
+
+export const DEFAULT_USAGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 1000;
+
+export const recordAiCall = async (supabaseId, feature) => {
+  try {
+    await AiUsage.create({ supabaseId, feature });
+  } catch (error) {
+    logger.warn('Failed to record AI usage', { supabaseId, feature, error: error.message });
+  }
+};
+
+export const recordImport = async (record) => {
+  try {
+    return await SyllabusImport.create({
+      ...record,
+      error: record.error ? String(record.error).slice(0, MAX_ERROR_LENGTH) : undefined
+    });
+  } catch (error) {
+    logger.warn('Failed to record import', { supabaseId: record.supabaseId, error: error.message });
+    return null;
+  }
+};
+
+export const describeImport = (record) => ({
+  id: String(record._id),
+  source: record.source,
+  status: record.status,
+  method: record.method || null,
+  fileName: record.fileName || null,
+  mimeType: record.mimeType || null,
+  size: record.size ?? null,
+  coursesSaved: record.coursesSaved || 0,
+  assignmentsSaved: record.assignmentsSaved || 0,
+  statusCode: record.statusCode ?? null,
+  error: record.error || null,
+  createdAt: record.createdAt
+});
+
+export const listImports = (supabaseId, { status, limit = 50 } = {}) => SyllabusImport
+  .find(status ? { supabaseId, status } : { supabaseId })
+  .sort({ createdAt: -1 })
+  .limit(limit);
+
+/**
+ * What the user has stored, plus AI calls and imports over the last `days` days.
+ */
+export const summarizeUsage = async (supabaseId, { days = DEFAULT_USAGE_DAYS } = {}, now = new Date()) => {
+  const since = new Date(now.getTime() - days * DAY_MS);
+  const recent = { supabaseId, createdAt: { $gte: since } };
+
+  const [courses, assignments, completedAssignments, notes, aiCalls, imports] = await Promise.all([
+    Course.countDocuments({ supabaseId }),
+    Assignment.countDocuments({ supabaseId }),
+    Assignment.countDocuments({ supabaseId, progress: { $gte: 100 } }),
+    Note.countDocuments({ supabaseId }),
+    AiUsage.find(recent).select('feature').lean(),
+    SyllabusImport.find(recent).select('status createdAt').lean()
+  ]);
+
+  const byFeature = aiCalls.reduce((acc, { feature }) => ({ ...acc, [feature]: (acc[feature] || 0) + 1 }), {});
+  const importsByStatus = { succeeded: 0, partial: 0, failed: 0 };
+  let lastFailedAt = null;
+  for (const record of imports) {
+    importsByStatus[record.status] = (importsByStatus[record.status] || 0) + 1;
+    if (record.status === 'failed' && (!lastFailedAt || record.createdAt > lastFailedAt)) {
+      lastFailedAt = record.createdAt;
+    }
+  }
+
+  return {
+    days,
+    since,
+    courses,
+    assignments: { total: assignments, completed: completedAssignments },
+    notes,
+    aiCalls: { total: aiCalls.length, byFeature },
+    imports: { total: imports.length, ...importsByStatus, lastFailedAt }
+  };
+};
+
+export default {
+  recordAiCall,
+  recordImport,
+  describeImport,
+  listImports,
+  summarizeUsage
+};
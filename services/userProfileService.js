@@ -0,0 +1,86 @@
+import User from '../models/user.js';
+
+// Used when neither the profile nor the reminder preferences name a zone (the scheduler's old behaviour)
+export const DEFAULT_TIME_ZONE = 'UTC';
+export const DEFAULT_LOCALE = 'en';
+
+const NOTIFICATION_CHANNEL_DEFAULTS = { push: true, email: false };
+
+// The zone reminders and study plans use: the profile, then the older reminder preference setting
+export const profileTimeZone = (user, preference) => user?.timezone || preference?.timezone || DEFAULT_TIME_ZONE;
+
+export const profileLocale = (user) => user?.locale || DEFAULT_LOCALE;
+
+export const notificationChannels = (user) => ({
+  push: user?.notificationChannels?.push ?? NOTIFICATION_CHANNEL_DEFAULTS.push,
+  email: user?.notificationChannels?.email ?? NOTIFICATION_CHANNEL_DEFAULTS.email
+});
+
+export const describeProfile = (user) => ({
+  supabaseId: user.supabaseId,
+  name: user.name || null,
+  email: user.email || null,
+  timezone: user.timezone || null,
+  locale: user.locale || null,
+  institution: user.institution || null,
+  programme: user.programme || null,
+  yearOfStudy: user.yearOfStudy ?? null,
+  weeklyStudyHoursGoal: user.weeklyStudyHoursGoal ?? null,
+  notificationChannels: notificationChannels(user),
+  smartRemindersOptIn: user.smartRemindersOptIn !== false,
+  aiEnabled: user.aiPreferences?.enabled !== false,
+  lastLoginAt: user.lastLoginAt || null,
+  createdAt: user.createdAt || null,
+  updatedAt: user.updatedAt || null
+});
+
+export const findProfile = (supabaseId) => User.findOne({ supabaseId });
+
+/**
+ * The caller's profile, created from the token's email on first use. Each call counts as a sign-in
+ * (the app loads the profile at start-up), which is what inactivity reminders measure from.
+ */
+export const getProfile = (supabaseId, { email } = {}, now = new Date()) => User.findOneAndUpdate(
+  { supabaseId },
+  { $set: { lastLoginAt: now }, $setOnInsert: email ? { email } : {} },
+  { new: true, upsert: true, setDefaultsOnInsert: true }
+);
+
+/**
+ * Apply fields already checked by validateProfileUpdate. `null` removes a field; notification
+ * channels are merged, so `{ email: true }` leaves push as it was.
+ */
+export const updateProfile = (supabaseId, updates, { email } = {}) => {
+  const $set = {};
+  const $unset = {};
+
+  for (const [field, value] of Object.entries(updates)) {
+    if (field === 'notificationChannels') {
+      for (const [channel, enabled] of Object.entries(value)) {
+        $set[`notificationChannels.${channel}`] = enabled;
+      }
+    } else if (value === null) {
+      $unset[field] = 1;
+    } else {
+      $set[field] = value;
+    }
+  }
+
+  return User.findOneAndUpdate(
+    { supabaseId },
+    { $set, $unset, $setOnInsert: email ? { email } : {} },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+};
+
+export default {
+  DEFAULT_TIME_ZONE,
+  DEFAULT_LOCALE,
+  profileTimeZone,
+  profileLocale,
+  notificationChannels,
+  describeProfile,
+  findProfile,
+  getProfile,
+  updateProfile
+};
@@ -0,0 +1,203 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const MODEL_FILES = [
+  'user', 'course', 'assignment', 'note', 'activity', 'reminder', 'reminderPreference',
+  'reminderAnalytics', 'pushSubscription', 'studyPlan', 'subscription', 'dataExport',
+  'personalAccessToken', 'aiUsage', 'syllabusImport', 'semester', 'promoRedemption'
+];
+const erasedModels = Object.fromEntries(MODEL_FILES.map((name) => [name, createFakeModel()]));
+const deletions = createFakeModel({ defaults: () => ({ requestedAt: new Date() }) });
+const transactions = createFakeModel();
+const auditLogs = createFakeModel();
+const sendEmail = jest.fn(async () => ({}));
+const deleteAuthUser = jest.fn(async () => true);
+const deleteDraft = jest.fn(async () => {});
+const deleteUserDrafts = jest.fn(async () => 2);
+let currentUser;
+
+MODEL_FILES.forEach((name) => {
+  jest.unstable_mockModule(`../models/${name}.js`, () => ({ default: erasedModels[name] }));
+});
+jest.unstable_mockModule('../models/accountDeletion.js', () => ({ default: deletions }));
+jest.unstable_mockModule('../models/mpesaTransaction.js', () => ({ default: transactions }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../emailService.js', () => ({ sendEmail }));
+jest.unstable_mockModule('../utils/draftStore.js', () => ({ saveDraft: jest.fn(), getDraft: jest.fn(), deleteDraft, deleteUserDrafts, redisClient: null }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = currentUser;
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+const { env } = await import('../config/environment.js');
+const { runScheduledDeletions } = await import('../services/accountDeletionService.js');
+const { setAuthProvider } = await import('../services/auth/index.js');
+
+setAuthProvider({ name: 'stub', deleteUser: deleteAuthUser });
+
+const app = createApp();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const requestDeletion = () => request(app).delete('/api/users/me');
+const confirmDeletion = (body) => request(app).delete('/api/users/me').send(body);
+
+beforeEach(() => {
+  [...Object.values(erasedModels), deletions, transactions].forEach((model) => model.reset());
+  [sendEmail, deleteAuthUser, deleteDraft, deleteUserDrafts].forEach((fn) => fn.mockClear());
+  currentUser = { supabaseId: 'student-1', email: 'student@example.com' };
+});
+
+test('asks for confirmation before scheduling anything', async () => {
+  const res = await requestDeletion();
+
+  expect(res.status).toBe(202);
+  expect(res.body.data).toMatchObject({ status: 'pending_confirmation', cancellable: true });
+  expect(res.body.data.confirmationToken).toMatch(/^[0-9a-f]{64}$/);
+  // Only a hash of the token is stored
+  expect(deletions.docs[0].confirmationTokenHash).not.toBe(res.body.data.confirmationToken);
+
+  const status = await request(app).get('/api/users/me/deletion');
+  expect(status.body.data.status).toBe('pending_confirmation');
+  expect(status.body.data.confirmationToken).toBeUndefined();
+});
+
+test('schedules the erase after the grace window once confirmed', async () => {
+  const { body } = await requestDeletion();
+
+  expect((await confirmDeletion({ confirmationToken: 'f'.repeat(64) })).status).toBe(400);
+
+  const res = await confirmDeletion({ confirmationToken: body.data.confirmationToken });
+
+  expect(res.status).toBe(202);
+  expect(res.body.data.status).toBe('scheduled');
+  const graceMs = new Date(res.body.data.scheduledFor) - Date.now();
+  expect(Math.round(graceMs / DAY_MS)).toBe(env.ACCOUNT_DELETION_GRACE_DAYS);
+  expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'student@example.com' }));
+
+  // The token is single use
+  expect((await confirmDeletion({ confirmationToken: body.data.confirmationToken })).status).toBe(409);
+});
+
+test('refuses a confirmation without a request or after the token expired', async () => {
+  expect((await confirmDeletion({ confirmationToken: 'a'.repeat(64) })).status).toBe(409);
+
+  const { body } = await requestDeletion();
+  deletions.docs[0].confirmationExpiresAt = new Date(Date.now() - 1000);
+
+  expect((await confirmDeletion({ confirmationToken: body.data.confirmationToken })).status).toBe(400);
+});
+
+test('can be cancelled during the grace window', async () => {
+  const { body } = await requestDeletion();
+  await confirmDeletion({ confirmationToken: body.data.confirmationToken });
+
+  const res = await request(app).post('/api/users/me/deletion/cancel');
+
+  expect(res.status).toBe(200);
+  expect(res.body.data).toMatchObject({ status: 'cancelled', cancellable: false });
+  expect((await request(app).post('/api/users/me/deletion/cancel')).status).toBe(409);
+
+  await runScheduledDeletions(new Date(Date.now() + 30 * DAY_MS));
+  expect(deleteAuthUser).not.toHaveBeenCalled();
+});
+
+test('discards only onboarding draft keys sent with the confirmation', async () => {
+  const originalRedisUrl = env.REDIS_URL;
+  env.REDIS_URL = 'redis://localhost:6379';
+  try {
+    const { body } = await requestDeletion();
+    await confirmDeletion({
+      confirmationToken: body.data.confirmationToken,
+      draftIds: ['onboard:draft:1700000000000:abc123', 'mpesa:oauth:token']
+    });
+
+    expect(deleteDraft).toHaveBeenCalledTimes(1);
+    expect(deleteDraft).toHaveBeenCalledWith('onboard:draft:1700000000000:abc123');
+  } finally {
+    env.REDIS_URL = originalRedisUrl;
+  }
+});
+
+describe('erase', () => {
+  const seedUserData = async (supabaseId) => {
+    for (const model of Object.values(erasedModels)) {
+      await model.create({ supabaseId });
+    }
+    return transactions.create({
+      supabaseId,
+      phoneNumber: '254712345678',
+      amount: 300,
+      plan: 'monthly',
+      status: 'completed',
+      mpesaReceiptNumber: 'QKA1',
+      idempotencyKey: 'key-1',
+      raw: { CallbackMetadata: { Item: [{ Name: 'PhoneNumber', Value: 254712345678 }] } }
+    });
+  };
+
+  const scheduleDeletion = async () => {
+    const { body } = await requestDeletion();
+    const res = await confirmDeletion({ confirmationToken: body.data.confirmationToken });
+    return new Date(res.body.data.scheduledFor);
+  };
+
+  test('waits for the grace window to end', async () => {
+    await seedUserData('student-1');
+    const scheduledFor = await scheduleDeletion();
+
+    expect(await runScheduledDeletions(new Date(scheduledFor.getTime() - 1000))).toEqual({});
+    expect(erasedModels.note.docs).toHaveLength(1);
+  });
+
+  test('deletes the user\'s data everywhere and anonymizes their payments', async () => {
+    const payment = await seedUserData('student-1');
+    await seedUserData('student-2');
+    const scheduledFor = await scheduleDeletion();
+
+    expect(await runScheduledDeletions(scheduledFor)).toEqual({ completed: 1 });
+
+    for (const [name, model] of Object.entries(erasedModels)) {
+      expect([name, model.docs.map((doc) => doc.supabaseId)]).toEqual([name, ['student-2']]);
+    }
+    expect(payment).toMatchObject({ phoneNumber: '254******678', mpesaReceiptNumber: 'QKA1', amount: 300 });
+    expect(payment.supabaseId).toMatch(/^deleted-[0-9a-f]{16}$/);
+    expect(payment.raw).toBeUndefined();
+    expect(payment.idempotencyKey).toBeUndefined();
+    expect(transactions.docs.filter((doc) => doc.supabaseId === 'student-2')).toHaveLength(1);
+    expect(deleteAuthUser).toHaveBeenCalledWith('student-1');
+
+    const deletion = deletions.docs[0];
+    expect(deletion).toMatchObject({ status: 'completed', erased: expect.objectContaining({ notes: 1, paymentsAnonymized: 1 }) });
+    expect((await requestDeletion()).status).toBe(409);
+  });
+
+  test('erases the onboarding drafts saved for the user without the client listing them', async () => {
+    const originalRedisUrl = env.REDIS_URL;
+    env.REDIS_URL = 'redis://localhost:6379';
+    try {
+      const scheduledFor = await scheduleDeletion();
+      expect(deleteUserDrafts).not.toHaveBeenCalled();
+
+      expect(await runScheduledDeletions(scheduledFor)).toEqual({ completed: 1 });
+      expect(deleteUserDrafts).toHaveBeenCalledWith('student-1');
+      expect(deletions.docs[0].erased).toMatchObject({ onboardingDrafts: 2 });
+    } finally {
+      env.REDIS_URL = originalRedisUrl;
+    }
+  });
+
+  test('keeps the deletion scheduled and retries when the erase fails', async () => {
+    await seedUserData('student-1');
+    const scheduledFor = await scheduleDeletion();
+    deleteAuthUser.mockRejectedValueOnce(new Error('Supabase is down'));
+
+    expect(await runScheduledDeletions(scheduledFor)).toEqual({ failed: 1 });
+    expect(deletions.docs[0]).toMatchObject({ status: 'scheduled', lastError: 'Supabase is down' });
+
+    expect(await runScheduledDeletions(scheduledFor)).toEqual({ completed: 1 });
+  });
+});
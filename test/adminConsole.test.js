@@ -0,0 +1,274 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const users = createFakeModel();
+const auditLogs = createFakeModel();
+const aiUsage = createFakeModel({ defaults: () => ({ createdAt: new Date() }) });
+const syllabusImports = createFakeModel({ defaults: () => ({ createdAt: new Date() }) });
+const courses = createFakeModel();
+const assignments = createFakeModel();
+const notes = createFakeModel();
+const subscriptions = createFakeModel();
+const reminders = createFakeModel({ defaults: () => ({ interactions: [], status: 'scheduled' }) });
+const reminderPreferences = createFakeModel();
+const reminderAnalytics = createFakeModel();
+const pushSubscriptions = createFakeModel();
+const activities = createFakeModel();
+const semesters = createFakeModel();
+const dataExports = createFakeModel();
+
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../models/aiUsage.js', () => ({ default: aiUsage }));
+jest.unstable_mockModule('../models/syllabusImport.js', () => ({ default: syllabusImports }));
+jest.unstable_mockModule('../models/course.js', () => ({ default: courses }));
+jest.unstable_mockModule('../models/assignment.js', () => ({ default: assignments }));
+jest.unstable_mockModule('../models/note.js', () => ({ default: notes }));
+jest.unstable_mockModule('../models/subscription.js', () => ({ default: subscriptions }));
+jest.unstable_mockModule('../models/reminder.js', () => ({ default: reminders }));
+jest.unstable_mockModule('../models/reminderPreference.js', () => ({ default: reminderPreferences }));
+jest.unstable_mockModule('../models/reminderAnalytics.js', () => ({ default: reminderAnalytics }));
+jest.unstable_mockModule('../models/pushSubscription.js', () => ({ default: pushSubscriptions }));
+jest.unstable_mockModule('../models/activity.js', () => ({ default: activities }));
+jest.unstable_mockModule('../models/semester.js', () => ({ default: semesters }));
+jest.unstable_mockModule('../models/dataExport.js', () => ({ default: dataExports }));
+
+const { createApp } = await import('../app.js');
+const { getAuthProvider } = await import('../services/auth/index.js');
+const { resetAuditThrottle } = await import('../services/auditLogService.js');
+
+const app = createApp();
+const HOUR_MS = 60 * 60 * 1000;
+
+const session = (sub) => `Bearer ${getAuthProvider().issueToken({ sub, email: `${sub}@example.com` })}`;
+const entriesFor = (action) => auditLogs.docs.filter((entry) => entry.action === action);
+
+beforeEach(async () => {
+  [users, auditLogs, aiUsage, syllabusImports, courses, assignments, notes, subscriptions, reminders,
+    reminderPreferences, reminderAnalytics, pushSubscriptions, activities, dataExports].forEach((model) => model.reset());
+  resetAuditThrottle();
+  await users.create({ supabaseId: 'admin-1', email: 'admin@example.com', role: 'admin' });
+  await users.create({ supabaseId: 'support-1', email: 'help@example.com', role: 'support' });
+  await users.create({ supabaseId: 'student-1', name: 'Amina Wanjiru', email: 'amina@uni.ac.ke', lastLoginAt: new Date('2026-10-01T08:00:00Z') });
+  await users.create({ supabaseId: 'student-2', name: 'Brian Otieno', email: 'brian@uni.ac.ke', role: 'student' });
+});
+
+describe('access', () => {
+  test('students are refused, and the attempt is audited', async () => {
+    const res = await request(app).get('/api/admin/users').set('Authorization', session('student-1'));
+
+    expect(res.status).toBe(403);
+    expect(entriesFor('admin.action')[0]).toMatchObject({
+      actorId: 'student-1',
+      outcome: 'failure',
+      details: { method: 'GET', path: '/api/admin/users', statusCode: 403 }
+    });
+  });
+
+  test('support can look users up but not use admin-only endpoints', async () => {
+    const auth = session('support-1');
+
+    expect((await request(app).get('/api/admin/users/student-1').set('Authorization', auth)).status).toBe(200);
+    expect((await request(app).get('/api/admin/audit').set('Authorization', auth)).status).toBe(403);
+    expect((await request(app).patch('/api/admin/users/student-1/role').set('Authorization', auth).send({ role: 'admin' })).status).toBe(403);
+    expect((await request(app).post('/api/admin/users/student-1/reminders/run').set('Authorization', auth)).status).toBe(403);
+  });
+});
+
+describe('GET /api/admin/users', () => {
+  test('searches by part of the email or name, or by id', async () => {
+    const auth = session('support-1');
+
+    const byEmail = await request(app).get('/api/admin/users?q=UNI.AC').set('Authorization', auth);
+    expect(byEmail.body.data.map((user) => user.supabaseId).sort()).toEqual(['student-1', 'student-2']);
+
+    const byName = await request(app).get('/api/admin/users?q=otieno').set('Authorization', auth);
+    expect(byName.body.data).toEqual([expect.objectContaining({ supabaseId: 'student-2', role: 'student' })]);
+
+    const byId = await request(app).get('/api/admin/users?q=student-1').set('Authorization', auth);
+    expect(byId.body.data).toEqual([expect.objectContaining({ supabaseId: 'student-1', email: 'amina@uni.ac.ke' })]);
+
+    // Regular expression characters are matched literally
+    expect((await request(app).get('/api/admin/users?q=.*').set('Authorization', auth)).body.data).toEqual([]);
+  });
+
+  test('filters by role, counting users with no stored role as students', async () => {
+    const auth = session('support-1');
+
+    const students = await request(app).get('/api/admin/users?role=student').set('Authorization', auth);
+    expect(students.body.data.map((user) => user.supabaseId).sort()).toEqual(['student-1', 'student-2']);
+
+    const staff = await request(app).get('/api/admin/users?role=support').set('Authorization', auth);
+    expect(staff.body.data.map((user) => user.supabaseId)).toEqual(['support-1']);
+
+    expect((await request(app).get('/api/admin/users?role=owner').set('Authorization', auth)).status).toBe(400);
+  });
+});
+
+describe('user details', () => {
+  test('shows usage over the chosen window', async () => {
+    const now = Date.now();
+    await courses.create({ supabaseId: 'student-1', name: 'Statistics' });
+    await assignments.create({ supabaseId: 'student-1', title: 'Lab report', progress: 100 });
+    await assignments.create({ supabaseId: 'student-1', title: 'Essay', progress: 20 });
+    await assignments.create({ supabaseId: 'student-2', title: 'Other', progress: 0 });
+    await aiUsage.create({ supabaseId: 'student-1', feature: 'study_plan' });
+    await aiUsage.create({ supabaseId: 'student-1', feature: 'study_plan' });
+    await aiUsage.create({ supabaseId: 'student-1', feature: 'recommendations', createdAt: new Date(now - 20 * 24 * HOUR_MS) });
+    await syllabusImports.create({ supabaseId: 'student-1', source: 'syllabus', status: 'succeeded' });
+    await syllabusImports.create({ supabaseId: 'student-1', source: 'onboarding', status: 'failed', error: 'Unreadable PDF' });
+
+    const res = await request(app).get('/api/admin/users/student-1/usage?days=7').set('Authorization', session('support-1'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      days: 7,
+      courses: 1,
+      assignments: { total: 2, completed: 1 },
+      notes: 0,
+      aiCalls: { total: 2, byFeature: { study_plan: 2 } },
+      imports: { total: 2, succeeded: 1, partial: 0, failed: 1 }
+    });
+    expect(res.body.data.imports.lastFailedAt).toBeTruthy();
+    expect(entriesFor('admin.action')[0]).toMatchObject({ actorId: 'support-1', subjectId: 'student-1' });
+  });
+
+  test('lists failed imports with their errors', async () => {
+    await syllabusImports.create({ supabaseId: 'student-1', source: 'syllabus', status: 'succeeded', coursesSaved: 3 });
+    await syllabusImports.create({ supabaseId: 'student-1', source: 'onboarding', status: 'failed', fileName: 'outline.pdf', statusCode: 422, error: 'Unreadable PDF' });
+
+    const res = await request(app).get('/api/admin/users/student-1/imports?status=failed').set('Authorization', session('support-1'));
+
+    expect(res.body.data).toEqual([expect.objectContaining({ source: 'onboarding', fileName: 'outline.pdf', statusCode: 422, error: 'Unreadable PDF' })]);
+    expect((await request(app).get('/api/admin/users/student-1/imports?status=broken').set('Authorization', session('support-1'))).status).toBe(400);
+  });
+
+  test('shows the profile and subscription without starting a trial', async () => {
+    const res = await request(app).get('/api/admin/users/student-1').set('Authorization', session('support-1'));
+
+    expect(res.body.data).toMatchObject({
+      profile: { supabaseId: 'student-1', email: 'amina@uni.ac.ke' },
+      role: 'student',
+      subscription: { plan: 'free', status: 'none' }
+    });
+    expect(subscriptions.docs).toHaveLength(0);
+    expect((await request(app).get('/api/admin/users/nobody').set('Authorization', session('support-1'))).status).toBe(404);
+  });
+});
+
+describe('PATCH /api/admin/users/:supabaseId/role', () => {
+  test('admins change roles, and the change is audited', async () => {
+    const res = await request(app).patch('/api/admin/users/student-1/role').set('Authorization', session('admin-1')).send({ role: 'support' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.role).toBe('support');
+    expect(entriesFor('role.change')[0]).toMatchObject({ actorId: 'admin-1', subjectId: 'student-1', details: { from: 'student', to: 'support' } });
+
+    // The new role applies straight away
+    expect((await request(app).get('/api/admin/users').set('Authorization', session('student-1'))).status).toBe(200);
+  });
+
+  test('refuses unknown roles and users, and changes to the admin\'s own role', async () => {
+    const auth = session('admin-1');
+
+    expect((await request(app).patch('/api/admin/users/student-1/role').set('Authorization', auth).send({ role: 'owner' })).status).toBe(400);
+    expect((await request(app).patch('/api/admin/users/nobody/role').set('Authorization', auth).send({ role: 'support' })).status).toBe(404);
+    expect((await request(app).patch('/api/admin/users/admin-1/role').set('Authorization', auth).send({ role: 'student' })).status).toBe(409);
+    expect(entriesFor('role.change')).toHaveLength(0);
+  });
+});
+
+describe('impersonation', () => {
+  test('staff see the app as the student, read-only and audited', async () => {
+    const res = await request(app).get('/api/users/me')
+      .set('Authorization', session('support-1'))
+      .set('X-Impersonate-User', 'student-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ supabaseId: 'student-1', email: 'amina@uni.ac.ke' });
+    // Viewing the profile is not the student signing in
+    expect(users.docs.find((user) => user.supabaseId === 'student-1').lastLoginAt).toEqual(new Date('2026-10-01T08:00:00Z'));
+    expect(entriesFor('admin.impersonate')[0]).toMatchObject({
+      actorId: 'support-1',
+      subjectId: 'student-1',
+      details: { method: 'GET', path: '/api/users/me' }
+    });
+
+    await courses.create({ supabaseId: 'student-1', name: 'Statistics' });
+    const courseList = await request(app).get('/api/courses').set('Authorization', session('admin-1')).set('X-Impersonate-User', 'student-1');
+    expect(courseList.body.data).toEqual([expect.objectContaining({ name: 'Statistics' })]);
+  });
+
+  test('do not start the student\'s trial or get their export download links', async () => {
+    const asSupport = (path) => request(app).get(path).set('Authorization', session('support-1')).set('X-Impersonate-User', 'student-1');
+
+    const subscription = await asSupport('/api/users/me/subscription');
+    expect(subscription.body.data).toMatchObject({ plan: 'free', status: 'none' });
+    expect(subscriptions.docs).toHaveLength(0);
+
+    const dataExport = await dataExports.create({
+      supabaseId: 'student-1',
+      status: 'ready',
+      requestedAt: new Date(),
+      expiresAt: new Date(Date.now() + HOUR_MS),
+      downloadTokenHash: 'a'.repeat(64)
+    });
+    expect((await asSupport('/api/users/me/export')).body.data[0]).toMatchObject({ status: 'ready', downloadUrl: null });
+    expect((await asSupport(`/api/users/me/export/${dataExport._id}`)).body.data.downloadUrl).toBeNull();
+
+    // The link is only handed out when the export is requested, which impersonation cannot do
+    const requested = await request(app).post('/api/users/me/export')
+      .set('Authorization', session('support-1'))
+      .set('X-Impersonate-User', 'student-1');
+    expect(requested.status).toBe(403);
+  });
+
+  test('cannot change anything, reach admin endpoints or be used by students', async () => {
+    const write = await request(app).post('/api/courses')
+      .set('Authorization', session('admin-1'))
+      .set('X-Impersonate-User', 'student-1')
+      .send({ name: 'Injected' });
+    expect(write.status).toBe(403);
+    expect(courses.docs).toHaveLength(0);
+
+    const admin = await request(app).get('/api/admin/users').set('Authorization', session('admin-1')).set('X-Impersonate-User', 'student-1');
+    expect(admin.status).toBe(403);
+
+    const student = await request(app).get('/api/users/me').set('Authorization', session('student-2')).set('X-Impersonate-User', 'student-1');
+    expect(student.status).toBe(403);
+
+    const unknown = await request(app).get('/api/users/me').set('Authorization', session('admin-1')).set('X-Impersonate-User', 'nobody');
+    expect(unknown.status).toBe(404);
+    expect(entriesFor('admin.impersonate')).toHaveLength(0);
+  });
+});
+
+describe('POST /api/admin/users/:supabaseId/reminders/run', () => {
+  const enableSmartReminders = (supabaseId) => reminderPreferences.create({
+    supabaseId,
+    smartRemindersEnabled: true,
+    defaultLeadMinutes: 180,
+    quietHours: { startHour: 0, endHour: 0 }
+  });
+
+  test('runs the scheduler for that user only', async () => {
+    const dueDate = new Date(Date.now() + 40 * HOUR_MS);
+    for (const supabaseId of ['student-1', 'student-2']) {
+      await enableSmartReminders(supabaseId);
+      await assignments.create({ supabaseId, title: 'Lab report', dueDate, progress: 10 });
+    }
+
+    const res = await request(app).post('/api/admin/users/student-1/reminders/run').set('Authorization', session('admin-1'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ scheduled: { deadline: 1 }, sent: 0 });
+    expect(reminders.docs.filter((doc) => doc.type === 'DEADLINE').map((doc) => doc.supabaseId)).toEqual(['student-1']);
+    expect(entriesFor('admin.action')[0]).toMatchObject({
+      subjectId: 'student-1',
+      details: { method: 'POST', path: '/api/admin/users/student-1/reminders/run', role: 'admin', statusCode: 200 }
+    });
+
+    expect((await request(app).post('/api/admin/users/nobody/reminders/run').set('Authorization', session('admin-1'))).status).toBe(404);
+  });
+});
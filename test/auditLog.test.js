@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const auditLogs = createFakeModel();
+const tokens = createFakeModel();
+const reminderPreferences = createFakeModel();
+const deletions = createFakeModel({ defaults: () => ({ requestedAt: new Date() }) });
+const users = createFakeModel();
+
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../models/personalAccessToken.js', () => ({ default: tokens }));
+jest.unstable_mockModule('../models/reminderPreference.js', () => ({ default: reminderPreferences }));
+jest.unstable_mockModule('../models/accountDeletion.js', () => ({ default: deletions }));
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+
+const { createApp } = await import('../app.js');
+const { getAuthProvider } = await import('../services/auth/index.js');
+const { recordAudit, resetAuditThrottle } = await import('../services/auditLogService.js');
+
+const app = createApp();
+
+const session = (sub, claims = {}) => `Bearer ${getAuthProvider().issueToken({ sub, email: `${sub}@example.com`, ...claims })}`;
+const adminSession = () => session('admin-1', { app_metadata: { role: 'admin' } });
+// Sign-ins are written without holding up the request
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+const entriesFor = (action) => auditLogs.docs.filter((entry) => entry.action === action);
+
+beforeEach(() => {
+  [auditLogs, tokens, reminderPreferences, deletions, users].forEach((model) => model.reset());
+  resetAuditThrottle();
+});
+
+test('records sensitive actions with the caller\'s IP, user agent and request id', async () => {
+  const auth = session('student-1');
+
+  const res = await request(app).post('/api/users/me/tokens')
+    .set('Authorization', auth)
+    .set('User-Agent', 'stride-cli/1.0')
+    .set('X-Request-Id', 'req-123')
+    .send({ name: 'Sync', scopes: ['notes:read'] });
+  await request(app).put('/api/reminders/preferences').set('Authorization', auth).send({ pushEnabled: false, bogus: 1 });
+  await request(app).delete('/api/users/me').set('Authorization', auth);
+  await settle();
+
+  expect(res.headers['x-request-id']).toBe('req-123');
+  const [created] = entriesFor('token.create');
+  expect(created).toMatchObject({
+    actorId: 'student-1',
+    subjectId: 'student-1',
+    authMethod: 'session',
+    outcome: 'success',
+    userAgent: 'stride-cli/1.0',
+    requestId: 'req-123',
+    details: { tokenId: res.body.data.id, name: 'Sync', scopes: ['notes:read'] }
+  });
+  expect(created.ip).toBeTruthy();
+  expect(entriesFor('preferences.update')[0].details).toEqual({ area: 'reminders', fields: ['pushEnabled'] });
+  expect(entriesFor('account_deletion.request')).toHaveLength(1);
+  // Three requests on one session are a single sign-in
+  expect(entriesFor('auth.login')).toHaveLength(1);
+  expect(entriesFor('auth.login')[0].requestId).toBe('req-123');
+});
+
+test('records rejected tokens without flooding the log', async () => {
+  for (let i = 0; i < 3; i += 1) {
+    const res = await request(app).get('/api/users/me').set('Authorization', 'Bearer not-a-jwt');
+    expect(res.status).toBe(401);
+  }
+  await request(app).get('/api/assignments').set('Authorization', `Bearer sst_pat_${'x'.repeat(43)}`);
+  await settle();
+
+  expect(entriesFor('auth.login_failed').map((entry) => entry.details.reason)).toEqual(['malformed', 'invalid_access_token']);
+  expect(entriesFor('auth.login_failed')[0]).toMatchObject({ actorId: null, outcome: 'failure' });
+});
+
+test('background jobs are recorded as the system', async () => {
+  await recordAudit(null, 'account_deletion.complete', { subjectId: 'student-1', details: { erased: { notes: 2 } } });
+  expect(await recordAudit(null, 'not.an.action')).toBeNull();
+
+  expect(auditLogs.docs).toHaveLength(1);
+  expect(auditLogs.docs[0]).toMatchObject({ actorId: 'system', subjectId: 'student-1', authMethod: 'system' });
+});
+
+describe('GET /api/admin/audit', () => {
+  test('lets admins filter the log, and records their queries', async () => {
+    await recordAudit(null, 'account_deletion.complete', { subjectId: 'student-1' });
+    await recordAudit(null, 'account_deletion.complete', { subjectId: 'student-2' });
+
+    const res = await request(app).get('/api/admin/audit?action=account_deletion.complete&subjectId=student-2')
+      .set('Authorization', adminSession());
+    await settle();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.entries).toHaveLength(1);
+    expect(res.body.data.entries[0]).toMatchObject({ action: 'account_deletion.complete', subjectId: 'student-2', actorId: 'system' });
+    expect(res.body.data.nextBefore).toBeNull();
+    expect(entriesFor('admin.action')[0]).toMatchObject({
+      actorId: 'admin-1',
+      details: { method: 'GET', path: '/api/admin/audit', statusCode: 200 }
+    });
+  });
+
+  test('is closed to everyone else and validates filters', async () => {
+    const forbidden = await request(app).get('/api/admin/audit').set('Authorization', session('student-1'));
+    expect(forbidden.status).toBe(403);
+
+    const invalid = await request(app).get('/api/admin/audit?action=everything').set('Authorization', adminSession());
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.message).toContain('Invalid action');
+  });
+});
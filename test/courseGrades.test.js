@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const semesters = createFakeModel();
+const courses = createFakeModel();
+const assignments = createFakeModel();
+const users = createFakeModel();
+const reminderPreferences = createFakeModel();
+const auditLogs = createFakeModel();
+let currentUser;
+
+jest.unstable_mockModule('../models/semester.js', () => ({ default: semesters }));
+jest.unstable_mockModule('../models/course.js', () => ({ default: courses }));
+jest.unstable_mockModule('../models/assignment.js', () => ({ default: assignments }));
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+jest.unstable_mockModule('../models/reminderPreference.js', () => ({ default: reminderPreferences }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = currentUser;
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+
+const app = createApp();
+
+const COMPONENTS = [
+  { name: 'CATs', type: 'cat', weight: 30 },
+  { name: 'Assignments', type: 'assignment', weight: 20 },
+  { name: 'Final exam', type: 'exam', weight: 50 }
+];
+
+const createCourse = async (body = {}) => {
+  const res = await request(app).post('/api/courses').send({ name: 'Databases', gradingComponents: COMPONENTS, ...body });
+  return res.body.data;
+};
+
+const componentId = (course, name) => String(course.gradingComponents.find((component) => component.name === name)._id);
+
+const createAssignment = (body) => request(app).post('/api/assignments').send(body);
+
+beforeEach(() => {
+  [semesters, courses, assignments, users, reminderPreferences, auditLogs].forEach((model) => model.reset());
+  currentUser = { supabaseId: 'student-1' };
+});
+
+describe('grading components', () => {
+  test('are saved with a course, keep their ids when resent, and may not exceed 100', async () => {
+    const course = await createCourse();
+    expect(course.gradingComponents.map(({ name, type, weight }) => ({ name, type, weight }))).toEqual(COMPONENTS);
+
+    const cats = componentId(course, 'CATs');
+    const updated = await request(app).put(`/api/courses/${course._id}`).send({
+      gradingComponents: [{ id: cats, name: 'CATs', type: 'cat', weight: 40 }, { name: 'Final exam', type: 'exam', weight: 60 }]
+    });
+    expect(updated.status).toBe(200);
+    expect(String(updated.body.gradingComponents[0]._id)).toBe(cats);
+
+    const tooMuch = await request(app).put(`/api/courses/${course._id}`).send({
+      gradingComponents: [{ name: 'CATs', weight: 40 }, { name: 'Final exam', type: 'exam', weight: 70 }]
+    });
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.message).toContain('more than 100');
+  });
+
+  test('assignments link to a component of their own course and record scores', async () => {
+    const course = await createCourse();
+    const other = await createCourse({ name: 'Statistics' });
+
+    const linked = await createAssignment({ title: 'CAT 1', course: course._id, componentId: componentId(course, 'CATs'), score: 24, maxScore: 30 });
+    expect(linked.status).toBe(201);
+    expect(linked.body).toMatchObject({ score: 24, maxScore: 30 });
+
+    const wrongCourse = await createAssignment({ title: 'CAT 1', course: course._id, componentId: componentId(other, 'CATs') });
+    expect(wrongCourse.status).toBe(400);
+    expect(wrongCourse.body.message).toContain('not a grading component');
+
+    const tooHigh = await request(app).put(`/api/assignments/${linked.body.id}`).send({ score: 31 });
+    expect(tooHigh.status).toBe(400);
+    expect(tooHigh.body.message).toContain('maxScore (30)');
+
+    const cleared = await request(app).put(`/api/assignments/${linked.body.id}`).send({ score: null });
+    expect(cleared.body.data.score).toBeUndefined();
+  });
+});
+
+describe('course grade', () => {
+  test('weighs graded work and works out what the final needs', async () => {
+    const course = await createCourse();
+    const cats = componentId(course, 'CATs');
+    await createAssignment({ title: 'CAT 1', course: course._id, componentId: cats, score: 24, maxScore: 30 });
+    await createAssignment({ title: 'CAT 2', course: course._id, componentId: cats });
+    await createAssignment({ title: 'Essay', course: course._id, componentId: componentId(course, 'Assignments'), score: 90 });
+
+    const res = await request(app).get(`/api/courses/${course._id}/grade?target=40,70,95`);
+
+    expect(res.status).toBe(200);
+    // CAT 1 is 12 of 15, the essay 18 of 20; CAT 2 (15) and the final (50) are to come
+    expect(res.body.data).toMatchObject({ totalWeight: 100, gradedWeight: 35, earned: 30, current: 85.71, achievable: 95 });
+    expect(res.body.data.components[0]).toMatchObject({ name: 'CATs', weight: 30, assignments: 2, gradedWeight: 15, earned: 12, current: 80 });
+    // CAT 2 is expected at the 85.71% average so far
+    expect(res.body.data.final).toMatchObject({
+      name: 'Final exam',
+      remainingWeight: 50,
+      needed: [
+        { target: 40, score: -5.71, status: 'secured' },
+        { target: 70, score: 54.29, status: 'reachable' },
+        { target: 95, score: 104.29, status: 'out_of_reach' }
+      ]
+    });
+
+    const list = await request(app).get('/api/courses');
+    expect(list.body.data[0].grade).toEqual({ totalWeight: 100, gradedWeight: 35, earned: 30, current: 85.71, achievable: 95 });
+  });
+
+  test('counts weighted assignments without components, and says when nothing is graded yet', async () => {
+    const course = await createCourse({ gradingComponents: undefined });
+    await createAssignment({ title: 'Project', course: 'Databases', weight: 40, score: 30, maxScore: 50 });
+
+    const res = await request(app).get(`/api/courses/${course._id}/grade`);
+    expect(res.body.data).toMatchObject({ totalWeight: 40, gradedWeight: 40, earned: 24, current: 60, final: null });
+
+    const fresh = await createCourse({ name: 'Statistics' });
+    const none = await request(app).get(`/api/courses/${fresh._id}/grade`);
+    expect(none.body.data).toMatchObject({ current: null, achievable: 100 });
+    expect(none.body.data.final.needed[0]).toEqual({ target: 40, score: null, status: null });
+
+    expect((await request(app).get(`/api/courses/${course._id}/grade?target=120`)).status).toBe(400);
+  });
+
+  test('imports keep the syllabus weights and link assignments to components', async () => {
+    const res = await request(app).post('/api/onboarding/finalize').send({
+      courses: [{ name: 'Databases', gradingComponents: COMPONENTS }],
+      assignments: [
+        { title: 'CAT 1', course: 'Databases', type: 'cat', weight: 15 },
+        { title: 'Reading', course: 'Databases', type: 'quiz' }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    const [course] = courses.docs;
+    expect(course.gradingComponents).toHaveLength(3);
+    const [cat, reading] = assignments.docs;
+    expect(cat).toMatchObject({ course: String(course._id), weight: 15, componentId: course.gradingComponents[0]._id });
+    expect(reading.weight).toBeUndefined();
+    expect(reading.componentId).toBeUndefined();
+  });
+});
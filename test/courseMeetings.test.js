@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const semesters = createFakeModel();
+const courses = createFakeModel();
+const assignments = createFakeModel();
+const users = createFakeModel();
+const reminderPreferences = createFakeModel();
+const auditLogs = createFakeModel();
+let currentUser;
+
+jest.unstable_mockModule('../models/semester.js', () => ({ default: semesters }));
+jest.unstable_mockModule('../models/course.js', () => ({ default: courses }));
+jest.unstable_mockModule('../models/assignment.js', () => ({ default: assignments }));
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+jest.unstable_mockModule('../models/reminderPreference.js', () => ({ default: reminderPreferences }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = currentUser;
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+const { parseSchedule, migrateLegacySchedules } = await import('../services/courseMeetingService.js');
+
+const app = createApp();
+
+beforeEach(() => {
+  [semesters, courses, assignments, users, reminderPreferences, auditLogs].forEach((model) => model.reset());
+  currentUser = { supabaseId: 'student-1' };
+});
+
+describe('reading text schedules', () => {
+  test('reads what imports used to store as JSON', () => {
+    const stored = JSON.stringify({ days: ['Monday', 'Wednesday'], time: '10:00 AM - 12:00 PM', location: 'Hall B' });
+
+    expect(parseSchedule(stored)).toEqual({
+      meetings: [
+        { type: 'lecture', weekday: 1, startTime: '10:00', endTime: '12:00', venue: 'Hall B' },
+        { type: 'lecture', weekday: 3, startTime: '10:00', endTime: '12:00', venue: 'Hall B' }
+      ],
+      unparsed: null
+    });
+  });
+
+  test('reads free text line by line and keeps what it cannot read', () => {
+    const { meetings, unparsed } = parseSchedule('Tues 2-4pm Lab in Room 12; Thursdays 9.30 to 11 tutorial; Fridays, time TBA');
+
+    expect(meetings).toEqual([
+      { type: 'lab', weekday: 2, startTime: '14:00', endTime: '16:00', venue: 'Room 12' },
+      { type: 'tutorial', weekday: 4, startTime: '09:30', endTime: '11:00', venue: undefined }
+    ]);
+    expect(unparsed).toBe('Fridays, time TBA');
+  });
+});
+
+describe('course meetings', () => {
+  test('are saved with a course and validated', async () => {
+    const meeting = { weekday: 1, startTime: '10:00', endTime: '12:00', venue: ' Hall B ', fromWeek: 2, toWeek: 10 };
+    const created = await request(app).post('/api/courses').send({ name: 'Databases', meetings: [meeting] });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.meetings).toEqual([
+      { type: 'lecture', weekday: 1, startTime: '10:00', endTime: '12:00', venue: 'Hall B', fromWeek: 2, toWeek: 10 }
+    ]);
+
+    const cleared = await request(app).put(`/api/courses/${created.body.data._id}`).send({ meetings: null });
+    expect(cleared.body.meetings).toEqual([]);
+  });
+
+  test.each([
+    [{ weekday: 7, startTime: '10:00', endTime: '12:00' }, 'weekday'],
+    [{ weekday: 1, startTime: '9:00', endTime: '12:00' }, 'startTime'],
+    [{ weekday: 1, startTime: '12:00', endTime: '10:00' }, 'endTime must be after startTime'],
+    [{ weekday: 1, startTime: '10:00', endTime: '12:00', type: 'workshop' }, 'type'],
+    [{ weekday: 1, startTime: '10:00', endTime: '12:00', fromWeek: 6, toWeek: 2 }, 'toWeek']
+  ])('rejects %j', async (meeting, message) => {
+    const res = await request(app).post('/api/courses').send({ name: 'Databases', meetings: [meeting] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain(message);
+    expect(courses.docs).toHaveLength(0);
+  });
+});
+
+describe('occurrences', () => {
+  test('expand meetings on the student\'s clock, in teaching weeks only, and flag clashes', async () => {
+    await users.create({ supabaseId: 'student-1', timezone: 'Africa/Nairobi' });
+    const { body: { data: semester } } = await request(app).post('/api/semesters').send({
+      name: 'Semester 1',
+      startDate: '2026-09-07',
+      endDate: '2026-12-18',
+      readingWeeks: [{ startDate: '2026-10-26', endDate: '2026-10-30' }]
+    });
+    await request(app).post('/api/courses').send({
+      name: 'Databases',
+      semesterId: semester.id,
+      meetings: [
+        { weekday: 1, startTime: '10:00', endTime: '12:00' },
+        { weekday: 3, startTime: '14:00', endTime: '16:00', type: 'lab', fromWeek: 8 }
+      ]
+    });
+    // No semester: meets every week
+    await courses.create({ supabaseId: 'student-1', name: 'Choir', meetings: [{ type: 'other', weekday: 1, startTime: '11:00', endTime: '13:00' }] });
+
+    const res = await request(app).get('/api/courses/occurrences?from=2026-10-19&to=2026-11-04');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.timeZone).toBe('Africa/Nairobi');
+    const summary = res.body.data.occurrences.map((o) => [o.date, o.courseName, o.type, o.teachingWeek, o.clashesWith.length]);
+    expect(summary).toEqual([
+      // Week 7; the lab starts in teaching week 8
+      ['2026-10-19', 'Databases', 'lecture', 7, 1],
+      ['2026-10-19', 'Choir', 'other', null, 1],
+      // Reading week
+      ['2026-10-26', 'Choir', 'other', null, 0],
+      ['2026-11-02', 'Databases', 'lecture', 8, 1],
+      ['2026-11-02', 'Choir', 'other', null, 1],
+      ['2026-11-04', 'Databases', 'lab', 8, 0]
+    ]);
+    expect(res.body.data.occurrences[0]).toMatchObject({
+      startTime: '10:00',
+      start: '2026-10-19T07:00:00.000Z',
+      end: '2026-10-19T09:00:00.000Z'
+    });
+  });
+
+  test('can be limited to one of the caller\'s courses and a bounded range', async () => {
+    const mine = await courses.create({ supabaseId: 'student-1', name: 'Choir', meetings: [{ weekday: 1, startTime: '11:00', endTime: '13:00' }] });
+    await courses.create({ supabaseId: 'student-1', name: 'Drama', meetings: [{ weekday: 1, startTime: '15:00', endTime: '16:00' }] });
+    const theirs = await courses.create({ supabaseId: 'student-2', name: 'Art', meetings: [] });
+
+    const res = await request(app).get(`/api/courses/occurrences?from=2026-10-19&to=2026-10-25&courseId=${mine._id}`);
+    expect(res.body.data.occurrences.map((o) => o.courseName)).toEqual(['Choir']);
+
+    expect((await request(app).get(`/api/courses/occurrences?courseId=${theirs._id}`)).status).toBe(404);
+    expect((await request(app).get('/api/courses/occurrences?from=2026-10-19&to=2026-10-18')).status).toBe(400);
+    expect((await request(app).get('/api/courses/occurrences?from=2026-01-01&to=2026-12-31')).status).toBe(400);
+  });
+});
+
+describe('migrating text schedules', () => {
+  test('moves readable schedules into meetings and leaves the rest as text', async () => {
+    const stored = await courses.create({ supabaseId: 'student-1', name: 'Databases', schedule: '{"days":["Tue"],"time":"09:00-11:00","location":"LT2"}' });
+    const unreadable = await courses.create({ supabaseId: 'student-1', name: 'Statistics', schedule: 'See timetable' });
+    const structured = await courses.create({ supabaseId: 'student-1', name: 'Choir', schedule: 'Mon 11-13', meetings: [{ weekday: 3, startTime: '18:00', endTime: '19:00' }] });
+
+    expect(await migrateLegacySchedules()).toEqual({ checked: 2, migrated: 1, unparsed: 1 });
+    expect(stored.meetings).toEqual([{ type: 'lecture', weekday: 2, startTime: '09:00', endTime: '11:00', venue: 'LT2' }]);
+    expect(stored.schedule).toBeUndefined();
+    expect(unreadable.schedule).toBe('See timetable');
+    expect(structured.meetings).toHaveLength(1);
+
+    // Running it again changes nothing
+    expect(await migrateLegacySchedules()).toEqual({ checked: 1, migrated: 0, unparsed: 1 });
+  });
+
+  test('imports store structured meetings', async () => {
+    const res = await request(app).post('/api/onboarding/finalize').send({
+      courses: [{ name: 'Chemistry', schedule: [{ days: ['Thursday'], time: '14:00-17:00', location: 'Lab 2', type: 'lab' }, 'Office hours by appointment'] }]
+    });
+
+    expect(res.status).toBe(200);
+    expect(courses.docs[0]).toMatchObject({
+      meetings: [{ type: 'lab', weekday: 4, startTime: '14:00', endTime: '17:00', venue: 'Lab 2' }],
+      schedule: 'Office hours by appointment'
+    });
+  });
+});
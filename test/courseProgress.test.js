@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const semesters = createFakeModel();
+const courses = createFakeModel();
+const assignments = createFakeModel();
+const users = createFakeModel();
+const reminderPreferences = createFakeModel();
+const auditLogs = createFakeModel();
+const aiUsage = createFakeModel();
+const post = jest.fn();
+let currentUser;
+
+jest.unstable_mockModule('../models/semester.js', () => ({ default: semesters }));
+jest.unstable_mockModule('../models/course.js', () => ({ default: courses }));
+jest.unstable_mockModule('../models/assignment.js', () => ({ default: assignments }));
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+jest.unstable_mockModule('../models/reminderPreference.js', () => ({ default: reminderPreferences }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../models/aiUsage.js', () => ({ default: aiUsage }));
+jest.unstable_mockModule('axios', () => ({ default: { post, get: jest.fn(), delete: jest.fn() } }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = currentUser;
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+const { computeCourseProgress } = await import('../services/courseProgressService.js');
+const { toDay } = await import('../services/semesterService.js');
+const { env } = await import('../config/environment.js');
+
+const app = createApp();
+
+const createCourse = async (body = {}) => (await request(app).post('/api/courses').send({ name: 'Databases', ...body })).body.data;
+
+const createAssignment = async (body) => (await request(app).post('/api/assignments').send(body)).body;
+
+const stored = (course) => courses.docs.find((doc) => String(doc._id) === String(course._id)).progress;
+
+beforeEach(() => {
+  [semesters, courses, assignments, users, reminderPreferences, auditLogs, aiUsage].forEach((model) => model.reset());
+  post.mockReset();
+  currentUser = { supabaseId: 'student-1' };
+});
+
+describe('course progress', () => {
+  test('weighs assignment progress by grade weight and is stored whenever an assignment changes', async () => {
+    const course = await createCourse();
+    const project = await createAssignment({ title: 'Project', course: course._id, weight: 30, progress: 50 });
+    expect(stored(course)).toBe(50);
+
+    await createAssignment({ title: 'Quiz', course: course._id, weight: 10, score: 8, maxScore: 10 });
+    // Reading takes the mean weight (20); the scored quiz counts as done: (15 + 10) of 60
+    const reading = await createAssignment({ title: 'Reading', course: 'databases', progress: 0 });
+    expect(stored(course)).toBe(42);
+
+    await request(app).put(`/api/assignments/${reading.id}`).send({ progress: 100 });
+    expect(stored(course)).toBe(75);
+
+    // Moving an assignment updates both courses
+    const other = await createCourse({ name: 'Statistics' });
+    await request(app).put(`/api/assignments/${project.id}`).send({ course: other._id });
+    expect(stored(course)).toBe(100);
+    expect(stored(other)).toBe(50);
+
+    await request(app).delete(`/api/assignments/${project.id}`);
+    expect(stored(other)).toBe(0);
+  });
+
+  test('is listed with its detail and cannot be set by clients', async () => {
+    const course = await createCourse();
+    await createAssignment({ title: 'Project', course: course._id, progress: 40 });
+
+    const ignored = await request(app).put(`/api/courses/${course._id}`).send({ progress: 90 });
+    expect(ignored.body.progress).toBe(40);
+
+    const list = await request(app).get('/api/courses');
+    expect(list.body.data[0]).toMatchObject({
+      progress: 40,
+      progressDetail: { source: 'assignments', work: 40, elapsed: null, pace: null, assignments: 1 }
+    });
+  });
+
+  test('falls back to the teaching weeks elapsed and compares the two', async () => {
+    const { body: { data: semester } } = await request(app).post('/api/semesters').send({
+      name: 'Semester 1',
+      startDate: '2026-09-07',
+      endDate: '2026-11-29',
+      readingWeeks: [{ startDate: '2026-10-26', endDate: '2026-10-30' }]
+    });
+    const course = await createCourse({ semesterId: semester.id });
+    const [semesterDoc] = semesters.docs;
+    const [courseDoc] = courses.docs;
+
+    // Teaching week 5 of 11
+    expect(computeCourseProgress(courseDoc, [], semesterDoc, toDay('2026-10-05')))
+      .toEqual({ progress: 45, source: 'teaching_weeks', work: null, elapsed: 45, pace: null, assignments: 0 });
+    expect(computeCourseProgress(courseDoc, [], semesterDoc, toDay('2026-09-01')).progress).toBe(0);
+    expect(computeCourseProgress(courseDoc, [], semesterDoc, toDay('2026-12-10')).progress).toBe(100);
+
+    const work = [{ _id: 'a1', course: String(course._id), progress: 20 }];
+    expect(computeCourseProgress(courseDoc, work, semesterDoc, toDay('2026-10-05'))).toMatchObject({ progress: 20, pace: 'behind' });
+    expect(computeCourseProgress(courseDoc, work, semesterDoc, toDay('2026-09-14')).pace).toBe('on_track');
+  });
+});
+
+describe('course insights', () => {
+  test('are asked about the derived progress of every course', async () => {
+    env.GROQ_API_KEY = env.GROQ_API_KEY || 'test-key';
+    post.mockResolvedValue({ data: { choices: [{ message: { content: '{"overallProgress":"on-track","strengths":[],"recommendations":[],"encouragement":"ok"}' } }] } });
+    await users.create({ supabaseId: 'student-1', aiPreferences: { enabled: true } });
+    const course = await createCourse();
+    // Linked by id and by name, as imports link them
+    await createAssignment({ title: 'Project', course: course._id, weight: 30, progress: 100 });
+    await createAssignment({ title: 'Lab', course: 'DATABASES', weight: 10, progress: 20 });
+
+    const res = await request(app).get('/api/ai/course-insights/student-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ enabled: true, overallProgress: 'on-track' });
+    expect(post.mock.calls[0][1].messages[1].content)
+      .toContain('Course 1: 1/2 assignments completed (60% avg score), 80% of the course done');
+  });
+});
@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+import { readZip } from './helpers/readZip.js';
+
+const MODEL_FILES = [
+  'user', 'subscription', 'course', 'assignment', 'note', 'activity', 'reminder',
+  'reminderPreference', 'studyPlan', 'mpesaTransaction', 'semester'
+];
+const models = Object.fromEntries(MODEL_FILES.map((name) => [name, createFakeModel()]));
+const exportsModel = createFakeModel({ defaults: () => ({ requestedAt: new Date() }) });
+const auditLogs = createFakeModel();
+const sendEmail = jest.fn(async () => ({}));
+let currentUser;
+
+MODEL_FILES.forEach((name) => {
+  jest.unstable_mockModule(`../models/${name}.js`, () => ({ default: models[name] }));
+});
+jest.unstable_mockModule('../models/dataExport.js', () => ({ default: exportsModel }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../emailService.js', () => ({ sendEmail }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = currentUser;
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+const { encrypt } = await import('../utils/encryption.js');
+const { crc32, createZip } = await import('../utils/zipArchive.js');
+const { processDataExport, runQueuedExports } = await import('../services/dataExportService.js');
+
+const app = createApp();
+
+const waitForExport = async (predicate = (doc) => ['ready', 'failed'].includes(doc.status)) => {
+  for (let i = 0; i < 50; i += 1) {
+    if (exportsModel.docs[0] && predicate(exportsModel.docs[0])) return exportsModel.docs[0];
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  throw new Error('Export did not finish');
+};
+
+const downloadZip = (path) => request(app)
+  .get(path)
+  .buffer(true)
+  .parse((res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  });
+
+const seed = async (supabaseId) => {
+  await models.user.create({ supabaseId, name: 'Wanjiku', email: `${supabaseId}@example.com` });
+  await models.course.create({ supabaseId, name: `Databases ${supabaseId}`, credits: 3 });
+  await models.assignment.create({ supabaseId, title: 'ER diagram, "final"', course: 'Databases', progress: 40 });
+  await models.note.create({ supabaseId, title: 'Week 1', content: 'Normal forms' });
+  await models.activity.create({ supabaseId, type: 'USER_LOGIN', timestamp: new Date() });
+  await models.reminder.create({
+    supabaseId,
+    type: 'DEADLINE',
+    title: 'ER diagram due',
+    message: 'Due tomorrow',
+    scheduledFor: new Date(),
+    metadata: encrypt({ assignmentId: 'a1', leadMinutes: 180 })
+  });
+  await models.mpesaTransaction.create({
+    supabaseId,
+    phoneNumber: '254712345678',
+    amount: 300,
+    plan: 'monthly',
+    status: 'completed',
+    mpesaReceiptNumber: 'QKA1',
+    idempotencyKey: 'key-1',
+    raw: { ResultCode: 0 },
+    transactionDate: new Date()
+  });
+};
+
+beforeEach(async () => {
+  [...Object.values(models), exportsModel].forEach((model) => model.reset());
+  sendEmail.mockClear();
+  currentUser = { supabaseId: 'student-1', email: 'student-1@example.com' };
+  await seed('student-1');
+  await seed('student-2');
+});
+
+test('crc32 matches the standard check value', () => {
+  expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+});
+
+test('createZip round-trips UTF-8 names and content', () => {
+  const files = readZip(createZip([{ name: 'notes/ñ.txt', content: 'héllo' }, { name: 'empty.csv', content: '' }]));
+
+  expect(files).toEqual({ 'notes/ñ.txt': 'héllo', 'empty.csv': '' });
+});
+
+test('builds the archive in the background and emails a link when it is ready', async () => {
+  const res = await request(app).post('/api/users/me/export');
+
+  expect(res.status).toBe(202);
+  expect(res.body.data.status).toBe('queued');
+  expect(res.body.data.downloadUrl).toMatch(/^\/api\/users\/me\/export\/[0-9a-f]{24}\/download\?token=[0-9a-f]{64}$/);
+  // Only a hash of the token is stored, and the link is not given out again
+  const token = res.body.data.downloadUrl.split('token=')[1];
+  expect(exportsModel.docs[0].downloadTokenHash).toMatch(/^[0-9a-f]{64}$/);
+  expect(JSON.stringify(exportsModel.docs[0])).not.toContain(token);
+
+  await waitForExport();
+  const status = await request(app).get(`/api/users/me/export/${res.body.data.id}`);
+  expect(status.body.data).toMatchObject({ status: 'ready', fileName: expect.stringMatching(/\.zip$/), downloadUrl: null });
+  expect(status.body.data.counts).toMatchObject({ courses: 1, assignments: 1, reminders: 1, payments: 1 });
+  expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'student-1@example.com' }));
+});
+
+test('the archive holds only the caller\'s data as JSON and CSV', async () => {
+  const { body } = await request(app).post('/api/users/me/export');
+  await waitForExport();
+  const { body: { data } } = await request(app).get(`/api/users/me/export/${body.data.id}`);
+
+  const res = await downloadZip(body.data.downloadUrl);
+
+  expect(res.status).toBe(200);
+  expect(res.headers['content-type']).toBe('application/zip');
+  expect(res.headers['content-disposition']).toContain(data.fileName);
+
+  const files = readZip(res.body);
+  expect(Object.keys(files).sort()).toEqual([
+    'README.txt', 'activities.csv', 'activities.json', 'assignments.csv', 'assignments.json',
+    'courses.csv', 'courses.json', 'notes.json', 'payments.csv', 'payments.json', 'profile.json',
+    'reminders.csv', 'reminders.json', 'semesters.json', 'study-plans.json'
+  ]);
+  expect(JSON.parse(files['courses.json']).map((course) => course.name)).toEqual(['Databases student-1']);
+  expect(JSON.parse(files['profile.json']).user.email).toBe('student-1@example.com');
+  expect(files['assignments.csv']).toContain('"ER diagram, ""final"""');
+  // Reminder metadata is decrypted
+  expect(JSON.parse(files['reminders.json'])[0].metadata).toEqual({ assignmentId: 'a1', leadMinutes: 180 });
+  const [payment] = JSON.parse(files['payments.json']);
+  expect(payment).toMatchObject({ mpesaReceiptNumber: 'QKA1', amount: 300 });
+  expect(payment.raw).toBeUndefined();
+  expect(payment.idempotencyKey).toBeUndefined();
+  expect(files['payments.csv'].split('\r\n')[0]).toContain('M-Pesa receipt');
+});
+
+test('refuses wrong, expired and other users\' links', async () => {
+  const { body } = await request(app).post('/api/users/me/export');
+  const ready = await waitForExport();
+  const { downloadUrl } = body.data;
+
+  expect((await request(app).get(`/api/users/me/export/${body.data.id}/download?token=${'0'.repeat(64)}`)).status).toBe(404);
+  expect((await request(app).get(`/api/users/me/export/${body.data.id}/download`)).status).toBe(404);
+
+  currentUser = { supabaseId: 'student-2' };
+  expect((await request(app).get(`/api/users/me/export/${body.data.id}`)).status).toBe(404);
+
+  ready.expiresAt = new Date(Date.now() - 1000);
+  expect((await request(app).get(downloadUrl)).status).toBe(404);
+  currentUser = { supabaseId: 'student-1' };
+  const expired = await request(app).get(`/api/users/me/export/${body.data.id}`);
+  expect(expired.body.data).toMatchObject({ status: 'expired', downloadUrl: null });
+});
+
+test('returns the export already in progress instead of starting another', async () => {
+  const queued = await exportsModel.create({ supabaseId: 'student-1', status: 'queued' });
+
+  const res = await request(app).post('/api/users/me/export');
+
+  expect(res.body.data.id).toBe(String(queued._id));
+  expect(exportsModel.docs).toHaveLength(1);
+});
+
+test('the job builds lost exports and requeues interrupted ones', async () => {
+  const now = new Date();
+  await exportsModel.create({ supabaseId: 'student-1', status: 'processing', startedAt: new Date(now - 60 * 60 * 1000) });
+  await exportsModel.create({ supabaseId: 'student-2', status: 'queued' });
+
+  expect(await runQueuedExports(now)).toEqual({ requeued: 1, processed: 2 });
+  expect(exportsModel.docs.map((doc) => doc.status)).toEqual(['ready', 'ready']);
+});
+
+test('marks the export failed when it cannot be built', async () => {
+  const dataExport = await exportsModel.create({ supabaseId: 'student-1', status: 'queued' });
+  const { find } = models.note;
+  models.note.find = () => { throw new Error('connection reset'); };
+  try {
+    await processDataExport(dataExport._id);
+  } finally {
+    models.note.find = find;
+  }
+
+  expect(dataExport).toMatchObject({ status: 'failed', error: 'connection reset' });
+  expect(sendEmail).not.toHaveBeenCalled();
+  // A finished export is never built twice
+  expect(await processDataExport(dataExport._id)).toBeNull();
+});
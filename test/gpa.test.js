@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const semesters = createFakeModel();
+const courses = createFakeModel();
+const assignments = createFakeModel();
+const users = createFakeModel();
+const reminderPreferences = createFakeModel();
+const auditLogs = createFakeModel();
+let currentUser;
+
+jest.unstable_mockModule('../models/semester.js', () => ({ default: semesters }));
+jest.unstable_mockModule('../models/course.js', () => ({ default: courses }));
+jest.unstable_mockModule('../models/assignment.js', () => ({ default: assignments }));
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+jest.unstable_mockModule('../models/reminderPreference.js', () => ({ default: reminderPreferences }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = currentUser;
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+
+const app = createApp();
+
+// Two semesters of marks, an older course filed by name only, one course in progress and one without credits
+const seedTranscript = async () => {
+  const first = await semesters.create({ supabaseId: 'student-1', name: 'Semester 1', startDate: new Date('2025-09-01'), endDate: new Date('2025-12-19') });
+  const second = await semesters.create({ supabaseId: 'student-1', name: 'Semester 2', startDate: new Date('2026-01-05'), endDate: new Date('2026-04-24') });
+
+  await courses.create({ supabaseId: 'student-1', name: 'Databases', semesterId: first._id, credits: 3, finalGrade: 75 });
+  await courses.create({ supabaseId: 'student-1', name: 'Statistics', semesterId: first._id, credits: 4, finalGrade: 58 });
+  await courses.create({ supabaseId: 'student-1', name: 'Writing Skills', semester: 'Fall 2024', credits: 2, finalGrade: 45, createdAt: new Date('2024-09-02') });
+  await courses.create({ supabaseId: 'student-1', name: 'Chapel', semesterId: first._id, finalGrade: 90 });
+
+  const catId = new mongoose.Types.ObjectId();
+  const networks = await courses.create({
+    supabaseId: 'student-1',
+    name: 'Networks',
+    semesterId: second._id,
+    credits: 3,
+    gradingComponents: [{ _id: catId, name: 'CAT', type: 'cat', weight: 30 }, { _id: new mongoose.Types.ObjectId(), name: 'Final exam', type: 'exam', weight: 70 }]
+  });
+  await assignments.create({ supabaseId: 'student-1', title: 'CAT 1', course: String(networks._id), componentId: catId, score: 80 });
+};
+
+beforeEach(() => {
+  [semesters, courses, assignments, users, reminderPreferences, auditLogs].forEach((model) => model.reset());
+  currentUser = { supabaseId: 'student-1' };
+});
+
+describe('GPA', () => {
+  test('computes semester and cumulative GPA and projects the classification', async () => {
+    await seedTranscript();
+
+    const res = await request(app).get('/api/analytics/gpa');
+
+    expect(res.status).toBe(200);
+    const { data } = res.body;
+    expect(data.scale.id).toBe('kenya');
+    expect(data.semesters.map((semester) => [semester.name, semester.credits, semester.gpa, semester.mean])).toEqual([
+      ['Fall 2024', 2, 1, 45],
+      ['Semester 1', 7, 2.86, 65.29],
+      ['Semester 2', 0, null, null]
+    ]);
+    expect(data.semesters[1]).toMatchObject({ classification: 'Second Class Honours (Upper Division)' });
+    expect(data.semesters[1].courses[0]).toMatchObject({ name: 'Databases', status: 'complete', mark: 75, letter: 'A', points: 4 });
+    expect(data.semesters[2].courses[0]).toMatchObject({ name: 'Networks', status: 'in_progress', mark: 80 });
+
+    expect(data.cumulative).toEqual({ credits: 9, gpa: 2.44, mean: 60.78, letter: 'B', classification: 'Second Class Honours (Upper Division)' });
+    expect(data.projection).toEqual({
+      credits: 12,
+      gpa: 2.83,
+      mean: 65.58,
+      letter: 'B',
+      classification: 'Second Class Honours (Upper Division)',
+      // (70 × 12 credits − 547 marks so far) / 3 credits in progress
+      nextClassification: { label: 'First Class Honours', min: 70, neededMean: 97.67, reachable: true }
+    });
+    expect(data.excluded).toEqual([{ courseId: expect.any(String), name: 'Chapel', reason: 'no_credits' }]);
+  });
+
+  test('uses another preset for one request', async () => {
+    await seedTranscript();
+
+    const res = await request(app).get('/api/analytics/gpa?scale=us-4.0');
+    expect(res.body.data.scale.id).toBe('us-4.0');
+    expect(res.body.data.semesters[1].courses[0]).toMatchObject({ name: 'Databases', letter: 'C', points: 2 });
+
+    expect((await request(app).get('/api/analytics/gpa?scale=classification')).status).toBe(400);
+  });
+
+  test('final grades are validated on courses', async () => {
+    const res = await request(app).post('/api/courses').send({ name: 'Databases', finalGrade: 101 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain('finalGrade');
+  });
+});
+
+describe('grading scales', () => {
+  test('lists the presets and saves custom bands', async () => {
+    const presets = await request(app).get('/api/analytics/gpa/scales');
+    expect(presets.body.data.map((scale) => scale.id)).toEqual(['kenya', 'us-4.0', 'classification']);
+
+    const saved = await request(app).put('/api/analytics/gpa/scale').send({
+      gpa: [{ label: 'Fail', min: 0, points: 0 }, { label: 'Pass', min: 50, points: 1 }]
+    });
+    expect(saved.status).toBe(200);
+    expect(saved.body.data.gpa).toMatchObject({ id: 'custom', bands: [{ label: 'Pass', min: 50, points: 1 }, { label: 'Fail', min: 0, points: 0 }] });
+    expect(saved.body.data.classification.id).toBe('classification');
+
+    await courses.create({ supabaseId: 'student-1', name: 'Databases', credits: 3, finalGrade: 75 });
+    const report = await request(app).get('/api/analytics/gpa');
+    expect(report.body.data.cumulative).toMatchObject({ gpa: 1, letter: 'Pass' });
+
+    // Back to a preset
+    await request(app).put('/api/analytics/gpa/scale').send({ gpa: 'kenya' });
+    expect((await request(app).get('/api/analytics/gpa')).body.data.cumulative).toMatchObject({ gpa: 4, letter: 'A' });
+  });
+
+  test.each([
+    [{ gpa: 'classification' }, 'gpa must be one of'],
+    [{ gpa: [{ label: 'Pass', min: 50, points: 1 }, { label: 'Good', min: 70, points: 2 }] }, 'band starting at 0'],
+    [{ gpa: [{ label: 'Fail', min: 0 }, { label: 'Pass', min: 50 }] }, 'points'],
+    [{ classification: [{ label: 'Fail', min: 0 }, { label: 'Pass', min: 0 }] }, 'different mark'],
+    [{ letters: 'kenya' }, 'Unknown']
+  ])('rejects %j', async (body, message) => {
+    const res = await request(app).put('/api/analytics/gpa/scale').send(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain(message);
+  });
+});
@@ -0,0 +1,180 @@
+import mongoose from 'mongoose';
+
+// Minimal in-memory stand-in for a mongoose model, for tests that run without MongoDB.
+// Supports equality and RegExp filters plus `$or` / `$ne` / `$in` / `$lt` / `$lte` / `$gte`, `$set` / `$setOnInsert` / `$unset` / `$inc` / `$push` updates,
+// and `sort` / `limit` on `find`.
+// Like a real model it can be constructed (`new Model(data).save()`), and documents have `set` / `save` / `deleteOne` / `toObject`.
+
+const OPERATORS = {
+  $ne: (actual, value) => (Array.isArray(actual)
+    ? !actual.some((item) => String(item) === String(value))
+    : String(actual) !== String(value)),
+  $in: (actual, values) => values.some((value) => (value === null
+    ? actual === null || actual === undefined
+    : String(actual) === String(value))),
+  $lt: (actual, value) => actual < value,
+  $lte: (actual, value) => actual <= value,
+  $gte: (actual, value) => actual >= value
+};
+
+const matchesValue = (actual, expected) => {
+  // As in MongoDB, `null` matches missing fields too
+  if (expected === null) return actual === null || actual === undefined;
+  if (expected instanceof RegExp) return typeof actual === 'string' && expected.test(actual);
+  if (expected && typeof expected === 'object' && !(expected instanceof Date)
+    && Object.keys(expected).some((key) => key in OPERATORS)) {
+    return Object.entries(expected).every(([op, value]) => OPERATORS[op](actual, value));
+  }
+  return String(actual) === String(expected);
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, expected]) => (key === '$or'
+    ? expected.some((branch) => matches(doc, branch))
+    : matchesValue(doc[key], expected)));
+
+// `$set` accepts dotted paths into nested objects, e.g. `{ 'notificationChannels.email': true }`
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((parent, key) => {
+    if (!parent[key] || typeof parent[key] !== 'object') parent[key] = {};
+    return parent[key];
+  }, doc);
+  target[last] = value;
+};
+
+// `sort` spec as an object (`{ field: 1 }` / `-1`) or a string (`'field -other'`)
+const sortEntries = (spec) => (typeof spec === 'string'
+  ? spec.split(/\s+/).filter(Boolean).map((key) => (key.startsWith('-') ? [key.slice(1), -1] : [key, 1]))
+  : Object.entries(spec));
+
+// As in MongoDB, missing fields sort before any value
+const compareBy = (entries) => (a, b) => {
+  for (const [key, direction] of entries) {
+    const x = a[key] instanceof Date ? a[key].getTime() : a[key] ?? null;
+    const y = b[key] instanceof Date ? b[key].getTime() : b[key] ?? null;
+    if (x === y) continue;
+    if (x === null) return -direction;
+    if (y === null) return direction;
+    return (x < y ? -1 : 1) * direction;
+  }
+  return 0;
+};
+
+// Query stand-in: `sort` and `limit` apply to `find` results whatever order they are chained in
+const chainable = (promise) => {
+  const options = {};
+  const query = {
+    sort: (spec) => { options.sort = spec; return query; },
+    limit: (count) => { options.limit = count; return query; },
+    lean: () => query,
+    populate: () => query,
+    select: () => query,
+    then: (resolve, reject) => promise.then((result) => {
+      if (!Array.isArray(result)) return result;
+      let rows = options.sort ? [...result].sort(compareBy(sortEntries(options.sort))) : result;
+      if (options.limit > 0) rows = rows.slice(0, options.limit);
+      return rows;
+    }).then(resolve, reject),
+    catch: (reject) => query.then(undefined, reject)
+  };
+  return query;
+};
+
+export const createFakeModel = ({ methods = {}, defaults = () => ({}) } = {}) => {
+  const docs = [];
+
+  const documentMethods = {
+    set(field, value) {
+      Object.assign(this, typeof field === 'string' ? { [field]: value } : field);
+      return this;
+    },
+    async save() {
+      if (!docs.includes(this)) docs.push(this);
+      return this;
+    },
+    async deleteOne() {
+      const index = docs.indexOf(this);
+      if (index !== -1) docs.splice(index, 1);
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+    toObject() {
+      return { ...this };
+    }
+  };
+
+  const wrap = (data) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...defaults(), ...data };
+    Object.entries({ ...documentMethods, ...methods }).forEach(([name, fn]) => {
+      Object.defineProperty(doc, name, { value: fn.bind(doc), enumerable: false });
+    });
+    return doc;
+  };
+
+  const applyUpdate = (doc, update = {}) => {
+    // Top-level fields without an operator are treated as `$set`, as mongoose does
+    Object.entries(update).forEach(([key, value]) => {
+      if (!key.startsWith('$')) doc[key] = value;
+    });
+    Object.entries(update.$set || {}).forEach(([key, value]) => setPath(doc, key, value));
+    Object.keys(update.$unset || {}).forEach((key) => { delete doc[key]; });
+    Object.entries(update.$inc || {}).forEach(([key, value]) => { doc[key] = (doc[key] || 0) + value; });
+    Object.entries(update.$push || {}).forEach(([key, value]) => {
+      doc[key] = [...(doc[key] || []), value];
+    });
+    return doc;
+  };
+
+  // Callable with `new`: returning an object from a constructor makes `new Model(data)` yield the document
+  function FakeModel(data) {
+    return wrap(data);
+  }
+
+  return Object.assign(FakeModel, {
+    docs,
+    reset: () => docs.splice(0, docs.length),
+    create: async (data) => {
+      const doc = wrap(data);
+      docs.push(doc);
+      return doc;
+    },
+    find: (filter) => chainable(Promise.resolve(docs.filter((doc) => matches(doc, filter)))),
+    countDocuments: async (filter) => docs.filter((doc) => matches(doc, filter)).length,
+    findOne: (filter) => chainable(Promise.resolve(
+      [...docs].reverse().find((doc) => matches(doc, filter)) || null
+    )),
+    findById: (id) => chainable(Promise.resolve(docs.find((doc) => String(doc._id) === String(id)) || null)),
+    deleteOne: async (filter) => {
+      const index = docs.findIndex((doc) => matches(doc, filter));
+      if (index !== -1) docs.splice(index, 1);
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+    deleteMany: async (filter) => {
+      const remaining = docs.filter((doc) => !matches(doc, filter));
+      const deletedCount = docs.length - remaining.length;
+      docs.splice(0, docs.length, ...remaining);
+      return { deletedCount };
+    },
+    updateMany: async (filter, update) => {
+      const matched = docs.filter((doc) => matches(doc, filter));
+      matched.forEach((doc) => applyUpdate(doc, update));
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    },
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      let doc = docs.find((candidate) => matches(candidate, filter));
+      if (!doc && options.upsert) {
+        const seed = Object.fromEntries(
+          Object.entries(filter).filter(([, value]) => value === null || typeof value !== 'object')
+        );
+        doc = wrap({ ...seed, ...update.$setOnInsert });
+        docs.push(doc);
+      } else if (!doc) {
+        return null;
+      }
+      return applyUpdate(doc, update);
+    }
+  });
+};
+
+export default createFakeModel;
@@ -0,0 +1,31 @@
+import zlib from 'zlib';
+
+// Read a ZIP archive into `{ [name]: string }` by walking its central directory. Test-only:
+// handles the stored and deflated entries that utils/zipArchive.js writes.
+export const readZip = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end === -1) throw new Error('Not a ZIP archive');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let pointer = buffer.readUInt32LE(end + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i += 1) {
+    const method = buffer.readUInt16LE(pointer + 10);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+};
+
+export default readZip;
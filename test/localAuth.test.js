@@ -0,0 +1,79 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+// Boot with none of the external services configured, as on a laptop without network access
+const SERVICE_VARS = [
+  'SUPABASE_SERVICE_KEY', 'SUPABASE_URL', 'SUPABASE_PROJECT_ID', 'SUPABASE_JWT_SECRET', 'GROQ_API_KEY',
+  'MPESA_CONSUMER_KEY', 'MPESA_CONSUMER_SECRET', 'MPESA_PASSKEY', 'MPESA_SHORTCODE', 'MPESA_PARTYB',
+  'MPESA_BASE_URL', 'MPESA_CALLBACK_URL', 'MONGODB_URI', 'EMAIL_SERVICE', 'EMAIL_USER',
+  'AUTH_PROVIDER', 'LOCAL_AUTH_SECRET', 'PAYMENT_PROVIDER'
+];
+SERVICE_VARS.forEach((name) => { delete process.env[name]; });
+
+const users = createFakeModel();
+const auditLogs = createFakeModel();
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+
+const { env, configProfile, validateEnv, requiredEnvVars, productionEnvVars } = await import('../config/environment.js');
+const { createApp } = await import('../app.js');
+const { getAuthProvider, LocalAuthProvider } = await import('../services/auth/index.js');
+const { JwtError, signHs256 } = await import('../utils/jwt.js');
+
+const app = createApp();
+
+beforeEach(() => {
+  users.reset();
+});
+
+test('the test profile boots with local stand-ins for every external service', () => {
+  expect(configProfile).toBe('test');
+  expect(env).toMatchObject({
+    AUTH_PROVIDER: 'local',
+    PAYMENT_PROVIDER: 'simulator',
+    MONGODB_URI: 'mongodb://127.0.0.1:27017/semesterstride-test'
+  });
+  expect(getAuthProvider()).toBeInstanceOf(LocalAuthProvider);
+});
+
+test('production still requires every variable and refuses the local auth and payment stand-ins', () => {
+  const complete = Object.fromEntries([...requiredEnvVars, ...productionEnvVars].map((name) => [name, 'x']));
+  complete.MONGODB_URI = 'mongodb://db.example/stride';
+
+  expect(validateEnv({}, 'test')).toBe(true);
+  expect(() => validateEnv({}, 'production')).toThrow(/Missing required environment variables: SUPABASE_SERVICE_KEY/);
+  expect(validateEnv(complete, 'production')).toBe(true);
+  expect(() => validateEnv({ ...complete, AUTH_PROVIDER: 'local' }, 'production')).toThrow(/AUTH_PROVIDER=local/);
+  expect(() => validateEnv({ ...complete, PAYMENT_PROVIDER: 'simulator' }, 'production')).toThrow(/PAYMENT_PROVIDER=simulator/);
+  expect(validateEnv({ ...complete, PAYMENT_PROVIDER: 'daraja' }, 'production')).toBe(true);
+});
+
+test('authenticated routes accept local tokens', async () => {
+  const token = getAuthProvider().issueToken({ sub: 'student-1', email: 'amina@example.com' });
+
+  const res = await request(app).get('/api/users/me').set('Authorization', `Bearer ${token}`);
+
+  expect(res.status).toBe(200);
+  expect(res.body.data).toMatchObject({ supabaseId: 'student-1', email: 'amina@example.com' });
+});
+
+test('local tokens are checked like real ones', async () => {
+  const provider = new LocalAuthProvider({ secret: 'secret-a' });
+
+  const user = await provider.verifyAccessToken(provider.issueToken({ sub: 'student-1' }));
+  expect(user).toMatchObject({ id: 'student-1', supabaseId: 'student-1', role: 'authenticated' });
+
+  const rejected = [
+    new LocalAuthProvider({ secret: 'secret-b' }).issueToken({ sub: 'student-1' }),
+    provider.issueToken({ sub: 'student-1', now: Date.now() - 2 * 60 * 60 * 1000 }),
+    // Right secret, but not issued by the local provider
+    signHs256({ sub: 'student-1', aud: 'authenticated', iss: 'https://project.supabase.co/auth/v1', exp: Math.floor(Date.now() / 1000) + 60 }, 'secret-a')
+  ];
+  for (const token of rejected) {
+    await expect(provider.verifyAccessToken(token)).rejects.toBeInstanceOf(JwtError);
+  }
+
+  const res = await request(app).get('/api/users/me').set('Authorization', `Bearer ${rejected[0]}`);
+  expect(res.status).toBe(401);
+});
@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+
+const get = jest.fn();
+jest.unstable_mockModule('axios', () => ({ default: { get } }));
+
+const { env } = await import('../config/environment.js');
+const { getAccessToken, withMpesaAuth, invalidateAccessToken } = await import('../services/mpesaAuth.js');
+
+Object.assign(env, { MPESA_CONSUMER_KEY: 'consumer-key', MPESA_CONSUMER_SECRET: 'consumer-secret' });
+
+const tokenResponse = (token, expiresIn = '3599') => ({ data: { access_token: token, expires_in: expiresIn } });
+
+beforeEach(async () => {
+  get.mockReset();
+  await invalidateAccessToken();
+});
+
+test('caches the access token between calls', async () => {
+  get.mockResolvedValueOnce(tokenResponse('token-1'));
+
+  expect(await getAccessToken()).toBe('token-1');
+  expect(await getAccessToken()).toBe('token-1');
+  expect(get).toHaveBeenCalledTimes(1);
+  expect(get.mock.calls[0][0]).toMatch(/\/oauth\/v1\/generate$/);
+});
+
+test('refreshes a token that is about to expire', async () => {
+  get
+    .mockResolvedValueOnce(tokenResponse('short-lived', '30'))
+    .mockResolvedValueOnce(tokenResponse('token-2'));
+
+  expect(await getAccessToken()).toBe('short-lived');
+  expect(await getAccessToken()).toBe('token-2');
+  expect(get).toHaveBeenCalledTimes(2);
+});
+
+test('retries once with a fresh token when Daraja returns 401', async () => {
+  get
+    .mockResolvedValueOnce(tokenResponse('stale'))
+    .mockResolvedValueOnce(tokenResponse('fresh'));
+
+  const request = jest.fn(async (token) => {
+    if (token === 'stale') {
+      const error = new Error('Unauthorized');
+      error.response = { status: 401 };
+      throw error;
+    }
+    return { data: { ok: true, token } };
+  });
+
+  const response = await withMpesaAuth(request);
+  expect(response.data).toEqual({ ok: true, token: 'fresh' });
+  expect(request).toHaveBeenCalledTimes(2);
+});
+
+test('does not retry errors other than 401', async () => {
+  get.mockResolvedValueOnce(tokenResponse('token-3'));
+  const error = new Error('Bad Request');
+  error.response = { status: 400 };
+  const request = jest.fn().mockRejectedValue(error);
+
+  await expect(withMpesaAuth(request)).rejects.toBe(error);
+  expect(request).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,81 @@
+import { parseStkCallback, parseStkQueryResponse } from '../services/payments/darajaProvider.js';
+import { buildResultUpdate } from '../services/mpesaService.js';
+
+const successPayload = {
+  Body: {
+    stkCallback: {
+      MerchantRequestID: '29115-34620561-1',
+      CheckoutRequestID: 'ws_CO_191220191020363925',
+      ResultCode: 0,
+      ResultDesc: 'The service request is processed successfully.',
+      CallbackMetadata: {
+        Item: [
+          { Name: 'Amount', Value: 1.0 },
+          { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+          { Name: 'TransactionDate', Value: 20191219102115 },
+          { Name: 'PhoneNumber', Value: 254708374149 }
+        ]
+      }
+    }
+  }
+};
+
+const cancelledPayload = {
+  Body: {
+    stkCallback: {
+      MerchantRequestID: '29115-34620561-2',
+      CheckoutRequestID: 'ws_CO_191220191020363926',
+      ResultCode: 1032,
+      ResultDesc: 'Request cancelled by user'
+    }
+  }
+};
+
+test('parseStkCallback flattens a successful callback', () => {
+  const result = parseStkCallback(successPayload);
+  expect(result).toMatchObject({
+    checkoutRequestId: 'ws_CO_191220191020363925',
+    resultCode: 0,
+    mpesaReceiptNumber: 'NLJ7RT61SV',
+    phoneNumber: '254708374149',
+    transactionDate: '20191219102115'
+  });
+});
+
+test('parseStkCallback rejects payloads without a CheckoutRequestID', () => {
+  expect(parseStkCallback({})).toBeNull();
+  expect(parseStkCallback({ Body: { stkCallback: {} } })).toBeNull();
+});
+
+test('buildResultUpdate marks successful pushes completed with the receipt', () => {
+  const update = buildResultUpdate(parseStkCallback(successPayload), successPayload);
+  expect(update.status).toBe('completed');
+  expect(update.mpesaReceiptNumber).toBe('NLJ7RT61SV');
+  expect(update.transactionId).toBe('NLJ7RT61SV');
+  expect(update.completedAt).toBeInstanceOf(Date);
+  expect(update.raw).toBe(successPayload);
+});
+
+test('buildResultUpdate marks cancelled pushes failed', () => {
+  const update = buildResultUpdate(parseStkCallback(cancelledPayload), cancelledPayload);
+  expect(update.status).toBe('failed');
+  expect(update.resultCode).toBe(1032);
+  expect(update.errorMessage).toBe('Request cancelled by user');
+  expect(update.mpesaReceiptNumber).toBeUndefined();
+});
+
+test('parseStkQueryResponse maps a query result like a callback', () => {
+  const result = parseStkQueryResponse({
+    ResponseCode: '0',
+    MerchantRequestID: '29115-34620561-2',
+    CheckoutRequestID: 'ws_CO_191220191020363926',
+    ResultCode: '1032',
+    ResultDesc: 'Request cancelled by user'
+  });
+  expect(buildResultUpdate(result, {}).status).toBe('failed');
+  expect(result.resultCode).toBe(1032);
+});
+
+test('parseStkQueryResponse returns null while the push is still processing', () => {
+  expect(parseStkQueryResponse({ ResponseCode: '0' }, 'ws_CO_1')).toBeNull();
+});
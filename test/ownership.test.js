@@ -0,0 +1,297 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const assignments = createFakeModel();
+const courses = createFakeModel();
+const notes = createFakeModel();
+const activities = createFakeModel();
+const users = createFakeModel();
+const reminders = createFakeModel({ defaults: () => ({ interactions: [], status: 'scheduled' }) });
+const reminderPreferences = createFakeModel();
+const studyPlans = createFakeModel({
+  methods: {
+    markAsAccepted() {
+      this.status = 'active';
+      this.acceptedAt = new Date();
+      return this.save();
+    }
+  }
+});
+const auditLogs = createFakeModel();
+let currentUser;
+
+jest.unstable_mockModule('../models/assignment.js', () => ({ default: assignments }));
+jest.unstable_mockModule('../models/course.js', () => ({ default: courses }));
+jest.unstable_mockModule('../models/note.js', () => ({ default: notes }));
+jest.unstable_mockModule('../models/activity.js', () => ({ default: activities }));
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+jest.unstable_mockModule('../models/reminder.js', () => ({ default: reminders }));
+jest.unstable_mockModule('../models/reminderPreference.js', () => ({ default: reminderPreferences }));
+jest.unstable_mockModule('../models/studyPlan.js', () => ({ default: studyPlans }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../services/groqAI.js', () => ({
+  generateTaskRecommendations: jest.fn(),
+  generateAdaptiveReminderInsights: jest.fn(),
+  generateWeeklyAnalytics: jest.fn(),
+  generateStudyTimeSuggestion: jest.fn(),
+  generateCourseProgressInsight: jest.fn(),
+  generateStudyPlan: jest.fn(),
+  healthCheck: jest.fn(async () => ({ status: 'ok' }))
+}));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    if (!currentUser) {
+      return res.status(401).json({ error: 'No authentication token provided' });
+    }
+    req.user = currentUser;
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+
+const app = createApp();
+const ALICE = '2f1c7a52-0000-4000-8000-00000000a11c';
+const BOB = '7d3e9b10-0000-4000-8000-000000000b0b';
+
+beforeEach(() => {
+  [assignments, courses, notes, activities, users, reminders, reminderPreferences, studyPlans]
+    .forEach((model) => model.reset());
+  currentUser = { supabaseId: ALICE };
+});
+
+test('rejects unauthenticated requests', async () => {
+  currentUser = null;
+
+  for (const path of ['/api/assignments', '/api/courses', `/api/notes/${ALICE}`, `/api/activities/${ALICE}`, '/api/reminders', `/api/ai/preferences/${ALICE}`]) {
+    const res = await request(app).get(path);
+    expect(res.status).toBe(401);
+  }
+});
+
+describe('assignments', () => {
+  test('lists only the caller\'s assignments', async () => {
+    await assignments.create({ supabaseId: ALICE, title: 'Essay' });
+    await assignments.create({ supabaseId: BOB, title: 'Lab report' });
+
+    const res = await request(app).get(`/api/assignments/${ALICE}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.assignments.map((a) => a.title)).toEqual(['Essay']);
+  });
+
+  test('refuses another user\'s id in the path or query', async () => {
+    expect((await request(app).get(`/api/assignments/${BOB}`)).status).toBe(403);
+    expect((await request(app).get(`/api/assignments?user_id=${BOB}`)).status).toBe(403);
+  });
+
+  test('hides another user\'s assignment behind a 404', async () => {
+    const theirs = await assignments.create({ supabaseId: BOB, title: 'Lab report' });
+
+    expect((await request(app).get(`/api/assignments/${theirs._id}`)).status).toBe(404);
+    expect((await request(app).put(`/api/assignments/${theirs._id}`).send({ progress: 100 })).status).toBe(404);
+    expect((await request(app).delete(`/api/assignments/${theirs._id}`)).status).toBe(404);
+    expect(theirs.progress).toBeUndefined();
+    expect(assignments.docs).toContain(theirs);
+  });
+
+  test('creates assignments for the caller and refuses to create them for someone else', async () => {
+    const created = await request(app).post('/api/assignments').send({ title: 'Essay' });
+    expect(created.status).toBe(201);
+    expect(assignments.docs[0].supabaseId).toBe(ALICE);
+
+    const forged = await request(app).post('/api/assignments').send({ supabaseId: BOB, title: 'Essay' });
+    expect(forged.status).toBe(403);
+    expect(assignments.docs).toHaveLength(1);
+  });
+
+  test('cannot hand an assignment over to another user', async () => {
+    const mine = await assignments.create({ supabaseId: ALICE, title: 'Essay' });
+
+    const res = await request(app).put(`/api/assignments/${mine._id}`).send({ supabaseId: BOB, progress: 50 });
+
+    expect(res.status).toBe(403);
+    expect(mine.supabaseId).toBe(ALICE);
+  });
+
+  test('cannot link an assignment to another user\'s course', async () => {
+    const theirCourse = await courses.create({ supabaseId: BOB, name: 'Secret seminar' });
+    const mine = await assignments.create({ supabaseId: ALICE, title: 'Essay' });
+
+    const created = await request(app).post('/api/assignments').send({ title: 'Lab', course: String(theirCourse._id) });
+    expect(created.status).toBe(404);
+    expect(assignments.docs).toHaveLength(1);
+
+    const moved = await request(app).put(`/api/assignments/${mine._id}`).send({ course: String(theirCourse._id) });
+    expect(moved.status).toBe(404);
+    expect(mine.course).toBeUndefined();
+
+    const ownCourse = await courses.create({ supabaseId: ALICE, name: 'Databases' });
+    expect((await request(app).put(`/api/assignments/${mine._id}`).send({ course: String(ownCourse._id) })).status).toBe(200);
+  });
+});
+
+describe('courses', () => {
+  test('lists only the caller\'s courses', async () => {
+    await courses.create({ supabaseId: ALICE, name: 'Databases' });
+    await courses.create({ supabaseId: BOB, name: 'Networks' });
+
+    const res = await request(app).get('/api/courses');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((c) => c.name)).toEqual(['Databases']);
+    expect((await request(app).get(`/api/courses?user_id=${BOB}`)).status).toBe(403);
+  });
+
+  test('updates own courses but not another user\'s', async () => {
+    const mine = await courses.create({ supabaseId: ALICE, name: 'Databases' });
+    const theirs = await courses.create({ supabaseId: BOB, name: 'Networks' });
+
+    expect((await request(app).put(`/api/courses/${mine._id}`).send({ credits: 3 })).status).toBe(200);
+    expect(mine).toMatchObject({ name: 'Databases', credits: 3 });
+
+    expect((await request(app).put(`/api/courses/${theirs._id}`).send({ credits: 3 })).status).toBe(404);
+    expect((await request(app).delete(`/api/courses/${theirs._id}`)).status).toBe(404);
+    expect(courses.docs).toContain(theirs);
+  });
+});
+
+describe('notes', () => {
+  test('refuses to list another user\'s notes', async () => {
+    await notes.create({ supabaseId: BOB, title: 'Secret', content: 'x' });
+
+    expect((await request(app).get(`/api/notes/${BOB}`)).status).toBe(403);
+
+    const res = await request(app).get(`/api/notes/${ALICE}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([]);
+  });
+
+  test('creates notes for the caller', async () => {
+    await users.create({ supabaseId: ALICE });
+
+    const res = await request(app).post('/api/notes').send({ title: 'Week 1', content: 'Normal forms' });
+
+    expect(res.status).toBe(201);
+    expect(notes.docs[0].supabaseId).toBe(ALICE);
+  });
+
+  test('cannot edit or delete another user\'s note', async () => {
+    const theirs = await notes.create({ supabaseId: BOB, title: 'Secret', content: 'x' });
+
+    expect((await request(app).put(`/api/notes/${theirs._id}`).send({ content: 'changed' })).status).toBe(404);
+    expect((await request(app).delete(`/api/notes/${theirs._id}`)).status).toBe(404);
+    expect(theirs.content).toBe('x');
+    expect(notes.docs).toContain(theirs);
+  });
+});
+
+describe('activities', () => {
+  test('refuses to list another user\'s activities', async () => {
+    expect((await request(app).get(`/api/activities/${BOB}`)).status).toBe(403);
+  });
+
+  test('refuses to record activity for another user', async () => {
+    const res = await request(app).post('/api/activities').send({
+      supabaseId: BOB, type: 'STUDY', courseId: 'c1', duration: 30, activityType: 'study'
+    });
+
+    expect(res.status).toBe(403);
+    expect(activities.docs).toHaveLength(0);
+  });
+
+  test('edits and deletes only own activities', async () => {
+    const mine = await activities.create({ supabaseId: ALICE, type: 'STUDY' });
+    const theirs = await activities.create({ supabaseId: BOB, type: 'STUDY' });
+
+    expect((await request(app).put(`/api/activities/${theirs._id}`).send({ details: {} })).status).toBe(404);
+    expect((await request(app).delete(`/api/activities/${theirs._id}`)).status).toBe(404);
+    expect((await request(app).delete(`/api/activities/${mine._id}`)).status).toBe(200);
+    expect(activities.docs).toEqual([theirs]);
+  });
+});
+
+describe('reminders', () => {
+  test('lists only the caller\'s reminders', async () => {
+    await reminders.create({ supabaseId: ALICE, title: 'Mine', scheduledFor: new Date() });
+    await reminders.create({ supabaseId: BOB, title: 'Theirs', scheduledFor: new Date() });
+
+    const res = await request(app).get('/api/reminders');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((r) => r.title)).toEqual(['Mine']);
+    expect((await request(app).get(`/api/reminders?supabaseId=${BOB}`)).status).toBe(403);
+  });
+
+  test('cannot act on another user\'s reminder', async () => {
+    const theirs = await reminders.create({ supabaseId: BOB, scheduledFor: new Date() });
+
+    expect((await request(app).post(`/api/reminders/${theirs._id}/acknowledge`)).status).toBe(404);
+    expect((await request(app).post(`/api/reminders/${theirs._id}/interactions`).send({ action: 'dismissed' })).status).toBe(404);
+    expect(theirs.status).toBe('scheduled');
+  });
+
+  test('records interactions on own reminders', async () => {
+    const mine = await reminders.create({ supabaseId: ALICE, scheduledFor: new Date() });
+
+    const res = await request(app).post(`/api/reminders/${mine._id}/interactions`).send({ action: 'dismissed' });
+
+    expect(res.status).toBe(204);
+    expect(mine.status).toBe('dismissed');
+  });
+
+  test('reads preferences for the caller only', async () => {
+    expect((await request(app).get(`/api/reminders/preferences?supabaseId=${BOB}`)).status).toBe(403);
+
+    const res = await request(app).get('/api/reminders/preferences');
+    expect(res.status).toBe(200);
+    expect(res.body.data.supabaseId).toBe(ALICE);
+  });
+
+  test('serves the web push config without authentication', async () => {
+    currentUser = null;
+
+    expect((await request(app).get('/api/reminders/config/webpush')).status).toBe(200);
+  });
+});
+
+describe('ai', () => {
+  test('refuses another user\'s id', async () => {
+    expect((await request(app).get(`/api/ai/recommendations/${BOB}`)).status).toBe(403);
+    expect((await request(app).put(`/api/ai/preferences/${BOB}`).send({ enabled: true })).status).toBe(403);
+    expect(users.docs).toHaveLength(0);
+  });
+
+  test('reads the caller\'s own preferences', async () => {
+    await users.create({ supabaseId: ALICE, aiPreferences: { enabled: true } });
+
+    const res = await request(app).get(`/api/ai/preferences/${ALICE}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.enabled).toBe(true);
+  });
+
+  test('cannot accept or archive another user\'s study plan', async () => {
+    const theirs = await studyPlans.create({ supabaseId: BOB, status: 'draft', planData: {} });
+
+    expect((await request(app).patch(`/api/ai/study-plan/${theirs._id}/accept`)).status).toBe(404);
+    expect((await request(app).delete(`/api/ai/study-plan/${theirs._id}`)).status).toBe(404);
+    expect(theirs.status).toBe('draft');
+  });
+
+  test('accepts own study plans', async () => {
+    const mine = await studyPlans.create({ supabaseId: ALICE, status: 'draft', planData: {} });
+
+    const res = await request(app).patch(`/api/ai/study-plan/${mine._id}/accept`);
+
+    expect(res.status).toBe(200);
+    expect(mine.status).toBe('active');
+  });
+
+  test('keeps the health check public', async () => {
+    currentUser = null;
+
+    expect((await request(app).get('/api/ai/health')).status).toBe(200);
+  });
+});
@@ -0,0 +1,436 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const SUPABASE_ID = 'student-0001';
+const PHONE = '0712345678';
+
+const transactions = createFakeModel({ defaults: () => ({ transactionDate: new Date() }) });
+const subscriptions = createFakeModel({
+  methods: {
+    isActive(now = new Date()) {
+      return this.status === 'active' && (this.plan === 'lifetime' || this.currentPeriodEnd > now);
+    },
+    isInGrace(now = new Date()) {
+      return !this.isActive(now) && Boolean(this.gracePeriodEnd && this.gracePeriodEnd > now);
+    },
+    hasAccess(now = new Date()) {
+      return this.isActive(now) || this.isInGrace(now);
+    }
+  }
+});
+const auditLogs = createFakeModel();
+
+jest.unstable_mockModule('../models/mpesaTransaction.js', () => ({ default: transactions }));
+jest.unstable_mockModule('../models/subscription.js', () => ({ default: subscriptions }));
+const users = createFakeModel();
+const sendEmail = jest.fn(async () => ({ messageId: 'test' }));
+
+const promoCodes = createFakeModel();
+const promoRedemptions = createFakeModel();
+
+jest.unstable_mockModule('../models/promoCode.js', () => ({ default: promoCodes }));
+jest.unstable_mockModule('../models/promoRedemption.js', () => ({ default: promoRedemptions }));
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../emailService.js', () => ({ sendEmail }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: SUPABASE_ID, supabaseId: SUPABASE_ID };
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+const { SimulatorProvider, setPaymentProvider } = await import('../services/payments/index.js');
+const { runPaymentReconciliation } = await import('../services/paymentReconciler.js');
+const { env } = await import('../config/environment.js');
+
+// The callback route as Daraja calls it, with the token from the callback URL
+const CALLBACK_PATH = `/api/mpesa/callback?token=${env.MPESA_CALLBACK_TOKEN}`;
+
+let server;
+
+beforeAll(() => {
+  server = createApp().listen(0);
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(async () => {
+  transactions.reset();
+  subscriptions.reset();
+  users.reset();
+  promoCodes.reset();
+  promoRedemptions.reset();
+  sendEmail.mockClear();
+  await users.create({ supabaseId: SUPABASE_ID, name: 'Amina', email: 'amina@example.com' });
+});
+
+// Simulator whose callbacks go through the real HTTP callback route, once `held` resolves
+const useSimulator = (outcome, held = Promise.resolve()) => {
+  let delivered;
+  const callbackDelivered = new Promise((resolve) => { delivered = resolve; });
+  setPaymentProvider(new SimulatorProvider({
+    outcome,
+    delayMs: 20,
+    deliver: async (payload) => {
+      await held;
+      const res = await request(server).post(CALLBACK_PATH).send(payload);
+      delivered(res);
+    }
+  }));
+  return callbackDelivered;
+};
+
+const startPayment = () => request(server)
+  .post('/api/mpesa/stkpush')
+  .send({ phone: PHONE, amount: 300, plan: 'monthly' });
+
+const paymentStatus = () => request(server)
+  .get('/api/mpesa/status')
+  .query({ phone: PHONE, plan: 'monthly' });
+
+test('successful payment completes the transaction and grants the subscription', async () => {
+  let release;
+  const callbackDelivered = useSimulator('success', new Promise((resolve) => { release = resolve; }));
+
+  const push = await startPayment();
+  expect(push.status).toBe(200);
+  expect(push.body.checkoutRequestId).toMatch(/^ws_CO_/);
+  expect((await paymentStatus()).body.status).toBe('pending');
+  release();
+
+  const callback = await callbackDelivered;
+  expect(callback.body).toEqual({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+  const status = await paymentStatus();
+  expect(status.body.status).toBe('completed');
+  expect(status.body.mpesaReceiptNumber).toHaveLength(10);
+
+  const subscription = await request(server).get('/api/users/me/subscription');
+  expect(subscription.body.data).toMatchObject({ plan: 'monthly', active: true });
+
+  expect(sendEmail).toHaveBeenCalledTimes(1);
+  const [email] = sendEmail.mock.calls[0];
+  expect(email.to).toBe('amina@example.com');
+  expect(email.attachments[0].contentType).toBe('application/pdf');
+  expect(transactions.docs[0].receiptSentAt).toBeInstanceOf(Date);
+
+  const receipt = await request(server)
+    .get(`/api/payments/${push.body.paymentId}/receipt`)
+    .buffer(true)
+    .parse((res, done) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => done(null, Buffer.concat(chunks)));
+    });
+  expect(receipt.status).toBe(200);
+  expect(receipt.headers['content-type']).toBe('application/pdf');
+  expect(receipt.body.toString('latin1')).toContain(status.body.mpesaReceiptNumber);
+});
+
+test.each([
+  ['failure', 1],
+  ['cancel', 1032],
+  ['timeout', 1037]
+])('%s callback marks the transaction failed', async (outcome, resultCode) => {
+  const callbackDelivered = useSimulator(outcome);
+
+  await startPayment();
+  await callbackDelivered;
+
+  const [transaction] = transactions.docs;
+  expect(transaction.status).toBe('failed');
+  expect(transaction.resultCode).toBe(resultCode);
+  expect(subscriptions.docs).toHaveLength(0);
+  expect(sendEmail).not.toHaveBeenCalled();
+
+  const receipt = await request(server).get(`/api/payments/${transaction._id}/receipt`);
+  expect(receipt.status).toBe(409);
+});
+
+test('replayed callbacks are acknowledged without changing the transaction', async () => {
+  let firstPayload;
+  let delivered;
+  const callbackDelivered = new Promise((resolve) => { delivered = resolve; });
+  setPaymentProvider(new SimulatorProvider({
+    delayMs: 20,
+    deliver: async (payload) => {
+      firstPayload = payload;
+      await request(server).post(CALLBACK_PATH).send(payload);
+      delivered();
+    }
+  }));
+
+  await startPayment();
+  await callbackDelivered;
+  const completedAt = transactions.docs[0].completedAt;
+
+  const replay = await request(server).post(CALLBACK_PATH).send(firstPayload);
+  expect(replay.body.ResultCode).toBe(0);
+  expect(transactions.docs[0].completedAt).toBe(completedAt);
+  expect(subscriptions.docs[0].transactions).toHaveLength(1);
+  expect(sendEmail).toHaveBeenCalledTimes(1);
+});
+
+describe('forged callbacks', () => {
+  const successCallback = (checkoutRequestId, amount) => ({
+    Body: {
+      stkCallback: {
+        MerchantRequestID: '29115-34620561-1',
+        CheckoutRequestID: checkoutRequestId,
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        CallbackMetadata: { Item: [{ Name: 'Amount', Value: amount }, { Name: 'MpesaReceiptNumber', Value: 'FORGED0001' }] }
+      }
+    }
+  });
+
+  test('are refused without the callback token and not applied until M-Pesa confirms the payment', async () => {
+    // The customer has not answered the prompt, so the STK query still reports it processing
+    setPaymentProvider(new SimulatorProvider({ delayMs: 60 * 1000, deliver: async () => {} }));
+    const { body: { checkoutRequestId } } = await startPayment();
+
+    const withoutToken = await request(server).post('/api/mpesa/callback').send(successCallback(checkoutRequestId, 300));
+    expect(withoutToken.status).toBe(403);
+    const wrongToken = await request(server).post('/api/mpesa/callback?token=guess').send(successCallback(checkoutRequestId, 300));
+    expect(wrongToken.status).toBe(403);
+
+    const unconfirmed = await request(server).post(CALLBACK_PATH).send(successCallback(checkoutRequestId, 300));
+    expect(unconfirmed.body).toEqual({ ResultCode: 0, ResultDesc: 'Accepted' });
+    expect(transactions.docs[0].status).toBe('pending');
+    expect(subscriptions.docs).toHaveLength(0);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  test('are not applied when the amount differs from the one charged', async () => {
+    let delivered;
+    const callbackDelivered = new Promise((resolve) => { delivered = resolve; });
+    setPaymentProvider(new SimulatorProvider({
+      delayMs: 20,
+      deliver: async (payload) => delivered(payload)
+    }));
+
+    const { body: { checkoutRequestId } } = await startPayment();
+    const genuine = await callbackDelivered;
+
+    await request(server).post(CALLBACK_PATH).send(successCallback(checkoutRequestId, 1));
+    expect(transactions.docs[0].status).toBe('pending');
+    expect(subscriptions.docs).toHaveLength(0);
+
+    await request(server).post(CALLBACK_PATH).send(genuine);
+    expect(transactions.docs[0].status).toBe('completed');
+    expect(subscriptions.docs).toHaveLength(1);
+  });
+});
+
+test('reconciliation resolves a payment whose callback was lost', async () => {
+  let delivered;
+  const callbackDropped = new Promise((resolve) => { delivered = resolve; });
+  setPaymentProvider(new SimulatorProvider({ delayMs: 20, deliver: async () => delivered() }));
+
+  await startPayment();
+  await callbackDropped;
+  expect(transactions.docs[0].status).toBe('pending');
+
+  const summary = await runPaymentReconciliation(new Date(Date.now() + 10 * 60 * 1000));
+  expect(summary).toEqual({ completed: 1 });
+  expect(transactions.docs[0].status).toBe('completed');
+});
+
+test('payments whose query keeps failing do not hold up the rest of the batch', async () => {
+  const batchSize = env.MPESA_RECONCILE_BATCH_SIZE;
+  env.MPESA_RECONCILE_BATCH_SIZE = 2;
+  try {
+    // Two older pushes Daraja no longer recognises, ahead of a payment whose callback was lost
+    for (const age of [40, 30]) {
+      await transactions.create({
+        supabaseId: 'student-0002',
+        phoneNumber: '254700000000',
+        amount: 300,
+        plan: 'monthly',
+        status: 'pending',
+        checkoutRequestId: `ws_CO_stale${age}`,
+        transactionDate: new Date(Date.now() - age * 60 * 1000)
+      });
+    }
+    let delivered;
+    const callbackDropped = new Promise((resolve) => { delivered = resolve; });
+    const provider = new SimulatorProvider({ delayMs: 20, deliver: async () => delivered() });
+    setPaymentProvider(provider);
+    await startPayment();
+    await callbackDropped;
+
+    const query = provider.queryStkPush.bind(provider);
+    jest.spyOn(provider, 'queryStkPush').mockImplementation(async (checkoutRequestId) => {
+      if (checkoutRequestId.startsWith('ws_CO_stale')) throw new Error('Invalid CheckoutRequestID');
+      return query(checkoutRequestId);
+    });
+
+    const now = Date.now() + 10 * 60 * 1000;
+    expect(await runPaymentReconciliation(new Date(now))).toEqual({ query_failed: 2 });
+    expect(await runPaymentReconciliation(new Date(now + 60 * 1000))).toEqual({ completed: 1 });
+    expect(transactions.docs[2].status).toBe('completed');
+
+    // Retried once the backoff has passed, then failed past the hard maximum age
+    expect(await runPaymentReconciliation(new Date(now + 6 * 60 * 1000))).toEqual({ query_failed: 2 });
+    expect(transactions.docs[0]).toMatchObject({ status: 'pending', reconcileAttempts: 2 });
+    expect(await runPaymentReconciliation(new Date(now + 25 * 60 * 60 * 1000))).toEqual({ abandoned: 2 });
+    expect(transactions.docs.map((doc) => doc.status)).toEqual(['failed', 'failed', 'completed']);
+  } finally {
+    env.MPESA_RECONCILE_BATCH_SIZE = batchSize;
+  }
+});
+
+test('the simulator forgets its oldest pushes beyond its cap', async () => {
+  const provider = new SimulatorProvider({ delayMs: 60 * 1000, deliver: async () => {}, maxPushes: 2 });
+  const pushes = [];
+  for (let i = 0; i < 3; i += 1) {
+    pushes.push(await provider.initiateStkPush({ phone: '254712345678', amount: 300 }));
+  }
+
+  expect([...provider.pushes.keys()]).toEqual(pushes.slice(1).map((push) => push.checkoutRequestId));
+  expect((await provider.queryStkPush(pushes[0].checkoutRequestId)).result).toBeNull();
+});
+
+test('query throws after timeout, then a success callback arrives', async () => {
+  let delivered;
+  const callbackHeld = new Promise((resolve) => { delivered = resolve; });
+  const provider = new SimulatorProvider({ delayMs: 20, deliver: async (payload) => delivered(payload) });
+  setPaymentProvider(provider);
+
+  await startPayment();
+  const callback = await callbackHeld;
+
+  const query = jest.spyOn(provider, 'queryStkPush').mockRejectedValue(new Error('Daraja unavailable'));
+  const summary = await runPaymentReconciliation(new Date(Date.now() + 2 * 60 * 60 * 1000));
+  expect(summary).toEqual({ query_failed: 1 });
+  expect(transactions.docs[0].status).toBe('pending');
+  query.mockRestore();
+
+  await request(server).post(CALLBACK_PATH).send(callback);
+  expect(transactions.docs[0].status).toBe('completed');
+  expect(subscriptions.docs).toHaveLength(1);
+});
+
+test('stkpush charges the quoted price for a promo code', async () => {
+  await promoCodes.create({ code: 'FRESHERS', discountType: 'fixed', discountValue: 100, plans: [], perUserLimit: 1, active: true });
+  setPaymentProvider(new SimulatorProvider({ delayMs: 60 * 1000, deliver: async () => {} }));
+
+  const quote = await request(server).post('/api/payments/quote').send({ plan: 'monthly', promoCode: 'freshers' });
+  expect(quote.status).toBe(200);
+  expect(quote.body.data).toMatchObject({ listPrice: 300, discount: 100, amount: 200, promoCode: 'FRESHERS' });
+
+  const tampered = await request(server)
+    .post('/api/mpesa/stkpush')
+    .send({ phone: PHONE, amount: 1, plan: 'monthly', promoCode: 'freshers' });
+  expect(tampered.status).toBe(409);
+
+  const push = await request(server)
+    .post('/api/mpesa/stkpush')
+    .send({ phone: PHONE, amount: quote.body.data.amount, plan: 'monthly', promoCode: 'freshers' });
+  expect(push.status).toBe(200);
+  expect(transactions.docs[0]).toMatchObject({ amount: 200, listPrice: 300, discount: 100, promoCode: 'FRESHERS' });
+
+  const reused = await request(server).post('/api/payments/quote').send({ plan: 'monthly', promoCode: 'FRESHERS' });
+  expect(reused.status).toBe(422);
+});
+
+describe('payment initiation retries', () => {
+  let provider;
+
+  beforeEach(() => {
+    // Long delay keeps each push pending for the duration of the test
+    provider = new SimulatorProvider({ delayMs: 60 * 1000, deliver: async () => {} });
+    jest.spyOn(provider, 'initiateStkPush');
+    setPaymentProvider(provider);
+  });
+
+  const startPaymentWithKey = (key, body = {}) => request(server)
+    .post('/api/mpesa/stkpush')
+    .set('Idempotency-Key', key)
+    .send({ phone: PHONE, amount: 300, plan: 'monthly', ...body });
+
+  test('a repeated Idempotency-Key replays the original response without a second push', async () => {
+    const first = await startPaymentWithKey('tap-1');
+    const second = await startPaymentWithKey('tap-1');
+
+    expect(second.status).toBe(200);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toEqual(first.body);
+    expect(provider.initiateStkPush).toHaveBeenCalledTimes(1);
+    expect(transactions.docs).toHaveLength(1);
+  });
+
+  test('reusing an Idempotency-Key for a different payment is rejected', async () => {
+    await startPaymentWithKey('tap-1');
+    const res = await startPaymentWithKey('tap-1', { plan: 'annual' });
+
+    expect(res.status).toBe(422);
+    expect(provider.initiateStkPush).toHaveBeenCalledTimes(1);
+  });
+
+  test('a new push is refused while one is pending for the same plan', async () => {
+    await startPaymentWithKey('tap-1');
+    const withNewKey = await startPaymentWithKey('tap-2');
+    const withoutKey = await startPayment();
+
+    expect(withNewKey.status).toBe(409);
+    expect(withoutKey.status).toBe(409);
+    expect(provider.initiateStkPush).toHaveBeenCalledTimes(1);
+
+    const otherPlan = await startPaymentWithKey('tap-3', { plan: 'annual', amount: 3000 });
+    expect(otherPlan.status).toBe(200);
+  });
+
+  test('a pending push past the timeout no longer blocks a new one', async () => {
+    await startPayment();
+    transactions.docs[0].transactionDate = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+    const retry = await startPayment();
+    expect(retry.status).toBe(200);
+    expect(transactions.docs[0].status).toBe('failed');
+    expect(provider.initiateStkPush).toHaveBeenCalledTimes(2);
+  });
+
+  test('a timed-out push is settled from the STK query before a new one is sent', async () => {
+    let delivered;
+    const callbackDropped = new Promise((resolve) => { delivered = resolve; });
+    provider = new SimulatorProvider({ delayMs: 20, deliver: async () => delivered() });
+    jest.spyOn(provider, 'initiateStkPush');
+    setPaymentProvider(provider);
+    await startPayment();
+    await callbackDropped;
+    transactions.docs[0].transactionDate = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+    // While M-Pesa cannot be asked, the push keeps blocking
+    const query = jest.spyOn(provider, 'queryStkPush').mockRejectedValueOnce(new Error('Daraja unavailable'));
+    expect((await startPayment()).status).toBe(409);
+    expect(transactions.docs[0].status).toBe('pending');
+
+    // The customer did pay: the payment is applied and the new push refused
+    const retry = await startPayment();
+    expect(retry.status).toBe(409);
+    expect(retry.body.message).toMatch(/has gone through/);
+    expect(query).toHaveBeenCalledTimes(2);
+    expect(transactions.docs[0].status).toBe('completed');
+    expect(subscriptions.docs).toHaveLength(1);
+    expect(provider.initiateStkPush).toHaveBeenCalledTimes(1);
+  });
+
+  test('an Idempotency-Key outside the window starts a new payment', async () => {
+    await startPaymentWithKey('tap-1');
+    Object.assign(transactions.docs[0], {
+      status: 'completed',
+      transactionDate: new Date(Date.now() - 48 * 60 * 60 * 1000)
+    });
+
+    const res = await startPaymentWithKey('tap-1');
+    expect(res.status).toBe(200);
+    expect(transactions.docs[0].idempotencyKey).toBeUndefined();
+    expect(transactions.docs[1].idempotencyKey).toBe('tap-1');
+  });
+});
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const transactions = createFakeModel();
+const auditLogs = createFakeModel();
+const users = createFakeModel();
+let currentUser;
+
+jest.unstable_mockModule('../models/mpesaTransaction.js', () => ({ default: transactions }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = currentUser;
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+const { buildReconciliationReport, reconciliationReportToCsv } = await import('../services/paymentReportService.js');
+
+const now = new Date('2025-03-10T12:00:00Z');
+const app = createApp();
+
+const seed = (overrides) => transactions.create({
+  supabaseId: 'student-1',
+  phoneNumber: '254712345678',
+  plan: 'monthly',
+  amount: 300,
+  status: 'completed',
+  ...overrides
+});
+
+beforeEach(async () => {
+  transactions.reset();
+  currentUser = { supabaseId: 'finance-1', app_metadata: { role: 'admin' } };
+  await seed({ transactionDate: new Date('2025-03-10T08:00:00Z'), mpesaReceiptNumber: 'QKA1' });
+  await seed({ transactionDate: new Date('2025-03-09T22:30:00Z'), plan: 'annual', amount: 3000, mpesaReceiptNumber: 'QKA2' });
+  await seed({ transactionDate: new Date('2025-03-09T09:00:00Z'), status: 'failed', resultDesc: 'Request cancelled by user' });
+  await seed({ transactionDate: new Date('2025-03-08T09:00:00Z'), status: 'pending' });
+});
+
+test('totals payments per Kenyan business day and per plan', async () => {
+  const report = await buildReconciliationReport({}, now);
+
+  expect(report.totals).toEqual({ count: 4, completed: 2, pending: 1, failed: 1, completedAmount: 3300 });
+  // 22:30 UTC on the 9th is already the 10th in Nairobi
+  expect(report.byDay).toEqual([
+    { date: '2025-03-10', count: 2, completed: 2, pending: 0, failed: 0, completedAmount: 3300 },
+    { date: '2025-03-09', count: 1, completed: 0, pending: 0, failed: 1, completedAmount: 0 },
+    { date: '2025-03-08', count: 1, completed: 0, pending: 1, failed: 0, completedAmount: 0 }
+  ]);
+  expect(report.byPlan.find((row) => row.plan === 'annual')).toMatchObject({ count: 1, completedAmount: 3000 });
+});
+
+test('flags pending payments older than 24 hours', async () => {
+  const report = await buildReconciliationReport({ status: 'pending' }, now);
+
+  expect(report.transactions).toHaveLength(1);
+  expect(report.transactions[0].stalePending).toBe(true);
+  expect(report.stalePending).toBe(1);
+});
+
+test('CSV export has one row per transaction', async () => {
+  const csv = reconciliationReportToCsv(await buildReconciliationReport({}, now));
+  const lines = csv.trim().split('\r\n');
+
+  expect(lines).toHaveLength(5);
+  expect(lines[0]).toMatch(/^Transaction date,Business day,Completed at,Status/);
+  expect(csv).toContain('QKA2');
+});
+
+test('the report endpoint filters by plan and date range', async () => {
+  const res = await request(app)
+    .get('/api/admin/payments/reconciliation')
+    .query({ plan: 'monthly', from: '2025-03-09', to: '2025-03-10' });
+
+  expect(res.status).toBe(200);
+  expect(res.body.data.totals.count).toBe(2);
+  expect(res.body.data.transactions.every((row) => row.plan === 'monthly')).toBe(true);
+});
+
+test('the report endpoint downloads CSV', async () => {
+  const res = await request(app)
+    .get('/api/admin/payments/reconciliation')
+    .query({ from: '2025-03-01', to: '2025-03-10', format: 'csv' });
+
+  expect(res.status).toBe(200);
+  expect(res.headers['content-type']).toMatch(/text\/csv/);
+  expect(res.headers['content-disposition']).toMatch(/mpesa-reconciliation-.*\.csv/);
+  expect(res.text.trim().split('\r\n')).toHaveLength(5);
+});
+
+test('rejects invalid filters', async () => {
+  const res = await request(app).get('/api/admin/payments/reconciliation').query({ status: 'refunded' });
+  expect(res.status).toBe(400);
+});
+
+test('refuses ranges longer than a quarter', async () => {
+  const wide = await request(app).get('/api/admin/payments/reconciliation').query({ from: '2024-01-01', to: '2025-03-10', format: 'csv' });
+  expect(wide.status).toBe(400);
+  expect((await request(app).get('/api/admin/payments/reconciliation').query({ from: '2024-01-01' })).status).toBe(400);
+  expect((await request(app).get('/api/admin/payments/reconciliation').query({ from: '2025-01-01', to: '2025-03-10' })).status).toBe(200);
+});
+
+test('non-admins are refused', async () => {
+  currentUser = { supabaseId: 'student-1' };
+  const res = await request(app).get('/api/admin/payments/reconciliation');
+  expect(res.status).toBe(403);
+});
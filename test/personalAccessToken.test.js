@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const tokens = createFakeModel();
+const assignments = createFakeModel();
+const auditLogs = createFakeModel();
+
+jest.unstable_mockModule('../models/personalAccessToken.js', () => ({ default: tokens }));
+jest.unstable_mockModule('../models/assignment.js', () => ({ default: assignments }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+
+const { createApp } = await import('../app.js');
+const { getAuthProvider } = await import('../services/auth/index.js');
+
+const app = createApp();
+
+// Sessions come from the local auth provider, the default under Jest
+const session = (sub) => `Bearer ${getAuthProvider().issueToken({ sub, email: `${sub}@example.com` })}`;
+
+const createToken = async (body = { name: 'Spreadsheet sync', scopes: ['assignments:read'] }, sub = 'student-1') => {
+  const res = await request(app).post('/api/users/me/tokens').set('Authorization', session(sub)).send(body);
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+beforeEach(async () => {
+  tokens.reset();
+  assignments.reset();
+  await assignments.create({ supabaseId: 'student-1', title: 'Essay' });
+  await assignments.create({ supabaseId: 'student-2', title: 'Lab report' });
+});
+
+test('creates a token that is shown once and stored only as a hash', async () => {
+  const created = await createToken();
+
+  expect(created.token).toMatch(/^sst_pat_[A-Za-z0-9_-]{43}$/);
+  expect(created).toMatchObject({ name: 'Spreadsheet sync', scopes: ['assignments:read'], status: 'active' });
+  expect(created.token.startsWith(created.prefix)).toBe(true);
+  expect(tokens.docs[0].tokenHash).toBe(crypto.createHash('sha256').update(created.token).digest('hex'));
+  expect(JSON.stringify(tokens.docs[0])).not.toContain(created.token);
+
+  const list = await request(app).get('/api/users/me/tokens').set('Authorization', session('student-1'));
+  expect(list.body.data).toHaveLength(1);
+  expect(list.body.data[0].token).toBeUndefined();
+  expect(list.body.data[0].tokenHash).toBeUndefined();
+});
+
+test('a token reads within its scope as its owner and records its use', async () => {
+  const { token } = await createToken();
+
+  const res = await request(app).get('/api/assignments').set('Authorization', `Bearer ${token}`);
+
+  expect(res.status).toBe(200);
+  expect(res.body.data.map((assignment) => assignment.title)).toEqual(['Essay']);
+  expect(tokens.docs[0].lastUsedAt).toBeInstanceOf(Date);
+});
+
+test('a token is refused outside its scopes and on routes tokens cannot use', async () => {
+  const { token } = await createToken();
+  const auth = `Bearer ${token}`;
+
+  const write = await request(app).post('/api/assignments').set('Authorization', auth).send({ title: 'New' });
+  expect(write.status).toBe(403);
+  expect(write.body.error).toContain('assignments:write');
+
+  expect((await request(app).get('/api/courses').set('Authorization', auth)).status).toBe(403);
+  // Tokens cannot mint more tokens
+  expect((await request(app).post('/api/users/me/tokens').set('Authorization', auth)
+    .send({ name: 'Escalate', scopes: ['notes:write'] })).status).toBe(403);
+  expect(assignments.docs).toHaveLength(2);
+});
+
+test('revoked, expired and unknown tokens are rejected', async () => {
+  const { token, id } = await createToken();
+  const other = await createToken({ name: 'Short', scopes: ['assignments:read'], expiresInDays: 1 });
+
+  // Someone else cannot revoke it
+  expect((await request(app).delete(`/api/users/me/tokens/${id}`).set('Authorization', session('student-2'))).status).toBe(404);
+
+  const revoked = await request(app).delete(`/api/users/me/tokens/${id}`).set('Authorization', session('student-1'));
+  expect(revoked.body.data.status).toBe('revoked');
+  expect((await request(app).get('/api/assignments').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+
+  tokens.docs[1].expiresAt = new Date(Date.now() - 1000);
+  expect((await request(app).get('/api/assignments').set('Authorization', `Bearer ${other.token}`)).status).toBe(401);
+
+  expect((await request(app).get('/api/assignments').set('Authorization', `Bearer sst_pat_${'x'.repeat(43)}`)).status).toBe(401);
+});
+
+test.each([
+  [{ scopes: ['assignments:read'] }, 'name'],
+  [{ name: 'Sync', scopes: [] }, 'scopes'],
+  [{ name: 'Sync', scopes: ['admin:write'] }, 'admin:write'],
+  [{ name: 'Sync', scopes: ['notes:read'], expiresInDays: 400 }, 'expiresInDays']
+])('rejects %j', async (body, message) => {
+  const res = await request(app).post('/api/users/me/tokens').set('Authorization', session('student-1')).send(body);
+
+  expect(res.status).toBe(400);
+  expect(res.body.message).toContain(message);
+  expect(tokens.docs).toHaveLength(0);
+});
+
+test('limits the number of active tokens', async () => {
+  for (let i = 0; i < 20; i += 1) {
+    await tokens.create({ supabaseId: 'student-1', name: `t${i}`, expiresAt: new Date(Date.now() + 60000) });
+  }
+
+  const res = await request(app).post('/api/users/me/tokens').set('Authorization', session('student-1'))
+    .send({ name: 'One more', scopes: ['notes:read'] });
+
+  expect(res.status).toBe(409);
+});
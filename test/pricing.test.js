@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const promoCodes = createFakeModel();
+const transactions = createFakeModel();
+const promoRedemptions = createFakeModel();
+
+jest.unstable_mockModule('../models/promoCode.js', () => ({ default: promoCodes }));
+jest.unstable_mockModule('../models/promoRedemption.js', () => ({ default: promoRedemptions }));
+jest.unstable_mockModule('../models/mpesaTransaction.js', () => ({ default: transactions }));
+
+const {
+  quotePrice, computeDiscount, PLAN_PRICES, PromoCodeError, reservePromoRedemption, releasePromoRedemption
+} = await import('../services/pricingService.js');
+
+const now = new Date('2025-03-01T00:00:00Z');
+const quote = (promoCode, { supabaseId = 'student-1', plan = 'annual' } = {}) =>
+  quotePrice({ supabaseId, plan, promoCode, now });
+
+beforeEach(async () => {
+  promoCodes.reset();
+  transactions.reset();
+  promoRedemptions.reset();
+  await promoCodes.create({ code: 'CAMPUS20', discountType: 'percent', discountValue: 20, plans: [], perUserLimit: 1, active: true });
+});
+
+test('quotes the catalogue price without a promo code', async () => {
+  expect(await quote(undefined)).toMatchObject({
+    plan: 'annual',
+    listPrice: PLAN_PRICES.annual,
+    discount: 0,
+    amount: PLAN_PRICES.annual,
+    promoCode: null
+  });
+});
+
+test('applies percentage codes case-insensitively', async () => {
+  const result = await quote(' campus20 ');
+  expect(result.promoCode).toBe('CAMPUS20');
+  expect(result.discount).toBe(Math.round(PLAN_PRICES.annual * 0.2));
+  expect(result.amount).toBe(PLAN_PRICES.annual - result.discount);
+});
+
+test('fixed discounts never bring the charge below 1 KES', () => {
+  expect(computeDiscount(300, { discountType: 'fixed', discountValue: 100 })).toBe(100);
+  expect(computeDiscount(300, { discountType: 'fixed', discountValue: 1000 })).toBe(299);
+  expect(computeDiscount(300, { discountType: 'percent', discountValue: 100 })).toBe(299);
+});
+
+test.each([
+  ['unknown codes', { code: 'NOPE' }, 'NOPE', 'not_found'],
+  ['inactive codes', { code: 'OFF', active: false }, 'OFF', 'not_found'],
+  ['expired codes', { code: 'OLD', expiresAt: new Date('2025-02-01T00:00:00Z') }, 'OLD', 'expired'],
+  ['codes that have not started', { code: 'SOON', startsAt: new Date('2025-04-01T00:00:00Z') }, 'SOON', 'not_started'],
+  ['codes for other plans', { code: 'MONTHLY', plans: ['monthly'] }, 'MONTHLY', 'plan_not_eligible']
+])('rejects %s', async (label, overrides, code, reason) => {
+  if (code !== 'NOPE') {
+    await promoCodes.create({ discountType: 'fixed', discountValue: 50, plans: [], active: true, ...overrides });
+  }
+  await expect(quote(code)).rejects.toMatchObject({ reason });
+});
+
+test('enforces the per-user limit with pending and completed payments', async () => {
+  await transactions.create({ supabaseId: 'student-1', promoCode: 'CAMPUS20', status: 'failed' });
+  await expect(quote('CAMPUS20')).resolves.toMatchObject({ promoCode: 'CAMPUS20' });
+
+  await transactions.create({ supabaseId: 'student-1', promoCode: 'CAMPUS20', status: 'pending' });
+  await expect(quote('CAMPUS20')).rejects.toBeInstanceOf(PromoCodeError);
+  await expect(quote('CAMPUS20', { supabaseId: 'student-2' })).resolves.toMatchObject({ promoCode: 'CAMPUS20' });
+});
+
+test('enforces the total redemption cap', async () => {
+  await promoCodes.create({ code: 'FIRST2', discountType: 'fixed', discountValue: 100, plans: [], maxRedemptions: 2, active: true });
+  await transactions.create({ supabaseId: 'student-2', promoCode: 'FIRST2', status: 'completed' });
+  await transactions.create({ supabaseId: 'student-3', promoCode: 'FIRST2', status: 'completed' });
+
+  await expect(quote('FIRST2')).rejects.toMatchObject({ reason: 'exhausted' });
+});
+
+test('two overlapping quotes cannot both take the last use of a code', async () => {
+  await promoCodes.create({ code: 'LAST1', discountType: 'fixed', discountValue: 100, plans: [], maxRedemptions: 1, active: true });
+
+  // Both quotes see the code free before either payment is made
+  const quotes = await Promise.all(['student-1', 'student-2'].map((supabaseId) => quote('LAST1', { supabaseId })));
+  expect(quotes.map((result) => result.promoCode)).toEqual(['LAST1', 'LAST1']);
+
+  const outcomes = await Promise.allSettled(['student-1', 'student-2'].map((supabaseId) => reservePromoRedemption('LAST1', supabaseId)));
+  expect(outcomes.map((outcome) => outcome.status).sort()).toEqual(['fulfilled', 'rejected']);
+  expect(outcomes.find((outcome) => outcome.status === 'rejected').reason).toMatchObject({ reason: 'exhausted' });
+
+  // A failed payment gives the use back
+  const winner = outcomes[0].status === 'fulfilled' ? 'student-1' : 'student-2';
+  await releasePromoRedemption('LAST1', winner);
+  await expect(reservePromoRedemption('LAST1', 'student-3')).resolves.toBeUndefined();
+});
+
+test('reservations hold the per-user limit and start from earlier payments', async () => {
+  await transactions.create({ supabaseId: 'student-2', promoCode: 'CAMPUS20', status: 'completed' });
+
+  await expect(Promise.allSettled([reservePromoRedemption('CAMPUS20', 'student-1'), reservePromoRedemption('CAMPUS20', 'student-1')]))
+    .resolves.toEqual([expect.objectContaining({ status: 'fulfilled' }), expect.objectContaining({ status: 'rejected', reason: expect.objectContaining({ reason: 'user_limit' }) })]);
+  await expect(reservePromoRedemption('CAMPUS20', 'student-2')).rejects.toMatchObject({ reason: 'user_limit' });
+  expect(promoCodes.docs[0].redemptions).toBe(2);
+});
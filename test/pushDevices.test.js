@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const pushSubscriptions = createFakeModel({ defaults: () => ({ failureCount: 0 }) });
+const auditLogs = createFakeModel();
+const sendNotification = jest.fn();
+const setVapidDetails = jest.fn();
+let currentUser;
+
+jest.unstable_mockModule('../models/pushSubscription.js', () => ({ default: pushSubscriptions }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('web-push', () => ({ default: { sendNotification, setVapidDetails } }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = currentUser;
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+const { env } = await import('../config/environment.js');
+
+const app = createApp();
+
+const ANDROID_CHROME = 'Mozilla/5.0 (Linux; Android 13; SM-A536E) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Mobile Safari/537.36';
+const IPHONE_SAFARI = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+const subscribe = (overrides) => pushSubscriptions.create({
+  supabaseId: 'student-1',
+  endpoint: `https://fcm.googleapis.com/fcm/send/${Math.random().toString(36).slice(2)}`,
+  keys: { p256dh: 'p256dh-key', auth: 'auth-secret' },
+  userAgent: ANDROID_CHROME,
+  ...overrides
+});
+
+const pushError = (statusCode) => Object.assign(new Error(`Received unexpected response code ${statusCode}`), { statusCode });
+
+beforeEach(() => {
+  pushSubscriptions.reset();
+  auditLogs.reset();
+  sendNotification.mockReset();
+  currentUser = { supabaseId: 'student-1' };
+  env.WEB_PUSH_VAPID_PUBLIC_KEY = 'public-key';
+  env.WEB_PUSH_VAPID_PRIVATE_KEY = 'private-key';
+});
+
+test('lists the caller\'s devices with readable names', async () => {
+  await subscribe();
+  await subscribe({ userAgent: IPHONE_SAFARI, name: 'My phone', lastDeliveredAt: new Date('2026-10-18T08:00:00Z') });
+  await subscribe({ supabaseId: 'student-2' });
+
+  const res = await request(app).get('/api/users/me/devices');
+
+  expect(res.status).toBe(200);
+  expect(res.body.data).toHaveLength(2);
+  const byDetectedName = Object.fromEntries(res.body.data.map((device) => [device.detectedName, device]));
+  expect(byDetectedName['Chrome on Android']).toMatchObject({ name: 'Chrome on Android', pushService: 'fcm.googleapis.com', failureCount: 0, lastDeliveredAt: null });
+  expect(byDetectedName['Safari on iPhone']).toMatchObject({ name: 'My phone', lastDeliveredAt: '2026-10-18T08:00:00.000Z' });
+  expect(JSON.stringify(res.body)).not.toContain('auth-secret');
+});
+
+test('renames a device and can go back to the detected name', async () => {
+  const device = await subscribe();
+
+  const renamed = await request(app).patch(`/api/users/me/devices/${device._id}`).send({ name: '  Lab laptop ' });
+  expect(renamed.body.data.name).toBe('Lab laptop');
+
+  const reset = await request(app).patch(`/api/users/me/devices/${device._id}`).send({ name: null });
+  expect(reset.body.data.name).toBe('Chrome on Android');
+
+  expect((await request(app).patch(`/api/users/me/devices/${device._id}`).send({ name: 'x'.repeat(61) })).status).toBe(400);
+  expect((await request(app).patch(`/api/users/me/devices/${device._id}`).send({ endpoint: 'https://evil.example' })).status).toBe(400);
+
+  currentUser = { supabaseId: 'student-2' };
+  expect((await request(app).patch(`/api/users/me/devices/${device._id}`).send({ name: 'Mine now' })).status).toBe(404);
+});
+
+test('revokes a device', async () => {
+  const device = await subscribe();
+
+  currentUser = { supabaseId: 'student-2' };
+  expect((await request(app).delete(`/api/users/me/devices/${device._id}`)).status).toBe(404);
+
+  currentUser = { supabaseId: 'student-1' };
+  const res = await request(app).delete(`/api/users/me/devices/${device._id}`);
+
+  expect(res.status).toBe(204);
+  expect(pushSubscriptions.docs).toHaveLength(0);
+  expect(auditLogs.docs[0]).toMatchObject({ action: 'device.revoke', details: { deviceId: String(device._id), name: 'Chrome on Android' } });
+});
+
+describe('POST /api/users/me/devices/:id/test', () => {
+  test('sends a test notification to that device only and records the delivery', async () => {
+    const device = await subscribe({ failureCount: 2, lastError: 'timeout' });
+    await subscribe();
+    sendNotification.mockResolvedValue({ statusCode: 201 });
+
+    const res = await request(app).post(`/api/users/me/devices/${device._id}/test`);
+
+    expect(res.status).toBe(200);
+    expect(sendNotification).toHaveBeenCalledTimes(1);
+    expect(sendNotification.mock.calls[0][0]).toEqual({ endpoint: device.endpoint, keys: device.keys });
+    expect(JSON.parse(sendNotification.mock.calls[0][1])).toMatchObject({ title: 'Test notification', data: { type: 'TEST' } });
+    expect(res.body.data).toMatchObject({ failureCount: 0, lastError: null });
+    expect(res.body.data.lastDeliveredAt).toBeTruthy();
+  });
+
+  test('counts failed deliveries', async () => {
+    const device = await subscribe();
+    sendNotification.mockRejectedValue(pushError(500));
+
+    const res = await request(app).post(`/api/users/me/devices/${device._id}/test`);
+    await request(app).post(`/api/users/me/devices/${device._id}/test`);
+
+    expect(res.status).toBe(502);
+    expect(device).toMatchObject({ failureCount: 2, lastError: 'Received unexpected response code 500' });
+    expect(device.lastFailureAt).toBeInstanceOf(Date);
+  });
+
+  test('removes a device the push service no longer knows', async () => {
+    const device = await subscribe();
+    sendNotification.mockRejectedValue(pushError(410));
+
+    const res = await request(app).post(`/api/users/me/devices/${device._id}/test`);
+
+    expect(res.status).toBe(410);
+    expect(pushSubscriptions.docs).toHaveLength(0);
+  });
+
+  test('reports when push is not configured', async () => {
+    const device = await subscribe();
+    env.WEB_PUSH_VAPID_PRIVATE_KEY = '';
+
+    const res = await request(app).post(`/api/users/me/devices/${device._id}/test`);
+
+    expect(res.status).toBe(503);
+    expect(sendNotification).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import { buildReceipt, maskPhoneNumber } from '../services/receiptService.js';
+
+const completedTransaction = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'completed',
+  plan: 'annual',
+  amount: 3000,
+  phoneNumber: '254712345678',
+  mpesaReceiptNumber: 'QKJ4ABC123',
+  completedAt: new Date('2025-03-01T09:30:00Z')
+});
+
+test('maskPhoneNumber keeps only the country code and last digits', () => {
+  expect(maskPhoneNumber('254712345678')).toBe('254******678');
+  expect(maskPhoneNumber('12345')).toBe('*****');
+});
+
+test('buildReceipt renders a PDF with the payment details', () => {
+  const { filename, pdf } = buildReceipt(completedTransaction());
+  const text = pdf.toString('latin1');
+
+  expect(filename).toBe('semesterstride-receipt-QKJ4ABC123.pdf');
+  expect(text.startsWith('%PDF-1.4')).toBe(true);
+  expect(text).toContain('Receipt number: QKJ4ABC123');
+  expect(text).toContain('Annual plan');
+  expect(text).toContain('KES 3,000.00');
+  expect(text).toContain('254******678');
+  expect(text).not.toContain('254712345678');
+  expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+});
+
+test('buildReceipt refuses payments that have not completed', () => {
+  expect(() => buildReceipt({ ...completedTransaction(), status: 'pending' })).toThrow(/completed/);
+});
@@ -0,0 +1,245 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const semesters = createFakeModel();
+const courses = createFakeModel();
+const assignments = createFakeModel();
+const users = createFakeModel();
+const reminders = createFakeModel({ defaults: () => ({ interactions: [], status: 'scheduled' }) });
+const reminderPreferences = createFakeModel();
+const reminderAnalytics = createFakeModel();
+const auditLogs = createFakeModel();
+const pushSubscriptions = createFakeModel();
+const activities = createFakeModel();
+const subscriptions = createFakeModel();
+const post = jest.fn();
+let currentUser;
+
+jest.unstable_mockModule('../models/semester.js', () => ({ default: semesters }));
+jest.unstable_mockModule('../models/course.js', () => ({ default: courses }));
+jest.unstable_mockModule('../models/assignment.js', () => ({ default: assignments }));
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+jest.unstable_mockModule('../models/reminder.js', () => ({ default: reminders }));
+jest.unstable_mockModule('../models/reminderPreference.js', () => ({ default: reminderPreferences }));
+jest.unstable_mockModule('../models/reminderAnalytics.js', () => ({ default: reminderAnalytics }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../models/pushSubscription.js', () => ({ default: pushSubscriptions }));
+jest.unstable_mockModule('../models/activity.js', () => ({ default: activities }));
+jest.unstable_mockModule('../models/subscription.js', () => ({ default: subscriptions }));
+jest.unstable_mockModule('axios', () => ({ default: { post, get: jest.fn(), delete: jest.fn() } }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = currentUser;
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+const { runReminderScheduler } = await import('../services/reminderScheduler.js');
+const { generateStudyPlan } = await import('../services/groqAI.js');
+const { semesterPosition, isOnBreak, toDay, todayIn } = await import('../services/semesterService.js');
+const { env } = await import('../config/environment.js');
+
+const app = createApp();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar day `offset` days from today (UTC, the clock of students without a time zone)
+const day = (offset = 0) => new Date(Date.now() + offset * DAY_MS).toISOString().slice(0, 10);
+
+const createSemester = (body) => request(app).post('/api/semesters').send(body);
+
+beforeEach(() => {
+  [semesters, courses, assignments, users, reminders, reminderPreferences, reminderAnalytics, auditLogs]
+    .forEach((model) => model.reset());
+  post.mockReset();
+  currentUser = { supabaseId: 'student-1' };
+});
+
+describe('semester CRUD', () => {
+  test('creates a semester and counts its teaching weeks around reading and exam weeks', async () => {
+    const res = await createSemester({
+      name: '  Semester 1 2026/27 ',
+      startDate: '2026-09-07',
+      endDate: '2026-12-18',
+      readingWeeks: [{ name: 'Reading week', startDate: '2026-10-26', endDate: '2026-10-30' }],
+      examWeeks: [{ startDate: '2026-12-07', endDate: '2026-12-18' }]
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      name: 'Semester 1 2026/27',
+      startDate: '2026-09-07',
+      endDate: '2026-12-18',
+      // 15 weeks: 1 reading week and 2 exam weeks
+      teachingWeeks: 12,
+      readingWeeks: [{ name: 'Reading week', startDate: '2026-10-26', endDate: '2026-10-30' }]
+    });
+
+    const detail = await request(app).get(`/api/semesters/${res.body.data.id}`);
+    expect(detail.body.data.weeks).toHaveLength(15);
+    expect(detail.body.data.weeks[7]).toMatchObject({ week: 8, type: 'reading', name: 'Reading week', teachingWeek: null });
+    expect(detail.body.data.weeks[8]).toMatchObject({ week: 9, type: 'teaching', teachingWeek: 8 });
+    expect(detail.body.data.weeks[14]).toMatchObject({ type: 'exam', endDate: '2026-12-18' });
+  });
+
+  test('updates, clears and deletes, keeping the semester\'s courses', async () => {
+    const { body: { data: semester } } = await createSemester({ name: 'Term 1', startDate: '2026-01-05', endDate: '2026-04-03', teachingWeeks: 11 });
+    const course = await courses.create({ supabaseId: 'student-1', name: 'Statistics', semester: 'Term 1', semesterId: semester.id });
+
+    const renamed = await request(app).patch(`/api/semesters/${semester.id}`).send({ name: 'Lent term', teachingWeeks: null });
+    expect(renamed.body.data).toMatchObject({ name: 'Lent term', teachingWeeks: 13 });
+
+    expect((await request(app).delete(`/api/semesters/${semester.id}`)).status).toBe(204);
+    expect(semesters.docs).toHaveLength(0);
+    expect(course.semesterId).toBeUndefined();
+    expect(course.semester).toBe('Term 1');
+  });
+
+  test.each([
+    [{ name: 'T', startDate: '2026-02-30', endDate: '2026-04-01' }, 'startDate'],
+    [{ name: 'T', startDate: '2026-01-05' }, 'endDate'],
+    [{ name: 'T', startDate: '2026-04-01', endDate: '2026-01-05' }, 'endDate must not be before startDate'],
+    [{ name: 'T', startDate: '2026-01-05', endDate: '2026-04-01', breaks: [{ startDate: '2026-04-02', endDate: '2026-04-05' }] }, 'outside the semester'],
+    [{ name: 'T', startDate: '2026-01-05', endDate: '2026-04-01', teachingWeeks: 0 }, 'teachingWeeks'],
+    [{ name: 'T', startDate: '2026-01-05', endDate: '2026-04-01', supabaseId: 'student-1' }, 'supabaseId']
+  ])('rejects %j', async (body, message) => {
+    const res = await createSemester(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain(message);
+  });
+
+  test('refuses overlapping semesters and other students\' semesters', async () => {
+    const { body: { data: first } } = await createSemester({ name: 'Term 1', startDate: '2026-01-05', endDate: '2026-04-03' });
+    await createSemester({ name: 'Term 2', startDate: '2026-04-20', endDate: '2026-07-24' });
+
+    const overlap = await createSemester({ name: 'Term 3', startDate: '2026-07-20', endDate: '2026-10-30' });
+    expect(overlap.status).toBe(409);
+    expect(overlap.body.message).toContain('Term 2');
+
+    expect((await request(app).patch(`/api/semesters/${first.id}`).send({ endDate: '2026-04-30' })).status).toBe(409);
+    expect((await request(app).patch(`/api/semesters/${first.id}`).send({ endDate: '2026-04-10' })).status).toBe(200);
+
+    currentUser = { supabaseId: 'student-2' };
+    expect((await request(app).get(`/api/semesters/${first.id}`)).status).toBe(404);
+    expect((await request(app).get('/api/semesters')).body.data).toEqual([]);
+  });
+});
+
+describe('current semester', () => {
+  test('resolves the semester in progress and where today falls in it', async () => {
+    await createSemester({ name: 'Last term', startDate: day(-200), endDate: day(-100) });
+    await createSemester({
+      name: 'This term',
+      startDate: day(-14),
+      endDate: day(90),
+      readingWeeks: [{ startDate: day(20), endDate: day(26) }]
+    });
+
+    const list = await request(app).get('/api/semesters');
+    expect(list.body.data.map((semester) => semester.status)).toEqual(['past', 'current']);
+
+    const res = await request(app).get('/api/semesters/current');
+    expect(res.body.data).toMatchObject({
+      name: 'This term',
+      position: { week: 3, teachingWeek: 3, period: 'teaching', nextPeriod: { type: 'reading', inDays: 20 }, daysRemaining: 90 }
+    });
+  });
+
+  test('between semesters resolves the next one, and with none there is no current semester', async () => {
+    expect((await request(app).get('/api/semesters/current')).body.data).toBeNull();
+
+    await createSemester({ name: 'Next term', startDate: day(10), endDate: day(100) });
+    const res = await request(app).get('/api/semesters/current');
+    expect(res.body.data).toMatchObject({ name: 'Next term', status: 'upcoming', position: null });
+  });
+
+  test('uses the student\'s clock', async () => {
+    await createSemester({ name: 'Term 1', startDate: '2026-09-07', endDate: '2026-12-18' });
+    // 22:00 UTC on the Sunday before is already Monday in Nairobi
+    const now = new Date('2026-09-06T22:00:00Z');
+
+    expect(await isOnBreak('student-1', { now, timeZone: 'UTC' })).toBe(true);
+    expect(await isOnBreak('student-1', { now, timeZone: 'Africa/Nairobi' })).toBe(false);
+    expect(semesterPosition(semesters.docs[0], todayIn('Africa/Nairobi', now))).toMatchObject({ week: 1, teachingWeek: 1 });
+  });
+});
+
+describe('courses', () => {
+  test('new courses are filed under the current semester and can be listed by it', async () => {
+    const { body: { data: current } } = await createSemester({ name: 'This term', startDate: day(-14), endDate: day(90) });
+    await courses.create({ supabaseId: 'student-1', name: 'Old course', semester: 'Fall 2025' });
+
+    const created = await request(app).post('/api/courses').send({ name: 'Databases' });
+    expect(created.body.data).toMatchObject({ semester: 'This term', semesterId: current.id });
+
+    const listed = await request(app).get('/api/courses?semester=current');
+    expect(listed.body.data.map((course) => course.name)).toEqual(['Databases']);
+    expect((await request(app).get(`/api/courses?semester=${current.id}`)).body.data).toHaveLength(1);
+    // Names stored before semesters existed still filter
+    expect((await request(app).get('/api/courses?semester=Fall 2025')).body.data.map((course) => course.name)).toEqual(['Old course']);
+  });
+
+  test('imports go to the current semester, creating one for the term when there is none', async () => {
+    await createSemester({ name: 'Last term', startDate: day(-200), endDate: day(-100) });
+
+    const res = await request(app).post('/api/onboarding/finalize').send({
+      courses: [{ name: 'Statistics' }],
+      assignments: [{ title: 'Problem set 1', course: 'Statistics' }]
+    });
+
+    expect(res.status).toBe(200);
+    const created = semesters.docs.find((semester) => semester.name !== 'Last term');
+    expect(created.startDate <= toDay(day()) && toDay(day()) <= created.endDate).toBe(true);
+    expect(courses.docs[0]).toMatchObject({ name: 'Statistics', semester: created.name, semesterId: created._id });
+
+    // A second import lands in the same semester without creating another
+    await request(app).post('/api/onboarding/finalize').send({ courses: [{ name: 'Statistics' }] });
+    expect(semesters.docs).toHaveLength(2);
+    expect(courses.docs).toHaveLength(1);
+  });
+});
+
+describe('reminders and study plans', () => {
+  const enableSmartReminders = (supabaseId) => reminderPreferences.create({
+    supabaseId,
+    smartRemindersEnabled: true,
+    defaultLeadMinutes: 180,
+    quietHours: { startHour: 0, endHour: 0 }
+  });
+
+  test('inactivity nudges pause during breaks and between semesters', async () => {
+    const lastLoginAt = new Date(Date.now() - DAY_MS);
+    for (const supabaseId of ['on-break', 'between-terms', 'studying', 'no-semesters']) {
+      await users.create({ supabaseId, lastLoginAt });
+      await enableSmartReminders(supabaseId);
+    }
+    await semesters.create({ supabaseId: 'on-break', name: 'T', startDate: toDay(day(-30)), endDate: toDay(day(30)), breaks: [{ startDate: toDay(day(-2)), endDate: toDay(day(5)) }] });
+    await semesters.create({ supabaseId: 'between-terms', name: 'T', startDate: toDay(day(-100)), endDate: toDay(day(-10)) });
+    await semesters.create({ supabaseId: 'studying', name: 'T', startDate: toDay(day(-30)), endDate: toDay(day(30)) });
+
+    await runReminderScheduler();
+
+    expect(reminders.docs.filter((doc) => doc.type === 'INACTIVITY').map((doc) => doc.supabaseId).sort())
+      .toEqual(['no-semesters', 'studying']);
+  });
+
+  test('the study planner is told where the student is in the semester', async () => {
+    env.GROQ_API_KEY = env.GROQ_API_KEY || 'test-key';
+    post.mockResolvedValue({ data: { choices: [{ message: { content: '{"overview":"ok","recommendations":[]}' } }] } });
+
+    await generateStudyPlan({
+      courses: [{ _id: 'c1', name: 'Databases', credits: 3 }],
+      assignments: [],
+      activities: [],
+      preferences: {},
+      profile: {
+        semester: { week: 9, totalWeeks: 15, teachingWeek: 8, teachingWeeks: 12, period: 'teaching', nextPeriod: { type: 'exam', inDays: 40 }, daysRemaining: 52 }
+      }
+    });
+
+    expect(post.mock.calls[0][1].messages[1].content)
+      .toContain('Semester: teaching week 8 of 12; the exam period starts in 40 days; the semester ends in 52 days');
+  });
+});
@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Subscription from '../models/subscription.js';
+import {
+  computePeriodEnd,
+  describeSubscription,
+  getBillingNotice,
+  getSubscription,
+  grantFromTransaction
+} from '../services/subscriptionService.js';
+
+const now = new Date('2025-03-01T00:00:00Z');
+
+test('computePeriodEnd adds the plan duration', () => {
+  expect(computePeriodEnd('monthly', now).toISOString()).toBe('2025-04-01T00:00:00.000Z');
+  expect(computePeriodEnd('annual', now).toISOString()).toBe('2026-03-01T00:00:00.000Z');
+  expect(computePeriodEnd('lifetime', now)).toBeNull();
+});
+
+test('describeSubscription reports the free plan when there is no subscription', () => {
+  const described = describeSubscription(null, now);
+  expect(described.plan).toBe('free');
+  expect(described.active).toBe(false);
+  expect(described.features).toEqual([]);
+});
+
+test('describeSubscription flags a monthly plan that is about to expire', () => {
+  const subscription = new Subscription({
+    supabaseId: 'user-1234',
+    plan: 'monthly',
+    currentPeriodStart: new Date('2025-02-05T00:00:00Z'),
+    currentPeriodEnd: new Date('2025-03-05T00:00:00Z')
+  });
+
+  const described = describeSubscription(subscription, now);
+  expect(described.status).toBe('active');
+  expect(described.renewal).toEqual({ autoRenew: false, dueSoon: true, daysRemaining: 4 });
+  expect(described.features).toContain('ai_study_plan');
+});
+
+test('describeSubscription treats a lapsed period as expired', () => {
+  const subscription = new Subscription({
+    supabaseId: 'user-1234',
+    plan: 'monthly',
+    currentPeriodStart: new Date('2025-01-01T00:00:00Z'),
+    currentPeriodEnd: new Date('2025-02-01T00:00:00Z')
+  });
+
+  const described = describeSubscription(subscription, now);
+  expect(described.status).toBe('expired');
+  expect(described.active).toBe(false);
+  expect(described.features).toEqual([]);
+});
+
+const days = (count) => new Date(now.getTime() + count * 24 * 60 * 60 * 1000);
+
+const buildSubscription = (overrides) => new Subscription({
+  supabaseId: 'user-1234',
+  plan: 'monthly',
+  currentPeriodStart: days(-30),
+  currentPeriodEnd: days(10),
+  ...overrides
+});
+
+const completedTransaction = (plan = 'monthly') => ({
+  _id: new mongoose.Types.ObjectId(),
+  supabaseId: 'user-1234',
+  plan,
+  status: 'completed',
+  completedAt: now
+});
+
+// Capture the update grantFromTransaction writes, given the user's current subscription
+const grantAgainst = async (existing, transaction) => {
+  jest.spyOn(Subscription, 'findOne').mockResolvedValue(existing);
+  const update = jest.spyOn(Subscription, 'findOneAndUpdate')
+    .mockImplementation(async (filter, { $set }) => buildSubscription($set));
+  await grantFromTransaction(transaction);
+  return update.mock.calls[0][1].$set;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('new users start a 7-day free trial', async () => {
+  jest.spyOn(Subscription, 'findOne').mockResolvedValue(null);
+  const upsert = jest.spyOn(Subscription, 'findOneAndUpdate')
+    .mockImplementation(async (filter, { $setOnInsert }) => buildSubscription({ ...$setOnInsert }));
+
+  const subscription = await getSubscription('user-1234', now);
+
+  expect(upsert.mock.calls[0][0]).toEqual({ supabaseId: 'user-1234' });
+  expect(subscription.plan).toBe('trial');
+  expect(subscription.currentPeriodEnd.toISOString()).toBe(days(7).toISOString());
+
+  const described = describeSubscription(subscription, now);
+  expect(described).toMatchObject({ status: 'trialing', active: true, trialEndsAt: days(7) });
+  expect(described.features).toContain('ai_study_plan');
+});
+
+test('a lapsed monthly plan keeps its features during the grace period', () => {
+  const subscription = buildSubscription({ currentPeriodEnd: days(-1), gracePeriodEnd: days(2) });
+
+  const described = describeSubscription(subscription, now);
+  expect(described).toMatchObject({ status: 'grace', active: true, graceEndsAt: days(2) });
+  expect(described.features).toContain('syllabus_import');
+
+  expect(describeSubscription(subscription, days(3)).status).toBe('expired');
+});
+
+test('paying during the trial keeps the remaining trial days', async () => {
+  const trial = buildSubscription({ plan: 'trial', currentPeriodStart: days(-5), currentPeriodEnd: days(2) });
+
+  const update = await grantAgainst(trial, completedTransaction('monthly'));
+
+  expect(update.plan).toBe('monthly');
+  expect(update.currentPeriodStart).toEqual(now);
+  expect(update.currentPeriodEnd).toEqual(computePeriodEnd('monthly', days(2)));
+  expect(update.gracePeriodEnd).toEqual(new Date(update.currentPeriodEnd.getTime() + 3 * 24 * 60 * 60 * 1000));
+});
+
+test('renewing during the grace period continues from the lapsed period end', async () => {
+  const lapsed = buildSubscription({ currentPeriodEnd: days(-1), gracePeriodEnd: days(2) });
+
+  const update = await grantAgainst(lapsed, completedTransaction('monthly'));
+
+  expect(update.currentPeriodStart).toEqual(days(-1));
+  expect(update.currentPeriodEnd).toEqual(computePeriodEnd('monthly', days(-1)));
+});
+
+test('annual plans have no grace period', async () => {
+  const update = await grantAgainst(null, completedTransaction('annual'));
+  expect(update.gracePeriodEnd).toBeNull();
+});
+
+test('getBillingNotice picks the nudge for each stage once per period', () => {
+  const trialEnding = getBillingNotice(buildSubscription({ plan: 'trial', currentPeriodEnd: days(2) }), now);
+  expect(trialEnding).toMatchObject({ stage: 'trial_ending', renewPlan: 'monthly' });
+  expect(trialEnding.key).toBe(`billing_trial_ending_${days(2).toISOString().slice(0, 10)}`);
+
+  expect(getBillingNotice(buildSubscription({ plan: 'annual', currentPeriodEnd: days(3) }), now))
+    .toMatchObject({ stage: 'renewal_due', renewPlan: 'annual' });
+  expect(getBillingNotice(buildSubscription({ currentPeriodEnd: days(-1), gracePeriodEnd: days(2) }), now))
+    .toMatchObject({ stage: 'grace', renewPlan: 'monthly' });
+
+  expect(getBillingNotice(buildSubscription({ currentPeriodEnd: days(10) }), now)).toBeNull();
+  expect(getBillingNotice(buildSubscription({ currentPeriodEnd: days(-5), gracePeriodEnd: days(-2) }), now)).toBeNull();
+  expect(getBillingNotice(buildSubscription({ plan: 'lifetime', currentPeriodEnd: null }), now)).toBeNull();
+});
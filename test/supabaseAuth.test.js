@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const get = jest.fn();
+const auditLogs = createFakeModel();
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('axios', () => ({ default: { get } }));
+
+const { env } = await import('../config/environment.js');
+const { signHs256, JwtError } = await import('../utils/jwt.js');
+const {
+  verifySupabaseToken,
+  clearJwksCache,
+  AuthUnavailableError
+} = await import('../services/supabaseAuth.js');
+const { authenticate } = await import('../middleware/auth.js');
+const { setAuthProvider, SupabaseAuthProvider } = await import('../services/auth/index.js');
+
+// Tests default to the local provider; these exercise Supabase verification
+setAuthProvider(new SupabaseAuthProvider());
+
+const SECRET = 'test-jwt-secret';
+const ISSUER = 'https://project.supabase.co/auth/v1';
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const claims = (overrides = {}) => ({
+  sub: 'user-1',
+  email: 'student@example.com',
+  role: 'authenticated',
+  aud: 'authenticated',
+  iss: ISSUER,
+  exp: nowSeconds() + 3600,
+  ...overrides
+});
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const jwks = (kid) => ({ data: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'ES256', use: 'sig' }] } });
+
+const signEs256 = (payload, kid) => {
+  const header = Buffer.from(JSON.stringify({ alg: 'ES256', typ: 'JWT', kid })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${header}.${body}.${signature.toString('base64url')}`;
+};
+
+const original = { ...env };
+
+beforeEach(() => {
+  get.mockReset();
+  clearJwksCache();
+  Object.assign(env, original, {
+    SUPABASE_PROJECT_ID: 'project',
+    SUPABASE_JWT_SECRET: SECRET,
+    SUPABASE_SERVICE_KEY: 'service-key',
+    SUPABASE_JWKS_URL: null,
+    SUPABASE_JWT_ISSUER: null,
+    SUPABASE_AUTH_REMOTE_FALLBACK: false
+  });
+});
+
+afterAll(() => {
+  Object.assign(env, original);
+});
+
+test('verifies an HS256 token locally and normalizes the user', async () => {
+  const user = await verifySupabaseToken(signHs256(claims(), SECRET));
+
+  expect(user).toMatchObject({ id: 'user-1', supabaseId: 'user-1', email: 'student@example.com', app_metadata: {} });
+  expect(get).not.toHaveBeenCalled();
+});
+
+test.each([
+  ['expired', claims({ exp: nowSeconds() - 120 }), SECRET],
+  ['bad_audience', claims({ aud: 'anon' }), SECRET],
+  ['bad_issuer', claims({ iss: 'https://other.supabase.co/auth/v1' }), SECRET],
+  ['bad_signature', claims(), 'another-secret']
+])('rejects a token with reason %s', async (reason, payload, secret) => {
+  await expect(verifySupabaseToken(signHs256(payload, secret))).rejects.toMatchObject({ name: 'JwtError', reason });
+});
+
+test('verifies ES256 tokens against the cached project JWKS', async () => {
+  get.mockResolvedValue(jwks('key-1'));
+
+  await expect(verifySupabaseToken(signEs256(claims(), 'key-1'))).resolves.toMatchObject({ supabaseId: 'user-1' });
+  await expect(verifySupabaseToken(signEs256(claims({ sub: 'user-2' }), 'key-1'))).resolves.toMatchObject({ supabaseId: 'user-2' });
+
+  expect(get).toHaveBeenCalledTimes(1);
+  expect(get.mock.calls[0][0]).toBe('https://project.supabase.co/auth/v1/.well-known/jwks.json');
+});
+
+test('refetches the JWKS for an unknown key id after the refresh interval', async () => {
+  const realNow = Date.now;
+  let clock = realNow();
+  Date.now = () => clock;
+  try {
+    get.mockResolvedValueOnce(jwks('old-key')).mockResolvedValueOnce(jwks('new-key'));
+    await verifySupabaseToken(signEs256(claims(), 'old-key'));
+
+    // Within the refresh interval an unknown kid does not trigger another fetch
+    await expect(verifySupabaseToken(signEs256(claims(), 'new-key'))).rejects.toMatchObject({ reason: 'unknown_key' });
+    expect(get).toHaveBeenCalledTimes(1);
+
+    clock += 31 * 1000;
+    await expect(verifySupabaseToken(signEs256(claims(), 'new-key'))).resolves.toMatchObject({ supabaseId: 'user-1' });
+    expect(get).toHaveBeenCalledTimes(2);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('reports the auth service as unavailable when keys cannot be fetched', async () => {
+  get.mockRejectedValue(new Error('ECONNREFUSED'));
+
+  await expect(verifySupabaseToken(signEs256(claims(), 'key-1'))).rejects.toBeInstanceOf(AuthUnavailableError);
+});
+
+test('falls back to Supabase when enabled and the token cannot be checked locally', async () => {
+  env.SUPABASE_JWT_SECRET = null;
+  env.SUPABASE_AUTH_REMOTE_FALLBACK = true;
+  get.mockResolvedValue({ data: { id: 'user-1', email: 'student@example.com', app_metadata: { role: 'admin' } } });
+
+  const user = await verifySupabaseToken(signHs256(claims(), SECRET));
+
+  expect(user).toMatchObject({ supabaseId: 'user-1', app_metadata: { role: 'admin' } });
+  expect(get.mock.calls[0][0]).toBe('https://project.supabase.co/auth/v1/user');
+});
+
+test('does not fall back for tokens that are invalid', async () => {
+  env.SUPABASE_AUTH_REMOTE_FALLBACK = true;
+
+  await expect(verifySupabaseToken(signHs256(claims(), 'another-secret'))).rejects.toBeInstanceOf(JwtError);
+  expect(get).not.toHaveBeenCalled();
+});
+
+describe('authenticate middleware', () => {
+  const run = async (authorization) => {
+    const req = { header: (name) => (name === 'Authorization' ? authorization : undefined) };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    const next = jest.fn();
+    await authenticate(req, res, next);
+    return { req, res, next };
+  };
+
+  test('attaches the verified user', async () => {
+    const { req, next } = await run(`Bearer ${signHs256(claims(), SECRET)}`);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.supabaseId).toBe('user-1');
+  });
+
+  test('responds 401 without a token or with an invalid one', async () => {
+    expect((await run(undefined)).res.status).toHaveBeenCalledWith(401);
+    expect((await run('Bearer not-a-jwt')).res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('responds 503 when the token cannot be verified', async () => {
+    env.SUPABASE_JWT_SECRET = null;
+
+    const { res, next } = await run(`Bearer ${signHs256(claims(), SECRET)}`);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,220 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFakeModel } from './helpers/fakeModel.js';
+
+const users = createFakeModel();
+const reminders = createFakeModel({ defaults: () => ({ interactions: [], status: 'scheduled' }) });
+const reminderPreferences = createFakeModel();
+const reminderAnalytics = createFakeModel();
+const assignments = createFakeModel();
+const pushSubscriptions = createFakeModel();
+const activities = createFakeModel();
+const subscriptions = createFakeModel();
+const auditLogs = createFakeModel();
+const semesters = createFakeModel();
+const sendEmail = jest.fn(async () => ({}));
+const post = jest.fn();
+let currentUser;
+
+jest.unstable_mockModule('../models/user.js', () => ({ default: users }));
+jest.unstable_mockModule('../models/reminder.js', () => ({ default: reminders }));
+jest.unstable_mockModule('../models/reminderPreference.js', () => ({ default: reminderPreferences }));
+jest.unstable_mockModule('../models/reminderAnalytics.js', () => ({ default: reminderAnalytics }));
+jest.unstable_mockModule('../models/assignment.js', () => ({ default: assignments }));
+jest.unstable_mockModule('../models/pushSubscription.js', () => ({ default: pushSubscriptions }));
+jest.unstable_mockModule('../models/activity.js', () => ({ default: activities }));
+jest.unstable_mockModule('../models/subscription.js', () => ({ default: subscriptions }));
+jest.unstable_mockModule('../models/auditLog.js', () => ({ default: auditLogs }));
+jest.unstable_mockModule('../models/semester.js', () => ({ default: semesters }));
+jest.unstable_mockModule('../emailService.js', () => ({ sendEmail }));
+jest.unstable_mockModule('axios', () => ({ default: { post, get: jest.fn(), delete: jest.fn() } }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = currentUser;
+    next();
+  }
+}));
+
+const { createApp } = await import('../app.js');
+const { runReminderScheduler } = await import('../services/reminderScheduler.js');
+const { generateStudyPlan } = await import('../services/groqAI.js');
+const { env } = await import('../config/environment.js');
+
+const app = createApp();
+const HOUR_MS = 60 * 60 * 1000;
+
+const hourIn = (date, timeZone) => new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(date);
+
+beforeEach(() => {
+  [users, reminders, reminderPreferences, reminderAnalytics, assignments, pushSubscriptions, activities, subscriptions, semesters]
+    .forEach((model) => model.reset());
+  sendEmail.mockClear();
+  post.mockReset();
+  currentUser = { supabaseId: 'student-1', email: 'amina@example.com' };
+});
+
+describe('GET/PATCH /api/users/me', () => {
+  test('creates the profile on first read and records the sign-in', async () => {
+    const res = await request(app).get('/api/users/me');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      supabaseId: 'student-1',
+      email: 'amina@example.com',
+      timezone: null,
+      weeklyStudyHoursGoal: null,
+      notificationChannels: { push: true, email: false },
+      smartRemindersOptIn: true
+    });
+    expect(users.docs).toHaveLength(1);
+    expect(users.docs[0].lastLoginAt).toBeInstanceOf(Date);
+  });
+
+  test('updates the profile, merging notification channels', async () => {
+    await users.create({ supabaseId: 'student-1', institution: 'Strathmore', notificationChannels: { push: false, email: false } });
+
+    const res = await request(app).patch('/api/users/me').send({
+      name: '  Amina Otieno ',
+      timezone: 'Africa/Nairobi',
+      locale: 'sw-ke',
+      programme: 'BSc Computer Science',
+      yearOfStudy: 2,
+      weeklyStudyHoursGoal: 12.5,
+      notificationChannels: { email: true },
+      institution: null
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      name: 'Amina Otieno',
+      timezone: 'Africa/Nairobi',
+      locale: 'sw-KE',
+      institution: null,
+      programme: 'BSc Computer Science',
+      yearOfStudy: 2,
+      weeklyStudyHoursGoal: 12.5,
+      notificationChannels: { push: false, email: true }
+    });
+  });
+
+  test('clears the name with null', async () => {
+    await users.create({ supabaseId: 'student-1', name: 'Amina' });
+
+    const res = await request(app).patch('/api/users/me').send({ name: null });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.name).toBeNull();
+    expect((await request(app).patch('/api/users/me').send({ smartRemindersOptIn: null })).status).toBe(400);
+  });
+
+  test.each([
+    [{ timezone: 'Nairobi' }, 'timezone'],
+    [{ locale: 'not a locale!' }, 'locale'],
+    [{ yearOfStudy: 0 }, 'yearOfStudy'],
+    [{ yearOfStudy: 2.5 }, 'yearOfStudy'],
+    [{ weeklyStudyHoursGoal: '10' }, 'weeklyStudyHoursGoal'],
+    [{ notificationChannels: { sms: true } }, 'notificationChannels.sms'],
+    [{ notificationChannels: { push: 'yes' } }, 'notificationChannels.push'],
+    [{ smartRemindersOptIn: 'no' }, 'smartRemindersOptIn'],
+    [{ email: 'someone@else.com' }, 'email'],
+    [{ supabaseId: 'student-2' }, 'supabaseId']
+  ])('rejects %j', async (body, field) => {
+    const res = await request(app).patch('/api/users/me').send(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain(field);
+    expect(users.docs).toHaveLength(0);
+  });
+});
+
+describe('reminder scheduler', () => {
+  const enableSmartReminders = (supabaseId) => reminderPreferences.create({
+    supabaseId,
+    smartRemindersEnabled: true,
+    defaultLeadMinutes: 180,
+    quietHours: { startHour: 0, endHour: 0 }
+  });
+
+  test('schedules deadline reminders on the student\'s clock and writes dates in their locale', async () => {
+    await users.create({ supabaseId: 'student-1', timezone: 'Asia/Tokyo', locale: 'en-GB', smartRemindersOptIn: false });
+    await enableSmartReminders('student-1');
+    const dueDate = new Date(Date.now() + 40 * HOUR_MS);
+    await assignments.create({ supabaseId: 'student-1', title: 'Lab report', dueDate, progress: 10 });
+
+    await runReminderScheduler();
+
+    const [reminder] = reminders.docs.filter((doc) => doc.type === 'DEADLINE');
+    expect(hourIn(reminder.scheduledFor, 'Asia/Tokyo')).toBe('18');
+    expect(reminder.message).toContain(dueDate.toLocaleString('en-GB', { timeZone: 'Asia/Tokyo', dateStyle: 'medium', timeStyle: 'short' }));
+  });
+
+  test('nudges inactive students only when they opted in', async () => {
+    const lastLoginAt = new Date(Date.now() - 24 * HOUR_MS);
+    await users.create({ supabaseId: 'student-1', timezone: 'America/New_York', lastLoginAt });
+    await users.create({ supabaseId: 'student-2', lastLoginAt, smartRemindersOptIn: false });
+    await enableSmartReminders('student-1');
+    await enableSmartReminders('student-2');
+
+    await runReminderScheduler();
+
+    const nudges = reminders.docs.filter((doc) => doc.type === 'INACTIVITY');
+    expect(nudges.map((doc) => doc.supabaseId)).toEqual(['student-1']);
+    expect(hourIn(nudges[0].scheduledFor, 'America/New_York')).toBe('18');
+  });
+
+  test('delivers due reminders by email when the student chose email over push', async () => {
+    await users.create({ supabaseId: 'student-1', email: 'amina@example.com', notificationChannels: { push: false, email: true } });
+    await pushSubscriptions.create({ supabaseId: 'student-1', endpoint: 'https://push.example/1' });
+    const reminder = await reminders.create({
+      supabaseId: 'student-1',
+      type: 'DEADLINE',
+      title: 'Upcoming: Lab report',
+      message: 'Your assignment "Lab report" is due soon.',
+      scheduledFor: new Date(Date.now() - 60 * 1000)
+    });
+
+    await runReminderScheduler();
+
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'amina@example.com', subject: 'Upcoming: Lab report' }));
+    expect(reminder.status).toBe('sent');
+    expect(reminder.interactions[0].metadata).toEqual({ channels: ['email'] });
+  });
+
+  test('leaves a reminder queued when no channel can reach the student', async () => {
+    await users.create({ supabaseId: 'student-1', email: 'amina@example.com' });
+    const reminder = await reminders.create({
+      supabaseId: 'student-1',
+      type: 'DEADLINE',
+      title: 'Upcoming: Lab report',
+      message: 'Due soon.',
+      scheduledFor: new Date(Date.now() - 60 * 1000)
+    });
+
+    await runReminderScheduler();
+
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(reminder.status).toBe('scheduled');
+  });
+});
+
+test('the study planner is given the goal, local hours and language but not the institution', async () => {
+  env.GROQ_API_KEY = env.GROQ_API_KEY || 'test-key';
+  post.mockResolvedValue({ data: { choices: [{ message: { content: '{"overview":"ok","recommendations":[]}' } }] } });
+
+  const plan = await generateStudyPlan({
+    courses: [{ _id: 'c1', name: 'Databases', credits: 3 }],
+    assignments: [],
+    // 06:00 UTC is 09:00 in Nairobi
+    activities: [{ type: 'STUDY_SESSION_START', timestamp: new Date('2026-10-19T06:00:00Z') }],
+    preferences: {},
+    profile: { timeZone: 'Africa/Nairobi', locale: 'sw-KE', yearOfStudy: 3, weeklyStudyHoursGoal: 15, institution: 'Strathmore' }
+  });
+
+  const prompt = post.mock.calls[0][1].messages[1].content;
+  expect(prompt).toContain('Most productive hour: 9:00');
+  expect(prompt).toContain('Weekly study goal: 15 hours');
+  expect(prompt).toContain('Year of study: 3');
+  expect(prompt).toContain('Language: Swahili (Kenya)');
+  expect(prompt).not.toContain('Strathmore');
+  expect(plan.generationContext).toMatchObject({ weeklyStudyHoursGoal: 15, timeZone: 'Africa/Nairobi' });
+});
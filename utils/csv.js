@@ -0,0 +1,23 @@
+// CSV helpers for exports. Values are quoted only when needed (RFC 4180).
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Prefix formula-like values so spreadsheets do not execute them
+  const safe = /^[=+\-@]/.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * Serialise rows to CSV. `columns` is a list of `{ header, value }` where value is a
+ * property name or a function of the row.
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map((column) => escapeCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(({ value }) => escapeCell(typeof value === 'function' ? value(row) : row[value])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+export default toCsv;
@@ -12,11 +12,20 @@ const ensureRedis = () => {
   return redisClient;
 };
 
-export async function saveDraft(draft) {
+// Ids of the drafts saved for a signed-in user, so they can be erased with the account
+const userDraftsKey = (supabaseId) => `onboard:drafts:${supabaseId}`;
+
+export async function saveDraft(draft, { supabaseId } = {}) {
   const client = ensureRedis();
   const key = `onboard:draft:${Date.now()}:${Math.random().toString(36).slice(2,8)}`;
   const value = JSON.stringify(draft);
   await client.set(key, value, 'EX', env.DRAFT_TTL_SECONDS);
+  if (supabaseId) {
+    await client.multi()
+      .sadd(userDraftsKey(supabaseId), key)
+      .expire(userDraftsKey(supabaseId), env.DRAFT_TTL_SECONDS)
+      .exec();
+  }
   return key;
 }
 
@@ -31,4 +40,12 @@ export async function deleteDraft(key) {
   await client.del(key);
 }
 
+// Delete every draft saved for the user; resolves to the number of draft ids recorded
+export async function deleteUserDrafts(supabaseId) {
+  const client = ensureRedis();
+  const keys = await client.smembers(userDraftsKey(supabaseId));
+  await client.del(...keys, userDraftsKey(supabaseId));
+  return keys.length;
+}
+
 export { redisClient };
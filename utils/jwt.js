@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+
+// JWT (RFC 7519) decoding and verification on top of node:crypto, for the algorithms
+// Supabase signs access tokens with: HS256 (project JWT secret) and RS256 / ES256 (JWKS).
+
+export class JwtError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'JwtError';
+    this.reason = reason;
+  }
+}
+
+const ALGORITHMS = {
+  HS256: { hash: 'sha256', type: 'hmac' },
+  RS256: { hash: 'sha256', type: 'rsa' },
+  ES256: { hash: 'sha256', type: 'ec' }
+};
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new JwtError('Malformed token', 'malformed');
+  }
+};
+
+/**
+ * Split a compact JWT into its parts without verifying anything.
+ */
+export const decodeJwt = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new JwtError('Malformed token', 'malformed');
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeSegment(headerSegment);
+  const payload = decodeSegment(payloadSegment);
+  if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+    throw new JwtError('Malformed token', 'malformed');
+  }
+
+  return {
+    header,
+    payload,
+    signingInput: `${headerSegment}.${payloadSegment}`,
+    signature: Buffer.from(signatureSegment, 'base64url')
+  };
+};
+
+const verifySignature = ({ header, signingInput, signature }, key) => {
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new JwtError(`Unsupported token algorithm: ${header.alg}`, 'unsupported_alg');
+  }
+
+  if (algorithm.type === 'hmac') {
+    if (typeof key !== 'string' && !Buffer.isBuffer(key)) {
+      throw new JwtError('Token algorithm does not match the verification key', 'alg_mismatch');
+    }
+    const expected = crypto.createHmac(algorithm.hash, key).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  if (!(key instanceof crypto.KeyObject) || key.type !== 'public') {
+    throw new JwtError('Token algorithm does not match the verification key', 'alg_mismatch');
+  }
+  if ((algorithm.type === 'rsa') !== (key.asymmetricKeyType === 'rsa')) {
+    throw new JwtError('Token algorithm does not match the verification key', 'alg_mismatch');
+  }
+
+  return crypto.verify(
+    algorithm.hash,
+    Buffer.from(signingInput),
+    // JWS carries ECDSA signatures as raw r || s rather than DER
+    algorithm.type === 'ec' ? { key, dsaEncoding: 'ieee-p1363' } : key,
+    signature
+  );
+};
+
+const includesAudience = (claim, audience) => (Array.isArray(claim) ? claim : [claim]).includes(audience);
+
+/**
+ * Verify a JWT's signature and standard claims.
+ * `getKey(header)` returns the HMAC secret or public KeyObject for the token (may be async).
+ * Resolves to the payload; throws JwtError with a `reason` otherwise.
+ */
+export const verifyJwt = async (token, getKey, {
+  audience,
+  issuer,
+  clockToleranceSeconds = 30,
+  now = Date.now()
+} = {}) => {
+  const decoded = decodeJwt(token);
+  const key = await getKey(decoded.header);
+  if (!key) {
+    throw new JwtError('No key available to verify token', 'unknown_key');
+  }
+
+  if (!verifySignature(decoded, key)) {
+    throw new JwtError('Invalid token signature', 'bad_signature');
+  }
+
+  const { payload } = decoded;
+  const nowSeconds = Math.floor(now / 1000);
+
+  if (typeof payload.exp !== 'number' || payload.exp + clockToleranceSeconds <= nowSeconds) {
+    throw new JwtError('Token has expired', 'expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - clockToleranceSeconds > nowSeconds) {
+    throw new JwtError('Token is not valid yet', 'not_before');
+  }
+  if (audience && !includesAudience(payload.aud, audience)) {
+    throw new JwtError('Token audience is not accepted', 'bad_audience');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new JwtError('Token issuer is not accepted', 'bad_issuer');
+  }
+
+  return payload;
+};
+
+/**
+ * Sign a payload with HS256. Used for tokens this server issues itself.
+ */
+export const signHs256 = (payload, secret) => {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+};
+
+export default {
+  JwtError,
+  decodeJwt,
+  verifyJwt,
+  signHs256
+};
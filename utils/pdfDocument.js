@@ -0,0 +1,64 @@
+// Minimal single-page PDF writer for plain-text documents such as payment receipts.
+// Uses the built-in Helvetica fonts, so no font files or rendering dependencies are needed.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+
+// PDF string literals need backslashes and parentheses escaped; the standard fonts
+// only cover Latin-1, so anything outside it is replaced.
+const escapeText = (text) => String(text ?? '')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+const buildContentStream = (lines) => {
+  let y = PAGE_HEIGHT - MARGIN;
+  const commands = ['BT'];
+
+  for (const line of lines) {
+    const { text = '', size = 11, bold = false, gap = 6 } = typeof line === 'string' ? { text: line } : line;
+    y -= size;
+    commands.push(`/${bold ? 'F2' : 'F1'} ${size} Tf`);
+    commands.push(`1 0 0 1 ${MARGIN} ${y} Tm`);
+    commands.push(`(${escapeText(text)}) Tj`);
+    y -= gap;
+  }
+
+  commands.push('ET');
+  return commands.join('\n');
+};
+
+/**
+ * Render lines of text onto a single A4 page and return the PDF as a Buffer.
+ * Each line is a string or `{ text, size, bold, gap }`.
+ */
+export const renderTextPdf = (lines, { title } = {}) => {
+  const content = buildContentStream(lines);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    `<< /Title (${escapeText(title)}) /Producer (SemesterStride) >>`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+export default renderTextPdf;
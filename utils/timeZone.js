@@ -0,0 +1,96 @@
+// Wall-clock helpers for IANA time zones, built on Intl so no tz database ships with the app.
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Calendar fields of `date` as seen on a clock in `timeZone`
+export const zonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Minutes `timeZone` is ahead of UTC at `date`
+const offsetMinutes = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// The calendar day of `date` in `timeZone`, as YYYY-MM-DD
+export const dateInTimeZone = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+export const hourInTimeZone = (date, timeZone) => zonedParts(date, timeZone).hour;
+
+export const weekdayInTimeZone = (date, timeZone) => zonedParts(date, timeZone).weekday;
+
+// UTC milliseconds of a wall-clock reading -> the instant the clock in `timeZone` shows it.
+// Times skipped by a DST change resolve to the first valid instant after them.
+const fromWallClock = (wallClock, timeZone) => {
+  const firstGuess = new Date(wallClock - offsetMinutes(new Date(wallClock), timeZone) * 60000);
+  return new Date(wallClock - offsetMinutes(firstGuess, timeZone) * 60000);
+};
+
+// The instant when the clock in `timeZone` shows `hour`:00 on the same local day as `date`
+export const atHourInTimeZone = (date, hour, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return fromWallClock(Date.UTC(year, month - 1, day, hour), timeZone);
+};
+
+// The instant when the clock in `timeZone` shows `time` ("HH:MM") on `day` ("YYYY-MM-DD")
+export const atTimeInTimeZone = (day, time, timeZone) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return fromWallClock(Date.UTC(year, month - 1, date, hour, minute), timeZone);
+};
+
+export default {
+  zonedParts,
+  isValidTimeZone,
+  dateInTimeZone,
+  hourInTimeZone,
+  weekdayInTimeZone,
+  atHourInTimeZone,
+  atTimeInTimeZone
+};
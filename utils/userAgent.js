@@ -0,0 +1,36 @@
+// Turn a User-Agent header into a short device label such as "Chrome on Android" or
+// "Safari on iPhone". Order matters: Edge, Opera and Samsung Internet also claim to be Chrome,
+// and Chrome claims to be Safari.
+const BROWSERS = [
+  ['Edge', /\bEdg(?:e|A|iOS)?\//],
+  ['Opera', /\bOPR\/|\bOpera\b/],
+  ['Samsung Internet', /\bSamsungBrowser\//],
+  ['Firefox', /\bFirefox\/|\bFxiOS\//],
+  ['Chrome', /\bChrome\/|\bCriOS\//],
+  ['Safari', /\bVersion\/[\d.]+.*\bSafari\//]
+];
+
+const PLATFORMS = [
+  ['iPhone', /\biPhone\b/],
+  ['iPad', /\biPad\b/],
+  ['Android', /\bAndroid\b/],
+  ['ChromeOS', /\bCrOS\b/],
+  ['Windows', /\bWindows\b/],
+  ['macOS', /\bMacintosh\b|\bMac OS X\b/],
+  ['Linux', /\bLinux\b/]
+];
+
+export const UNKNOWN_DEVICE = 'Unknown device';
+
+const firstMatch = (list, userAgent) => list.find(([, pattern]) => pattern.test(userAgent))?.[0] || null;
+
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent || typeof userAgent !== 'string') return UNKNOWN_DEVICE;
+
+  const browser = firstMatch(BROWSERS, userAgent);
+  const platform = firstMatch(PLATFORMS, userAgent);
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || UNKNOWN_DEVICE;
+};
+
+export default describeUserAgent;